@@ -0,0 +1,1518 @@
+/**
+ * Reversi AI Search
+ *
+ * DOM-free move selection for the computer opponents: the simple easy and
+ * medium strategies, and for the hard level iterative-deepening minimax with
+ * alpha-beta pruning and a transposition table, the heuristic board
+ * evaluation, and the switch to the exact endgame solver once few squares
+ * are empty. The page runs it inside a Web Worker
+ * (see reversi-worker.js); tests and Node tools call it directly.
+ *
+ * The search and the evaluation work on the bitboards of reversi-bitboard.js
+ * rather than the 2D array board; functions that take a board convert it
+ * once on entry.
+ *
+ * Depends on reversi-bitboard.js, reversi-engine.js, reversi-tt.js and
+ * reversi-endgame.js, which must be loaded first. Loaded with a <script> tag
+ * (or importScripts) the API is published as globals and as the `ReversiAI`
+ * namespace; under Node it is a regular CommonJS module.
+ *
+ * @author Reversi Game
+ * @version 1.0.0
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./reversi-bitboard.js'), require('./reversi-engine.js'),
+            require('./reversi-tt.js'), require('./reversi-endgame.js'));
+    } else {
+        root.ReversiAI = factory(root.ReversiBitboard, root.ReversiEngine, root.ReversiTT, root.ReversiEndgame);
+        Object.assign(root, root.ReversiAI);
+    }
+}(typeof self !== 'undefined' ? self : this, function (Bitboard, Engine, TT, Endgame) {
+    'use strict';
+
+    const {
+        BOARD_SIZE, BLACK,
+        cloneBoard, getOpponent, isInBounds, countDiscs,
+        getValidMoves, isValidMove, makeMove, hasValidMoves
+    } = Engine;
+
+    // =============================================================================
+    // SEARCH SETTINGS AND STATE
+    // =============================================================================
+
+    /** Defaults for the hard AI search */
+    const SEARCH_SETTINGS = {
+        TRANSPOSITION_TABLE_SIZE: 1 << 16, // Entries cached between searches
+        DEFAULT_TIME_BUDGET: 1000,         // Milliseconds per move when no budget is given
+        ENDGAME_SOLVER_EMPTIES: 14,        // Solve positions with this many empty squares or fewer exactly
+        ENDGAME_SOLVER_SHARE: 0.5          // Part of the time budget the solver may use before searching instead
+    };
+
+    /** Score of a finished game per disc of difference; larger than any evaluation */
+    const GAME_OVER_SCORE = 1000;
+
+    /**
+     * Position cache shared by every hard AI search (see reversi-tt.js). Scores
+     * depend on the searching side and game phase, so the table is cleared
+     * whenever either changes.
+     */
+    const transpositionTable = TT.createTranspositionTable(SEARCH_SETTINGS.TRANSPOSITION_TABLE_SIZE);
+
+    /** Searching side and game phase the cached scores were computed for */
+    let transpositionContext = null;
+
+    /**
+     * Node counter, deadline and weight profile of the search in progress.
+     * minimax checks the clock every SEARCH_CLOCK_INTERVAL nodes and sets
+     * `aborted` once the deadline has passed, which unwinds the current
+     * iteration.
+     */
+    const searchState = {
+        nodes: 0,
+        deadline: Infinity,
+        aborted: false,
+        profile: null,
+        ordering: true,        // Whether moves are ordered (off: generation order, for comparison)
+        iterationDepth: 0,     // Depth of the current iteration; minimax's ply is this minus its depth
+        killers: [],           // Per ply, the last two quiet moves (squares) that caused a cutoff
+        history: new Int32Array(BOARD_SIZE * BOARD_SIZE),  // Per square, cutoffs weighted by depth squared
+        cutoffs: 0,            // Beta cutoffs in the current search
+        firstMoveCutoffs: 0    // Cutoffs caused by the first move searched
+    };
+
+    /** Nodes searched between clock checks (a power of two minus one, used as a mask) */
+    const SEARCH_CLOCK_INTERVAL = 255;
+
+    // =============================================================================
+    // MOVE ORDERING
+    // =============================================================================
+
+    /**
+     * Ordering prior of each square: corners first, edges before the inside,
+     * and X-squares (diagonally next to a corner) and C-squares (next to a
+     * corner on the edge) last. The X and C penalties only apply while their
+     * corner is empty; see getMovePrior.
+     */
+    const MOVE_PRIORS = [
+        1000, -300, 100, 100, 100, 100, -300, 1000,
+        -300, -1000,  0,   0,   0,   0, -1000, -300,
+         100,    0,  20,  10,  10,  20,    0,  100,
+         100,    0,  10,   0,   0,  10,    0,  100,
+         100,    0,  10,   0,   0,  10,    0,  100,
+         100,    0,  20,  10,  10,  20,    0,  100,
+        -300, -1000,  0,   0,   0,   0, -1000, -300,
+        1000, -300, 100, 100, 100, 100, -300, 1000
+    ];
+
+    /** Ordering bonus of the two killer moves of a ply, above any prior */
+    const KILLER_BONUS = [20000, 10000];
+
+    /**
+     * Ordering prior of a move (MOVE_PRIORS, without the penalty of an X- or
+     * C-square whose corner is already taken)
+     * @param {{lo: number, hi: number}} occupied - Bitboard of the occupied squares
+     * @param {number} square - Square index of the move
+     * @returns {number} Prior; higher is searched earlier
+     */
+    function getMovePrior(occupied, square) {
+        const prior = MOVE_PRIORS[square];
+        if (prior < 0) {
+            const [row, col] = Bitboard.toCoords(square);
+            const cornerRow = row < BOARD_SIZE / 2 ? 0 : BOARD_SIZE - 1;
+            const cornerCol = col < BOARD_SIZE / 2 ? 0 : BOARD_SIZE - 1;
+            if (Bitboard.hasSquare(occupied, Bitboard.toSquare(cornerRow, cornerCol))) {
+                return 0;
+            }
+        }
+        return prior;
+    }
+
+    /**
+     * Sort moves so the likeliest cutoffs are searched first
+     *
+     * The transposition table's best move comes first, then the ply's killer
+     * moves, then the rest by prior plus history score. With ordering turned
+     * off (searchState.ordering) the moves keep their generation order.
+     * @param {{lo: number, hi: number}} occupied - Bitboard of the occupied squares
+     * @param {Array<number>} moves - Square indices of the moves, sorted in place
+     * @param {number} ply - Distance from the root
+     * @param {number} ttMove - Square of the best move cached for the position, or -1
+     * @returns {Array<number>} The same array
+     */
+    function orderMoves(occupied, moves, ply, ttMove) {
+        if (!searchState.ordering || moves.length < 2) {
+            return moves;
+        }
+
+        const killers = searchState.killers[ply] || [];
+        const keys = [];
+
+        // Insertion sort on the keys: move lists are short
+        for (let i = 0; i < moves.length; i++) {
+            const square = moves[i];
+            let key;
+            if (square === ttMove) {
+                key = Infinity;
+            } else {
+                const killer = killers.indexOf(square);
+                key = getMovePrior(occupied, square) + searchState.history[square] +
+                    (killer >= 0 ? KILLER_BONUS[killer] : 0);
+            }
+
+            let j = i;
+            while (j > 0 && keys[j - 1] < key) {
+                keys[j] = keys[j - 1];
+                moves[j] = moves[j - 1];
+                j--;
+            }
+            keys[j] = key;
+            moves[j] = square;
+        }
+        return moves;
+    }
+
+    /**
+     * Remember a move that caused a beta cutoff, as a killer move of its ply
+     * and in the history table
+     * @param {number} square - Square index of the move
+     * @param {number} ply - Distance from the root
+     * @param {number} depth - Remaining depth at the cutoff
+     */
+    function recordCutoff(square, ply, depth) {
+        const killers = searchState.killers[ply] || (searchState.killers[ply] = []);
+        if (killers[0] !== square) {
+            killers[1] = killers[0];
+            killers[0] = square;
+        }
+        searchState.history[square] += depth * depth;
+    }
+
+    // =============================================================================
+    // EASY AND MEDIUM STRATEGIES
+    // =============================================================================
+
+    /**
+     * Square scores of the medium strategy: corners 10, other edge squares 5,
+     * squares next to a corner 0 and everything else 1
+     */
+    const MEDIUM_SQUARE_SCORES = (() => {
+        const last = BOARD_SIZE - 1;
+        const scores = Array.from({ length: BOARD_SIZE }, () => new Array(BOARD_SIZE).fill(1));
+
+        for (let i = 1; i < last; i++) {
+            scores[0][i] = 5;
+            scores[last][i] = 5;
+            scores[i][0] = 5;
+            scores[i][last] = 5;
+        }
+
+        for (const [cornerRow, cornerCol, rowStep, colStep] of [[0, 0, 1, 1], [0, last, 1, -1], [last, 0, -1, 1], [last, last, -1, -1]]) {
+            scores[cornerRow][cornerCol] = 10;
+            scores[cornerRow][cornerCol + colStep] = 0;
+            scores[cornerRow + rowStep][cornerCol] = 0;
+            scores[cornerRow + rowStep][cornerCol + colStep] = 0;
+        }
+
+        return scores;
+    })();
+
+    /**
+     * Easy strategy: pick one of the valid moves at random
+     *
+     * @function chooseEasyMove
+     * @param {Array<Array<number>>} validMoves - Valid move coordinates [[row, col], ...]
+     * @param {Function} [random=Math.random] - Source of random numbers in [0, 1)
+     * @returns {Array<number>} Selected move coordinates [row, col]
+     */
+    function chooseEasyMove(validMoves, random = Math.random) {
+        // Single move scenario - no choice needed
+        if (validMoves.length === 1) {
+            return validMoves[0];
+        }
+
+        return validMoves[Math.floor(random() * validMoves.length)];
+    }
+
+    /**
+     * Medium strategy: prefer corners, then edges, and avoid the squares next to corners
+     *
+     * Takes the first valid move with the highest score in MEDIUM_SQUARE_SCORES.
+     *
+     * @function chooseMediumMove
+     * @param {Array<Array<number>>} validMoves - Valid move coordinates [[row, col], ...]
+     * @returns {Array<number>} Selected move coordinates [row, col]
+     */
+    function chooseMediumMove(validMoves) {
+        return validMoves.reduce((bestMove, currentMove) =>
+            MEDIUM_SQUARE_SCORES[currentMove[0]][currentMove[1]] > MEDIUM_SQUARE_SCORES[bestMove[0]][bestMove[1]]
+                ? currentMove : bestMove, validMoves[0]);
+    }
+
+    // =============================================================================
+    // MOVE SELECTION
+    // =============================================================================
+
+    /**
+     * Choose the hard AI's move for a position
+     * 
+     * A single legal move is played at once and an available corner is always
+     * taken. Once few enough squares are empty the position is solved exactly
+     * with the endgame solver, which may use SEARCH_SETTINGS.ENDGAME_SOLVER_SHARE
+     * of the time budget. Otherwise, or when the solve does not finish in
+     * time, searchBestMove runs iterative deepening in the rest of the budget.
+     * @param {Array} board - Game board (left unchanged)
+     * @param {number} player - Disc color of the side to move
+     * @param {Object} [options] - Search options, passed on to searchBestMove
+     * @param {Array} [options.moves] - Legal moves (default: all valid moves)
+     * @param {number} [options.timeBudget] - Milliseconds the move may take (default: SEARCH_SETTINGS.DEFAULT_TIME_BUDGET)
+     * @param {number} [options.endgameEmpties] - Solve exactly at or below this many empties
+     * @param {Object} [options.profile] - Evaluation weights for the search (default: DEFAULT_PROFILE)
+     * @returns {Object} `{ move, score, depth, nodes, elapsed }`, plus `exact: true` when solved
+     */
+    function chooseHardMove(board, player, options = {}) {
+        const validMoves = options.moves || getValidMoves(board, player);
+        
+        // If there's only one valid move, return it
+        if (validMoves.length === 1) {
+            return { move: validMoves[0], score: null, depth: 0, nodes: 0, elapsed: 0 };
+        }
+        
+        // Small endgames are solved perfectly; this beats any heuristic, corners included
+        const { solution, timeBudget } = solveWithinBudget(board, player, options);
+        if (solution) {
+            return {
+                move: solution.move,
+                score: solution.score,
+                depth: solution.empties,
+                nodes: solution.nodes,
+                elapsed: solution.elapsed,
+                exact: true
+            };
+        }
+        
+        // First, prioritize corners if available
+        const cornerMove = validMoves.find(([row, col]) => 
+            (row === 0 || row === BOARD_SIZE - 1) && (col === 0 || col === BOARD_SIZE - 1));
+        
+        if (cornerMove) {
+            return { move: cornerMove, score: null, depth: 0, nodes: 0, elapsed: 0 };
+        }
+        
+        return searchBestMove(board, player, { ...options, moves: validMoves, timeBudget });
+    }
+
+    /**
+     * Solve a small endgame exactly, if that fits in part of the time budget
+     *
+     * Positions with at most `options.endgameEmpties` empty squares go to the
+     * endgame solver, which may use SEARCH_SETTINGS.ENDGAME_SOLVER_SHARE of
+     * the budget.
+     * @param {Array} board - Game board (left unchanged)
+     * @param {number} player - Disc color of the side to move
+     * @param {Object} options - Search options
+     * @param {number} [options.timeBudget] - Milliseconds available (default: SEARCH_SETTINGS.DEFAULT_TIME_BUDGET)
+     * @param {number} [options.endgameEmpties] - Solve at or below this many empties (default: SEARCH_SETTINGS.ENDGAME_SOLVER_EMPTIES)
+     * @returns {Object} `{ solution, timeBudget }`: the solver's result, or null when the position is
+     *     too big or the solve ran out of time, and the milliseconds left for a search
+     */
+    function solveWithinBudget(board, player, options) {
+        const startTime = performance.now();
+        const timeBudget = options.timeBudget ?? SEARCH_SETTINGS.DEFAULT_TIME_BUDGET;
+        if (Endgame.countEmpties(board) > (options.endgameEmpties ?? SEARCH_SETTINGS.ENDGAME_SOLVER_EMPTIES)) {
+            return { solution: null, timeBudget };
+        }
+
+        const solution = Endgame.solveEndgame(board, player, { timeLimit: timeBudget * SEARCH_SETTINGS.ENDGAME_SOLVER_SHARE });
+        return { solution, timeBudget: Math.max(0, timeBudget - (performance.now() - startTime)) };
+    }
+
+    // =============================================================================
+    // SEARCH
+    // =============================================================================
+
+    /**
+     * Find the best move with iterative deepening inside a time budget
+     * 
+     * Searches to depth 1, 2, 3, ... until the budget runs out and returns the
+     * result of the deepest iteration that finished. Each iteration searches the
+     * previous best move first, and the transposition table, killer moves and
+     * history scores carry move ordering from one iteration to the next. The
+     * first iteration always completes, so a move is returned even with a zero
+     * budget.
+     * @param {Array} board - Game board (left unchanged)
+     * @param {number} player - Disc color of the side to move
+     * @param {Object} [options] - Search options
+     * @param {number} [options.timeBudget] - Milliseconds the search may take (default: SEARCH_SETTINGS.DEFAULT_TIME_BUDGET)
+     * @param {number} [options.maxDepth] - Deepest iteration to search (default: number of empty squares)
+     * @param {Array} [options.moves] - Root moves to consider (default: all valid moves)
+     * @param {Object} [options.profile] - Evaluation weights (default: DEFAULT_PROFILE)
+     * @param {boolean} [options.moveOrdering=true] - Order moves (see orderMoves); false searches them in generation order
+     * @param {Function} [options.onProgress] - Called with the interim `{ move, score, depth, nodes, elapsed }` after each completed iteration
+     * @returns {Object} `{ move, score, depth, nodes, cutoffs, firstMoveCutoffs, elapsed }` where depth is the
+     *     deepest completed iteration and the cutoff counts show how well the moves were ordered
+     */
+    function searchBestMove(board, player, options = {}) {
+        const opponent = getOpponent(player);
+        const timeBudget = options.timeBudget ?? SEARCH_SETTINGS.DEFAULT_TIME_BUDGET;
+        const rootMoves = (options.moves || getValidMoves(board, player)).map(([row, col]) => Bitboard.toSquare(row, col));
+        const startTime = performance.now();
+
+        const { gamePhase, maxDepth } = beginSearch(board, player, options);
+
+        // The search works on the bitboards of both sides, seen from the searching side
+        const { own, opponent: other } = Bitboard.fromBoard(board, player);
+        const occupied = { lo: own.lo | other.lo, hi: own.hi | other.hi };
+        const rootHash = TT.hashBoard(board, player);
+
+        const result = { move: toMove(rootMoves[0]), score: null, depth: 0, nodes: 0, elapsed: 0 };
+        orderMoves(occupied, rootMoves, 0, -1);
+
+        for (let depth = 1; depth <= Math.max(1, maxDepth); depth++) {
+            searchState.iterationDepth = depth;
+            let bestScore = -Infinity;
+            let bestMove = rootMoves[0];
+
+            for (const square of rootMoves) {
+                // Score the position after the move using minimax
+                const flips = Bitboard.getFlipMask(own, other, square);
+                const next = Bitboard.applyMove(own, other, square, flips);
+                const childHash = TT.hashBitboardMove(rootHash, square, flips, player);
+                const score = minimax(next.own, next.opponent, depth - 1, bestScore, Infinity, false, player, opponent, gamePhase, childHash);
+
+                if (searchState.aborted) {
+                    break;
+                }
+
+                if (score > bestScore) {
+                    bestScore = score;
+                    bestMove = square;
+                }
+            }
+
+            // An interrupted iteration has not looked at every move; keep the previous result
+            if (searchState.aborted) {
+                break;
+            }
+
+            result.move = toMove(bestMove);
+            result.score = bestScore;
+            result.depth = depth;
+            
+            if (options.onProgress) {
+                options.onProgress({ ...result, nodes: searchState.nodes, elapsed: performance.now() - startTime });
+            }
+
+            // Search the best move first in the next iteration
+            rootMoves.splice(rootMoves.indexOf(bestMove), 1);
+            rootMoves.unshift(bestMove);
+
+            searchState.deadline = startTime + timeBudget;
+            if (performance.now() >= searchState.deadline) {
+                break;
+            }
+        }
+
+        result.nodes = searchState.nodes;
+        result.cutoffs = searchState.cutoffs;
+        result.firstMoveCutoffs = searchState.firstMoveCutoffs;
+        result.elapsed = performance.now() - startTime;
+        return result;
+    }
+
+    /**
+     * Reset the search state for a new search of a position
+     *
+     * Clears the transposition table when the searching side, game phase or
+     * weights differ from the previous search, since its cached scores would
+     * not apply.
+     * @param {Array} board - Game board
+     * @param {number} player - Disc color of the searching side
+     * @param {Object} options - Search options (profile, maxDepth, moveOrdering)
+     * @returns {Object} `{ gamePhase, maxDepth }` of the search
+     */
+    function beginSearch(board, player, options) {
+        // Determine game phase for evaluation adjustments
+        const gamePhase = getGamePhase(board);
+        const profile = options.profile || DEFAULT_PROFILE;
+        const maxDepth = Math.min(options.maxDepth ?? Infinity, BOARD_SIZE * BOARD_SIZE - countDiscs(board).total);
+
+        // Cached scores are only valid for the same searching side, phase and weights
+        const profileKey = profile === DEFAULT_PROFILE ? 'default' : JSON.stringify(profile);
+        const context = `${player}:${gamePhase}:${profileKey}`;
+        if (transpositionContext !== context) {
+            transpositionTable.clear();
+            transpositionContext = context;
+        }
+
+        searchState.nodes = 0;
+        searchState.aborted = false;
+        searchState.profile = profile;
+        searchState.deadline = Infinity;  // The first iteration always runs to completion
+        searchState.ordering = options.moveOrdering ?? true;
+        searchState.killers = [];
+        searchState.history.fill(0);
+        searchState.cutoffs = 0;
+        searchState.firstMoveCutoffs = 0;
+        return { gamePhase, maxDepth };
+    }
+
+    /**
+     * Convert a square index from the search to the [row, col] form of the API
+     * @param {number|undefined} square - Square index, or undefined when there is no move
+     * @returns {Array<number>|undefined} Move [row, col], or undefined
+     */
+    function toMove(square) {
+        return square === undefined ? undefined : Bitboard.toCoords(square);
+    }
+
+    /**
+     * Minimax algorithm with alpha-beta pruning for AI decision making
+     * The position is given as the bitboards of the maximizing and the
+     * minimizing side. A move creates new bitboards for the child, so taking
+     * it back is simply carrying on with the parent's.
+     * 
+     * Results are cached in the transposition table under the position's Zobrist
+     * key. A cached score searched at least as deep is used directly (or to
+     * narrow the alpha-beta window, depending on its bound type). Moves are
+     * searched in orderMoves order, cached best move first, and a move that
+     * causes a cutoff is recorded as a killer and history move.
+     * 
+     * Every call counts as a node in searchState. When the search deadline has
+     * passed the call returns 0 immediately and nothing more is cached.
+     * @param {{lo: number, hi: number}} max - Bitboard of the maximizing player's discs
+     * @param {{lo: number, hi: number}} min - Bitboard of the minimizing player's discs
+     * @param {number} depth - Remaining search depth
+     * @param {number} alpha - Alpha value for pruning
+     * @param {number} beta - Beta value for pruning
+     * @param {boolean} isMaximizingPlayer - Whether the current player is maximizing
+     * @param {number} maxPlayer - Disc color of the maximizing player
+     * @param {number} minPlayer - Disc color of the minimizing player
+     * @param {string} gamePhase - Current game phase (early, mid, late)
+     * @param {Object} hash - Zobrist key of the position (see reversi-tt.js)
+     * @returns {number} Best score for the current board position
+     */
+    function minimax(max, min, depth, alpha, beta, isMaximizingPlayer, maxPlayer, minPlayer, gamePhase, hash) {
+        const currentPlayer = isMaximizingPlayer ? maxPlayer : minPlayer;
+
+        // Stop searching once the time budget is used up
+        searchState.nodes++;
+        if ((searchState.nodes & SEARCH_CLOCK_INTERVAL) === 0 && performance.now() >= searchState.deadline) {
+            searchState.aborted = true;
+        }
+        if (searchState.aborted) {
+            return 0;
+        }
+
+        // Terminal condition: reached depth limit or game over
+        if (depth === 0) {
+            return evaluateBitboards(max, min, gamePhase, searchState.profile);
+        }
+
+        // Use a cached result if it was searched deep enough
+        const originalAlpha = alpha;
+        const originalBeta = beta;
+        const cached = transpositionTable.probe(hash);
+        if (cached && cached.depth >= depth) {
+            if (cached.bound === TT.BOUND.EXACT) {
+                return cached.score;
+            } else if (cached.bound === TT.BOUND.LOWER) {
+                alpha = Math.max(alpha, cached.score);
+            } else {
+                beta = Math.min(beta, cached.score);
+            }
+            if (beta <= alpha) {
+                return cached.score;
+            }
+        }
+
+        const own = isMaximizingPlayer ? max : min;
+        const opponent = isMaximizingPlayer ? min : max;
+        const moveMask = Bitboard.getMoveMask(own, opponent);
+
+        // If no valid moves, either pass or end game
+        if (Bitboard.isEmpty(moveMask)) {
+            // Check if the opponent has any moves
+            if (Bitboard.isEmpty(Bitboard.getMoveMask(opponent, own))) {
+                // Game over, count discs
+                const scoreDiff = Bitboard.popCount(max) - Bitboard.popCount(min);
+                return scoreDiff * GAME_OVER_SCORE; // High value for winning, low for losing
+            }
+            // Need to pass, evaluate from opponent's perspective
+            return minimax(max, min, depth - 1, alpha, beta, !isMaximizingPlayer, maxPlayer, minPlayer, gamePhase, TT.hashPass(hash));
+        }
+
+        const ply = Math.max(0, searchState.iterationDepth - depth);
+        const occupied = { lo: max.lo | min.lo, hi: max.hi | min.hi };
+        const ttMove = cached && cached.move ? Bitboard.toSquare(cached.move[0], cached.move[1]) : -1;
+        const validMoves = orderMoves(occupied, Bitboard.squaresOf(moveMask), ply, ttMove);
+
+        let bestEval = isMaximizingPlayer ? -Infinity : Infinity;
+        let bestMove = -1;
+
+        for (let index = 0; index < validMoves.length; index++) {
+            const square = validMoves[index];
+            const flips = Bitboard.getFlipMask(own, opponent, square);
+            const next = Bitboard.applyMove(own, opponent, square, flips);
+            const childHash = TT.hashBitboardMove(hash, square, flips, currentPlayer);
+            const score = isMaximizingPlayer
+                ? minimax(next.own, next.opponent, depth - 1, alpha, beta, false, maxPlayer, minPlayer, gamePhase, childHash)
+                : minimax(next.opponent, next.own, depth - 1, alpha, beta, true, maxPlayer, minPlayer, gamePhase, childHash);
+
+            // The score of an interrupted search is meaningless and must not be cached
+            if (searchState.aborted) {
+                return 0;
+            }
+
+            if (isMaximizingPlayer ? score > bestEval : score < bestEval) {
+                bestEval = score;
+                bestMove = square;
+            }
+
+            // Alpha-beta pruning
+            if (isMaximizingPlayer) {
+                alpha = Math.max(alpha, score);
+            } else {
+                beta = Math.min(beta, score);
+            }
+            if (beta <= alpha) {
+                searchState.cutoffs++;
+                if (index === 0) {
+                    searchState.firstMoveCutoffs++;
+                }
+                if (searchState.ordering) {
+                    recordCutoff(square, ply, depth);
+                }
+                break;
+            }
+        }
+
+        // Scores outside the original window are only bounds on the true value
+        const bound = bestEval <= originalAlpha ? TT.BOUND.UPPER
+            : (bestEval >= originalBeta ? TT.BOUND.LOWER : TT.BOUND.EXACT);
+        transpositionTable.store(hash, depth, bestEval, bound, bestMove < 0 ? null : Bitboard.toCoords(bestMove));
+
+        return bestEval;
+    }
+
+    // =============================================================================
+    // POSITION ANALYSIS
+    // =============================================================================
+
+    /**
+     * Score every legal move of a position
+     *
+     * Runs the hard AI's search (minimax with the profile's evaluateBoard)
+     * with iterative deepening like searchBestMove, but searches each move
+     * with a full window so every score is exact at the depth reached, not
+     * just the best one. Each move comes with its principal variation: the
+     * line both sides are expected to play after it, read back from the
+     * transposition table. Scores are from `player`'s point of view, with
+     * finished games worth 1000 per disc of difference.
+     * @function analyzePosition
+     * @param {Array} board - Game board (left unchanged)
+     * @param {number} player - Disc color of the side to move
+     * @param {Object} [options] - Analysis options
+     * @param {number} [options.timeBudget] - Milliseconds the analysis may take (default: SEARCH_SETTINGS.DEFAULT_TIME_BUDGET)
+     * @param {number} [options.maxDepth] - Deepest iteration to search (default: number of empty squares)
+     * @param {Object} [options.profile] - Evaluation weights (default: DEFAULT_PROFILE)
+     * @param {Function} [options.onProgress] - Called with the interim analysis after each completed iteration
+     * @returns {Object} `{ moves, depth, nodes, elapsed }`; moves are `{ move, score, depth, pv }` sorted
+     *     best first, and a pv lists moves [row, col] starting with the move itself, null marking a pass.
+     *     moves is empty when the side to move must pass.
+     */
+    function analyzePosition(board, player, options = {}) {
+        const opponent = getOpponent(player);
+        const timeBudget = options.timeBudget ?? SEARCH_SETTINGS.DEFAULT_TIME_BUDGET;
+        const startTime = performance.now();
+
+        const { gamePhase, maxDepth } = beginSearch(board, player, options);
+        const { own, opponent: other } = Bitboard.fromBoard(board, player);
+        const occupied = { lo: own.lo | other.lo, hi: own.hi | other.hi };
+        const rootHash = TT.hashBoard(board, player);
+
+        let rootMoves = orderMoves(occupied, Bitboard.squaresOf(Bitboard.getMoveMask(own, other)), 0, -1);
+        const analysis = { moves: [], depth: 0, nodes: 0, elapsed: 0 };
+
+        for (let depth = 1; depth <= Math.max(1, maxDepth) && rootMoves.length > 0; depth++) {
+            searchState.iterationDepth = depth;
+            const scored = [];
+
+            for (const square of rootMoves) {
+                const move = Bitboard.toCoords(square);
+                const flips = Bitboard.getFlipMask(own, other, square);
+                const next = Bitboard.applyMove(own, other, square, flips);
+                const childHash = TT.hashBitboardMove(rootHash, square, flips, player);
+                const score = minimax(next.own, next.opponent, depth - 1, -Infinity, Infinity, false, player, opponent, gamePhase, childHash);
+
+                if (searchState.aborted) {
+                    break;
+                }
+                // Read the line back before later searches replace its table entries
+                const pv = [move, ...readPrincipalVariation(next.opponent, next.own, opponent, childHash, depth - 1)];
+                scored.push({ move, square, score, depth, pv });
+            }
+
+            // An interrupted iteration has not scored every move; keep the previous one
+            if (searchState.aborted) {
+                break;
+            }
+
+            // Stable sort: equal scores keep the search order
+            scored.sort((a, b) => b.score - a.score);
+            analysis.moves = scored.map(({ square, ...entry }) => entry);
+            analysis.depth = depth;
+            rootMoves = scored.map(entry => entry.square);
+
+            if (options.onProgress) {
+                options.onProgress({ ...analysis, nodes: searchState.nodes, elapsed: performance.now() - startTime });
+            }
+
+            searchState.deadline = startTime + timeBudget;
+            if (performance.now() >= searchState.deadline) {
+                break;
+            }
+        }
+
+        analysis.nodes = searchState.nodes;
+        analysis.elapsed = performance.now() - startTime;
+        return analysis;
+    }
+
+    /**
+     * Follow the transposition table's best moves from a position
+     *
+     * Stops at the first position without a usable cached move, at the end
+     * of the game or after `length` moves.
+     * @param {{lo: number, hi: number}} own - Bitboard of the side to move
+     * @param {{lo: number, hi: number}} opponent - Bitboard of the other side
+     * @param {number} player - Disc color of the side to move
+     * @param {Object} hash - Zobrist key of the position
+     * @param {number} length - Longest line to return
+     * @returns {Array} Moves [row, col], with null for a pass
+     */
+    function readPrincipalVariation(own, opponent, player, hash, length) {
+        const line = [];
+
+        while (line.length < length) {
+            const moveMask = Bitboard.getMoveMask(own, opponent);
+            if (Bitboard.isEmpty(moveMask)) {
+                if (Bitboard.isEmpty(Bitboard.getMoveMask(opponent, own))) {
+                    break;
+                }
+                line.push(null);
+                hash = TT.hashPass(hash);
+                [own, opponent] = [opponent, own];
+                player = getOpponent(player);
+                continue;
+            }
+
+            const cached = transpositionTable.probe(hash);
+            const square = cached && cached.move ? Bitboard.toSquare(cached.move[0], cached.move[1]) : -1;
+            if (square < 0 || !Bitboard.hasSquare(moveMask, square)) {
+                break;
+            }
+
+            const flips = Bitboard.getFlipMask(own, opponent, square);
+            const next = Bitboard.applyMove(own, opponent, square, flips);
+            line.push(cached.move);
+            hash = TT.hashBitboardMove(hash, square, flips, player);
+            [own, opponent] = [next.opponent, next.own];
+            player = getOpponent(player);
+        }
+
+        // A line that ends in passes says nothing useful
+        while (line.length > 0 && line[line.length - 1] === null) {
+            line.pop();
+        }
+        return line;
+    }
+
+    /**
+     * Conversion of search scores into expected results, fitted to hard AI
+     * self-play games (searches at depth 3, final margins of the same games)
+     */
+    const OUTCOME_SETTINGS = {
+        DISCS_PER_POINT: 0.06,       // Expected final disc margin per point of search score
+        WIN_PROBABILITY_SCALE: 13    // Logistic scale from expected margin to win probability, in discs
+    };
+
+    /**
+     * Estimate how a position will end, for display
+     *
+     * Small endgames (SEARCH_SETTINGS.ENDGAME_SOLVER_EMPTIES empties or
+     * fewer) are solved exactly when the solve fits in its share of the time
+     * budget (see solveWithinBudget). Other positions get a hard AI search whose
+     * score is converted to a disc margin and a win probability with
+     * OUTCOME_SETTINGS; a search that sees the end of the game reports it
+     * as exact. A side that must pass is evaluated from its opponent's turn.
+     * @function estimateOutcome
+     * @param {Array} board - Game board (left unchanged)
+     * @param {number} player - Disc color of the side to move; the result is from its point of view
+     * @param {Object} [options] - Search options for searchBestMove (timeBudget, maxDepth, profile, endgameEmpties)
+     * @returns {Object} `{ margin, winProbability, exact, depth }`: the expected final disc
+     *     difference (player minus opponent), the chance of winning (a draw counting half)
+     *     and whether both are certain
+     */
+    function estimateOutcome(board, player, options = {}) {
+        const { onProgress, ...searchOptions } = options;  // Interim search reports are not outcomes
+        const opponent = getOpponent(player);
+        if (!hasValidMoves(board, player)) {
+            if (!hasValidMoves(board, opponent)) {
+                const { black, white } = countDiscs(board);
+                const margin = player === BLACK ? black - white : white - black;
+                return { margin, winProbability: (Math.sign(margin) + 1) / 2, exact: true, depth: 0 };
+            }
+            const outcome = estimateOutcome(board, opponent, searchOptions);
+            return { ...outcome, margin: -outcome.margin, winProbability: 1 - outcome.winProbability };
+        }
+
+        const { solution, timeBudget } = solveWithinBudget(board, player, searchOptions);
+        if (solution) {
+            const { score, empties } = solution;
+            return { margin: score, winProbability: (Math.sign(score) + 1) / 2, exact: true, depth: empties };
+        }
+
+        const { score, depth } = searchBestMove(board, player, { ...searchOptions, timeBudget });
+        const margin = scoreToMargin(score);
+        if (isGameOverScore(score)) {
+            return { margin, winProbability: (Math.sign(margin) + 1) / 2, exact: true, depth };
+        }
+
+        const winProbability = 1 / (1 + Math.exp(-margin / OUTCOME_SETTINGS.WIN_PROBABILITY_SCALE));
+        return { margin, winProbability, exact: false, depth };
+    }
+
+    /**
+     * Whether a search score is the result of a finished game
+     * @param {number} score - Search score
+     * @returns {boolean} True for finished games; evaluations stay far below GAME_OVER_SCORE
+     */
+    function isGameOverScore(score) {
+        return Math.abs(score) >= GAME_OVER_SCORE;
+    }
+
+    /**
+     * Convert a search score to an expected final disc margin
+     * @param {number} score - Search score
+     * @returns {number} Exact margin for a finished game, otherwise the score scaled by OUTCOME_SETTINGS
+     */
+    function scoreToMargin(score) {
+        if (isGameOverScore(score)) {
+            return Math.round(score / GAME_OVER_SCORE);
+        }
+        const maxMargin = BOARD_SIZE * BOARD_SIZE;
+        return Math.max(-maxMargin, Math.min(maxMargin, score * OUTCOME_SETTINGS.DISCS_PER_POINT));
+    }
+
+    // =============================================================================
+    // GAME REVIEW
+    // =============================================================================
+
+    /**
+     * Move classes by the largest loss they allow, in expected discs against
+     * the best move; a larger loss is a blunder
+     */
+    const MOVE_CLASSES = Object.freeze([
+        ['best', 0],
+        ['good', 2],
+        ['inaccuracy', 4],
+        ['mistake', 8]
+    ]);
+
+    /**
+     * Classify a move by how much it loses against the best move
+     * @param {number} loss - Expected discs lost (0 or more)
+     * @returns {string} 'best', 'good', 'inaccuracy', 'mistake' or 'blunder'
+     */
+    function classifyMove(loss) {
+        const match = MOVE_CLASSES.find(([, maxLoss]) => loss <= maxLoss + 1e-9);
+        return match ? match[0] : 'blunder';
+    }
+
+    /**
+     * Review every move of a game
+     *
+     * Replays the moves from the starting position and analyses each
+     * position with analyzePosition. A move's loss is the difference, in
+     * expected final discs (see scoreToMargin), between the best move's
+     * score and its own; the loss decides its class (see MOVE_CLASSES).
+     * Endgame positions (SEARCH_SETTINGS.ENDGAME_SOLVER_EMPTIES empties or
+     * fewer) are solved instead, so their losses are exact and their pv is
+     * the best move alone: the position gives the best score, and the
+     * position after the played move gives its score. The latter is the next
+     * position reviewed, so each position is solved once. A solve that does
+     * not fit in its share of the time budget (see solveWithinBudget) falls
+     * back to analyzePosition. Forced moves are not searched.
+     * Passes are inferred and not listed.
+     * @function reviewGame
+     * @param {Array} board - Position the game started from (left unchanged)
+     * @param {number} player - Disc color of the side that moved first
+     * @param {Object} options - Review options
+     * @param {Array<Array<number>>} options.moves - The game's moves [row, col], passes left out
+     * @param {number} [options.timeBudget] - Milliseconds to analyse each position
+     * @param {number} [options.maxDepth] - Deepest iteration to search each position
+     * @param {Object} [options.profile] - Evaluation weights (default: DEFAULT_PROFILE)
+     * @param {number} [options.endgameEmpties] - Solve exactly at or below this many empties
+     * @param {Function} [options.onProgress] - Called with `{ reviewed, total }` after each move
+     * @returns {Object} `{ moves }`: for every move `{ moveNumber, player, move, classification, loss,
+     *     score, bestMove, bestScore, pv, depth }`, scores as expected margins for the mover and pv
+     *     the best move's principal variation
+     * @throws {Error} When a move is not legal
+     */
+    function reviewGame(board, player, options) {
+        const { moves, onProgress, ...analysisOptions } = options;
+        const position = cloneBoard(board);
+        const review = [];
+        let side = player;
+        let solvedNext = null;  // Solution of the position after the previous move, and its side to move
+
+        moves.forEach(([row, col], index) => {
+            // A side without moves passes
+            if (side !== null && !hasValidMoves(position, side)) {
+                side = hasValidMoves(position, getOpponent(side)) ? getOpponent(side) : null;
+            }
+            if (side === null || !isValidMove(position, row, col, side)) {
+                throw new Error(`Illegal move ${Engine.toNotation(row, col)} at move ${index + 1}`);
+            }
+
+            const validMoves = getValidMoves(position, side);
+            const known = solvedNext && solvedNext.side === side ? solvedNext.solution : null;
+            solvedNext = null;
+            const solved = validMoves.length > 1 ? solveReviewedMove(position, side, [row, col], known, analysisOptions) : null;
+            let entry;
+            if (validMoves.length === 1) {
+                entry = { classification: 'best', loss: 0, score: null, bestMove: [row, col], bestScore: null, pv: [[row, col]], depth: 0 };
+            } else if (solved) {
+                entry = solved.entry;
+                solvedNext = { side: getOpponent(side), solution: solved.reply };
+            } else {
+                const analysis = analyzePosition(position, side, analysisOptions);
+                const best = analysis.moves[0];
+                const played = analysis.moves.find(({ move }) => move[0] === row && move[1] === col);
+                const loss = Math.max(0, scoreToMargin(best.score) - scoreToMargin(played.score));
+                entry = {
+                    classification: classifyMove(loss),
+                    loss,
+                    score: scoreToMargin(played.score),
+                    bestMove: best.move,
+                    bestScore: scoreToMargin(best.score),
+                    pv: best.pv,
+                    depth: analysis.depth
+                };
+            }
+            review.push({ moveNumber: index + 1, player: side, move: [row, col], ...entry });
+
+            makeMove(position, row, col, side);
+            side = getOpponent(side);
+            if (onProgress) {
+                onProgress({ reviewed: index + 1, total: moves.length });
+            }
+        });
+
+        return { moves: review };
+    }
+
+    /**
+     * Review a move by solving the endgame, for reviewGame
+     *
+     * The position's solution gives the best move and score, and the
+     * opponent's result after the played move is the mover's, negated.
+     * @param {Array} position - Position before the move (left unchanged)
+     * @param {number} side - Disc color of the mover
+     * @param {Array<number>} move - The played move [row, col]
+     * @param {Object|null} solution - The position's solution, when already known
+     * @param {Object} options - Review options (timeBudget, endgameEmpties)
+     * @returns {Object|null} `{ entry, reply }`: the move's review entry and the solution of the
+     *     position after it, or null when either position is too big or too slow to solve
+     */
+    function solveReviewedMove(position, side, [row, col], solution, options) {
+        const best = solution || solveWithinBudget(position, side, options).solution;
+        if (!best) {
+            return null;
+        }
+
+        const next = cloneBoard(position);
+        makeMove(next, row, col, side);
+        const reply = solveWithinBudget(next, getOpponent(side), options).solution;
+        if (!reply) {
+            return null;
+        }
+
+        const loss = best.score + reply.score;
+        return {
+            entry: {
+                classification: classifyMove(loss),
+                loss,
+                score: -reply.score,
+                bestMove: best.move,
+                bestScore: best.score,
+                pv: [best.move],
+                depth: best.empties
+            },
+            reply
+        };
+    }
+
+    /** Newly stable discs a move needs to be explained by stability */
+    const MIN_STABLE_GAIN = 2;
+
+    /**
+     * Give the main reason a move is good, in terms a player can check
+     *
+     * Checked in order: the move takes a corner; it makes at least
+     * MIN_STABLE_GAIN more of the mover's discs stable; it leaves the
+     * opponent fewer replies than they have in the current position.
+     * Anything else is down to the search ('search').
+     * @function explainMove
+     * @param {Array} board - Game board before the move (left unchanged)
+     * @param {Array<number>} move - Move [row, col]; must be legal
+     * @param {number} player - Disc color of the side making the move
+     * @returns {Object} `{ reason, stableGain, opponentMoves }`: reason is 'corner', 'stability',
+     *     'mobility' or 'search', stableGain the change in the mover's stable discs and
+     *     opponentMoves the number of replies left
+     */
+    function explainMove(board, move, player) {
+        const [row, col] = move;
+        const opponent = getOpponent(player);
+        const color = player === BLACK ? 'black' : 'white';
+
+        const stableBefore = countStableDiscs(board)[color];
+        const opponentMovesBefore = getValidMoves(board, opponent).length;
+
+        const after = cloneBoard(board);
+        makeMove(after, row, col, player);
+        const stableGain = countStableDiscs(after)[color] - stableBefore;
+        const opponentMoves = getValidMoves(after, opponent).length;
+
+        const isCorner = (row === 0 || row === BOARD_SIZE - 1) && (col === 0 || col === BOARD_SIZE - 1);
+        let reason = 'search';
+        if (isCorner) {
+            reason = 'corner';
+        } else if (stableGain >= MIN_STABLE_GAIN) {
+            reason = 'stability';
+        } else if (opponentMoves < opponentMovesBefore) {
+            reason = 'mobility';
+        }
+        return { reason, stableGain, opponentMoves };
+    }
+
+    // =============================================================================
+    // WEIGHT PROFILES
+    // =============================================================================
+
+    /** Identifies weight profile files */
+    const PROFILE_FORMAT = 'reversi-weights';
+
+    /** Version of the profile format written by serializeProfile */
+    const PROFILE_VERSION = 1;
+
+    /** Game phases with their own evaluation weights */
+    const GAME_PHASES = Object.freeze(['early', 'mid', 'late']);
+
+    /** Evaluation terms weighted per phase (see getEvaluationTerms) */
+    const EVALUATION_TERMS = Object.freeze([
+        'discParity', 'mobility', 'corner', 'position', 'edge', 'potentialMobility', 'stability', 'frontier'
+    ]);
+
+    /**
+     * Weights used when no profile is given. profiles/default-profile.json
+     * holds the same values; edit or tune a copy of that file to experiment.
+     */
+    const DEFAULT_PROFILE = parseProfile({
+        format: PROFILE_FORMAT,
+        version: PROFILE_VERSION,
+        description: 'Default hard AI weights',
+        phases: {
+            early: { discParity: 0.1, mobility: 2.5, corner: 4.0, position: 1.0, edge: 1.5, potentialMobility: 1.0, stability: 3.0, frontier: 1.5 },
+            mid:   { discParity: 0.8, mobility: 2.0, corner: 3.0, position: 1.0, edge: 1.0, potentialMobility: 0.5, stability: 3.0, frontier: 1.0 },
+            late:  { discParity: 3.5, mobility: 1.0, corner: 2.0, position: 0.5, edge: 0.5, potentialMobility: 0.0, stability: 2.0, frontier: 0.5 }
+        },
+        // Position evaluation weights - prioritize corners and edges
+        positionWeights: [
+            [100, -20, 10,  5,  5, 10, -20, 100],
+            [-20, -50, -2, -2, -2, -2, -50, -20],
+            [ 10,  -2,  5,  1,  1,  5,  -2,  10],
+            [  5,  -2,  1,  0,  0,  1,  -2,   5],
+            [  5,  -2,  1,  0,  0,  1,  -2,   5],
+            [ 10,  -2,  5,  1,  1,  5,  -2,  10],
+            [-20, -50, -2, -2, -2, -2, -50, -20],
+            [100, -20, 10,  5,  5, 10, -20, 100]
+        ]
+    }, null);
+
+    /**
+     * Read and validate a weight profile
+     *
+     * A profile gives, for each game phase, the weight of every evaluation
+     * term, plus the 8x8 table of square values used by the position term:
+     *
+     *     {
+     *       "format": "reversi-weights", "version": 1, "description": "...",
+     *       "phases": { "early": { "mobility": 2.5, ... }, "mid": {...}, "late": {...} },
+     *       "positionWeights": [[100, -20, ...], ...]
+     *     }
+     *
+     * Phases, terms or the position table left out are taken from `base`, so a
+     * profile only needs to list what it changes.
+     *
+     * @function parseProfile
+     * @param {string|Object} data - JSON text or the parsed object
+     * @param {Object|null} [base=DEFAULT_PROFILE] - Profile supplying omitted values (null to require every value)
+     * @returns {Object} Complete, frozen profile
+     * @throws {Error} If the data is not a valid profile
+     */
+    function parseProfile(data, base = DEFAULT_PROFILE) {
+        const source = typeof data === 'string' ? JSON.parse(data) : data;
+        const fail = message => {
+            throw new Error(`Invalid weight profile: ${message}`);
+        };
+        const isWeight = value => typeof value === 'number' && Number.isFinite(value);
+
+        if (!source || typeof source !== 'object') {
+            fail('expected an object');
+        }
+        if (source.format !== undefined && source.format !== PROFILE_FORMAT) {
+            fail(`unknown format "${source.format}"`);
+        }
+        if (source.version !== undefined && source.version > PROFILE_VERSION) {
+            fail(`version ${source.version} is newer than this program supports`);
+        }
+
+        const phases = {};
+        for (const phase of GAME_PHASES) {
+            const weights = (source.phases || {})[phase] || {};
+            phases[phase] = {};
+            for (const term of EVALUATION_TERMS) {
+                const weight = weights[term] ?? (base && base.phases[phase][term]);
+                if (!isWeight(weight)) {
+                    fail(`${phase}.${term} must be a number`);
+                }
+                phases[phase][term] = weight;
+            }
+            Object.freeze(phases[phase]);
+        }
+
+        const table = source.positionWeights || (base && base.positionWeights);
+        if (!Array.isArray(table) || table.length !== BOARD_SIZE ||
+            !table.every(row => Array.isArray(row) && row.length === BOARD_SIZE && row.every(isWeight))) {
+            fail(`positionWeights must be an ${BOARD_SIZE}x${BOARD_SIZE} array of numbers`);
+        }
+
+        return Object.freeze({
+            format: PROFILE_FORMAT,
+            version: PROFILE_VERSION,
+            description: source.description || (base ? base.description : ''),
+            phases: Object.freeze(phases),
+            positionWeights: Object.freeze(table.map(row => Object.freeze([...row])))
+        });
+    }
+
+    /**
+     * Write a weight profile as JSON, with one line per row of the position table
+     *
+     * @function serializeProfile
+     * @param {Object} profile - Profile to write
+     * @param {string} [description] - Replaces the profile's description
+     * @returns {string} JSON text that parseProfile accepts
+     */
+    function serializeProfile(profile, description) {
+        const data = parseProfile({ ...profile, description: description ?? profile.description }, null);
+        return JSON.stringify(data, null, 2)
+            .replace(/\[\s*(-?[\d.e+-]+(?:,\s*-?[\d.e+-]+)*)\s*\]/g,
+                (match, numbers) => `[${numbers.split(/,\s*/).join(', ')}]`) + '\n';
+    }
+
+    // =============================================================================
+    // EVALUATION
+    // =============================================================================
+
+    /**
+     * Measure the evaluation terms of a position from the maximizing player's view
+     *
+     * Every term is positive when it favours `maxPlayer`. evaluateBoard
+     * combines them with the weights of the game phase; the tuning tool fits
+     * those weights to them directly.
+     * @function getEvaluationTerms
+     * @param {Array} board - Game board
+     * @param {number} maxPlayer - Disc color of the maximizing player
+     * @param {number} minPlayer - Disc color of the minimizing player
+     * @param {Object} [profile=DEFAULT_PROFILE] - Weight profile supplying the position table
+     * @returns {Object} Term values keyed by the names in EVALUATION_TERMS
+     */
+    function getEvaluationTerms(board, maxPlayer, minPlayer, profile = DEFAULT_PROFILE) {
+        const { own, opponent } = Bitboard.fromBoard(board, maxPlayer);
+        return getBitboardTerms(own, opponent, profile);
+    }
+
+    /**
+     * Measure the evaluation terms of a position given as bitboards (see getEvaluationTerms)
+     * @param {{lo: number, hi: number}} max - Bitboard of the maximizing player's discs
+     * @param {{lo: number, hi: number}} min - Bitboard of the minimizing player's discs
+     * @param {Object} profile - Weight profile supplying the position table
+     * @returns {Object} Term values keyed by the names in EVALUATION_TERMS
+     */
+    function getBitboardTerms(max, min, profile) {
+        const occupied = { lo: max.lo | min.lo, hi: max.hi | min.hi };
+        const empty = { lo: ~occupied.lo, hi: ~occupied.hi };
+
+        // Disc parity (difference in disc count)
+        const discParity = Bitboard.popCount(max) - Bitboard.popCount(min);
+
+        // Mobility (number of valid moves for each player)
+        const mobility = Bitboard.popCount(Bitboard.getMoveMask(max, min)) - Bitboard.popCount(Bitboard.getMoveMask(min, max));
+
+        // Corner control
+        const cornerScore = 25 * (countCommon(max, CORNER_MASK) - countCommon(min, CORNER_MASK));
+
+        // Potential mobility (count of empty squares adjacent to opponent's discs)
+        const potentialMobility = countCommon(empty, Bitboard.getNeighbourMask(min));
+
+        // Edge control; a corner lies on two edges and counts for both
+        const edgeControl = countCommon(max, EDGE_MASK) + countCommon(max, CORNER_MASK) -
+            countCommon(min, EDGE_MASK) - countCommon(min, CORNER_MASK);
+
+        // Stable discs (discs that can never be flipped back)
+        const stable = getStableMask(max, min);
+        const stability = countCommon(stable, max) - countCommon(stable, min);
+
+        // Frontier discs (discs next to an empty square); having fewer than the opponent is better
+        const frontierDiscs = Bitboard.getNeighbourMask(empty);
+        const frontier = countCommon(frontierDiscs, min) - countCommon(frontierDiscs, max);
+
+        // Position score based on the profile's position table, summed square by square
+        let positionScore = 0;
+        for (const square of Bitboard.squaresOf(occupied)) {
+            const weight = evaluatePosition(square >> 3, square & 7, profile);
+            positionScore += Bitboard.hasSquare(max, square) ? weight : -weight;
+        }
+
+        return {
+            discParity,
+            mobility,
+            corner: cornerScore,
+            position: positionScore,
+            edge: edgeControl,
+            potentialMobility,
+            stability,
+            frontier
+        };
+    }
+
+    /**
+     * Enhanced board evaluation function for the minimax algorithm
+     * @param {Array} board - Game board
+     * @param {number} maxPlayer - Disc color of the maximizing player
+     * @param {number} minPlayer - Disc color of the minimizing player
+     * @param {string} gamePhase - Current game phase (early, mid, late)
+     * @param {Object} [profile=DEFAULT_PROFILE] - Weight profile (see parseProfile)
+     * @returns {number} Evaluation score of the board position
+     */
+    function evaluateBoard(board, maxPlayer, minPlayer, gamePhase, profile = DEFAULT_PROFILE) {
+        const { own, opponent } = Bitboard.fromBoard(board, maxPlayer);
+        return evaluateBitboards(own, opponent, gamePhase, profile);
+    }
+
+    /**
+     * Evaluate a position given as bitboards, as evaluateBoard does
+     * @function evaluateBitboards
+     * @param {{lo: number, hi: number}} max - Bitboard of the maximizing player's discs
+     * @param {{lo: number, hi: number}} min - Bitboard of the minimizing player's discs
+     * @param {string} gamePhase - Current game phase (early, mid, late)
+     * @param {Object} [profile=DEFAULT_PROFILE] - Weight profile (see parseProfile)
+     * @returns {number} Evaluation score of the position
+     */
+    function evaluateBitboards(max, min, gamePhase, profile = DEFAULT_PROFILE) {
+        const terms = getBitboardTerms(max, min, profile);
+
+        // Combine all factors with the weights of the game phase
+        const weights = profile.phases[gamePhase];
+        let score = 0;
+        for (const term of EVALUATION_TERMS) {
+            score += weights[term] * terms[term];
+        }
+        return score;
+    }
+
+    /**
+     * Evaluate a position on the board
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @param {Object} [profile=DEFAULT_PROFILE] - Weight profile supplying the position table
+     * @returns {number} Position score
+     */
+    function evaluatePosition(row, col, profile = DEFAULT_PROFILE) {
+        return profile.positionWeights[row][col];
+    }
+
+    /**
+     * Game phase of a position, which selects the evaluation weights
+     * @function getGamePhase
+     * @param {Array} board - Game board
+     * @returns {string} 'early' (under 20 discs), 'mid' (under 50) or 'late'
+     */
+    function getGamePhase(board) {
+        const totalDiscs = countDiscs(board).total;
+        return totalDiscs < 20 ? 'early' : (totalDiscs < 50 ? 'mid' : 'late');
+    }
+
+    // =============================================================================
+    // DISC ANALYSIS
+    // =============================================================================
+
+    /** The four lines through a square (horizontal, vertical, both diagonals), one direction each */
+    const AXES = [[0, 1], [1, 0], [1, 1], [1, -1]];
+
+    /**
+     * Index of the line through a square along an axis: rows by row, columns
+     * by column, diagonals by row - col + 7 and anti-diagonals by row + col
+     * @param {number} axis - Index into AXES
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {number} Line index
+     */
+    function lineIndex(axis, row, col) {
+        switch (axis) {
+            case 0: return row;
+            case 1: return col;
+            case 2: return row - col + BOARD_SIZE - 1;
+            default: return row + col;
+        }
+    }
+
+    /**
+     * Bitboards of each axis: `lines`, every line along it (indexed as given
+     * by lineIndex), `ends`, the squares whose line along it leaves the board
+     * on one side, and `step`, the square index difference between
+     * neighbours on it
+     */
+    const AXIS_MASKS = AXES.map(([dx, dy], axis) => {
+        const lines = Array.from({ length: 2 * BOARD_SIZE - 1 }, () => ({ lo: 0, hi: 0 }));
+        const ends = { lo: 0, hi: 0 };
+
+        for (let row = 0; row < BOARD_SIZE; row++) {
+            for (let col = 0; col < BOARD_SIZE; col++) {
+                const square = Bitboard.toSquare(row, col);
+                addSquare(lines[lineIndex(axis, row, col)], square);
+                if (!isInBounds(row + dx, col + dy) || !isInBounds(row - dx, col - dy)) {
+                    addSquare(ends, square);
+                }
+            }
+        }
+
+        return { lines: lines.filter(line => !Bitboard.isEmpty(line)), ends, step: dx * BOARD_SIZE + dy };
+    });
+
+    /** Whether a row or column index is on the edge of the board */
+    const isEdgeLine = index => index === 0 || index === BOARD_SIZE - 1;
+
+    /** Bitboard of the four corners */
+    const CORNER_MASK = maskOf((row, col) => isEdgeLine(row) && isEdgeLine(col));
+
+    /** Bitboard of the edge squares, corners included */
+    const EDGE_MASK = maskOf((row, col) => isEdgeLine(row) || isEdgeLine(col));
+
+    /**
+     * Build the bitboard of the squares that pass a test
+     * @param {Function} test - Called with (row, col); true to set the square
+     * @returns {{lo: number, hi: number}} Bitboard
+     */
+    function maskOf(test) {
+        const mask = { lo: 0, hi: 0 };
+        for (let row = 0; row < BOARD_SIZE; row++) {
+            for (let col = 0; col < BOARD_SIZE; col++) {
+                if (test(row, col)) {
+                    addSquare(mask, Bitboard.toSquare(row, col));
+                }
+            }
+        }
+        return mask;
+    }
+
+    /**
+     * Set a square in a bitboard
+     * @param {{lo: number, hi: number}} mask - Bitboard (modified in place)
+     * @param {number} square - Square index (0-63)
+     */
+    function addSquare(mask, square) {
+        if (square < 32) mask.lo |= 1 << square; else mask.hi |= 1 << (square - 32);
+    }
+
+    /**
+     * Count the squares set in both of two bitboards
+     * @param {{lo: number, hi: number}} a - Bitboard
+     * @param {{lo: number, hi: number}} b - Bitboard
+     * @returns {number} Number of common squares
+     */
+    function countCommon(a, b) {
+        return Bitboard.popCount({ lo: a.lo & b.lo, hi: a.hi & b.hi });
+    }
+
+    /**
+     * Convert a bitboard to an 8x8 grid
+     * @param {{lo: number, hi: number}} mask - Bitboard
+     * @returns {Array<Array<boolean>>} Grid, true where the square is set
+     */
+    function toGrid(mask) {
+        const grid = Array.from({ length: BOARD_SIZE }, () => new Array(BOARD_SIZE).fill(false));
+        for (const square of Bitboard.squaresOf(mask)) {
+            grid[square >> 3][square & 7] = true;
+        }
+        return grid;
+    }
+
+    /**
+     * Find the stable discs of a position given as bitboards (see getStableDiscs)
+     *
+     * Works on all squares at once: along each axis a disc is secure when it
+     * is on a filled line, at the end of its line or next to a stable disc
+     * of its own color, and the discs secure along all four axes are added
+     * to the stable ones until nothing changes.
+     * @param {{lo: number, hi: number}} own - Bitboard of one side's discs
+     * @param {{lo: number, hi: number}} opponent - Bitboard of the other side's discs
+     * @returns {{lo: number, hi: number}} Bitboard of the stable discs of both sides
+     */
+    function getStableMask(own, opponent) {
+        const occupiedLo = own.lo | opponent.lo;
+        const occupiedHi = own.hi | opponent.hi;
+
+        // Squares secure along each axis whatever their neighbours: on a filled line or at its end
+        let hasFilledLine = false;
+        const secure = AXIS_MASKS.map(({ lines, ends }) => {
+            const mask = { lo: ends.lo, hi: ends.hi };
+            for (const line of lines) {
+                if ((line.lo & ~occupiedLo) === 0 && (line.hi & ~occupiedHi) === 0) {
+                    mask.lo |= line.lo;
+                    mask.hi |= line.hi;
+                    hasFilledLine = true;
+                }
+            }
+            return mask;
+        });
+
+        // Stability spreads from occupied corners and filled lines; without either nothing is stable
+        if (!hasFilledLine && (occupiedLo & CORNER_MASK.lo) === 0 && (occupiedHi & CORNER_MASK.hi) === 0) {
+            return { lo: 0, hi: 0 };
+        }
+
+        let stableLo = 0, stableHi = 0;
+        for (;;) {
+            let nextLo = stableLo, nextHi = stableHi;
+            for (const color of [own, opponent]) {
+                // A shift onto a neighbour can wrap across the board, but only onto squares at the end of their line
+                const anchors = { lo: stableLo & color.lo, hi: stableHi & color.hi };
+                let lo = color.lo & ~stableLo, hi = color.hi & ~stableHi;
+                for (let axis = 0; axis < AXIS_MASKS.length && (lo | hi) !== 0; axis++) {
+                    const { step } = AXIS_MASKS[axis];
+                    const before = Bitboard.shift(anchors, step);
+                    const after = Bitboard.shift(anchors, -step);
+                    lo &= secure[axis].lo | before.lo | after.lo;
+                    hi &= secure[axis].hi | before.hi | after.hi;
+                }
+                nextLo |= lo;
+                nextHi |= hi;
+            }
+
+            if (nextLo === stableLo && nextHi === stableHi) {
+                return { lo: stableLo, hi: stableHi };
+            }
+            stableLo = nextLo;
+            stableHi = nextHi;
+        }
+    }
+
+    /**
+     * Find the discs that can never be flipped
+     *
+     * A disc is stable when it cannot be outflanked along any of the four
+     * lines through it: on each line either every square is filled, or on one
+     * side the disc borders the edge of the board or a stable disc of its own
+     * color. Applying this until nothing changes finds corners, edge runs
+     * anchored to corners, discs on filled lines and the discs they shelter.
+     * It is a conservative test: every disc reported is stable, but a few
+     * stable discs in unusual shapes are missed.
+     *
+     * @function getStableDiscs
+     * @param {Array} board - Game board
+     * @returns {Array<Array<boolean>>} 8x8 grid, true where the disc is stable
+     */
+    function getStableDiscs(board) {
+        const { own, opponent } = Bitboard.fromBoard(board, BLACK);
+        return toGrid(getStableMask(own, opponent));
+    }
+
+    /**
+     * Count the stable discs of each color (see getStableDiscs)
+     *
+     * @function countStableDiscs
+     * @param {Array} board - Game board
+     * @returns {{black: number, white: number}} Stable discs per color
+     */
+    function countStableDiscs(board) {
+        const { own: black, opponent: white } = Bitboard.fromBoard(board, BLACK);
+        const stable = getStableMask(black, white);
+        return { black: countCommon(stable, black), white: countCommon(stable, white) };
+    }
+
+    /**
+     * Find the frontier discs: discs next to at least one empty square
+     *
+     * Frontier discs give the opponent discs to flip and squares to move to,
+     * so keeping few of them limits the opponent's choices.
+     *
+     * @function getFrontierDiscs
+     * @param {Array} board - Game board
+     * @returns {Array<Array<boolean>>} 8x8 grid, true where the disc is on the frontier
+     */
+    function getFrontierDiscs(board) {
+        const { own, opponent } = Bitboard.fromBoard(board, BLACK);
+        const occupied = { lo: own.lo | opponent.lo, hi: own.hi | opponent.hi };
+        const nextToEmpty = Bitboard.getNeighbourMask({ lo: ~occupied.lo, hi: ~occupied.hi });
+        return toGrid({ lo: occupied.lo & nextToEmpty.lo, hi: occupied.hi & nextToEmpty.hi });
+    }
+
+    /**
+     * Count the frontier discs of each color (see getFrontierDiscs)
+     *
+     * @function countFrontierDiscs
+     * @param {Array} board - Game board
+     * @returns {{black: number, white: number}} Frontier discs per color
+     */
+    function countFrontierDiscs(board) {
+        const { own: black, opponent: white } = Bitboard.fromBoard(board, BLACK);
+        const nextToEmpty = Bitboard.getNeighbourMask({ lo: ~(black.lo | white.lo), hi: ~(black.hi | white.hi) });
+        return { black: countCommon(nextToEmpty, black), white: countCommon(nextToEmpty, white) };
+    }
+
+    return {
+        SEARCH_SETTINGS,
+        PROFILE_FORMAT,
+        GAME_PHASES,
+        EVALUATION_TERMS,
+        DEFAULT_PROFILE,
+        parseProfile,
+        serializeProfile,
+        transpositionTable,
+        chooseEasyMove,
+        chooseMediumMove,
+        chooseHardMove,
+        searchBestMove,
+        minimax,
+        analyzePosition,
+        estimateOutcome,
+        reviewGame,
+        MOVE_CLASSES,
+        classifyMove,
+        explainMove,
+        getEvaluationTerms,
+        evaluateBoard,
+        evaluateBitboards,
+        evaluatePosition,
+        getGamePhase,
+        getStableDiscs,
+        countStableDiscs,
+        getFrontierDiscs,
+        countFrontierDiscs
+    };
+}));
@@ -0,0 +1,513 @@
+/**
+ * Reversi Bitboard Move Generator
+ *
+ * Represents each side of a position as a 64-bit bitboard (bit `row * 8 + col`
+ * is set when that player has a disc on the cell) and generates legal moves
+ * and flips with shift-and-mask operations instead of scanning cells one by
+ * one. The rules engine converts its 2D array boards to bitboards internally,
+ * so callers keep using getValidMoves/makeMove while search code that wants
+ * raw speed can work on bitboards directly.
+ *
+ * A bitboard is a pair of 32-bit words `{ lo, hi }`: `lo` holds squares 0-31
+ * (rows 0-3) and `hi` squares 32-63 (rows 4-7). Plain 32-bit integer
+ * arithmetic is far faster in JavaScript engines than BigInt, which
+ * allocates a new heap object for every operation.
+ *
+ * Loaded with a <script> tag the API is published as `ReversiBitboard`;
+ * under Node it is a regular CommonJS module.
+ *
+ * @author Reversi Game
+ * @version 1.0.0
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ReversiBitboard = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // =============================================================================
+    // BITBOARD CONSTANTS
+    // =============================================================================
+
+    /**
+     * Columns B-G of each row. Opponent discs on the A and H files can never be
+     * flanked horizontally or diagonally, so masking them out also stops runs
+     * from wrapping from one row into the next.
+     */
+    const INNER_COLUMNS = 0x7e7e7e7e;
+
+    /** Every column but H, and every column but A, of each row */
+    const NOT_H_FILE = 0x7f7f7f7f;
+    const NOT_A_FILE = 0xfefefefe | 0;
+
+    // =============================================================================
+    // CONVERSION HELPERS
+    // =============================================================================
+
+    /**
+     * Convert board coordinates to a square index (0-63)
+     *
+     * @function toSquare
+     * @param {number} row - Row index (0-7)
+     * @param {number} col - Column index (0-7)
+     * @returns {number} Square index `row * 8 + col`
+     */
+    function toSquare(row, col) {
+        return row * 8 + col;
+    }
+
+    /**
+     * Convert a square index back to board coordinates
+     *
+     * @function toCoords
+     * @param {number} square - Square index (0-63)
+     * @returns {Array<number>} Coordinates [row, col]
+     */
+    function toCoords(square) {
+        return [square >> 3, square & 7];
+    }
+
+    /**
+     * Build the bitboards for both sides of a 2D array board
+     *
+     * Empty cells must be 0; any other value that is not `player` counts as
+     * an opponent disc.
+     *
+     * @function fromBoard
+     * @param {Array<Array<number>>} board - 8x8 game board
+     * @param {number} player - Disc color of the side to move
+     * @returns {{own: {lo: number, hi: number}, opponent: {lo: number, hi: number}}} Bitboards of the player and the opponent
+     */
+    function fromBoard(board, player) {
+        let ownLo = 0, ownHi = 0, oppLo = 0, oppHi = 0;
+
+        for (let row = 0; row < 8; row++) {
+            const cells = board[row];
+            for (let col = 0; col < 8; col++) {
+                const cell = cells[col];
+                if (cell === 0) continue;
+
+                const bit = 1 << (((row & 3) << 3) + col);
+                if (cell === player) {
+                    if (row < 4) ownLo |= bit; else ownHi |= bit;
+                } else {
+                    if (row < 4) oppLo |= bit; else oppHi |= bit;
+                }
+            }
+        }
+
+        return {
+            own: { lo: ownLo, hi: ownHi },
+            opponent: { lo: oppLo, hi: oppHi }
+        };
+    }
+
+    /**
+     * Check whether a square is set in a bitboard
+     *
+     * @function hasSquare
+     * @param {{lo: number, hi: number}} mask - Bitboard
+     * @param {number} square - Square index (0-63)
+     * @returns {boolean} True if the bit is set
+     */
+    function hasSquare(mask, square) {
+        return square < 32
+            ? (mask.lo >>> square & 1) === 1
+            : (mask.hi >>> (square - 32) & 1) === 1;
+    }
+
+    /**
+     * Check whether a bitboard has no bits set
+     *
+     * @function isEmpty
+     * @param {{lo: number, hi: number}} mask - Bitboard
+     * @returns {boolean} True if no square is set
+     */
+    function isEmpty(mask) {
+        return mask.lo === 0 && mask.hi === 0;
+    }
+
+    /**
+     * List the square indices of all set bits in ascending order
+     *
+     * Ascending order matches the row-major scan of the array-based engine.
+     *
+     * @function squaresOf
+     * @param {{lo: number, hi: number}} mask - Bitboard
+     * @returns {Array<number>} Square indices (0-63)
+     */
+    function squaresOf(mask) {
+        const squares = [];
+        let { lo, hi } = mask;
+
+        while (lo !== 0) {
+            const bit = lo & -lo;
+            squares.push(31 - Math.clz32(bit));
+            lo ^= bit;
+        }
+        while (hi !== 0) {
+            const bit = hi & -hi;
+            squares.push(63 - Math.clz32(bit));
+            hi ^= bit;
+        }
+
+        return squares;
+    }
+
+    /**
+     * Count the set bits of a 32-bit word (SWAR population count)
+     *
+     * @param {number} word - 32-bit integer
+     * @returns {number} Number of set bits
+     */
+    function popCount32(word) {
+        word -= (word >>> 1) & 0x55555555;
+        word = (word & 0x33333333) + ((word >>> 2) & 0x33333333);
+        word = (word + (word >>> 4)) & 0x0f0f0f0f;
+        return Math.imul(word, 0x01010101) >>> 24;
+    }
+
+    /**
+     * Count the set bits of a bitboard
+     *
+     * @function popCount
+     * @param {{lo: number, hi: number}} mask - Bitboard
+     * @returns {number} Number of discs/squares in the mask
+     */
+    function popCount(mask) {
+        return popCount32(mask.lo) + popCount32(mask.hi);
+    }
+
+    // =============================================================================
+    // SHIFTS AND NEIGHBOURS
+    // =============================================================================
+
+    /**
+     * Shift every square of a bitboard by the same number of squares
+     *
+     * Squares shifted past a8 or h8 are dropped. Rows are not respected:
+     * a shift of 1 moves h1 to a2, so callers mask out the squares that
+     * would wrap when that matters.
+     *
+     * @function shift
+     * @param {{lo: number, hi: number}} mask - Bitboard
+     * @param {number} amount - Squares to move towards h8 (positive) or a1 (negative): 1 to 31 either way
+     * @returns {{lo: number, hi: number}} Shifted bitboard
+     */
+    function shift(mask, amount) {
+        if (amount > 0) {
+            return { lo: mask.lo << amount, hi: (mask.hi << amount) | (mask.lo >>> (32 - amount)) };
+        }
+        const down = -amount;
+        return { lo: (mask.lo >>> down) | (mask.hi << (32 - down)), hi: mask.hi >>> down | 0 };
+    }
+
+    /**
+     * Find the squares next to any square of a bitboard
+     *
+     * Squares are neighbours in all 8 directions, without wrapping from one
+     * edge of the board to the other. Squares of the mask itself are only
+     * included when they neighbour another square of the mask.
+     *
+     * @function getNeighbourMask
+     * @param {{lo: number, hi: number}} mask - Bitboard
+     * @returns {{lo: number, hi: number}} Bitboard of the neighbouring squares
+     */
+    function getNeighbourMask(mask) {
+        const lo = mask.lo, hi = mask.hi;
+        // Squares on the H file have no neighbour to the east, those on the A file none to the west
+        const eastLo = lo & NOT_H_FILE, eastHi = hi & NOT_H_FILE;
+        const westLo = lo & NOT_A_FILE, westHi = hi & NOT_A_FILE;
+
+        const neighboursLo = (eastLo << 1) | (westLo >>> 1) |
+            (lo << 8) | (lo >>> 8) | (hi << 24) |
+            (eastLo << 9) | (westLo >>> 9) | (westHi << 23) |
+            (westLo << 7) | (eastLo >>> 7) | (eastHi << 25);
+        const neighboursHi = (eastHi << 1) | (westHi >>> 1) |
+            (hi << 8) | (lo >>> 24) | (hi >>> 8) |
+            (eastHi << 9) | (eastLo >>> 23) | (westHi >>> 9) |
+            (westHi << 7) | (westLo >>> 25) | (eastHi >>> 7);
+
+        return { lo: neighboursLo, hi: neighboursHi };
+    }
+
+    // =============================================================================
+    // MOVE GENERATION
+    // =============================================================================
+
+    /**
+     * Result registers for floodUp/floodDown and captureUp/captureDown
+     * These helpers run millions of times per search, so they write their
+     * two result words here instead of allocating an object per call.
+     */
+    let floodLo = 0;
+    let floodHi = 0;
+
+    /**
+     * Flood from the player's discs across runs of `mask` towards higher squares
+     * and store the squares just beyond each run in floodLo/floodHi
+     *
+     * @param {number} amount - Shift per step (7 = SW, 8 = S, 9 = SE)
+     * @param {number} ownLo - Player discs, low word
+     * @param {number} ownHi - Player discs, high word
+     * @param {number} maskLo - Opponent discs allowed in a run, low word
+     * @param {number} maskHi - Opponent discs allowed in a run, high word
+     */
+    function floodUp(amount, ownLo, ownHi, maskLo, maskHi) {
+        const carry = 32 - amount;
+        let runLo = maskLo & (ownLo << amount);
+        let runHi = maskHi & ((ownHi << amount) | (ownLo >>> carry));
+
+        // A run is at most 6 discs long
+        for (let step = 0; step < 5; step++) {
+            runHi |= maskHi & ((runHi << amount) | (runLo >>> carry));
+            runLo |= maskLo & (runLo << amount);
+        }
+
+        floodLo = runLo << amount;
+        floodHi = (runHi << amount) | (runLo >>> carry);
+    }
+
+    /**
+     * Flood from the player's discs across runs of `mask` towards lower squares
+     * and store the squares just beyond each run in floodLo/floodHi
+     *
+     * @param {number} amount - Shift per step (7 = NE, 8 = N, 9 = NW)
+     * @param {number} ownLo - Player discs, low word
+     * @param {number} ownHi - Player discs, high word
+     * @param {number} maskLo - Opponent discs allowed in a run, low word
+     * @param {number} maskHi - Opponent discs allowed in a run, high word
+     */
+    function floodDown(amount, ownLo, ownHi, maskLo, maskHi) {
+        const carry = 32 - amount;
+        let runLo = maskLo & ((ownLo >>> amount) | (ownHi << carry));
+        let runHi = maskHi & (ownHi >>> amount);
+
+        for (let step = 0; step < 5; step++) {
+            runLo |= maskLo & ((runLo >>> amount) | (runHi << carry));
+            runHi |= maskHi & (runHi >>> amount);
+        }
+
+        floodLo = (runLo >>> amount) | (runHi << carry);
+        floodHi = runHi >>> amount;
+    }
+
+    /**
+     * Compute all legal moves for the side owning `own`
+     *
+     * For every direction the player's discs are flooded across adjacent
+     * opponent discs (at most 6 in a row); the empty square beyond the
+     * run is a legal move.
+     *
+     * @function getMoveMask
+     * @param {{lo: number, hi: number}} own - Bitboard of the side to move
+     * @param {{lo: number, hi: number}} opponent - Bitboard of the other side
+     * @returns {{lo: number, hi: number}} Bitboard of legal move squares
+     */
+    function getMoveMask(own, opponent) {
+        const ownLo = own.lo, ownHi = own.hi;
+        const oppLo = opponent.lo, oppHi = opponent.hi;
+        const emptyLo = ~(ownLo | oppLo), emptyHi = ~(ownHi | oppHi);
+        const innerLo = oppLo & INNER_COLUMNS, innerHi = oppHi & INNER_COLUMNS;
+        let movesLo = 0, movesHi = 0;
+
+        // East and west runs never leave their row, so each word is flooded on its own
+        let runLo = innerLo & (ownLo << 1), runHi = innerHi & (ownHi << 1);
+        let westLo = innerLo & (ownLo >>> 1), westHi = innerHi & (ownHi >>> 1);
+        for (let step = 0; step < 5; step++) {
+            runLo |= innerLo & (runLo << 1);
+            runHi |= innerHi & (runHi << 1);
+            westLo |= innerLo & (westLo >>> 1);
+            westHi |= innerHi & (westHi >>> 1);
+        }
+        movesLo |= (runLo << 1) | (westLo >>> 1);
+        movesHi |= (runHi << 1) | (westHi >>> 1);
+
+        // Vertical and diagonal runs can cross from one word into the other
+        floodUp(8, ownLo, ownHi, oppLo, oppHi);
+        movesLo |= floodLo; movesHi |= floodHi;
+        floodDown(8, ownLo, ownHi, oppLo, oppHi);
+        movesLo |= floodLo; movesHi |= floodHi;
+        floodUp(7, ownLo, ownHi, innerLo, innerHi);
+        movesLo |= floodLo; movesHi |= floodHi;
+        floodDown(7, ownLo, ownHi, innerLo, innerHi);
+        movesLo |= floodLo; movesHi |= floodHi;
+        floodUp(9, ownLo, ownHi, innerLo, innerHi);
+        movesLo |= floodLo; movesHi |= floodHi;
+        floodDown(9, ownLo, ownHi, innerLo, innerHi);
+        movesLo |= floodLo; movesHi |= floodHi;
+
+        return { lo: movesLo & emptyLo, hi: movesHi & emptyHi };
+    }
+
+    /**
+     * Follow the run of `mask` squares starting next to the move towards
+     * higher squares and store it in floodLo/floodHi if one of the player's
+     * discs closes it (otherwise store an empty run)
+     *
+     * @param {number} amount - Shift per step (1 = E, 7 = SW, 8 = S, 9 = SE)
+     * @param {number} moveLo - Square of the move, low word
+     * @param {number} moveHi - Square of the move, high word
+     * @param {number} ownLo - Player discs, low word
+     * @param {number} ownHi - Player discs, high word
+     * @param {number} maskLo - Opponent discs allowed in a run, low word
+     * @param {number} maskHi - Opponent discs allowed in a run, high word
+     */
+    function captureUp(amount, moveLo, moveHi, ownLo, ownHi, maskLo, maskHi) {
+        const carry = 32 - amount;
+        let runLo = maskLo & (moveLo << amount);
+        let runHi = maskHi & ((moveHi << amount) | (moveLo >>> carry));
+
+        for (let step = 0; step < 5; step++) {
+            runHi |= maskHi & ((runHi << amount) | (runLo >>> carry));
+            runLo |= maskLo & (runLo << amount);
+        }
+
+        const closed = ((runLo << amount) & ownLo) | (((runHi << amount) | (runLo >>> carry)) & ownHi);
+        floodLo = closed === 0 ? 0 : runLo;
+        floodHi = closed === 0 ? 0 : runHi;
+    }
+
+    /**
+     * Follow the run of `mask` squares starting next to the move towards
+     * lower squares and store it in floodLo/floodHi if one of the player's
+     * discs closes it (otherwise store an empty run)
+     *
+     * @param {number} amount - Shift per step (1 = W, 7 = NE, 8 = N, 9 = NW)
+     * @param {number} moveLo - Square of the move, low word
+     * @param {number} moveHi - Square of the move, high word
+     * @param {number} ownLo - Player discs, low word
+     * @param {number} ownHi - Player discs, high word
+     * @param {number} maskLo - Opponent discs allowed in a run, low word
+     * @param {number} maskHi - Opponent discs allowed in a run, high word
+     */
+    function captureDown(amount, moveLo, moveHi, ownLo, ownHi, maskLo, maskHi) {
+        const carry = 32 - amount;
+        let runLo = maskLo & ((moveLo >>> amount) | (moveHi << carry));
+        let runHi = maskHi & (moveHi >>> amount);
+
+        for (let step = 0; step < 5; step++) {
+            runLo |= maskLo & ((runLo >>> amount) | (runHi << carry));
+            runHi |= maskHi & (runHi >>> amount);
+        }
+
+        const closed = (((runLo >>> amount) | (runHi << carry)) & ownLo) | ((runHi >>> amount) & ownHi);
+        floodLo = closed === 0 ? 0 : runLo;
+        floodHi = closed === 0 ? 0 : runHi;
+    }
+
+    /**
+     * Compute the opponent discs flipped by playing on `square`
+     *
+     * For every direction the move square is flooded across adjacent
+     * opponent discs, as getMoveMask floods the player's discs; the run
+     * flips only if the square just beyond it holds one of the player's discs.
+     *
+     * @function getFlipMask
+     * @param {{lo: number, hi: number}} own - Bitboard of the side to move
+     * @param {{lo: number, hi: number}} opponent - Bitboard of the other side
+     * @param {number} square - Square index of the move (0-63)
+     * @returns {{lo: number, hi: number}} Bitboard of discs that change color (empty if the move flips nothing)
+     */
+    function getFlipMask(own, opponent, square) {
+        const moveLo = square < 32 ? 1 << square : 0;
+        const moveHi = square < 32 ? 0 : 1 << (square - 32);
+        const ownLo = own.lo, ownHi = own.hi;
+        const oppLo = opponent.lo, oppHi = opponent.hi;
+        const innerLo = oppLo & INNER_COLUMNS, innerHi = oppHi & INNER_COLUMNS;
+        let flipsLo = 0, flipsHi = 0;
+
+        // Runs that move along a row stay on the inner columns, so they cannot wrap
+        captureUp(1, moveLo, moveHi, ownLo, ownHi, innerLo, innerHi);
+        flipsLo |= floodLo; flipsHi |= floodHi;
+        captureDown(1, moveLo, moveHi, ownLo, ownHi, innerLo, innerHi);
+        flipsLo |= floodLo; flipsHi |= floodHi;
+        captureUp(8, moveLo, moveHi, ownLo, ownHi, oppLo, oppHi);
+        flipsLo |= floodLo; flipsHi |= floodHi;
+        captureDown(8, moveLo, moveHi, ownLo, ownHi, oppLo, oppHi);
+        flipsLo |= floodLo; flipsHi |= floodHi;
+        captureUp(7, moveLo, moveHi, ownLo, ownHi, innerLo, innerHi);
+        flipsLo |= floodLo; flipsHi |= floodHi;
+        captureDown(7, moveLo, moveHi, ownLo, ownHi, innerLo, innerHi);
+        flipsLo |= floodLo; flipsHi |= floodHi;
+        captureUp(9, moveLo, moveHi, ownLo, ownHi, innerLo, innerHi);
+        flipsLo |= floodLo; flipsHi |= floodHi;
+        captureDown(9, moveLo, moveHi, ownLo, ownHi, innerLo, innerHi);
+        flipsLo |= floodLo; flipsHi |= floodHi;
+
+        return { lo: flipsLo, hi: flipsHi };
+    }
+
+    /**
+     * Play a move on a pair of bitboards
+     *
+     * @function applyMove
+     * @param {{lo: number, hi: number}} own - Bitboard of the side to move
+     * @param {{lo: number, hi: number}} opponent - Bitboard of the other side
+     * @param {number} square - Square index of a legal move (0-63)
+     * @param {{lo: number, hi: number}} [flips] - The move's flips, if already known (see getFlipMask)
+     * @returns {{own: {lo: number, hi: number}, opponent: {lo: number, hi: number}}} Bitboards after the move (still from the mover's view)
+     */
+    function applyMove(own, opponent, square, flips = getFlipMask(own, opponent, square)) {
+        const placedLo = square < 32 ? 1 << square : 0;
+        const placedHi = square < 32 ? 0 : 1 << (square - 32);
+
+        return {
+            own: { lo: own.lo | flips.lo | placedLo, hi: own.hi | flips.hi | placedHi },
+            opponent: { lo: opponent.lo & ~flips.lo, hi: opponent.hi & ~flips.hi }
+        };
+    }
+
+    /**
+     * Count the leaf nodes of the game tree to a fixed depth (performance test)
+     *
+     * A forced pass counts as a ply; finished games count as a single leaf.
+     * Used to verify the generator against known counts and to benchmark it.
+     *
+     * @function perft
+     * @param {{lo: number, hi: number}} own - Bitboard of the side to move
+     * @param {{lo: number, hi: number}} opponent - Bitboard of the other side
+     * @param {number} depth - Number of plies to expand
+     * @returns {number} Number of leaf nodes
+     */
+    function perft(own, opponent, depth) {
+        if (depth === 0) {
+            return 1;
+        }
+
+        const moves = getMoveMask(own, opponent);
+        if (isEmpty(moves)) {
+            if (isEmpty(getMoveMask(opponent, own))) {
+                return 1;
+            }
+            return perft(opponent, own, depth - 1);
+        }
+
+        let nodes = 0;
+        for (const square of squaresOf(moves)) {
+            const next = applyMove(own, opponent, square);
+            nodes += perft(next.opponent, next.own, depth - 1);
+        }
+        return nodes;
+    }
+
+    return {
+        toSquare,
+        toCoords,
+        fromBoard,
+        hasSquare,
+        isEmpty,
+        squaresOf,
+        popCount,
+        shift,
+        getNeighbourMask,
+        getMoveMask,
+        getFlipMask,
+        applyMove,
+        perft
+    };
+}));
@@ -0,0 +1,438 @@
+/**
+ * Reversi Opening Book
+ *
+ * Stores known-good opening lines and answers "which book moves are there in
+ * this position?" so the hard AI can play established openings instantly
+ * instead of searching from scratch.
+ *
+ * Lines are replayed from the starting position and every position along
+ * them is indexed under all 8 symmetries of the board (4 rotations, each
+ * optionally mirrored). A line written as f5 d6 c3 therefore also covers
+ * the same opening played from d3, c4 or e6, and transpositions reaching a
+ * book position by a different move order are found as well.
+ *
+ * Book files come in two formats, detected automatically by parseBook:
+ *
+ * JSON:
+ *
+ *     {
+ *         "format": "reversi-book",
+ *         "version": 1,
+ *         "description": "Optional free text",
+ *         "lines": [
+ *             { "moves": "f5d6c3d3c4", "weight": 12, "name": "Tiger" },
+ *             { "moves": "f5f6e6f4", "weight": 8 }
+ *         ]
+ *     }
+ *
+ * Text (one line per row, `#` starts a comment, weight defaults to 1):
+ *
+ *     # moves        weight
+ *     f5d6c3d3c4     12      # Tiger
+ *     f5 f6 e6 f4    8
+ *
+ * Moves are squares in a1-h8 notation (column letter, row number), with or
+ * without separators. Passes are not written; when the side to move has no
+ * legal move the turn passes automatically. The weight of a move in a
+ * position is the sum of the weights of all lines playing it there, and
+ * book moves are picked at random in proportion to their weight.
+ *
+ * Depends on reversi-engine.js. Loaded with a <script> tag the API is
+ * published as `ReversiBook`; under Node it is a regular CommonJS module.
+ *
+ * @author Reversi Game
+ * @version 1.0.0
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./reversi-engine.js'));
+    } else {
+        root.ReversiBook = factory(root.ReversiEngine);
+    }
+}(typeof self !== 'undefined' ? self : this, function (Engine) {
+    'use strict';
+
+    const {
+        BOARD_SIZE, BLACK,
+        createInitialBoard, getOpponent, isValidMove, makeMove, hasValidMoves,
+        toNotation, fromNotation
+    } = Engine;
+
+    // =============================================================================
+    // BOOK CONSTANTS
+    // =============================================================================
+
+    /** Identifier and version written to (and expected in) JSON book files */
+    const BOOK_FORMAT = 'reversi-book';
+    const BOOK_VERSION = 1;
+
+    /**
+     * The 8 symmetries of the board as coordinate maps, with the index of
+     * each one's inverse (the rotations by 90 and 270 degrees undo each
+     * other; every other symmetry is its own inverse)
+     */
+    const LAST = BOARD_SIZE - 1;
+    const SYMMETRIES = [
+        { map: (r, c) => [r, c], inverse: 0 },                 // identity
+        { map: (r, c) => [c, LAST - r], inverse: 3 },          // rotate 90
+        { map: (r, c) => [LAST - r, LAST - c], inverse: 2 },   // rotate 180
+        { map: (r, c) => [LAST - c, r], inverse: 1 },          // rotate 270
+        { map: (r, c) => [r, LAST - c], inverse: 4 },          // mirror left-right
+        { map: (r, c) => [LAST - r, c], inverse: 5 },          // mirror top-bottom
+        { map: (r, c) => [c, r], inverse: 6 },                 // main diagonal
+        { map: (r, c) => [LAST - c, LAST - r], inverse: 7 }    // anti-diagonal
+    ];
+
+    // =============================================================================
+    // POSITION KEYS
+    // =============================================================================
+
+    /**
+     * Key of a board as seen through one symmetry, plus the side to move
+     * @param {Array<Array<number>>} board - Game board
+     * @param {number} player - Side to move
+     * @param {number} symmetry - Index into SYMMETRIES
+     * @returns {string} 64 cell digits followed by the side to move
+     */
+    function transformedKey(board, player, symmetry) {
+        const cells = new Array(BOARD_SIZE * BOARD_SIZE);
+        const { map } = SYMMETRIES[symmetry];
+
+        for (let row = 0; row < BOARD_SIZE; row++) {
+            for (let col = 0; col < BOARD_SIZE; col++) {
+                const [r, c] = map(row, col);
+                cells[r * BOARD_SIZE + c] = board[row][col];
+            }
+        }
+
+        return cells.join('') + player;
+    }
+
+    /**
+     * Find the canonical key of a position: the smallest key over all 8
+     * symmetries. Symmetric positions reach it through several symmetries,
+     * and all of them are returned.
+     * @param {Array<Array<number>>} board - Game board
+     * @param {number} player - Side to move
+     * @returns {{key: string, symmetries: Array<number>}} Canonical key and the symmetries producing it
+     */
+    function canonicalize(board, player) {
+        let key = null;
+        let symmetries = [];
+
+        for (let symmetry = 0; symmetry < SYMMETRIES.length; symmetry++) {
+            const candidate = transformedKey(board, player, symmetry);
+            if (key === null || candidate < key) {
+                key = candidate;
+                symmetries = [symmetry];
+            } else if (candidate === key) {
+                symmetries.push(symmetry);
+            }
+        }
+
+        return { key, symmetries };
+    }
+
+    // =============================================================================
+    // BUILDING AND PARSING BOOKS
+    // =============================================================================
+
+    /**
+     * Split a move sequence into board coordinates
+     *
+     * @function parseMoves
+     * @param {string} text - Squares in a1-h8 notation, e.g. 'f5d6c3' or 'f5 d6 c3'
+     * @returns {Array<Array<number>>} Coordinates [[row, col], ...]
+     * @throws {Error} If the text contains anything other than squares and separators
+     */
+    function parseMoves(text) {
+        const compact = String(text).replace(/[\s,;-]+/g, '');
+        if (!/^([a-h][1-8])*$/i.test(compact)) {
+            throw new Error(`Invalid move sequence "${text}"`);
+        }
+        return (compact.match(/[a-h][1-8]/gi) || []).map(fromNotation);
+    }
+
+    /**
+     * Replay a move sequence from the starting position
+     * @param {Array<Array<number>>} moves - Coordinates [[row, col], ...]
+     * @param {Function} [visit] - Called as visit(board, player, move) before each move is played
+     * @returns {void}
+     * @throws {Error} If a move is illegal
+     */
+    function replayLine(moves, visit) {
+        const board = createInitialBoard();
+        let player = BLACK;
+
+        moves.forEach(([row, col], ply) => {
+            // Passes are implied: the side without a move gives up the turn
+            if (!hasValidMoves(board, player)) {
+                player = getOpponent(player);
+            }
+            if (!isValidMove(board, row, col, player)) {
+                throw new Error(`illegal move ${toNotation(row, col)} at move ${ply + 1}`);
+            }
+
+            if (visit) {
+                visit(board, player, [row, col]);
+            }
+            makeMove(board, row, col, player);
+            player = getOpponent(player);
+        });
+    }
+
+    /**
+     * Build a book from opening lines
+     *
+     * Each line is replayed from the starting position; illegal moves are
+     * reported with the line and move number.
+     *
+     * @function createBook
+     * @param {Array<Object>} lines - `{ moves, weight, name }` entries; moves is a string or [[row, col], ...]
+     * @returns {Object} Book `{ positions, lineCount, maxPly }` for findBookMoves/pickBookMove
+     * @throws {Error} If a line contains an illegal move or a non-positive weight
+     */
+    function createBook(lines) {
+        const positions = new Map();  // canonical key -> Map(canonical square -> weight)
+        let maxPly = 0;
+
+        lines.forEach((line, lineIndex) => {
+            const weight = line.weight === undefined ? 1 : Number(line.weight);
+            if (!(weight > 0)) {
+                throw new Error(`Book line ${lineIndex + 1}: weight must be a positive number`);
+            }
+
+            let moves;
+            try {
+                moves = typeof line.moves === 'string' ? parseMoves(line.moves) : line.moves;
+                replayLine(moves, (board, player, [row, col]) => {
+                    // Equivalent moves in a symmetric position share one canonical square
+                    const { key, symmetries } = canonicalize(board, player);
+                    const square = Math.min(...symmetries.map(symmetry => {
+                        const [canonicalRow, canonicalCol] = SYMMETRIES[symmetry].map(row, col);
+                        return canonicalRow * BOARD_SIZE + canonicalCol;
+                    }));
+
+                    if (!positions.has(key)) {
+                        positions.set(key, new Map());
+                    }
+                    const entry = positions.get(key);
+                    entry.set(square, (entry.get(square) || 0) + weight);
+                });
+            } catch (error) {
+                throw new Error(`Book line ${lineIndex + 1}: ${error.message}`);
+            }
+
+            maxPly = Math.max(maxPly, moves.length);
+        });
+
+        return { positions, lineCount: lines.length, maxPly };
+    }
+
+    /**
+     * Parse a book file in either supported format (see the file header)
+     *
+     * @function parseBook
+     * @param {string} text - Contents of a JSON or text book file
+     * @returns {Object} Book for findBookMoves/pickBookMove
+     * @throws {Error} If the file is malformed or contains an illegal line
+     */
+    function parseBook(text) {
+        const trimmed = String(text).trim();
+
+        if (trimmed.startsWith('{')) {
+            const data = JSON.parse(trimmed);
+            if (data.format !== BOOK_FORMAT || !Array.isArray(data.lines)) {
+                throw new Error(`Not a ${BOOK_FORMAT} file`);
+            }
+            if (data.version > BOOK_VERSION) {
+                throw new Error(`Unsupported book version ${data.version}`);
+            }
+            return createBook(data.lines);
+        }
+
+        const lines = [];
+        trimmed.split(/\r?\n/).forEach(rawLine => {
+            const content = rawLine.replace(/#.*/, '').trim();
+            if (!content) return;
+
+            // The weight is a trailing number; everything before it is the move sequence
+            const match = /^(.*?)(?:\s+(\d+(?:\.\d+)?))?$/.exec(content);
+            lines.push({ moves: match[1], weight: match[2] === undefined ? 1 : Number(match[2]) });
+        });
+        return createBook(lines);
+    }
+
+    /**
+     * Write opening lines as a JSON book file
+     *
+     * @function serializeBook
+     * @param {Array<Object>} lines - `{ moves, weight, name }` entries; moves is a string or [[row, col], ...]
+     * @param {string} [description] - Free text stored in the file
+     * @returns {string} JSON text that parseBook accepts
+     */
+    function serializeBook(lines, description) {
+        const data = {
+            format: BOOK_FORMAT,
+            version: BOOK_VERSION,
+            description: description || '',
+            lines: lines.map(line => ({
+                ...line,
+                moves: typeof line.moves === 'string'
+                    ? line.moves
+                    : line.moves.map(([row, col]) => toNotation(row, col)).join('')
+            }))
+        };
+        return JSON.stringify(data, null, 2) + '\n';
+    }
+
+    /**
+     * Turn a collection of recorded games into weighted book lines
+     *
+     * Games are first rotated or mirrored so they all open with f5 (every
+     * legal first move is a symmetric image of it). Each game is then cut
+     * after its first `depth` moves, and further back to the last move that
+     * at least `minGames` games played from the same move sequence, so rare
+     * sidelines do not enter the book. Identical lines are merged and
+     * weighted by the number of games behind them.
+     *
+     * @function buildBookLines
+     * @param {Array<string|Array<Array<number>>>} games - Move sequences from the starting position
+     * @param {Object} [options] - Build options
+     * @param {number} [options.depth=16] - Maximum number of moves per line
+     * @param {number} [options.minGames=2] - Games that must share a move for it to be kept
+     * @returns {{lines: Array<Object>, skipped: Array<{index: number, message: string}>}} Book lines (most played first) and the games that could not be used
+     */
+    function buildBookLines(games, options = {}) {
+        const depth = options.depth ?? 16;
+        const minGames = options.minGames ?? 2;
+        const skipped = [];
+        const openings = [];
+
+        games.forEach((game, index) => {
+            try {
+                const moves = typeof game === 'string' ? parseMoves(game) : game;
+                replayLine(moves);
+                if (moves.length === 0) {
+                    throw new Error('Game has no moves');
+                }
+
+                // Of the symmetries that leave the starting position unchanged, use the one taking the first move to f5
+                const [firstRow, firstCol] = moves[0];
+                const symmetry = [0, 2, 6, 7].find(candidate => {
+                    const [row, col] = SYMMETRIES[candidate].map(firstRow, firstCol);
+                    return toNotation(row, col) === 'f5';
+                });
+                openings.push(moves.slice(0, depth).map(([row, col]) => toNotation(...SYMMETRIES[symmetry].map(row, col))));
+            } catch (error) {
+                skipped.push({ index, message: error.message });
+            }
+        });
+
+        // Count how many games share each opening prefix
+        const prefixCounts = new Map();
+        openings.forEach(moves => {
+            for (let length = 1; length <= moves.length; length++) {
+                const prefix = moves.slice(0, length).join('');
+                prefixCounts.set(prefix, (prefixCounts.get(prefix) || 0) + 1);
+            }
+        });
+
+        // Cut each game back to its last well-played move and merge identical lines
+        const lineWeights = new Map();
+        openings.forEach(moves => {
+            let length = moves.length;
+            while (length > 0 && prefixCounts.get(moves.slice(0, length).join('')) < minGames) {
+                length--;
+            }
+            if (length > 0) {
+                const line = moves.slice(0, length).join('');
+                lineWeights.set(line, (lineWeights.get(line) || 0) + 1);
+            }
+        });
+
+        const lines = [...lineWeights.entries()]
+            .map(([moves, weight]) => ({ moves, weight }))
+            .sort((a, b) => b.weight - a.weight || (a.moves < b.moves ? -1 : 1));
+
+        return { lines, skipped };
+    }
+
+    // =============================================================================
+    // LOOKUP
+    // =============================================================================
+
+    /**
+     * List the book moves for a position
+     *
+     * @function findBookMoves
+     * @param {Object} book - Book from parseBook or createBook
+     * @param {Array<Array<number>>} board - Game board
+     * @param {number} player - Side to move
+     * @returns {Array<{move: Array<number>, weight: number}>} Book moves in row-major order (empty when out of book)
+     */
+    function findBookMoves(book, board, player) {
+        const { key, symmetries } = canonicalize(board, player);
+        const entry = book.positions.get(key);
+        if (!entry) {
+            return [];
+        }
+
+        // Map each stored move back through every symmetry that gives the
+        // canonical key. In a symmetric position this yields all equivalent
+        // moves, which share the stored weight equally.
+        const found = new Map();
+        for (const [square, weight] of entry) {
+            const canonical = [Math.floor(square / BOARD_SIZE), square % BOARD_SIZE];
+            const equivalent = new Set(symmetries.map(symmetry => {
+                const [row, col] = SYMMETRIES[SYMMETRIES[symmetry].inverse].map(...canonical);
+                return row * BOARD_SIZE + col;
+            }));
+            equivalent.forEach(actual => found.set(actual, weight / equivalent.size));
+        }
+
+        return [...found.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .map(([square, weight]) => ({ move: [Math.floor(square / BOARD_SIZE), square % BOARD_SIZE], weight }));
+    }
+
+    /**
+     * Pick a book move at random, in proportion to the move weights
+     *
+     * @function pickBookMove
+     * @param {Object} book - Book from parseBook or createBook
+     * @param {Array<Array<number>>} board - Game board
+     * @param {number} player - Side to move
+     * @param {Function} [random=Math.random] - Source of numbers in [0, 1)
+     * @returns {Array<number>|null} Move [row, col], or null when the position is not in the book
+     */
+    function pickBookMove(book, board, player, random = Math.random) {
+        const candidates = findBookMoves(book, board, player);
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        const total = candidates.reduce((sum, { weight }) => sum + weight, 0);
+        let target = random() * total;
+        for (const { move, weight } of candidates) {
+            target -= weight;
+            if (target < 0) {
+                return move;
+            }
+        }
+        return candidates[candidates.length - 1].move;
+    }
+
+    return {
+        BOOK_FORMAT,
+        BOOK_VERSION,
+        parseMoves,
+        createBook,
+        buildBookLines,
+        parseBook,
+        serializeBook,
+        findBookMoves,
+        pickBookMove
+    };
+}));
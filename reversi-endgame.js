@@ -0,0 +1,260 @@
+/**
+ * Reversi Endgame Solver
+ *
+ * Searches the last few empty squares to the end of the game and returns the
+ * game-theoretic result instead of a heuristic estimate: the final disc
+ * difference with best play from both sides, and a move that achieves it.
+ *
+ * The solver runs a negamax alpha-beta search directly on the bitboards from
+ * reversi-bitboard.js. Near the root, moves that leave the opponent the
+ * fewest replies are searched first, which makes cutoffs far more frequent;
+ * close to the leaves that ordering costs more than it saves and moves are
+ * searched in square order.
+ *
+ * Two modes are offered:
+ * - 'exact': the exact final disc difference
+ * - 'wld':   only whether the side to move wins, loses or draws (searched
+ *            with a null window around zero, which is much faster)
+ *
+ * Scores count discs only (empty squares left at the end are not awarded to
+ * either side), matching countDiscs/getWinner in the rules engine.
+ *
+ * Loaded with a <script> tag the API is published as `ReversiEndgame`;
+ * under Node it is a regular CommonJS module.
+ *
+ * @author Reversi Game
+ * @version 1.0.0
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./reversi-bitboard.js'));
+    } else {
+        root.ReversiEndgame = factory(root.ReversiBitboard);
+    }
+}(typeof self !== 'undefined' ? self : this, function (Bitboard) {
+    'use strict';
+
+    // =============================================================================
+    // SOLVER CONSTANTS
+    // =============================================================================
+
+    /** Search modes accepted by solveEndgame */
+    const MODE = Object.freeze({
+        EXACT: 'exact',
+        WLD: 'wld'
+    });
+
+    /** Outcomes reported in WLD mode (from the side to move's point of view) */
+    const OUTCOME = Object.freeze({
+        WIN: 1,
+        DRAW: 0,
+        LOSS: -1
+    });
+
+    /** Positions with more empties than this get their moves ordered by opponent mobility */
+    const ORDERING_MIN_EMPTIES = 5;
+
+    /** Nodes searched between clock checks (a power of two minus one, used as a mask) */
+    const SOLVER_CLOCK_INTERVAL = 1023;
+
+    /** Node counter for the solve in progress */
+    let nodes = 0;
+
+    /** Time (Date.now) at which the solve in progress gives up */
+    let deadline = Infinity;
+
+    /** Set once the deadline has passed; unwinds the search */
+    let aborted = false;
+
+    // =============================================================================
+    // SEARCH
+    // =============================================================================
+
+    /**
+     * Order moves so the ones leaving the opponent the fewest replies come first
+     * @param {{lo: number, hi: number}} own - Bitboard of the side to move
+     * @param {{lo: number, hi: number}} opponent - Bitboard of the other side
+     * @param {Array<number>} squares - Legal move squares
+     * @returns {Array<{square: number, next: Object}>} Moves with the positions they lead to
+     */
+    function orderMoves(own, opponent, squares) {
+        return squares
+            .map(square => {
+                const next = Bitboard.applyMove(own, opponent, square);
+                const replies = Bitboard.popCount(Bitboard.getMoveMask(next.opponent, next.own));
+                return { square, next, replies };
+            })
+            .sort((a, b) => a.replies - b.replies);
+    }
+
+    /**
+     * Negamax alpha-beta search to the end of the game
+     *
+     * Scores are final disc differences from the point of view of the side
+     * to move. The search is fail-soft: a score <= alpha is an upper bound
+     * and a score >= beta a lower bound on the true value. Once the solve's
+     * deadline has passed every call returns 0 without searching, and the
+     * result is discarded.
+     * @param {{lo: number, hi: number}} own - Bitboard of the side to move
+     * @param {{lo: number, hi: number}} opponent - Bitboard of the other side
+     * @param {number} empties - Number of empty squares
+     * @param {number} alpha - Lower bound of the search window
+     * @param {number} beta - Upper bound of the search window
+     * @param {boolean} passed - Whether the previous ply was a pass
+     * @returns {number} Score of the position
+     */
+    function negamax(own, opponent, empties, alpha, beta, passed) {
+        nodes++;
+        if ((nodes & SOLVER_CLOCK_INTERVAL) === 0 && Date.now() >= deadline) {
+            aborted = true;
+        }
+        if (aborted) {
+            return 0;
+        }
+
+        const moves = Bitboard.getMoveMask(own, opponent);
+
+        if (Bitboard.isEmpty(moves)) {
+            // Neither side can move: the game is over
+            if (passed) {
+                return Bitboard.popCount(own) - Bitboard.popCount(opponent);
+            }
+            return -negamax(opponent, own, empties, -beta, -alpha, true);
+        }
+
+        let best = -Infinity;
+
+        if (empties > ORDERING_MIN_EMPTIES) {
+            for (const { next } of orderMoves(own, opponent, Bitboard.squaresOf(moves))) {
+                const score = -negamax(next.opponent, next.own, empties - 1, -beta, -alpha, false);
+                if (score > best) {
+                    best = score;
+                    if (score > alpha) {
+                        alpha = score;
+                        if (alpha >= beta) break;
+                    }
+                }
+            }
+        } else {
+            for (const square of Bitboard.squaresOf(moves)) {
+                const next = Bitboard.applyMove(own, opponent, square);
+                const score = -negamax(next.opponent, next.own, empties - 1, -beta, -alpha, false);
+                if (score > best) {
+                    best = score;
+                    if (score > alpha) {
+                        alpha = score;
+                        if (alpha >= beta) break;
+                    }
+                }
+            }
+        }
+
+        return best;
+    }
+
+    // =============================================================================
+    // PUBLIC API
+    // =============================================================================
+
+    /**
+     * Count the empty squares of a board
+     *
+     * @function countEmpties
+     * @param {Array<Array<number>>} board - 8x8 board (0 for empty cells)
+     * @returns {number} Number of empty cells
+     */
+    function countEmpties(board) {
+        let empties = 0;
+        for (const row of board) {
+            for (const cell of row) {
+                if (cell === 0) empties++;
+            }
+        }
+        return empties;
+    }
+
+    /**
+     * Solve a position to the end of the game
+     *
+     * In 'exact' mode `score` is the final disc difference (side to move minus
+     * opponent) with perfect play from both sides. In 'wld' mode it is only
+     * the sign of that difference (OUTCOME.WIN, DRAW or LOSS). `move` is a
+     * move that achieves the score, or null when the side to move must pass
+     * or the game is already over.
+     *
+     * The search is exhaustive, so its cost grows steeply with the number of
+     * empty squares; callers decide when a position is small enough to solve,
+     * and can bound the cost with a time limit. A solve that runs out of time
+     * returns null instead of a result.
+     *
+     * @function solveEndgame
+     * @param {Array<Array<number>>} board - 8x8 board (left unchanged)
+     * @param {number} player - Disc color of the side to move
+     * @param {Object} [options] - Solver options
+     * @param {string} [options.mode='exact'] - MODE.EXACT or MODE.WLD
+     * @param {number} [options.timeLimit=Infinity] - Milliseconds the solve may take
+     * @returns {Object|null} `{ move, score, mode, empties, nodes, elapsed }`, or null when
+     *     the time limit ran out first
+     */
+    function solveEndgame(board, player, options = {}) {
+        const mode = options.mode || MODE.EXACT;
+        if (mode !== MODE.EXACT && mode !== MODE.WLD) {
+            throw new RangeError(`Unknown endgame solver mode: ${mode}`);
+        }
+
+        const startTime = Date.now();
+        const empties = countEmpties(board);
+        const { own, opponent } = Bitboard.fromBoard(board, player);
+
+        // WLD only needs to know on which side of zero the score falls
+        let alpha = mode === MODE.WLD ? -1 : -Infinity;
+        const beta = mode === MODE.WLD ? 1 : Infinity;
+
+        nodes = 1;
+        deadline = startTime + (options.timeLimit ?? Infinity);
+        aborted = false;
+        let bestMove = null;
+        let bestScore;
+
+        const moves = Bitboard.getMoveMask(own, opponent);
+        if (Bitboard.isEmpty(moves)) {
+            // Pass (or game over): no move to choose, just score the position
+            bestScore = -negamax(opponent, own, empties, -beta, -alpha, true);
+        } else {
+            bestScore = -Infinity;
+            for (const { square, next } of orderMoves(own, opponent, Bitboard.squaresOf(moves))) {
+                const score = -negamax(next.opponent, next.own, empties - 1, -beta, -alpha, false);
+                if (aborted) {
+                    break;
+                }
+                if (score > bestScore) {
+                    bestScore = score;
+                    bestMove = Bitboard.toCoords(square);
+                    alpha = Math.max(alpha, score);
+                    if (alpha >= beta) break;
+                }
+            }
+        }
+
+        if (aborted) {
+            return null;
+        }
+
+        return {
+            move: bestMove,
+            score: mode === MODE.WLD ? (bestScore > 0 ? OUTCOME.WIN : (bestScore < 0 ? OUTCOME.LOSS : OUTCOME.DRAW)) : bestScore,
+            mode,
+            empties,
+            nodes,
+            elapsed: Date.now() - startTime
+        };
+    }
+
+    return {
+        MODE,
+        OUTCOME,
+        countEmpties,
+        solveEndgame
+    };
+}));
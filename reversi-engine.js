@@ -0,0 +1,405 @@
+/**
+ * Reversi Rules Engine
+ *
+ * DOM-free implementation of the Reversi rules: board setup, move validation,
+ * disc flipping, disc counting and pass/game-over detection. The browser UI,
+ * the test suites and Node tools all share this single implementation.
+ *
+ * Boards are plain 8x8 arrays; move and flip generation is delegated to the
+ * bitboard generator in reversi-bitboard.js, which must be loaded first.
+ *
+ * Loaded with a <script> tag the API is published as globals (and as the
+ * `ReversiEngine` namespace); under Node it is a regular CommonJS module:
+ *
+ *     const { createInitialBoard, getValidMoves, makeMove } = require('./reversi-engine.js');
+ *
+ * @author Reversi Game
+ * @version 1.0.0
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./reversi-bitboard.js'));
+    } else {
+        root.ReversiEngine = factory(root.ReversiBitboard);
+        Object.assign(root, root.ReversiEngine);
+    }
+}(typeof self !== 'undefined' ? self : this, function (Bitboard) {
+    'use strict';
+
+    // =============================================================================
+    // GAME CONSTANTS
+    // =============================================================================
+
+    /** Standard Reversi board dimensions (8x8 grid) */
+    const BOARD_SIZE = 8;
+
+    /** Cell state constants for board representation */
+    const EMPTY = 0;  // Empty cell
+    const BLACK = 1;  // Black disc (player typically starts as black)
+    const WHITE = 2;  // White disc (computer typically plays as white)
+
+    /**
+     * Direction vectors for move validation and disc flipping
+     * Represents all 8 possible directions from any cell:
+     * Top-left, Top, Top-right, Left, Right, Bottom-left, Bottom, Bottom-right
+     */
+    const DIRECTIONS = [
+        [-1, -1], [-1, 0], [-1, 1],  // Top row: NW, N, NE
+        [0, -1],           [0, 1],   // Middle row: W, E (center position excluded)
+        [1, -1],  [1, 0],  [1, 1]    // Bottom row: SW, S, SE
+    ];
+
+    // =============================================================================
+    // BOARD HELPERS
+    // =============================================================================
+
+    /**
+     * Create a board with the standard Reversi starting position
+     *
+     * White discs sit at (3,3) and (4,4), Black discs at (3,4) and (4,3).
+     *
+     * @function createInitialBoard
+     * @returns {Array<Array<number>>} Fresh 8x8 board
+     */
+    function createInitialBoard() {
+        const board = Array.from({ length: BOARD_SIZE },
+            () => Array(BOARD_SIZE).fill(EMPTY));
+
+        const mid = BOARD_SIZE / 2;
+        board[mid - 1][mid - 1] = WHITE;
+        board[mid - 1][mid] = BLACK;
+        board[mid][mid - 1] = BLACK;
+        board[mid][mid] = WHITE;
+
+        return board;
+    }
+
+    /**
+     * Create an independent copy of a board
+     *
+     * @function cloneBoard
+     * @param {Array<Array<number>>} board - Board to copy
+     * @returns {Array<Array<number>>} Copy that can be modified freely
+     */
+    function cloneBoard(board) {
+        return board.map(row => [...row]);
+    }
+
+    /**
+     * Get the disc color of the other player
+     *
+     * @function getOpponent
+     * @param {number} player - Player disc color (BLACK or WHITE)
+     * @returns {number} The opposing disc color
+     */
+    function getOpponent(player) {
+        return player === BLACK ? WHITE : BLACK;
+    }
+
+    /**
+     * Validate that coordinates fall within the game board boundaries
+     *
+     * Simple bounds checking utility used throughout the game logic to prevent
+     * array index out-of-bounds errors when checking adjacent cells.
+     *
+     * @function isInBounds
+     * @param {number} x - Row coordinate to check
+     * @param {number} y - Column coordinate to check
+     * @returns {boolean} True if coordinates are within valid board range (0-7), false otherwise
+     */
+    function isInBounds(x, y) {
+        return x >= 0 && x < BOARD_SIZE && y >= 0 && y < BOARD_SIZE;
+    }
+
+    /**
+     * Count the number of discs of each color on the board
+     *
+     * @function countDiscs
+     * @param {Array<Array<number>>} board - Game board
+     * @returns {Object} Object with counts of black, white, and total discs
+     */
+    function countDiscs(board) {
+        let black = 0;
+        let white = 0;
+
+        for (let row = 0; row < BOARD_SIZE; row++) {
+            for (let col = 0; col < BOARD_SIZE; col++) {
+                if (board[row][col] === BLACK) {
+                    black++;
+                } else if (board[row][col] === WHITE) {
+                    white++;
+                }
+            }
+        }
+
+        return { black, white, total: black + white };
+    }
+
+    // =============================================================================
+    // MOVE RULES
+    // =============================================================================
+
+    /**
+     * Calculate the number of opponent discs that would be flipped by a proposed move
+     *
+     * This function is crucial for move validation and AI evaluation. It simulates
+     * placing a disc at the specified position and counts how many opponent discs
+     * would be captured (flipped) according to Reversi rules.
+     *
+     * The flip set is computed on bitboards: all 8 directions from the proposed
+     * position are followed across continuous lines of opponent discs that are
+     * bounded by the player's existing discs.
+     *
+     * @function countFlips
+     * @param {Array<Array<number>>} board - 2D array representing the game board
+     * @param {number} row - Target row index (0-7)
+     * @param {number} col - Target column index (0-7)
+     * @param {number} player - Player disc color (BLACK or WHITE)
+     * @returns {number} Total number of opponent discs that would be flipped
+     */
+    function countFlips(board, row, col, player) {
+        // Cannot place disc on occupied cell
+        if (board[row][col] !== EMPTY) {
+            return 0;
+        }
+
+        const { own, opponent } = Bitboard.fromBoard(board, player);
+        return Bitboard.popCount(Bitboard.getFlipMask(own, opponent, Bitboard.toSquare(row, col)));
+    }
+
+    /**
+     * Validate whether a move is legal according to Reversi rules
+     *
+     * A move is valid if:
+     * 1. The target cell is empty
+     * 2. The move would flip at least one opponent disc
+     *
+     * This function implements the fundamental rule of Reversi: you can only place
+     * a disc where it will capture (flip) one or more opponent discs by sandwiching
+     * them between the new disc and an existing disc of your color.
+     *
+     * @function isValidMove
+     * @param {Array<Array<number>>} board - 2D array representing the game board
+     * @param {number} row - Target row index (0-7)
+     * @param {number} col - Target column index (0-7)
+     * @param {number} player - Player disc color (BLACK or WHITE)
+     * @returns {boolean} True if the move is legal, false otherwise
+     */
+    function isValidMove(board, row, col, player) {
+        // Basic requirement: target cell must be unoccupied
+        if (board[row][col] !== EMPTY) {
+            return false;
+        }
+
+        // Reversi rule: move must flip at least one opponent disc
+        return countFlips(board, row, col, player) > 0;
+    }
+
+    /**
+     * Generate all legal moves available to a player
+     *
+     * Computes the legal move set for the specified player in one bitboard pass
+     * instead of testing each empty cell. Moves are returned in row-major order.
+     * This is used for move validation, AI decision making, and game state evaluation.
+     *
+     * @function getValidMoves
+     * @param {Array<Array<number>>} board - 2D array representing the game board
+     * @param {number} player - Player disc color (BLACK or WHITE)
+     * @returns {Array<Array<number>>} Array of valid move coordinates [[row, col], ...]
+     */
+    function getValidMoves(board, player) {
+        const { own, opponent } = Bitboard.fromBoard(board, player);
+        return Bitboard.squaresOf(Bitboard.getMoveMask(own, opponent)).map(Bitboard.toCoords);
+    }
+
+    /**
+     * Execute a move and flip all captured opponent discs
+     *
+     * This function implements the core Reversi move mechanics:
+     * 1. Places the player's disc at the specified position
+     * 2. Identifies all opponent discs that should be flipped
+     * 3. Flips those discs to the player's color
+     *
+     * All 8 directions from the placed disc are checked (on bitboards) and any
+     * continuous lines of opponent discs that are bounded by another disc of
+     * the player's color are flipped.
+     *
+     * The returned flip list is everything needed to take the move back with
+     * undoMove, so search code can play and retract moves on a single board
+     * instead of copying it for every child position.
+     *
+     * @function makeMove
+     * @param {Array<Array<number>>} board - 2D array representing the game board (modified in place)
+     * @param {number} row - Target row index (0-7)
+     * @param {number} col - Target column index (0-7)
+     * @param {number} player - Player disc color (BLACK or WHITE)
+     * @returns {Array<Array<number>>} Coordinates of the flipped discs [[row, col], ...] in row-major order
+     */
+    function makeMove(board, row, col, player) {
+        // Find every opponent disc bounded by the new disc and another of ours
+        const { own, opponent } = Bitboard.fromBoard(board, player);
+        const flips = Bitboard.squaresOf(Bitboard.getFlipMask(own, opponent, Bitboard.toSquare(row, col)))
+            .map(Bitboard.toCoords);
+
+        // Place the player's disc at the target position and flip the captured discs
+        board[row][col] = player;
+        flips.forEach(([flipRow, flipCol]) => {
+            board[flipRow][flipCol] = player;
+        });
+
+        return flips;
+    }
+
+    /**
+     * Take back a move made with makeMove
+     *
+     * Removes the placed disc and turns every flipped disc back to the
+     * opponent's color, restoring the exact position before the move.
+     * Moves must be undone in reverse order of play.
+     *
+     * @function undoMove
+     * @param {Array<Array<number>>} board - 2D array representing the game board (modified in place)
+     * @param {Array<number>} move - Coordinates [row, col] of the disc placed by the move
+     * @param {Array<Array<number>>} flips - Flip list returned by makeMove for that move
+     * @returns {void}
+     */
+    function undoMove(board, move, flips) {
+        const [row, col] = move;
+        const opponent = getOpponent(board[row][col]);
+
+        board[row][col] = EMPTY;
+        flips.forEach(([flipRow, flipCol]) => {
+            board[flipRow][flipCol] = opponent;
+        });
+    }
+
+    // =============================================================================
+    // MOVE NOTATION
+    // =============================================================================
+
+    /** Column letters used in move notation (column 0 is 'a') */
+    const COLUMN_LETTERS = 'abcdefgh';
+
+    /**
+     * Convert board coordinates to standard move notation
+     *
+     * Columns are letters a-h from left to right and rows are numbers 1-8
+     * from top to bottom, so the usual first move f5 is (4, 5).
+     *
+     * @function toNotation
+     * @param {number} row - Row index (0-7)
+     * @param {number} col - Column index (0-7)
+     * @returns {string} Square name such as 'f5'
+     */
+    function toNotation(row, col) {
+        return COLUMN_LETTERS[col] + (row + 1);
+    }
+
+    /**
+     * Convert a square name in move notation to board coordinates
+     *
+     * @function fromNotation
+     * @param {string} square - Square name such as 'f5' (case-insensitive)
+     * @returns {Array<number>|null} Coordinates [row, col], or null if the name is not a square
+     */
+    function fromNotation(square) {
+        const match = /^([a-h])([1-8])$/i.exec(String(square).trim());
+        if (!match) {
+            return null;
+        }
+        return [Number(match[2]) - 1, COLUMN_LETTERS.indexOf(match[1].toLowerCase())];
+    }
+
+    // =============================================================================
+    // TURN AND GAME-OVER RULES
+    // =============================================================================
+
+    /**
+     * Check whether a player has at least one legal move
+     *
+     * @function hasValidMoves
+     * @param {Array<Array<number>>} board - Game board
+     * @param {number} player - Player disc color (BLACK or WHITE)
+     * @returns {boolean} True if the player can move, false if they must pass
+     */
+    function hasValidMoves(board, player) {
+        const { own, opponent } = Bitboard.fromBoard(board, player);
+        return !Bitboard.isEmpty(Bitboard.getMoveMask(own, opponent));
+    }
+
+    /**
+     * Check whether the game has ended
+     *
+     * The game is over when neither player has a legal move (this includes a full board).
+     *
+     * @function isGameFinished
+     * @param {Array<Array<number>>} board - Game board
+     * @returns {boolean} True if neither player can move
+     */
+    function isGameFinished(board) {
+        return !hasValidMoves(board, BLACK) && !hasValidMoves(board, WHITE);
+    }
+
+    /**
+     * Determine which player moves next after `player` has moved
+     *
+     * Normally the turn passes to the opponent. If the opponent has no legal move
+     * they must pass and `player` moves again; if neither side can move the game is over.
+     *
+     * @function getNextPlayer
+     * @param {Array<Array<number>>} board - Game board after the move
+     * @param {number} player - Disc color of the player who just moved
+     * @returns {number|null} Disc color of the next player, or null when the game is over
+     */
+    function getNextPlayer(board, player) {
+        const opponent = getOpponent(player);
+
+        if (hasValidMoves(board, opponent)) {
+            return opponent;
+        }
+        if (hasValidMoves(board, player)) {
+            return player;
+        }
+        return null;
+    }
+
+    /**
+     * Determine the winner of a position by disc count
+     *
+     * @function getWinner
+     * @param {Array<Array<number>>} board - Game board (normally a finished game)
+     * @returns {number} BLACK or WHITE for the player with more discs, EMPTY for a tie
+     */
+    function getWinner(board) {
+        const { black, white } = countDiscs(board);
+
+        if (black > white) return BLACK;
+        if (white > black) return WHITE;
+        return EMPTY;
+    }
+
+    return {
+        BOARD_SIZE,
+        EMPTY,
+        BLACK,
+        WHITE,
+        DIRECTIONS,
+        createInitialBoard,
+        cloneBoard,
+        getOpponent,
+        isInBounds,
+        countDiscs,
+        countFlips,
+        isValidMove,
+        getValidMoves,
+        makeMove,
+        undoMove,
+        toNotation,
+        fromNotation,
+        hasValidMoves,
+        isGameFinished,
+        getNextPlayer,
+        getWinner
+    };
+}));
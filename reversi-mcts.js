@@ -0,0 +1,335 @@
+/**
+ * Reversi Monte Carlo Tree Search
+ *
+ * Move selection for the expert computer opponent. Instead of scoring
+ * positions with a hand-written evaluation, the search plays many fast
+ * random games ("playouts") from the current position and grows a tree
+ * towards the moves that win most often:
+ *
+ * 1. Selection:   from the root, follow the child with the best UCT value
+ *                 (win rate plus an exploration bonus for rarely tried moves)
+ * 2. Expansion:   add one untried move of the node reached
+ * 3. Playout:     finish the game from there, picking moves at random
+ *                 weighted by a square policy (corners likely, squares next
+ *                 to corners unlikely)
+ * 4. Backup:      add the result to every node on the path
+ *
+ * The move played is the root child visited most often. Playouts run on
+ * the bitboards from reversi-bitboard.js. Random numbers come from a seeded
+ * generator, so a search with a fixed seed and iteration budget always
+ * returns the same result.
+ *
+ * Loaded with a <script> tag (or importScripts) the API is published as
+ * `ReversiMCTS`; under Node it is a regular CommonJS module.
+ *
+ * @author Reversi Game
+ * @version 1.0.0
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./reversi-bitboard.js'));
+    } else {
+        root.ReversiMCTS = factory(root.ReversiBitboard);
+    }
+}(typeof self !== 'undefined' ? self : this, function (Bitboard) {
+    'use strict';
+
+    // =============================================================================
+    // SEARCH SETTINGS
+    // =============================================================================
+
+    /** Defaults for the expert search */
+    const MCTS_SETTINGS = {
+        DEFAULT_TIME_BUDGET: 1000,   // Milliseconds per move when no budget is given
+        EXPLORATION: Math.SQRT2,     // UCT exploration constant
+        PROGRESS_INTERVAL: 250       // Iterations between progress reports
+    };
+
+    /** Pseudo move of a side that has to pass */
+    const PASS = -1;
+
+    /**
+     * Relative likelihood of each square being played in a playout. Corners
+     * are taken whenever possible in practice, and the squares next to an
+     * empty corner are usually avoided.
+     */
+    const POLICY_WEIGHTS = [
+        64,  2, 12,  8,  8, 12,  2, 64,
+         2,  1,  4,  4,  4,  4,  1,  2,
+        12,  4,  6,  5,  5,  6,  4, 12,
+         8,  4,  5,  1,  1,  5,  4,  8,
+         8,  4,  5,  1,  1,  5,  4,  8,
+        12,  4,  6,  5,  5,  6,  4, 12,
+         2,  1,  4,  4,  4,  4,  1,  2,
+        64,  2, 12,  8,  8, 12,  2, 64
+    ];
+
+    // =============================================================================
+    // RANDOM NUMBERS
+    // =============================================================================
+
+    /**
+     * Create a seeded xorshift32 generator
+     * @param {number} seed - Any integer (0 is replaced by a fixed non-zero seed)
+     * @returns {Function} Generator returning numbers in [0, 1)
+     */
+    function createRandom(seed) {
+        let state = (seed | 0) || 0x9e3779b9;
+        return () => {
+            state ^= state << 13;
+            state ^= state >>> 17;
+            state ^= state << 5;
+            return (state >>> 0) / 4294967296;
+        };
+    }
+
+    // =============================================================================
+    // PLAYOUTS
+    // =============================================================================
+
+    /**
+     * Pick a move at random, weighted by POLICY_WEIGHTS
+     * @param {Array<number>} squares - Legal move squares
+     * @param {Function} random - Random number generator
+     * @returns {number} Chosen square
+     */
+    function pickPolicyMove(squares, random) {
+        let total = 0;
+        for (const square of squares) {
+            total += POLICY_WEIGHTS[square];
+        }
+
+        let threshold = random() * total;
+        for (const square of squares) {
+            threshold -= POLICY_WEIGHTS[square];
+            if (threshold < 0) {
+                return square;
+            }
+        }
+        return squares[squares.length - 1];
+    }
+
+    /**
+     * Play a position out to the end with the policy
+     * @param {{lo: number, hi: number}} own - Bitboard of the side to move
+     * @param {{lo: number, hi: number}} opponent - Bitboard of the other side
+     * @param {Function} random - Random number generator
+     * @returns {number} Result for the side to move: 1 win, 0.5 draw, 0 loss
+     */
+    function playout(own, opponent, random) {
+        let ownToMove = true;
+        let passed = false;
+
+        for (;;) {
+            const moves = Bitboard.getMoveMask(own, opponent);
+            if (Bitboard.isEmpty(moves)) {
+                if (passed) {
+                    break;
+                }
+                passed = true;
+            } else {
+                passed = false;
+                const next = Bitboard.applyMove(own, opponent, pickPolicyMove(Bitboard.squaresOf(moves), random));
+                own = next.own;
+                opponent = next.opponent;
+            }
+
+            // Hand the move to the other side
+            [own, opponent] = [opponent, own];
+            ownToMove = !ownToMove;
+        }
+
+        const difference = Bitboard.popCount(own) - Bitboard.popCount(opponent);
+        const result = difference > 0 ? 1 : (difference < 0 ? 0 : 0.5);
+        return ownToMove ? result : 1 - result;
+    }
+
+    // =============================================================================
+    // TREE SEARCH
+    // =============================================================================
+
+    /**
+     * Create a tree node for a position
+     *
+     * `wins` counts results for the side that moved into the node (the
+     * parent's side to move), which is what the parent compares when it
+     * selects a child.
+     * @param {{lo: number, hi: number}} own - Bitboard of the side to move
+     * @param {{lo: number, hi: number}} opponent - Bitboard of the other side
+     * @param {Object|null} parent - Parent node
+     * @param {number|null} move - Square played to reach the node, PASS, or null for the root
+     * @returns {Object} Node
+     */
+    function createNode(own, opponent, parent, move) {
+        let untried = Bitboard.squaresOf(Bitboard.getMoveMask(own, opponent));
+        if (untried.length === 0 && !Bitboard.isEmpty(Bitboard.getMoveMask(opponent, own))) {
+            untried = [PASS];
+        }
+
+        return {
+            own,
+            opponent,
+            parent,
+            move,
+            depth: parent ? parent.depth + 1 : 0,
+            untried,
+            children: [],
+            visits: 0,
+            wins: 0
+        };
+    }
+
+    /**
+     * Child of a fully expanded node with the highest UCT value
+     * @param {Object} node - Node whose children have all been visited
+     * @param {number} exploration - Exploration constant
+     * @returns {Object} Selected child
+     */
+    function selectChild(node, exploration) {
+        const logVisits = Math.log(node.visits);
+        let best = null;
+        let bestValue = -Infinity;
+
+        for (const child of node.children) {
+            const value = child.wins / child.visits + exploration * Math.sqrt(logVisits / child.visits);
+            if (value > bestValue) {
+                bestValue = value;
+                best = child;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Add a child for one of the node's untried moves, chosen with the playout policy
+     * @param {Object} node - Node with untried moves
+     * @param {Function} random - Random number generator
+     * @returns {Object} New child
+     */
+    function expand(node, random) {
+        const move = node.untried[0] === PASS ? PASS : pickPolicyMove(node.untried, random);
+        node.untried.splice(node.untried.indexOf(move), 1);
+
+        let child;
+        if (move === PASS) {
+            child = createNode(node.opponent, node.own, node, PASS);
+        } else {
+            const next = Bitboard.applyMove(node.own, node.opponent, move);
+            child = createNode(next.opponent, next.own, node, move);
+        }
+        node.children.push(child);
+        return child;
+    }
+
+    /**
+     * Run one selection-expansion-playout-backup iteration
+     * @param {Object} rootNode - Root of the tree
+     * @param {Function} random - Random number generator
+     * @param {number} exploration - Exploration constant
+     * @returns {Object} Node the playout started from
+     */
+    function runIteration(rootNode, random, exploration) {
+        let node = rootNode;
+        while (node.untried.length === 0 && node.children.length > 0) {
+            node = selectChild(node, exploration);
+        }
+        if (node.untried.length > 0) {
+            node = expand(node, random);
+        }
+
+        // Result for the side that moved into the node; it alternates going up
+        let result = 1 - playout(node.own, node.opponent, random);
+        for (let current = node; current; current = current.parent) {
+            current.visits++;
+            current.wins += result;
+            result = 1 - result;
+        }
+        return node;
+    }
+
+    // =============================================================================
+    // PUBLIC API
+    // =============================================================================
+
+    /**
+     * Choose the expert AI's move with Monte Carlo Tree Search
+     *
+     * The search stops after `iterations` playouts or when `timeBudget`
+     * milliseconds have passed, whichever comes first; with neither given it
+     * runs for MCTS_SETTINGS.DEFAULT_TIME_BUDGET. For repeatable results give
+     * a `seed` and an iteration budget only.
+     *
+     * The report has the same shape as the hard AI's: `score` is the win
+     * rate of the chosen move (0..1, a draw counting half), `depth` the
+     * deepest node in the tree and `nodes` the number of tree nodes.
+     *
+     * @function chooseExpertMove
+     * @param {Array<Array<number>>} board - Game board (left unchanged)
+     * @param {number} player - Disc color of the side to move
+     * @param {Object} [options] - Search options
+     * @param {number} [options.iterations] - Maximum number of playouts
+     * @param {number} [options.timeBudget] - Milliseconds the search may take
+     * @param {number} [options.seed] - Seed of the random number generator (default: random)
+     * @param {number} [options.exploration] - UCT exploration constant (default: MCTS_SETTINGS.EXPLORATION)
+     * @param {Function} [options.onProgress] - Called with an interim report every MCTS_SETTINGS.PROGRESS_INTERVAL playouts
+     * @returns {Object} `{ move, score, depth, nodes, iterations, elapsed }`; move is null when the side to move must pass
+     */
+    function chooseExpertMove(board, player, options = {}) {
+        const startTime = performance.now();
+        const iterations = options.iterations ?? Infinity;
+        const timeBudget = options.timeBudget ??
+            (options.iterations === undefined ? MCTS_SETTINGS.DEFAULT_TIME_BUDGET : Infinity);
+        const deadline = startTime + timeBudget;
+        const exploration = options.exploration ?? MCTS_SETTINGS.EXPLORATION;
+        const random = createRandom(options.seed ?? Math.floor(Math.random() * 4294967296));
+
+        const { own, opponent } = Bitboard.fromBoard(board, player);
+        const rootNode = createNode(own, opponent, null, null);
+        const report = { move: null, score: null, depth: 0, nodes: 1, iterations: 0, elapsed: 0 };
+
+        /** Fill the report from the most visited root move */
+        const updateReport = () => {
+            const best = rootNode.children.reduce((most, child) => (!most || child.visits > most.visits ? child : most), null);
+            report.move = best && best.move !== PASS ? Bitboard.toCoords(best.move) : null;
+            report.score = best ? best.wins / best.visits : null;
+            report.elapsed = performance.now() - startTime;
+        };
+
+        // A pass, or a single legal move, needs no search
+        if (rootNode.untried.length <= 1) {
+            if (rootNode.untried.length === 1) {
+                expand(rootNode, random);
+                rootNode.children[0].visits = 1;
+            }
+            updateReport();
+            report.score = null;
+            return report;
+        }
+
+        while (report.iterations < iterations && (report.iterations === 0 || performance.now() < deadline)) {
+            const node = runIteration(rootNode, random, exploration);
+            report.iterations++;
+            if (node.depth > report.depth) {
+                report.depth = node.depth;
+            }
+            if (node.visits === 1) {
+                report.nodes++;
+            }
+
+            if (options.onProgress && report.iterations % MCTS_SETTINGS.PROGRESS_INTERVAL === 0) {
+                updateReport();
+                options.onProgress({ ...report });
+            }
+        }
+
+        updateReport();
+        return report;
+    }
+
+    return {
+        MCTS_SETTINGS,
+        POLICY_WEIGHTS,
+        chooseExpertMove
+    };
+}));
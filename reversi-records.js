@@ -0,0 +1,706 @@
+/**
+ * Reversi Game Records
+ *
+ * Reading and writing whole games. A game is kept as the list of moves
+ * played, as coordinates [row, col], with passes left out: whenever the
+ * side to move has no legal move the turn passes automatically, so the
+ * passes can always be inferred when the moves are replayed.
+ *
+ * Transcripts are the common compact text form of a game: the squares in
+ * a1-h8 notation one after the other, for example
+ *
+ *     f5d6c3d3c4f4c5b3c2
+ *
+ * Letters may be upper or lower case, and spaces, commas, semicolons,
+ * dots and dashes between moves are ignored. A pass may be written out as
+ * `pa` or `pass`; it is then checked like a move.
+ *
+ * Every move is checked with isValidMove while the game is replayed. An
+ * error names the move and its number, and for a transcript also carries
+ * the characters it came from.
+ *
+ * Links carry a game in the hash of a page address, in base64url
+ * characters so they survive being pasted anywhere:
+ *
+ *     #moves=lrSTa                   f5d6c3d3c4, one character per square row*8+col
+ *     #position=AAAAAAHAJEASEAGAAAAAAAw&moves=dU
+ *                                    a position, then the moves played from it
+ *
+ * A position is 22 characters, each holding three squares a1..h8 in base 3
+ * (empty, black, white), followed by the side to move, `b` or `w`.
+ *
+ * Game databases are read into game records:
+ *
+ *     {
+ *         moves: [[4, 5], [5, 3], ...],          // passes left out
+ *         start: { board, player },              // position the game started from
+ *         metadata: {
+ *             black: 'Name', white: 'Name',      // player names, or null
+ *             blackRating: 2150, whiteRating: null,
+ *             date: '2003.12.15', event: null,   // as written in the file, or null
+ *             result: 18,                        // recorded final disc margin for black, or null
+ *             theoreticalResult: 16              // WTHOR only: margin with perfect play, or null
+ *         }
+ *     }
+ *
+ * Two formats are read: GGF, the text format of the Generic Game Server
+ * archives (parseGGF), and WTHOR, the binary format of the French Othello
+ * Federation's database (parseWthor, with the player and tournament names
+ * from parseWthorNames). Each game is replayed to check it; games that
+ * fail are reported and left out rather than stopping the whole file.
+ *
+ * Depends on reversi-engine.js. Loaded with a <script> tag the API is
+ * published as `ReversiRecords`; under Node it is a regular CommonJS module.
+ *
+ * @author Reversi Game
+ * @version 1.0.0
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./reversi-engine.js'));
+    } else {
+        root.ReversiRecords = factory(root.ReversiEngine);
+    }
+}(typeof self !== 'undefined' ? self : this, function (Engine) {
+    'use strict';
+
+    const {
+        BOARD_SIZE, EMPTY, BLACK, WHITE,
+        createInitialBoard, cloneBoard, getOpponent, isInBounds, isValidMove, makeMove, hasValidMoves,
+        toNotation, fromNotation
+    } = Engine;
+
+    // =============================================================================
+    // REPLAYING GAMES
+    // =============================================================================
+
+    /**
+     * Name of a disc color for error messages
+     * @param {number} player - BLACK or WHITE
+     * @returns {string} 'Black' or 'White'
+     */
+    function colorName(player) {
+        return player === BLACK ? 'Black' : 'White';
+    }
+
+    /**
+     * Start replaying a game
+     * @param {Object} options - `{ board, player }` of the starting position
+     * @returns {Object} Replay state
+     */
+    function startReplay(options) {
+        return {
+            board: cloneBoard(options.board || createInitialBoard()),
+            player: options.player ?? BLACK,
+            moves: [],
+            plies: [],
+            lastFlips: []
+        };
+    }
+
+    /**
+     * Pass the turn if the side to move has no legal move (or end the game
+     * if neither side has one)
+     * @param {Object} replay - Replay state
+     * @returns {void}
+     */
+    function inferPass(replay) {
+        const { board, player } = replay;
+        if (player === null || hasValidMoves(board, player)) {
+            return;
+        }
+        if (hasValidMoves(board, getOpponent(player))) {
+            replay.plies.push({ player, move: null });
+            replay.player = getOpponent(player);
+        } else {
+            replay.player = null;
+        }
+    }
+
+    /**
+     * Play the next move of a replay
+     * @param {Object} replay - Replay state
+     * @param {number} row - Row of the move
+     * @param {number} col - Column of the move
+     * @returns {void}
+     * @throws {Error} If the move is not legal
+     */
+    function playMove(replay, row, col) {
+        inferPass(replay);
+        const { board, player } = replay;
+        const moveNumber = replay.moves.length + 1;
+
+        if (player === null) {
+            throw new Error(`Illegal move ${toNotation(row, col)} at move ${moveNumber} (the game is over)`);
+        }
+        if (!isValidMove(board, row, col, player)) {
+            throw new Error(`Illegal move ${toNotation(row, col)} at move ${moveNumber} (${colorName(player)} to play)`);
+        }
+
+        replay.lastFlips = makeMove(board, row, col, player);
+        replay.moves.push([row, col]);
+        replay.plies.push({ player, move: [row, col] });
+        replay.player = getOpponent(player);
+    }
+
+    /**
+     * Play a written pass, which must be forced
+     * @param {Object} replay - Replay state
+     * @returns {void}
+     * @throws {Error} If the side to move could have moved
+     */
+    function playPass(replay) {
+        const { board, player } = replay;
+        const moveNumber = replay.moves.length + 1;
+
+        if (player !== null && hasValidMoves(board, player)) {
+            throw new Error(`Illegal pass before move ${moveNumber} (${colorName(player)} has a legal move)`);
+        }
+        if (player === null || !hasValidMoves(board, getOpponent(player))) {
+            throw new Error(`Illegal pass before move ${moveNumber} (the game is over)`);
+        }
+        inferPass(replay);
+    }
+
+    /**
+     * Finish a replay
+     * @param {Object} replay - Replay state
+     * @returns {Object} Replayed game (see replayMoves)
+     */
+    function finishReplay(replay) {
+        inferPass(replay);
+        const { moves, plies, board, player, lastFlips } = replay;
+        return { moves, plies, board, player, lastFlips };
+    }
+
+    /**
+     * Replay a game, checking every move and inferring the passes
+     *
+     * @function replayMoves
+     * @param {Array<Array<number>>} moves - Moves [row, col], passes left out
+     * @param {Object} [options] - Starting position
+     * @param {Array<Array<number>>} [options.board] - Board to start from (default: the initial position; left unchanged)
+     * @param {number} [options.player=BLACK] - Side to move first
+     * @returns {Object} `{ moves, plies, board, player, lastFlips }`: the moves, every ply as
+     *     `{ player, move }` (move null for a pass), the final board, the side to move next
+     *     (null once the game is over) and the discs the last move flipped
+     * @throws {Error} If a move is illegal; `error.moveNumber` is its number (1 for the first move)
+     */
+    function replayMoves(moves, options = {}) {
+        const replay = startReplay(options);
+        moves.forEach(([row, col], index) => {
+            try {
+                playMove(replay, row, col);
+            } catch (error) {
+                error.moveNumber = index + 1;
+                throw error;
+            }
+        });
+        return finishReplay(replay);
+    }
+
+    // =============================================================================
+    // TRANSCRIPTS
+    // =============================================================================
+
+    /** Tokens of a transcript: a square, a written pass, separators, or any other character */
+    const TRANSCRIPT_TOKEN = /([a-h][1-8])|(pass|pa)|([\s,;.-]+)|([^\s,;.-])/gi;
+
+    /**
+     * Read a transcript, checking every move and inferring the passes
+     *
+     * @function parseTranscript
+     * @param {string} text - Transcript such as 'f5d6c3d3c4'
+     * @param {Object} [options] - Starting position, as for replayMoves
+     * @returns {Object} The replayed game, as returned by replayMoves
+     * @throws {Error} If the text is not a transcript or a move is illegal; `error.start` and
+     *     `error.end` give the characters of the offending part of the text and, for an illegal
+     *     move, `error.moveNumber` its number
+     */
+    function parseTranscript(text, options = {}) {
+        const source = String(text);
+        const replay = startReplay(options);
+
+        for (const match of source.matchAll(TRANSCRIPT_TOKEN)) {
+            const [token, square, pass, , other] = match;
+            const start = match.index;
+            const end = start + token.length;
+
+            try {
+                if (square) {
+                    playMove(replay, ...fromNotation(square));
+                } else if (pass) {
+                    playPass(replay);
+                } else if (other) {
+                    throw new Error(`Unexpected "${other}" at character ${start + 1}`);
+                }
+            } catch (error) {
+                if (square) {
+                    error.moveNumber = replay.moves.length + 1;
+                }
+                error.start = start;
+                error.end = end;
+                throw error;
+            }
+        }
+
+        return finishReplay(replay);
+    }
+
+    /**
+     * Write moves as a compact transcript (passes are left out, as usual)
+     *
+     * @function formatTranscript
+     * @param {Array<Array<number>>} moves - Moves [row, col]
+     * @returns {string} Transcript such as 'f5d6c3d3c4'
+     */
+    function formatTranscript(moves) {
+        return moves.map(([row, col]) => toNotation(row, col)).join('');
+    }
+
+    // =============================================================================
+    // LINKS
+    // =============================================================================
+
+    /** Characters of the link formats (base64url), in value order */
+    const LINK_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+    /** Disc of each base-3 digit of a position */
+    const POSITION_DISCS = [EMPTY, BLACK, WHITE];
+
+    /** Squares held by one character of a position */
+    const SQUARES_PER_CHARACTER = 3;
+
+    /** Characters of a position's board */
+    const POSITION_LENGTH = Math.ceil(BOARD_SIZE * BOARD_SIZE / SQUARES_PER_CHARACTER);
+
+    /** Side to move written after the board */
+    const POSITION_PLAYERS = { b: BLACK, w: WHITE };
+
+    /**
+     * Write a position in the compact link format
+     *
+     * @function formatPosition
+     * @param {Array<Array<number>>} board - Board to write
+     * @param {number} player - Side to move, BLACK or WHITE
+     * @returns {string} 23 characters: the board, then `b` or `w`
+     */
+    function formatPosition(board, player) {
+        const squares = board.flat();
+        let text = '';
+        for (let start = 0; start < squares.length; start += SQUARES_PER_CHARACTER) {
+            let value = 0;
+            for (let offset = SQUARES_PER_CHARACTER - 1; offset >= 0; offset--) {
+                // Squares past h8 count as empty
+                value = value * 3 + POSITION_DISCS.indexOf(squares[start + offset] ?? EMPTY);
+            }
+            text += LINK_ALPHABET[value];
+        }
+        return text + (player === BLACK ? 'b' : 'w');
+    }
+
+    /**
+     * Read a position written by formatPosition
+     *
+     * @function parsePosition
+     * @param {string} text - Position such as 'AAAAAAAAAFAJCAAAAAAAAAb'
+     * @returns {Object} `{ board, player }`
+     * @throws {Error} If the text is not a position
+     */
+    function parsePosition(text) {
+        const source = String(text);
+        const player = POSITION_PLAYERS[source[POSITION_LENGTH]];
+        if (source.length !== POSITION_LENGTH + 1 || player === undefined) {
+            throw new Error(`Invalid position "${source}" (expected ${POSITION_LENGTH} board characters and b or w)`);
+        }
+
+        const squares = [];
+        for (let index = 0; index < POSITION_LENGTH; index++) {
+            let value = LINK_ALPHABET.indexOf(source[index]);
+            if (value < 0 || value >= 3 ** SQUARES_PER_CHARACTER) {
+                throw new Error(`Invalid position "${source}" (unexpected "${source[index]}" at character ${index + 1})`);
+            }
+            for (let offset = 0; offset < SQUARES_PER_CHARACTER; offset++) {
+                squares.push(POSITION_DISCS[value % 3]);
+                value = Math.floor(value / 3);
+            }
+        }
+        if (squares.slice(BOARD_SIZE * BOARD_SIZE).some(square => square !== EMPTY)) {
+            throw new Error(`Invalid position "${source}" (discs past h8)`);
+        }
+
+        const board = [];
+        for (let row = 0; row < BOARD_SIZE; row++) {
+            board.push(squares.slice(row * BOARD_SIZE, (row + 1) * BOARD_SIZE));
+        }
+        return { board, player };
+    }
+
+    /**
+     * Write moves in the compact link format, one character per move
+     *
+     * @function formatLinkMoves
+     * @param {Array<Array<number>>} moves - Moves [row, col], passes left out
+     * @returns {string} Encoded moves
+     */
+    function formatLinkMoves(moves) {
+        return moves.map(([row, col]) => LINK_ALPHABET[row * BOARD_SIZE + col]).join('');
+    }
+
+    /**
+     * Read moves written by formatLinkMoves (they are not checked here)
+     *
+     * @function parseLinkMoves
+     * @param {string} text - Encoded moves
+     * @returns {Array<Array<number>>} Moves [row, col]
+     * @throws {Error} If a character is not a move
+     */
+    function parseLinkMoves(text) {
+        return [...String(text)].map((character, index) => {
+            const square = LINK_ALPHABET.indexOf(character);
+            if (square < 0) {
+                throw new Error(`Invalid moves (unexpected "${character}" at move ${index + 1})`);
+            }
+            return [Math.floor(square / BOARD_SIZE), square % BOARD_SIZE];
+        });
+    }
+
+    /**
+     * Write a game as the hash of a link
+     *
+     * The position is only written for a game that did not start from the
+     * initial position.
+     *
+     * @function formatGameLink
+     * @param {Array<Array<number>>} moves - Moves [row, col], passes left out
+     * @param {Object} [start] - `{ board, player }` the game started from (default: the initial position)
+     * @returns {string} Hash without the `#`, such as 'moves=lrSTa'
+     */
+    function formatGameLink(moves, start = {}) {
+        const board = start.board || createInitialBoard();
+        const player = start.player ?? BLACK;
+        const isInitial = player === BLACK && board.flat().join() === createInitialBoard().flat().join();
+        const moveText = `moves=${formatLinkMoves(moves)}`;
+        return isInitial ? moveText : `position=${formatPosition(board, player)}&${moveText}`;
+    }
+
+    /**
+     * Read a game from the hash of a link, checking every move
+     *
+     * @function parseGameLink
+     * @param {string} hash - Hash with or without the `#`
+     * @returns {Object|null} The replayed game as returned by replayMoves, with
+     *     `start` ({ board, player }) added, or null if the hash holds no game
+     * @throws {Error} If the position or the moves are invalid, or a move is illegal
+     */
+    function parseGameLink(hash) {
+        const fields = {};
+        String(hash).replace(/^#/, '').split('&').forEach(field => {
+            const separator = field.indexOf('=');
+            if (separator > 0) {
+                fields[field.slice(0, separator)] = field.slice(separator + 1);
+            }
+        });
+        if (fields.position === undefined && fields.moves === undefined) {
+            return null;
+        }
+
+        const start = fields.position !== undefined ?
+            parsePosition(fields.position) :
+            { board: createInitialBoard(), player: BLACK };
+        const game = replayMoves(parseLinkMoves(fields.moves || ''), start);
+        return { ...game, start };
+    }
+
+    // =============================================================================
+    // GAME RECORDS
+    // =============================================================================
+
+    /**
+     * Create a game record, checking the moves by replaying them
+     * @param {Array<Array<number>>} moves - Moves [row, col], passes left out
+     * @param {Object} [start] - `{ board, player }` the game started from (default: the initial position)
+     * @param {Object} [metadata] - Known metadata; the rest is filled with null
+     * @returns {Object} Game record (see the header)
+     * @throws {Error} If a move is illegal
+     */
+    function createGameRecord(moves, start = {}, metadata = {}) {
+        const startPosition = { board: cloneBoard(start.board || createInitialBoard()), player: start.player ?? BLACK };
+        replayMoves(moves, startPosition);
+        return {
+            moves,
+            start: startPosition,
+            metadata: {
+                black: null,
+                white: null,
+                blackRating: null,
+                whiteRating: null,
+                date: null,
+                event: null,
+                result: null,
+                theoreticalResult: null,
+                ...metadata
+            }
+        };
+    }
+
+    // =============================================================================
+    // GGF
+    // =============================================================================
+
+    /** One game of a GGF file: `(;` properties `;)` */
+    const GGF_GAME = /\(;([\s\S]*?);\)/g;
+
+    /** A GGF property: `KEY[value]` */
+    const GGF_PROPERTY = /([A-Z]+)\[([^\]]*)\]/g;
+
+    /** Disc characters of a GGF board */
+    const GGF_DISCS = { '-': EMPTY, '*': BLACK, 'O': WHITE };
+
+    /**
+     * Read the starting position of a GGF game (the BO property)
+     * @param {string} value - Board size, 64 squares a1..h8 and the side to move, e.g. `8 ---...--- *`
+     * @returns {Object} `{ board, player }`
+     * @throws {Error} If the board is not an 8x8 GGF board
+     */
+    function parseGGFBoard(value) {
+        const compact = value.replace(/\s+/g, '');
+        const size = parseInt(compact, 10);
+        const squares = compact.slice(String(size).length);
+        if (size !== BOARD_SIZE || !/^[-*O]{64}[*O]$/.test(squares)) {
+            throw new Error(`Unsupported board "${value}" (expected an 8x8 board)`);
+        }
+
+        const board = [];
+        for (let row = 0; row < BOARD_SIZE; row++) {
+            board.push([...squares.slice(row * BOARD_SIZE, (row + 1) * BOARD_SIZE)].map(square => GGF_DISCS[square]));
+        }
+        return { board, player: GGF_DISCS[squares[64]] };
+    }
+
+    /**
+     * Read a number property, if present
+     * @param {string|undefined} value - Property value such as `2197.72` or `+18.000:r`
+     * @returns {number|null} The leading number, or null
+     */
+    function parseGGFNumber(value) {
+        const number = parseFloat(value);
+        return Number.isFinite(number) ? number : null;
+    }
+
+    /**
+     * Read one GGF game
+     * @param {string} body - Text between `(;` and `;)`
+     * @returns {Object} Game record
+     * @throws {Error} If the game is not an 8x8 Othello game or a move is illegal
+     */
+    function parseGGFGame(body) {
+        const properties = {};
+        const turns = [];
+        for (const [, key, value] of body.matchAll(GGF_PROPERTY)) {
+            if (key === 'B' || key === 'W') {
+                turns.push({ player: key === 'B' ? BLACK : WHITE, move: value.split('/')[0].trim() });
+            } else if (!(key in properties)) {
+                properties[key] = value.trim();
+            }
+        }
+
+        if (properties.GM && properties.GM.toLowerCase() !== 'othello') {
+            throw new Error(`Not an Othello game (GM[${properties.GM}])`);
+        }
+        if (!properties.BO) {
+            throw new Error('The starting board (BO) is missing');
+        }
+
+        const start = parseGGFBoard(properties.BO);
+        const replay = startReplay(start);
+        turns.forEach(({ player, move }) => {
+            const moveNumber = replay.moves.length + 1;
+            if (/^pa(ss)?$/i.test(move)) {
+                playPass(replay);
+                return;
+            }
+
+            const square = fromNotation(move);
+            if (!square) {
+                throw new Error(`Unreadable move "${move}" at move ${moveNumber}`);
+            }
+            inferPass(replay);
+            if (replay.player !== null && replay.player !== player) {
+                throw new Error(`Move ${move} at move ${moveNumber} is marked as ${colorName(player)}'s, but ${colorName(replay.player)} is to play`);
+            }
+            playMove(replay, ...square);
+        });
+
+        return createGameRecord(replay.moves, start, {
+            black: properties.PB || null,
+            white: properties.PW || null,
+            blackRating: parseGGFNumber(properties.RB),
+            whiteRating: parseGGFNumber(properties.RW),
+            date: properties.DT || null,
+            event: properties.PC || null,
+            result: parseGGFNumber(properties.RE)
+        });
+    }
+
+    /**
+     * Read the games of a GGF file
+     *
+     * Every `(;...;)` block is one game. Moves are B[...] and W[...]
+     * properties (the square comes before any `/`; PA is a pass), the
+     * starting position is BO, and PB, PW, RB, RW, DT, PC and RE give the
+     * metadata (RE is the final margin for black).
+     *
+     * @function parseGGF
+     * @param {string} text - Contents of a GGF file
+     * @returns {{games: Array<Object>, skipped: Array<{index: number, message: string}>}} Game
+     *     records, and the games (by position in the file) that could not be read
+     */
+    function parseGGF(text) {
+        const games = [];
+        const skipped = [];
+        [...String(text).matchAll(GGF_GAME)].forEach(([, body], index) => {
+            try {
+                games.push(parseGGFGame(body));
+            } catch (error) {
+                skipped.push({ index, message: error.message });
+            }
+        });
+        return { games, skipped };
+    }
+
+    // =============================================================================
+    // WTHOR
+    // =============================================================================
+
+    /** Layout of WTHOR files (all numbers little-endian) */
+    const WTHOR_FORMAT = {
+        HEADER_SIZE: 16,
+        GAME_SIZE: 68,           // Game files (.wtb): one 8x8 game per record
+        PLAYER_SIZE: 20,         // WTHOR.JOU: player names
+        TOURNAMENT_SIZE: 26,     // WTHOR.TRN: tournament names
+        MOVES_OFFSET: 8,         // Position of the 60 moves within a game record
+        MOVE_COUNT: 60
+    };
+
+    /**
+     * Wrap WTHOR file contents for reading
+     * @param {ArrayBuffer|Uint8Array} bytes - File contents (a Node Buffer is a Uint8Array)
+     * @returns {{data: Uint8Array, view: DataView}} Byte and number access
+     */
+    function wrapBytes(bytes) {
+        const data = bytes instanceof ArrayBuffer ? new Uint8Array(bytes) : bytes;
+        return { data, view: new DataView(data.buffer, data.byteOffset, data.byteLength) };
+    }
+
+    /**
+     * Read the names from a WTHOR player (WTHOR.JOU) or tournament (WTHOR.TRN) file
+     *
+     * @function parseWthorNames
+     * @param {ArrayBuffer|Uint8Array} bytes - File contents
+     * @param {number} recordSize - WTHOR_FORMAT.PLAYER_SIZE or WTHOR_FORMAT.TOURNAMENT_SIZE
+     * @returns {Array<string>} Names, indexed by the numbers used in game files
+     * @throws {Error} If the file is shorter than its header says
+     */
+    function parseWthorNames(bytes, recordSize) {
+        const { data, view } = wrapBytes(bytes);
+        const count = data.length >= WTHOR_FORMAT.HEADER_SIZE ? view.getUint16(8, true) : -1;
+        if (count < 0 || data.length < WTHOR_FORMAT.HEADER_SIZE + count * recordSize) {
+            throw new Error('Truncated WTHOR name file');
+        }
+
+        const names = [];
+        for (let index = 0; index < count; index++) {
+            const start = WTHOR_FORMAT.HEADER_SIZE + index * recordSize;
+            // Names are ISO-8859-1, padded with zero bytes
+            const name = String.fromCharCode(...data.subarray(start, start + recordSize));
+            names.push(name.replace(/\0[\s\S]*$/, '').trim());
+        }
+        return names;
+    }
+
+    /**
+     * Read the games of a WTHOR game file (.wtb)
+     *
+     * Moves are stored as 10 * row + column, both counted from 1 (a1 is 11,
+     * h8 is 88), and 0 ends a game early; passes are not stored. Scores are
+     * black's disc counts, converted to margins for the metadata.
+     *
+     * @function parseWthor
+     * @param {ArrayBuffer|Uint8Array} bytes - File contents
+     * @param {Object} [names] - Names for the metadata, from parseWthorNames
+     * @param {Array<string>} [names.players] - Player names from WTHOR.JOU
+     * @param {Array<string>} [names.tournaments] - Tournament names from WTHOR.TRN
+     * @returns {{games: Array<Object>, skipped: Array<{index: number, message: string}>}} Game
+     *     records, and the games (by position in the file) that could not be read
+     * @throws {Error} If the file is not an 8x8 WTHOR game file
+     */
+    function parseWthor(bytes, names = {}) {
+        const { data, view } = wrapBytes(bytes);
+        if (data.length < WTHOR_FORMAT.HEADER_SIZE) {
+            throw new Error('Truncated WTHOR file');
+        }
+
+        const count = view.getUint32(4, true);
+        const year = view.getUint16(10, true);
+        const boardSize = data[12];
+        if (boardSize !== 0 && boardSize !== BOARD_SIZE) {
+            throw new Error(`Unsupported WTHOR board size ${boardSize}`);
+        }
+        if (data.length < WTHOR_FORMAT.HEADER_SIZE + count * WTHOR_FORMAT.GAME_SIZE) {
+            throw new Error(`Truncated WTHOR file (${count} games expected)`);
+        }
+
+        const players = names.players || [];
+        const tournaments = names.tournaments || [];
+        const toMargin = blackDiscs => 2 * blackDiscs - BOARD_SIZE * BOARD_SIZE;
+        const games = [];
+        const skipped = [];
+
+        for (let index = 0; index < count; index++) {
+            const offset = WTHOR_FORMAT.HEADER_SIZE + index * WTHOR_FORMAT.GAME_SIZE;
+            const moves = [];
+            for (let ply = 0; ply < WTHOR_FORMAT.MOVE_COUNT; ply++) {
+                const code = data[offset + WTHOR_FORMAT.MOVES_OFFSET + ply];
+                if (code === 0) {
+                    break;
+                }
+                moves.push([Math.floor(code / 10) - 1, (code % 10) - 1]);
+            }
+
+            try {
+                const invalid = moves.findIndex(([row, col]) => !isInBounds(row, col));
+                if (invalid >= 0) {
+                    throw new Error(`Unreadable move code ${data[offset + WTHOR_FORMAT.MOVES_OFFSET + invalid]} at move ${invalid + 1}`);
+                }
+                games.push(createGameRecord(moves, {}, {
+                    black: players[view.getUint16(offset + 2, true)] ?? null,
+                    white: players[view.getUint16(offset + 4, true)] ?? null,
+                    date: year ? String(year) : null,
+                    event: tournaments[view.getUint16(offset, true)] ?? null,
+                    result: toMargin(data[offset + 6]),
+                    theoreticalResult: toMargin(data[offset + 7])
+                }));
+            } catch (error) {
+                skipped.push({ index, message: error.message });
+            }
+        }
+        return { games, skipped };
+    }
+
+    return {
+        WTHOR_FORMAT,
+        replayMoves,
+        parseTranscript,
+        formatTranscript,
+        formatPosition,
+        parsePosition,
+        formatGameLink,
+        parseGameLink,
+        createGameRecord,
+        parseGGF,
+        parseWthor,
+        parseWthorNames
+    };
+}));
@@ -0,0 +1,323 @@
+/**
+ * Reversi Saved Games
+ *
+ * The format of the game kept in localStorage, and the checks a save must
+ * pass before the page uses it. A save is a JSON object:
+ *
+ *     {
+ *         version: 2,
+ *         board,                          // 8x8 of EMPTY, BLACK and WHITE
+ *         currentPlayer, isGameOver,      // side to move (any color once the game is over)
+ *         playerDisc, computerDisc,       // BLACK and WHITE, one each
+ *         moveCounter, lastMove,          // moves played, the last one as [row, col] or null
+ *         gameRecord: { moves, hints, start },
+ *         history, historyIndex,          // every move, undone ones included, and how many are played
+ *         settings: { difficulty, hintLimit }
+ *     }
+ *
+ * `gameRecord` is as in gameState: the moves played from `start` (null for
+ * the initial position) and the hints given. Games saved before moves were
+ * recorded have fewer moves than moveCounter; they have no history, and
+ * only their disc count can be checked.
+ *
+ * Saves written by older versions of the page are brought up to date one
+ * version at a time by MIGRATIONS; saves without a version number are
+ * version 1. readSave parses, migrates and validates in one go and throws
+ * an Error saying what is wrong with a save it cannot use.
+ *
+ * Depends on reversi-engine.js and reversi-records.js. Loaded with a
+ * <script> tag the API is published as `ReversiSave`; under Node it is a
+ * regular CommonJS module.
+ *
+ * @author Reversi Game
+ * @version 1.0.0
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./reversi-engine.js'), require('./reversi-records.js'));
+    } else {
+        root.ReversiSave = factory(root.ReversiEngine, root.ReversiRecords);
+    }
+}(typeof self !== 'undefined' ? self : this, function (Engine, Records) {
+    'use strict';
+
+    const {
+        BOARD_SIZE, EMPTY, BLACK, WHITE,
+        createInitialBoard, getOpponent, isInBounds, hasValidMoves, isGameFinished, countDiscs, toNotation
+    } = Engine;
+
+    /** Version written by this build */
+    const SAVE_VERSION = 2;
+
+    // =============================================================================
+    // MIGRATIONS
+    // =============================================================================
+
+    /**
+     * Upgrades from each version to the next, by the version they upgrade from
+     */
+    const MIGRATIONS = {
+        /**
+         * Version 1 saves carry no version number. The first ones held only
+         * the position; later ones added the moves played, then the game-over
+         * flag, the history and the settings. Whatever is missing is filled in.
+         */
+        1: state => {
+            const moveCounter = state.moveCounter ?? 0;
+            const gameRecord = { moves: [], hints: [], start: null, ...state.gameRecord };
+            const isRecorded = Array.isArray(gameRecord.moves) && gameRecord.moves.length === moveCounter;
+            const history = isRecorded ? state.history ?? gameRecord.moves : [];
+            return {
+                version: 2,
+                board: state.board,
+                currentPlayer: state.currentPlayer,
+                isGameOver: state.isGameOver ?? (findBoardProblem(state.board) === null && isGameFinished(state.board)),
+                playerDisc: state.playerDisc ?? BLACK,
+                computerDisc: state.computerDisc ?? WHITE,
+                moveCounter,
+                lastMove: state.lastMove ?? null,
+                gameRecord,
+                history,
+                historyIndex: isRecorded ? state.historyIndex ?? moveCounter : 0,
+                settings: { ...state.settings }
+            };
+        }
+    };
+
+    /**
+     * Bring a save up to the current version
+     *
+     * @function migrateSave
+     * @param {Object} state - Parsed save of any version
+     * @returns {Object} The save at SAVE_VERSION (not yet validated)
+     * @throws {Error} If the version is unknown or newer than this build's
+     */
+    function migrateSave(state) {
+        let save = state;
+        let version = save.version ?? 1;
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error(`Unknown save version ${JSON.stringify(version)}`);
+        }
+        if (version > SAVE_VERSION) {
+            throw new Error(`Saved by a newer version of the game (save version ${version})`);
+        }
+
+        while (version < SAVE_VERSION) {
+            save = MIGRATIONS[version](save);
+            version = save.version;
+        }
+        return save;
+    }
+
+    // =============================================================================
+    // VALIDATION
+    // =============================================================================
+
+    /**
+     * Check the shape of a board
+     * @param {*} board - Supposed board
+     * @returns {string|null} What is wrong with it, or null for a valid board
+     */
+    function findBoardProblem(board) {
+        if (!Array.isArray(board) || board.length !== BOARD_SIZE) {
+            return `expected ${BOARD_SIZE} rows`;
+        }
+        for (let row = 0; row < BOARD_SIZE; row++) {
+            if (!Array.isArray(board[row]) || board[row].length !== BOARD_SIZE) {
+                return `row ${row + 1} does not have ${BOARD_SIZE} squares`;
+            }
+            for (let col = 0; col < BOARD_SIZE; col++) {
+                if (![EMPTY, BLACK, WHITE].includes(board[row][col])) {
+                    return `square ${toNotation(row, col)} holds ${JSON.stringify(board[row][col])}`;
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Whether a value is a square [row, col] on the board
+     * @param {*} move - Supposed square
+     * @returns {boolean} True for a square on the board
+     */
+    function isSquare(move) {
+        return Array.isArray(move) && move.length === 2 &&
+            move.every(Number.isInteger) && isInBounds(move[0], move[1]);
+    }
+
+    /**
+     * Check that a list holds squares only
+     * @param {*} moves - Supposed list of moves
+     * @param {string} name - Name of the list for the error
+     * @returns {void}
+     * @throws {Error} If the list is not a list of squares
+     */
+    function checkMoveList(moves, name) {
+        if (!Array.isArray(moves)) {
+            throw new Error(`${name} is not a list`);
+        }
+        const index = moves.findIndex(move => !isSquare(move));
+        if (index >= 0) {
+            throw new Error(`${name} entry ${index + 1} is not a square`);
+        }
+    }
+
+    /**
+     * Whether two move lists are the same
+     * @param {Array<Array<number>>} first - Moves [row, col]
+     * @param {Array<Array<number>>} second - Moves [row, col]
+     * @returns {boolean} True if they hold the same moves in the same order
+     */
+    function sameMoves(first, second) {
+        return first.length === second.length && first.every((move, index) => move.join() === second[index].join());
+    }
+
+    /**
+     * Check a save at the current version
+     *
+     * Besides the shape of every field, the position must make sense: the
+     * disc count must fit the moves played, the side to move must have a
+     * legal move unless the game is over, and a game whose moves are recorded
+     * must replay from its start to exactly the saved board.
+     *
+     * @function validateSave
+     * @param {Object} save - Save at SAVE_VERSION
+     * @returns {Object} The same save
+     * @throws {Error} Saying what is wrong with the save
+     */
+    function validateSave(save) {
+        const boardProblem = findBoardProblem(save.board);
+        if (boardProblem) {
+            throw new Error(`Invalid board: ${boardProblem}`);
+        }
+        const { board, currentPlayer, isGameOver, playerDisc, computerDisc, moveCounter, lastMove, gameRecord } = save;
+
+        if (![BLACK, WHITE].includes(currentPlayer)) {
+            throw new Error(`Invalid side to move ${JSON.stringify(currentPlayer)}`);
+        }
+        if (typeof isGameOver !== 'boolean') {
+            throw new Error('The game-over flag is missing');
+        }
+        if (![BLACK, WHITE].includes(playerDisc) || computerDisc !== getOpponent(playerDisc)) {
+            throw new Error('The player and the computer must have one color each');
+        }
+        if (!Number.isInteger(moveCounter) || moveCounter < 0) {
+            throw new Error(`Invalid move count ${JSON.stringify(moveCounter)}`);
+        }
+        if (lastMove !== null && (!isSquare(lastMove) || board[lastMove[0]][lastMove[1]] === EMPTY)) {
+            throw new Error(`Invalid last move ${JSON.stringify(lastMove)}`);
+        }
+        if (!gameRecord || typeof gameRecord !== 'object') {
+            throw new Error('The game record is missing');
+        }
+        checkMoveList(gameRecord.moves, 'The game record');
+        if (!Array.isArray(gameRecord.hints)) {
+            throw new Error('The hints given are not a list');
+        }
+        if (gameRecord.start !== null) {
+            const startProblem = gameRecord.start && findBoardProblem(gameRecord.start.board);
+            if (startProblem !== null || ![BLACK, WHITE].includes(gameRecord.start.player)) {
+                throw new Error(`Invalid starting position${startProblem ? `: ${startProblem}` : ''}`);
+            }
+        }
+        if (!save.settings || typeof save.settings !== 'object') {
+            throw new Error('The settings are missing');
+        }
+
+        // The side to move must be able to move, and a finished game must really be over
+        const isFinished = isGameFinished(board);
+        if (isGameOver && !isFinished) {
+            throw new Error('The game is marked as over, but a side can still move');
+        }
+        if (!isGameOver && isFinished) {
+            throw new Error('Neither side can move, but the game is not marked as over');
+        }
+        if (!isGameOver && !hasValidMoves(board, currentPlayer)) {
+            throw new Error(`${currentPlayer === BLACK ? 'Black' : 'White'} is to move but has no legal move`);
+        }
+
+        // Every move adds one disc
+        const start = gameRecord.start || { board: createInitialBoard(), player: BLACK };
+        const startDiscs = countDiscs(start.board).total;
+        const discs = countDiscs(board).total;
+        if (discs !== startDiscs + moveCounter) {
+            throw new Error(`${discs} discs on the board do not fit ${moveCounter} moves from ${startDiscs} discs`);
+        }
+
+        checkHistory(save, start);
+        return save;
+    }
+
+    /**
+     * Check the recorded moves and the history against the board
+     * @param {Object} save - Save being validated
+     * @param {Object} start - `{ board, player }` the moves start from
+     * @returns {void}
+     * @throws {Error} If they do not fit
+     */
+    function checkHistory(save, start) {
+        const { board, currentPlayer, isGameOver, moveCounter, lastMove, gameRecord, history, historyIndex } = save;
+        checkMoveList(history, 'The history');
+
+        // Without recorded moves there is nothing to replay
+        if (gameRecord.moves.length !== moveCounter) {
+            if (history.length > 0 || historyIndex !== 0) {
+                throw new Error('A game without recorded moves cannot have a history');
+            }
+            return;
+        }
+
+        if (historyIndex !== moveCounter || history.length < historyIndex) {
+            throw new Error(`History position ${JSON.stringify(historyIndex)} does not fit ${moveCounter} moves played`);
+        }
+        if (!sameMoves(history.slice(0, historyIndex), gameRecord.moves)) {
+            throw new Error('The history does not match the moves played');
+        }
+
+        try {
+            Records.replayMoves(history, start);
+        } catch (error) {
+            throw new Error(`The history does not replay: ${error.message}`);
+        }
+        const played = Records.replayMoves(gameRecord.moves, start);
+        if (played.board.flat().join() !== board.flat().join()) {
+            throw new Error('The board does not match the moves played');
+        }
+        if (!isGameOver && played.player !== currentPlayer) {
+            throw new Error('The side to move does not match the moves played');
+        }
+        const expectedLastMove = gameRecord.moves.length > 0 ? gameRecord.moves[gameRecord.moves.length - 1] : null;
+        if (String(lastMove) !== String(expectedLastMove)) {
+            throw new Error('The last move does not match the moves played');
+        }
+    }
+
+    /**
+     * Read a save: parse it, bring it up to date and check it
+     *
+     * @function readSave
+     * @param {string} text - Saved JSON
+     * @returns {Object} Valid save at SAVE_VERSION
+     * @throws {Error} Saying why the save cannot be used
+     */
+    function readSave(text) {
+        let state;
+        try {
+            state = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The save is not valid JSON');
+        }
+        if (!state || typeof state !== 'object' || Array.isArray(state)) {
+            throw new Error('The save is not an object');
+        }
+        return validateSave(migrateSave(state));
+    }
+
+    return {
+        SAVE_VERSION,
+        migrateSave,
+        validateSave,
+        readSave
+    };
+}));
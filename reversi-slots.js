@@ -0,0 +1,281 @@
+/**
+ * Reversi Saved-Game Slots
+ *
+ * Named games kept besides the game in progress, so that several unfinished
+ * games can be put aside and picked up again. A slot is a plain object:
+ *
+ *     { id, name, date, save }
+ *
+ * `date` is when the slot was last written (an ISO string) and `save` is the
+ * game in the format of reversi-save.js. describeSlot checks the save and
+ * sums it up for the saved-games list: its opponent level and result.
+ *
+ * Slots live in IndexedDB (database 'reversi', object store 'savedGames')
+ * where the browser allows it, otherwise under one localStorage key as a
+ * JSON list. openSlotStore picks the store; both have the same interface:
+ *
+ *     store.type                  // 'indexedDB' or 'localStorage'
+ *     store.list(callback)        // callback(error, slots), newest first
+ *     store.put(slot, callback)   // callback(error), adds or replaces by id
+ *     store.remove(id, callback)  // callback(error)
+ *
+ * The localStorage store calls back before returning, IndexedDB later.
+ *
+ * Depends on reversi-engine.js and reversi-save.js. Loaded with a <script>
+ * tag the API is published as `ReversiSlots`; under Node it is a regular
+ * CommonJS module.
+ *
+ * @author Reversi Game
+ * @version 1.0.0
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./reversi-engine.js'), require('./reversi-save.js'));
+    } else {
+        root.ReversiSlots = factory(root.ReversiEngine, root.ReversiSave);
+    }
+}(typeof self !== 'undefined' ? self : this, function (Engine, Save) {
+    'use strict';
+
+    const { BLACK, countDiscs } = Engine;
+
+    /** IndexedDB database and object store holding the slots */
+    const DATABASE_NAME = 'reversi';
+    const DATABASE_VERSION = 1;
+    const OBJECT_STORE = 'savedGames';
+
+    /** localStorage key of the slot list when IndexedDB is unavailable */
+    const STORAGE_KEY = 'reversiSavedGames';
+
+    // =============================================================================
+    // SLOTS
+    // =============================================================================
+
+    /**
+     * Create a slot for a game
+     *
+     * @function createSlot
+     * @param {string} name - Name shown in the list
+     * @param {Object} save - Game in the format of reversi-save.js
+     * @param {Date} [date=new Date()] - When the game was saved
+     * @returns {Object} New slot with a fresh id
+     */
+    function createSlot(name, save, date = new Date()) {
+        const id = `${date.getTime().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        return { id, name, date: date.toISOString(), save };
+    }
+
+    /**
+     * Result of a saved game from the player's side
+     * @param {Object} save - Valid save
+     * @returns {string} Such as 'Won 40-24' or 'In progress (move 12)'
+     */
+    function describeResult(save) {
+        if (!save.isGameOver) {
+            return `In progress (move ${save.moveCounter})`;
+        }
+        const { black, white } = countDiscs(save.board);
+        const [own, other] = save.playerDisc === BLACK ? [black, white] : [white, black];
+        const outcome = own > other ? 'Won' : own < other ? 'Lost' : 'Drawn';
+        return `${outcome} ${own}-${other}`;
+    }
+
+    /**
+     * Check a slot's game and sum it up for the saved-games list
+     *
+     * A slot whose save does not pass ReversiSave's checks is still
+     * described, with the reason in `error`, so that it can be deleted.
+     *
+     * @function describeSlot
+     * @param {Object} slot - Slot from a store
+     * @returns {Object} `{ id, name, date, save, level, result, error }`: the
+     *     save brought up to date (null if it cannot be used), the opponent
+     *     level it was played at (null if not saved), and the result
+     */
+    function describeSlot(slot) {
+        const { id, name, date } = slot;
+        let save;
+        try {
+            // Migrating a copy keeps the stored slot as it was
+            save = Save.validateSave(Save.migrateSave(JSON.parse(JSON.stringify(slot.save))));
+        } catch (error) {
+            return { id, name, date, save: null, level: null, result: null, error: error.message };
+        }
+        return { id, name, date, save, level: save.settings.difficulty || null, result: describeResult(save), error: null };
+    }
+
+    /**
+     * Sort slots newest first
+     * @param {Array<Object>} slots - Slots in any order
+     * @returns {Array<Object>} The same slots, sorted in place
+     */
+    function sortSlots(slots) {
+        return slots.sort((first, second) => (first.date < second.date ? 1 : first.date > second.date ? -1 : 0));
+    }
+
+    // =============================================================================
+    // STORES
+    // =============================================================================
+
+    /**
+     * Store keeping the slots as a JSON list under one localStorage key
+     *
+     * @function createLocalStorageStore
+     * @param {Storage|null} storage - localStorage, or null where it is unavailable
+     * @param {string} [key=STORAGE_KEY] - Key of the list
+     * @returns {Object} Slot store; it calls back before returning
+     */
+    function createLocalStorageStore(storage, key = STORAGE_KEY) {
+        /** Read the list, or throw saying why it cannot be read */
+        function readSlots() {
+            if (!storage) {
+                throw new Error('This browser does not allow saving games');
+            }
+            const text = storage.getItem(key);
+            if (text === null) {
+                return [];
+            }
+            let slots;
+            try {
+                slots = JSON.parse(text);
+            } catch (error) {
+                slots = null;
+            }
+            if (!Array.isArray(slots)) {
+                throw new Error(`The saved games under "${key}" cannot be read`);
+            }
+            return slots;
+        }
+
+        /** Change the list and write it back, reporting any error to the callback */
+        function update(change, callback) {
+            try {
+                const slots = readSlots();
+                storage.setItem(key, JSON.stringify(change(slots)));
+            } catch (error) {
+                callback(error);
+                return;
+            }
+            callback(null);
+        }
+
+        return {
+            type: 'localStorage',
+
+            list(callback) {
+                let slots;
+                try {
+                    slots = sortSlots(readSlots());
+                } catch (error) {
+                    callback(error);
+                    return;
+                }
+                callback(null, slots);
+            },
+
+            put(slot, callback) {
+                update(slots => [...slots.filter(other => other.id !== slot.id), slot], callback);
+            },
+
+            remove(id, callback) {
+                update(slots => slots.filter(slot => slot.id !== id), callback);
+            }
+        };
+    }
+
+    /**
+     * Store keeping the slots in an open IndexedDB database
+     *
+     * @function createIndexedDBStore
+     * @param {IDBDatabase} database - Database opened by openSlotStore
+     * @returns {Object} Slot store
+     */
+    function createIndexedDBStore(database) {
+        /**
+         * Run one request in its own transaction
+         * @param {string} mode - 'readonly' or 'readwrite'
+         * @param {Function} makeRequest - Given the object store, returns the request
+         * @param {Function} callback - callback(error, result) once the transaction ends
+         * @returns {void}
+         */
+        function run(mode, makeRequest, callback) {
+            let request;
+            let transaction;
+            try {
+                transaction = database.transaction(OBJECT_STORE, mode);
+                request = makeRequest(transaction.objectStore(OBJECT_STORE));
+            } catch (error) {
+                callback(error);
+                return;
+            }
+            transaction.oncomplete = () => callback(null, request.result);
+            // A failed request aborts its transaction, so this reports every error once
+            transaction.onabort = () => callback(transaction.error || new Error('The saved games could not be changed'));
+        }
+
+        return {
+            type: 'indexedDB',
+
+            list(callback) {
+                run('readonly', store => store.getAll(), (error, slots) => callback(error, error ? undefined : sortSlots(slots)));
+            },
+
+            put(slot, callback) {
+                run('readwrite', store => store.put(slot), error => callback(error));
+            },
+
+            remove(id, callback) {
+                run('readwrite', store => store.delete(id), error => callback(error));
+            }
+        };
+    }
+
+    /**
+     * Open the slot store: IndexedDB where the browser allows it, otherwise
+     * localStorage
+     *
+     * IndexedDB can be missing, or refuse to open (in some private browsing
+     * modes, for example); the localStorage store is used then.
+     *
+     * @function openSlotStore
+     * @param {Object} options - Where to keep the slots
+     * @param {IDBFactory|null} [options.indexedDB] - The browser's indexedDB
+     * @param {Storage|null} [options.storage] - The browser's localStorage
+     * @param {string} [options.key=STORAGE_KEY] - localStorage key of the slot list
+     * @param {Function} callback - Given the store once it is open
+     * @returns {void}
+     */
+    function openSlotStore({ indexedDB = null, storage = null, key = STORAGE_KEY } = {}, callback) {
+        const fallBack = () => callback(createLocalStorageStore(storage, key));
+        if (!indexedDB) {
+            fallBack();
+            return;
+        }
+
+        let request;
+        try {
+            request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+        } catch (error) {
+            fallBack();
+            return;
+        }
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(OBJECT_STORE, { keyPath: 'id' });
+        };
+        request.onsuccess = () => callback(createIndexedDBStore(request.result));
+        request.onerror = event => {
+            event.preventDefault();
+            fallBack();
+        };
+    }
+
+    return {
+        STORAGE_KEY,
+        createSlot,
+        describeSlot,
+        createLocalStorageStore,
+        createIndexedDBStore,
+        openSlotStore
+    };
+}));
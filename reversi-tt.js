@@ -0,0 +1,318 @@
+/**
+ * Reversi Zobrist Hashing and Transposition Table
+ *
+ * Gives every position (disc placement plus side to move) a 64-bit Zobrist
+ * key and caches search results under that key, so a position reached
+ * through different move orders is only searched once.
+ *
+ * Keys are pairs of 32-bit words `{ lo, hi }`, like the bitboards in
+ * reversi-bitboard.js. A key is the XOR of one random value per occupied
+ * (square, color) plus a side-to-move value when WHITE is to move, so it can
+ * be updated incrementally from the flip list returned by makeMove, or from
+ * a flip bitboard.
+ *
+ * The table has a fixed number of slots (a power of two) and each slot holds
+ * one entry: depth searched, score, bound type and best move. Entries from a
+ * different position that hashes to the same slot are replaced.
+ *
+ * Loaded with a <script> tag the API is published as `ReversiTT`; under Node
+ * it is a regular CommonJS module.
+ *
+ * @author Reversi Game
+ * @version 1.0.0
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ReversiTT = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // =============================================================================
+    // ZOBRIST KEYS
+    // =============================================================================
+
+    /** Number of squares on the board */
+    const SQUARES = 64;
+
+    /** Default number of table slots (2^16 entries, about 1.3 MB) */
+    const DEFAULT_SIZE = 1 << 16;
+
+    /**
+     * Bound types stored with each score:
+     * EXACT - the score is the true minimax value at the stored depth
+     * LOWER - the search failed high, the true value is at least the score
+     * UPPER - the search failed low, the true value is at most the score
+     */
+    const BOUND = Object.freeze({
+        EXACT: 0,
+        LOWER: 1,
+        UPPER: 2
+    });
+
+    /**
+     * Fixed-seed xorshift32 generator, so keys (and therefore table
+     * behaviour) are identical on every run and in every environment
+     */
+    let seed = 0x9e3779b9;
+    function nextRandom() {
+        seed ^= seed << 13;
+        seed ^= seed >>> 17;
+        seed ^= seed << 5;
+        return seed | 0;
+    }
+
+    /** Key words for square `s` and color `c` (1 or 2) live at index `s * 2 + c - 1` */
+    const PIECE_KEYS_LO = new Int32Array(SQUARES * 2);
+    const PIECE_KEYS_HI = new Int32Array(SQUARES * 2);
+    for (let i = 0; i < SQUARES * 2; i++) {
+        PIECE_KEYS_LO[i] = nextRandom();
+        PIECE_KEYS_HI[i] = nextRandom();
+    }
+
+    /** Key XORed in when WHITE is to move */
+    const SIDE_KEY_LO = nextRandom();
+    const SIDE_KEY_HI = nextRandom();
+
+    // =============================================================================
+    // HASHING
+    // =============================================================================
+
+    /**
+     * Compute the Zobrist key of a position from scratch
+     *
+     * @function hashBoard
+     * @param {Array<Array<number>>} board - 8x8 board (0 empty, 1 BLACK, 2 WHITE)
+     * @param {number} player - Disc color of the side to move (1 BLACK, 2 WHITE)
+     * @returns {{lo: number, hi: number}} Zobrist key
+     */
+    function hashBoard(board, player) {
+        let lo = player === 2 ? SIDE_KEY_LO : 0;
+        let hi = player === 2 ? SIDE_KEY_HI : 0;
+
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const disc = board[row][col];
+                if (disc !== 0) {
+                    const index = (row * 8 + col) * 2 + disc - 1;
+                    lo ^= PIECE_KEYS_LO[index];
+                    hi ^= PIECE_KEYS_HI[index];
+                }
+            }
+        }
+
+        return { lo, hi };
+    }
+
+    /**
+     * Update a key for a move without rescanning the board
+     *
+     * XORs in the placed disc, swaps the color of every flipped disc and
+     * hands the move to the opponent.
+     *
+     * @function hashMove
+     * @param {{lo: number, hi: number}} hash - Key of the position before the move
+     * @param {number} row - Row of the placed disc
+     * @param {number} col - Column of the placed disc
+     * @param {Array<Array<number>>} flips - Flip list returned by makeMove
+     * @param {number} player - Disc color of the player who moved
+     * @returns {{lo: number, hi: number}} Key of the position after the move
+     */
+    function hashMove(hash, row, col, flips, player) {
+        const placed = (row * 8 + col) * 2 + player - 1;
+        let lo = hash.lo ^ SIDE_KEY_LO ^ PIECE_KEYS_LO[placed];
+        let hi = hash.hi ^ SIDE_KEY_HI ^ PIECE_KEYS_HI[placed];
+
+        for (const [flipRow, flipCol] of flips) {
+            // Both color keys of a square XORed together swap one for the other
+            const base = (flipRow * 8 + flipCol) * 2;
+            lo ^= PIECE_KEYS_LO[base] ^ PIECE_KEYS_LO[base + 1];
+            hi ^= PIECE_KEYS_HI[base] ^ PIECE_KEYS_HI[base + 1];
+        }
+
+        return { lo, hi };
+    }
+
+    /**
+     * Update a key for a move made on bitboards
+     *
+     * Same as hashMove, with the move as a square index and the flipped
+     * discs as a bitboard (see getFlipMask in reversi-bitboard.js).
+     *
+     * @function hashBitboardMove
+     * @param {{lo: number, hi: number}} hash - Key of the position before the move
+     * @param {number} square - Square index of the placed disc (0-63)
+     * @param {{lo: number, hi: number}} flips - Bitboard of the flipped discs
+     * @param {number} player - Disc color of the player who moved
+     * @returns {{lo: number, hi: number}} Key of the position after the move
+     */
+    function hashBitboardMove(hash, square, flips, player) {
+        const placed = square * 2 + player - 1;
+        let lo = hash.lo ^ SIDE_KEY_LO ^ PIECE_KEYS_LO[placed];
+        let hi = hash.hi ^ SIDE_KEY_HI ^ PIECE_KEYS_HI[placed];
+
+        for (let word = 0; word < 2; word++) {
+            let bits = word === 0 ? flips.lo : flips.hi;
+            while (bits !== 0) {
+                const bit = bits & -bits;
+                const base = (word * 32 + 31 - Math.clz32(bit)) * 2;
+                lo ^= PIECE_KEYS_LO[base] ^ PIECE_KEYS_LO[base + 1];
+                hi ^= PIECE_KEYS_HI[base] ^ PIECE_KEYS_HI[base + 1];
+                bits ^= bit;
+            }
+        }
+
+        return { lo, hi };
+    }
+
+    /**
+     * Update a key for a pass (only the side to move changes)
+     *
+     * @function hashPass
+     * @param {{lo: number, hi: number}} hash - Key of the position before the pass
+     * @returns {{lo: number, hi: number}} Key with the other side to move
+     */
+    function hashPass(hash) {
+        return { lo: hash.lo ^ SIDE_KEY_LO, hi: hash.hi ^ SIDE_KEY_HI };
+    }
+
+    // =============================================================================
+    // TRANSPOSITION TABLE
+    // =============================================================================
+
+    /**
+     * Create a bounded transposition table
+     *
+     * `size` is rounded down to a power of two so a slot can be picked by
+     * masking the low key word. Slots are stored in typed arrays, so the
+     * table never grows past its initial allocation.
+     *
+     * @function createTranspositionTable
+     * @param {number} [size=DEFAULT_SIZE] - Number of entries the table can hold
+     * @returns {Object} Table with probe, store, clear and getStats methods
+     */
+    function createTranspositionTable(size = DEFAULT_SIZE) {
+        if (!Number.isInteger(size) || size < 1) {
+            throw new RangeError(`Transposition table size must be a positive integer, got ${size}`);
+        }
+
+        const capacity = 2 ** Math.floor(Math.log2(size));
+        const mask = capacity - 1;
+
+        const keysLo = new Int32Array(capacity);
+        const keysHi = new Int32Array(capacity);
+        const depths = new Int16Array(capacity).fill(-1);  // -1 marks an empty slot
+        const bounds = new Uint8Array(capacity);
+        const scores = new Float64Array(capacity);
+        const moves = new Int8Array(capacity);             // square index, -1 for none
+
+        const stats = { probes: 0, hits: 0, misses: 0, stores: 0, overwrites: 0 };
+        let used = 0;
+
+        /**
+         * Look up a position
+         * @param {{lo: number, hi: number}} hash - Zobrist key
+         * @returns {Object|null} `{ depth, score, bound, move }` (move is [row, col] or null), or null on a miss
+         */
+        function probe(hash) {
+            const slot = hash.lo & mask;
+            stats.probes++;
+
+            if (depths[slot] < 0 || keysLo[slot] !== hash.lo || keysHi[slot] !== hash.hi) {
+                stats.misses++;
+                return null;
+            }
+
+            stats.hits++;
+            const move = moves[slot];
+            return {
+                depth: depths[slot],
+                score: scores[slot],
+                bound: bounds[slot],
+                move: move < 0 ? null : [move >> 3, move & 7]
+            };
+        }
+
+        /**
+         * Record a search result, replacing whatever occupies the slot unless it
+         * is the same position searched to a greater depth
+         * @param {{lo: number, hi: number}} hash - Zobrist key
+         * @param {number} depth - Remaining depth the score was searched to
+         * @param {number} score - Search score
+         * @param {number} bound - One of BOUND.EXACT, BOUND.LOWER, BOUND.UPPER
+         * @param {Array<number>|null} move - Best move [row, col], or null if none
+         * @returns {void}
+         */
+        function store(hash, depth, score, bound, move) {
+            const slot = hash.lo & mask;
+
+            if (depths[slot] < 0) {
+                used++;
+            } else if (keysLo[slot] === hash.lo && keysHi[slot] === hash.hi) {
+                if (depths[slot] > depth) {
+                    return;
+                }
+            } else {
+                stats.overwrites++;
+            }
+
+            keysLo[slot] = hash.lo;
+            keysHi[slot] = hash.hi;
+            depths[slot] = depth;
+            bounds[slot] = bound;
+            scores[slot] = score;
+            moves[slot] = move ? move[0] * 8 + move[1] : -1;
+            stats.stores++;
+        }
+
+        /**
+         * Empty every slot and reset the statistics
+         * @returns {void}
+         */
+        function clear() {
+            depths.fill(-1);
+            used = 0;
+            resetStats();
+        }
+
+        /**
+         * Reset the counters without discarding entries
+         * @returns {void}
+         */
+        function resetStats() {
+            stats.probes = 0;
+            stats.hits = 0;
+            stats.misses = 0;
+            stats.stores = 0;
+            stats.overwrites = 0;
+        }
+
+        /**
+         * Snapshot of the usage counters
+         * @returns {Object} `{ probes, hits, misses, stores, overwrites, hitRate, used, size }`
+         */
+        function getStats() {
+            return {
+                ...stats,
+                hitRate: stats.probes > 0 ? stats.hits / stats.probes : 0,
+                used,
+                size: capacity
+            };
+        }
+
+        return { size: capacity, probe, store, clear, resetStats, getStats };
+    }
+
+    return {
+        BOUND,
+        DEFAULT_SIZE,
+        hashBoard,
+        hashMove,
+        hashBitboardMove,
+        hashPass,
+        createTranspositionTable
+    };
+}));
@@ -0,0 +1,278 @@
+/**
+ * Reversi Search Worker
+ *
+ * Runs the searching computer levels (hard: reversi-ai.js, expert:
+ * reversi-mcts.js) and position analysis off the main thread so the board,
+ * the Undo button and keyboard handling stay responsive while the computer
+ * thinks. The same file plays two roles:
+ *
+ * - started with `new Worker('reversi-worker.js')` it loads the engine
+ *   scripts and answers search requests;
+ * - loaded with a <script> tag (or required under Node) it provides
+ *   createSearchClient, which the page uses to talk to the worker.
+ *
+ * Message protocol (every message carries the `id` of its search request):
+ *
+ *     page   -> worker  { type: 'search', id, board, player, options }
+ *     worker -> page    { type: 'progress', id, move, score, depth, nodes, elapsed[, iterations] }
+ *     worker -> page    { type: 'result', id, move, score, depth, nodes, elapsed[, exact][, iterations] }
+ *     worker -> page    { type: 'error', id, message }
+ *     page   -> worker  { type: 'cancel', id }
+ *
+ * `options.level` selects the search: 'hard' (the default) runs
+ * chooseHardMove, 'expert' runs chooseExpertMove, 'analyze' runs
+ * analyzePosition, whose progress and result messages carry
+ * `{ moves, depth, nodes, elapsed }` instead of a single move, and
+ * 'evaluate' runs estimateOutcome, whose result is
+ * `{ margin, winProbability, exact, depth }` (without progress), and 'review'
+ * runs reviewGame from the given starting position, with `{ reviewed, total }`
+ * progress and a `{ moves }` result. The other options are the plain-data
+ * options of that function (for the hard level timeBudget, maxDepth, moves,
+ * endgameEmpties, profile; for the expert level timeBudget, iterations, seed;
+ * for analysis and evaluation timeBudget, maxDepth, profile; for reviews
+ * moves, timeBudget, maxDepth, profile).
+ * Request ids increase with every search.
+ * A worker cannot be interrupted in the middle of a synchronous search, so
+ * a cancel skips the request if it has not started yet; if it is already
+ * running it stops at its time budget and the client ignores its replies.
+ *
+ * @author Reversi Game
+ * @version 1.0.0
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./reversi-ai.js'), require('./reversi-mcts.js'));
+    } else if (typeof document === 'undefined' && typeof importScripts === 'function') {
+        // Running as the worker: load the engine, then serve search requests
+        importScripts('reversi-bitboard.js', 'reversi-engine.js', 'reversi-tt.js', 'reversi-endgame.js', 'reversi-ai.js', 'reversi-mcts.js');
+        root.ReversiWorker = factory(root.ReversiAI, root.ReversiMCTS);
+        const handleMessage = root.ReversiWorker.createMessageHandler(message => root.postMessage(message));
+        root.onmessage = event => handleMessage(event.data);
+    } else {
+        root.ReversiWorker = factory(root.ReversiAI, root.ReversiMCTS);
+    }
+}(typeof self !== 'undefined' ? self : this, function (AI, MCTS) {
+    'use strict';
+
+    // =============================================================================
+    // MESSAGE PROTOCOL
+    // =============================================================================
+
+    /** Message types exchanged between the page and the worker */
+    const MESSAGE = Object.freeze({
+        SEARCH: 'search',
+        PROGRESS: 'progress',
+        RESULT: 'result',
+        ERROR: 'error',
+        CANCEL: 'cancel'
+    });
+
+    /** Search run for each computer level, and for position analysis */
+    const SEARCHES = Object.freeze({
+        hard: (board, player, options) => AI.chooseHardMove(board, player, options),
+        expert: (board, player, options) => MCTS.chooseExpertMove(board, player, options),
+        analyze: (board, player, options) => AI.analyzePosition(board, player, options),
+        evaluate: (board, player, options) => AI.estimateOutcome(board, player, options),
+        review: (board, player, options) => AI.reviewGame(board, player, options)
+    });
+
+    /**
+     * Create the worker-side message handler
+     *
+     * Searches run synchronously; progress and the result are sent through
+     * `post` as they become available. Each handler keeps its own record of
+     * cancelled requests.
+     *
+     * @function createMessageHandler
+     * @param {Function} post - Sends a reply to the page
+     * @returns {Function} Handler to call with each message received from the page
+     */
+    function createMessageHandler(post) {
+        // Requests with an id at or below this were cancelled before they ran
+        let cancelledUpTo = 0;
+
+        return function handleMessage(message) {
+            if (message.type === MESSAGE.CANCEL) {
+                cancelledUpTo = Math.max(cancelledUpTo, message.id);
+                return;
+            }
+
+            if (message.type !== MESSAGE.SEARCH || message.id <= cancelledUpTo) {
+                return;
+            }
+
+            const { id, board, player } = message;
+            const { level = 'hard', ...options } = message.options || {};
+            try {
+                if (!SEARCHES[level]) {
+                    throw new Error(`Unknown search level: ${level}`);
+                }
+                const result = SEARCHES[level](board, player, {
+                    ...options,
+                    onProgress: report => post({ type: MESSAGE.PROGRESS, id, ...report })
+                });
+                post({ type: MESSAGE.RESULT, id, ...result });
+            } catch (error) {
+                post({ type: MESSAGE.ERROR, id, message: error.message });
+            }
+        };
+    }
+
+    // =============================================================================
+    // PAGE-SIDE CLIENT
+    // =============================================================================
+
+    /**
+     * Create the page's connection to the search worker
+     *
+     * The worker is started on the first search. Where workers are not
+     * available (Node, or a browser that refuses to start one, e.g. for
+     * pages opened from file://) searches run synchronously on the calling
+     * thread and the callbacks fire before `search` returns.
+     *
+     * Only one search is active at a time: starting a search cancels the
+     * previous one, and replies for cancelled searches are dropped.
+     *
+     * @function createSearchClient
+     * @param {Object} [options] - Client options
+     * @param {string} [options.workerUrl='reversi-worker.js'] - Script the worker is started from
+     * @param {Function} [options.createWorker] - Factory returning a Worker-like object (defaults to `new Worker(url)`)
+     * @returns {Object} Client with search, cancel and isSearching methods
+     */
+    function createSearchClient(options = {}) {
+        const workerUrl = options.workerUrl || 'reversi-worker.js';
+        const createWorker = options.createWorker ||
+            (typeof Worker === 'function' ? url => new Worker(url) : null);
+
+        let worker = null;
+        let workerFailed = !createWorker;
+        let nextId = 1;
+        let active = null;  // { id, board, player, options, callbacks }
+
+        /**
+         * Run a request on this thread (fallback when no worker is available)
+         * @param {Object} request - Active request
+         * @returns {void}
+         */
+        function runLocally(request) {
+            const replies = [];
+            createMessageHandler(message => replies.push(message))(
+                { type: MESSAGE.SEARCH, id: request.id, board: request.board, player: request.player, options: request.options });
+            replies.forEach(handleReply);
+        }
+
+        /**
+         * Dispatch a reply from the worker to the active request's callbacks
+         * @param {Object} message - Reply message
+         * @returns {void}
+         */
+        function handleReply(message) {
+            if (!active || message.id !== active.id) {
+                return;  // Reply for a cancelled search
+            }
+
+            const { callbacks } = active;
+            const { type, id, ...report } = message;
+
+            if (type === MESSAGE.PROGRESS) {
+                if (callbacks.onProgress) callbacks.onProgress(report);
+            } else if (type === MESSAGE.RESULT) {
+                active = null;
+                callbacks.onResult(report);
+            } else if (type === MESSAGE.ERROR) {
+                active = null;
+                if (callbacks.onError) callbacks.onError(new Error(report.message));
+            }
+        }
+
+        /**
+         * Start the worker if it is not running yet
+         * @returns {Object|null} The worker, or null if workers cannot be used
+         */
+        function getWorker() {
+            if (worker || workerFailed) {
+                return worker;
+            }
+
+            try {
+                worker = createWorker(workerUrl);
+            } catch (error) {
+                workerFailed = true;
+                return null;
+            }
+
+            worker.onmessage = event => handleReply(event.data);
+            worker.onerror = event => {
+                // The worker script failed to load or crashed: finish on this thread
+                if (event && event.preventDefault) event.preventDefault();
+                worker = null;
+                workerFailed = true;
+                if (active) {
+                    runLocally(active);
+                }
+            };
+            return worker;
+        }
+
+        /**
+         * Search a position for the hard AI's move
+         * @param {Array} board - Game board (copied, the caller may change it afterwards)
+         * @param {number} player - Disc color of the side to move
+         * @param {Object} searchOptions - Plain-data options for chooseHardMove
+         * @param {Object} callbacks - `{ onResult(report), onProgress(report), onError(error) }`
+         * @returns {number} Request id
+         */
+        function search(board, player, searchOptions, callbacks) {
+            cancel();
+
+            const id = nextId++;
+            active = {
+                id,
+                board: board.map(row => [...row]),
+                player,
+                options: searchOptions || {},
+                callbacks
+            };
+
+            const target = getWorker();
+            if (target) {
+                target.postMessage({ type: MESSAGE.SEARCH, id, board: active.board, player, options: active.options });
+            } else {
+                runLocally(active);
+            }
+            return id;
+        }
+
+        /**
+         * Cancel the active search; its callbacks will not be called
+         * @returns {void}
+         */
+        function cancel() {
+            if (!active) {
+                return;
+            }
+
+            if (worker) {
+                worker.postMessage({ type: MESSAGE.CANCEL, id: active.id });
+            }
+            active = null;
+        }
+
+        /**
+         * Whether a search is in progress
+         * @returns {boolean} True while waiting for a result
+         */
+        function isSearching() {
+            return active !== null;
+        }
+
+        return { search, cancel, isSearching };
+    }
+
+    return {
+        MESSAGE,
+        createMessageHandler,
+        createSearchClient
+    };
+}));
@@ -13,24 +13,11 @@
 // GAME CONSTANTS
 // =============================================================================
 
-/** Standard Reversi board dimensions (8x8 grid) */
-const BOARD_SIZE = 8;
-
-/** Cell state constants for board representation */
-const EMPTY = 0;  // Empty cell
-const BLACK = 1;  // Black disc (player typically starts as black)
-const WHITE = 2;  // White disc (computer typically plays as white)
-
-/** 
- * Direction vectors for move validation and disc flipping
- * Represents all 8 possible directions from any cell:
- * Top-left, Top, Top-right, Left, Right, Bottom-left, Bottom, Bottom-right
+/**
+ * Board constants (BOARD_SIZE, EMPTY, BLACK, WHITE, DIRECTIONS) and the rules
+ * themselves (isValidMove, getValidMoves, makeMove, countDiscs, ...) come from
+ * reversi-engine.js, which must be loaded before this file.
  */
-const DIRECTIONS = [
-    [-1, -1], [-1, 0], [-1, 1],  // Top row: NW, N, NE
-    [0, -1],           [0, 1],   // Middle row: W, E (center position excluded)
-    [1, -1],  [1, 0],  [1, 1]    // Bottom row: SW, S, SE
-];
 
 /** 
  * AI difficulty settings and timing constants
@@ -38,14 +25,29 @@ const DIRECTIONS = [
 const AI_CONSTANTS = {
     THINKING_DELAY: 500,           // Milliseconds to show "thinking" message
     ANIMATION_DURATION: 300,       // Duration for disc flip animations
-    POSITION_WEIGHTS: {            // Strategic value of board positions
-        CORNER: 100,               // Corners are most valuable
-        EDGE: 10,                  // Edges are moderately valuable
-        ADJACENT_TO_CORNER: -25,   // Positions next to corners are risky
-        CENTER: 1                  // Center positions have base value
-    }
+    SEARCH_TIME_BUDGETS: {         // Milliseconds each searching level may think per move
+        hard: 1000,
+        expert: 1000
+    },
+    ANALYSIS_TIME_BUDGET: 1000,    // Milliseconds a position analysis may take
+    HINT_TIME_BUDGET: 1000,        // Milliseconds the hard AI searches for a hint
+    EVALUATION_TIME_BUDGET: 300,   // Milliseconds the evaluation bar's search may take
+    REVIEW_TIME_PER_MOVE: 250,     // Milliseconds the post-game review analyses each move
+    OPENING_BOOK_URL: 'books/default-book.json', // Opening book consulted by the hard AI
+    WEIGHT_PROFILE_URL: 'profiles/default-profile.json' // Evaluation weights of the hard AI
+};
+
+/** localStorage keys */
+const STORAGE_KEYS = {
+    GAME: 'reversiGameState',              // The game in progress (see reversi-save.js)
+    QUARANTINE: 'reversiQuarantinedSaves', // Saves that could not be loaded, kept for inspection
+    SLOTS: 'reversiSavedGames',            // Named saved games, where IndexedDB is unavailable
+    EVALUATION: 'reversiShowEvaluation'    // Whether the evaluation bar is shown
 };
 
+/** Number of unusable saves kept under STORAGE_KEYS.QUARANTINE */
+const QUARANTINE_LIMIT = 5;
+
 /** Keyboard navigation constants */
 const KEYBOARD = {
     ARROW_UP: 'ArrowUp',
@@ -54,7 +56,9 @@ const KEYBOARD = {
     ARROW_RIGHT: 'ArrowRight',
     ENTER: 'Enter',
     SPACE: ' ',
-    ESCAPE: 'Escape'
+    ESCAPE: 'Escape',
+    HOME: 'Home',
+    END: 'End'
 };
 
 // =============================================================================
@@ -85,14 +89,43 @@ const gameState = {
     /** Flag indicating if the computer is currently calculating its move */
     isComputerThinking: false,
     
-    /** Array storing previous game states for undo functionality */
+    /**
+     * Every move of the game as { player, move: [row, col], flips }, passes left
+     * out. Moves from historyIndex on were undone and can be redone.
+     */
     moveHistory: [],
     
+    /** Number of moves of moveHistory on the board */
+    historyIndex: 0,
+    
     /** Total number of moves made in the current game */
     moveCounter: 0,
     
     /** Coordinates of the last move made [row, col] or null */
-    lastMove: null
+    lastMove: null,
+    
+    /** Discs flipped by the last move [[row, col], ...], used for the flip animation */
+    lastFlips: [],
+    
+    /**
+     * Report of the computer's last search ({ move, score, depth, nodes, elapsed }) or null.
+     * `exact` is set when the endgame solver was used; the score is then the final disc difference.
+     * `book` is set when the move came from the opening book. Expert searches add
+     * `iterations` (playouts run) and their score is the move's win rate (0..1).
+     */
+    lastSearch: null,
+    
+    /** Hint shown on the board ({ move, reason, stableGain, opponentMoves }, see explainMove) or null */
+    hint: null,
+    
+    /**
+     * Record of the current game. `moves` lists the moves played ([row, col],
+     * passes left out); `hints` lists every hint given, as
+     * { moveNumber, player, move, reason }, so it is known which moves were helped.
+     * `start` is the { board, player } the moves were played from, or null for
+     * the initial position.
+     */
+    gameRecord: { moves: [], hints: [], start: null }
 };
 
 // =============================================================================
@@ -110,6 +143,15 @@ const DOM = {
     /** Status message display element */
     statusMessage: document.getElementById('status-message'),
     
+    /** Notice about a saved game or a link that could not be opened */
+    saveNotice: document.getElementById('save-notice'),
+    
+    /** Text of the save notice */
+    saveNoticeText: document.getElementById('save-notice-text'),
+    
+    /** Button dismissing the save notice */
+    saveNoticeCloseButton: document.getElementById('save-notice-close-button'),
+    
     /** Black player score display */
     blackScore: document.getElementById('black-score'),
     
@@ -125,6 +167,84 @@ const DOM = {
     /** Undo last move button */
     undoButton: document.getElementById('undo-button'),
     
+    /** Redo undone move button */
+    redoButton: document.getElementById('redo-button'),
+    
+    /** Button undoing every move */
+    historyStartButton: document.getElementById('history-start-button'),
+    
+    /** Button redoing every undone move */
+    historyEndButton: document.getElementById('history-end-button'),
+    
+    /** Evaluation display (bar and text), hidden when switched off */
+    evaluation: document.getElementById('evaluation'),
+    
+    /** Evaluation bar; its fill is Black's share of the win probability */
+    evaluationBar: document.getElementById('eval-bar'),
+    
+    /** Filled part of the evaluation bar */
+    evaluationFill: document.getElementById('eval-bar-fill'),
+    
+    /** Expected margin and win probability as text */
+    evaluationText: document.getElementById('eval-text'),
+    
+    /** Checkbox switching the evaluation display on and off */
+    evaluationToggle: document.getElementById('eval-toggle'),
+    
+    /** Hint button */
+    hintButton: document.getElementById('hint-button'),
+    
+    /** Hints-per-game selector */
+    hintLimitSelector: document.getElementById('hint-limit'),
+    
+    /** Moves played so far, one entry per move or pass */
+    moveList: document.getElementById('move-list'),
+    
+    /** Transcript text to import, or the exported one */
+    transcriptInput: document.getElementById('transcript-input'),
+    
+    /** Button loading the game in the transcript box */
+    transcriptImportButton: document.getElementById('transcript-import-button'),
+    
+    /** Button writing the game to the transcript box */
+    transcriptExportButton: document.getElementById('transcript-export-button'),
+    
+    /** Button copying a link to the game */
+    copyLinkButton: document.getElementById('copy-link-button'),
+    
+    /** Result of the last import, export or copied link */
+    transcriptMessage: document.getElementById('transcript-message'),
+    
+    /** Panel of named saved games */
+    savedGamesPanel: document.getElementById('saved-games-panel'),
+    
+    /** Name for the game to save */
+    slotNameInput: document.getElementById('slot-name-input'),
+    
+    /** Button saving the game under that name */
+    saveSlotButton: document.getElementById('save-slot-button'),
+    
+    /** Result of the last saved-game action */
+    savedGamesMessage: document.getElementById('saved-games-message'),
+    
+    /** List of saved games */
+    savedGamesList: document.getElementById('saved-games-list'),
+    
+    /** Post-game review button */
+    reviewButton: document.getElementById('review-button'),
+    
+    /** Post-game review panel */
+    reviewSection: document.getElementById('review-section'),
+    
+    /** Mistake counts of the review */
+    reviewSummary: document.getElementById('review-summary'),
+    
+    /** Reviewed moves, one button per move */
+    reviewList: document.getElementById('review-list'),
+    
+    /** Button leaving the review for the final position */
+    reviewCloseButton: document.getElementById('review-close-button'),
+    
     /** Help section toggle button */
     helpButton: document.getElementById('help-button'),
     
@@ -153,13 +273,42 @@ document.addEventListener('DOMContentLoaded', initGame);
  */
 DOM.restartButton.addEventListener('click', restartGame);
 DOM.undoButton.addEventListener('click', undoLastMove);
+DOM.redoButton.addEventListener('click', redoMove);
+DOM.historyStartButton.addEventListener('click', goToHistoryStart);
+DOM.historyEndButton.addEventListener('click', goToHistoryEnd);
 DOM.helpButton.addEventListener('click', toggleHelp);
+DOM.saveNoticeCloseButton.addEventListener('click', () => {
+    DOM.saveNotice.hidden = true;
+});
+DOM.hintButton.addEventListener('click', requestHint);
+DOM.hintLimitSelector.addEventListener('change', () => {
+    updateHintButton();
+    saveGameState();
+});
+DOM.transcriptImportButton.addEventListener('click', importTranscript);
+DOM.transcriptExportButton.addEventListener('click', exportTranscript);
+DOM.copyLinkButton.addEventListener('click', copyGameLink);
+DOM.saveSlotButton.addEventListener('click', saveCurrentGame);
+DOM.slotNameInput.addEventListener('keydown', event => {
+    if (event.key === 'Enter') {
+        saveCurrentGame();
+    }
+});
+DOM.savedGamesPanel.addEventListener('toggle', () => {
+    if (DOM.savedGamesPanel.open) {
+        refreshSavedGames();
+    }
+});
+DOM.reviewButton.addEventListener('click', startReview);
+DOM.reviewCloseButton.addEventListener('click', closeReview);
+DOM.evaluationToggle.addEventListener('change', () => setEvaluationEnabled(DOM.evaluationToggle.checked));
 
 /**
  * Difficulty selector change handler
  * Automatically triggers computer move if it's currently the computer's turn
  */
 DOM.difficultySelector.addEventListener('change', () => {
+    saveGameState();
     const { currentPlayer, computerDisc, isGameOver } = gameState;
     if (currentPlayer === computerDisc && !isGameOver) {
         makeComputerMove();
@@ -172,6 +321,11 @@ DOM.difficultySelector.addEventListener('change', () => {
  */
 document.addEventListener('keydown', handleKeyboardInput);
 
+/**
+ * A link pasted into the address bar of an open game only changes the hash
+ */
+window.addEventListener('hashchange', openPageLink);
+
 // =============================================================================
 // CORE GAME FUNCTIONS
 // =============================================================================
@@ -187,16 +341,26 @@ document.addEventListener('keydown', handleKeyboardInput);
  */
 function initGame() {
     createGameBoard();
+    loadOpeningBook();
+    loadWeightProfile();
     
-    // Try to load saved state, otherwise initialize new game
-    if (!loadGameState()) {
+    // Open a linked game, else try to load saved state, otherwise initialize new game
+    const isLinked = openPageLink();
+    if (!isLinked && !loadGameState()) {
         initializeBoard();
     }
     
     renderBoard();
     updateScores();
     updateMoveCounter();
-    updateUndoButton();
+    updateHistoryButtons();
+    updateStatusMessage();
+    setEvaluationEnabled(loadEvaluationPreference());
+    
+    // A game saved on the computer's turn carries on (a linked game already has)
+    if (!isLinked && !gameState.isGameOver && gameState.currentPlayer === gameState.computerDisc) {
+        scheduleComputerMove();
+    }
 }
 
 /**
@@ -219,7 +383,7 @@ function createGameBoard() {
             cell.dataset.row = row;
             cell.dataset.col = col;
             cell.tabIndex = 0;  // Make focusable for keyboard navigation
-            cell.setAttribute('aria-label', `Cell ${row + 1}, ${col + 1}`);
+            cell.setAttribute('aria-label', `Square ${toNotation(row, col)}`);
             
             // Use arrow function to maintain proper 'this' context
             cell.addEventListener('click', () => handleCellClick(row, col));
@@ -240,16 +404,8 @@ function createGameBoard() {
  * @returns {void}
  */
 function initializeBoard() {
-    // Create empty 8x8 board using modern Array methods
-    gameState.board = Array.from({ length: BOARD_SIZE }, 
-        () => Array(BOARD_SIZE).fill(EMPTY));
-    
     // Set up the classic Reversi starting position in the center
-    const mid = BOARD_SIZE / 2;  // mid = 4
-    gameState.board[mid - 1][mid - 1] = WHITE;  // Position (3,3)
-    gameState.board[mid - 1][mid] = BLACK;      // Position (3,4) 
-    gameState.board[mid][mid - 1] = BLACK;      // Position (4,3)
-    gameState.board[mid][mid] = WHITE;          // Position (4,4)
+    gameState.board = createInitialBoard();
     
     // Reset all game state to initial values
     gameState.currentPlayer = BLACK;        // Black always moves first
@@ -258,13 +414,19 @@ function initializeBoard() {
     gameState.computerDisc = WHITE;         // AI plays as White
     gameState.isComputerThinking = false;
     gameState.moveHistory = [];             // Clear move history for undo
+    gameState.historyIndex = 0;
     gameState.moveCounter = 0;              // Reset move counter
     gameState.lastMove = null;              // No previous move
+    gameState.lastFlips = [];
+    gameState.lastSearch = null;
+    gameState.hint = null;
+    gameState.gameRecord = { moves: [], hints: [], start: null };
+    isLinkedGameUnsaved = false;
     
     // Update UI to reflect the new game state
     updateStatusMessage();
     updateMoveCounter();
-    updateUndoButton();
+    updateHistoryButtons();
     saveGameState();                        // Persist initial state
 }
 
@@ -274,21 +436,25 @@ function initializeBoard() {
 function renderBoard() {
     const cells = document.querySelectorAll('.cell');
     
+    // A previewed earlier position is shown in place of the game's
+    const { board, lastMove, lastFlips } = movePreview || gameState;
+    DOM.gameBoard.classList.toggle('previewing', movePreview !== null);
+    
     // Clear valid move indicators and last move indicators
     cells.forEach(cell => {
-        cell.classList.remove('valid-move', 'last-move');
+        cell.classList.remove('valid-move', 'last-move', 'hint-move');
         cell.innerHTML = '';
     });
     
     // Mark last move
-    if (gameState.lastMove) {
-        const [lastRow, lastCol] = gameState.lastMove;
+    if (lastMove) {
+        const [lastRow, lastCol] = lastMove;
         const lastMoveIndex = lastRow * BOARD_SIZE + lastCol;
         cells[lastMoveIndex].classList.add('last-move');
     }
     
     // Mark valid moves for current player
-    if (gameState.currentPlayer === gameState.playerDisc) {
+    if (gameState.currentPlayer === gameState.playerDisc && !gameState.isGameOver && !movePreview) {
         const validMoves = getValidMoves(gameState.board, gameState.currentPlayer);
         validMoves.forEach(([row, col]) => {
             const cellIndex = row * BOARD_SIZE + col;
@@ -296,10 +462,19 @@ function renderBoard() {
         });
     }
     
+    // Mark the hinted move
+    if (gameState.hint && !movePreview) {
+        const [hintRow, hintCol] = gameState.hint.move;
+        cells[hintRow * BOARD_SIZE + hintCol].classList.add('hint-move');
+    }
+    
+    // Discs flipped by the last move get the flip animation
+    const flippedCells = new Set(lastFlips.map(([row, col]) => row * BOARD_SIZE + col));
+    
     // Render discs
     for (let row = 0; row < BOARD_SIZE; row++) {
         for (let col = 0; col < BOARD_SIZE; col++) {
-            const cellValue = gameState.board[row][col];
+            const cellValue = board[row][col];
             if (cellValue !== EMPTY) {
                 const cellIndex = row * BOARD_SIZE + col;
                 const disc = document.createElement('div');
@@ -307,8 +482,10 @@ function renderBoard() {
                 disc.className = `disc ${discColor}`;
                 
                 // Add animation class for new discs
-                if (gameState.lastMove && gameState.lastMove[0] === row && gameState.lastMove[1] === col) {
+                if (lastMove && lastMove[0] === row && lastMove[1] === col) {
                     disc.classList.add('new-disc');
+                } else if (flippedCells.has(cellIndex)) {
+                    disc.classList.add('flip');
                 }
                 
                 cells[cellIndex].appendChild(disc);
@@ -332,6 +509,12 @@ function renderBoard() {
 function handleCellClick(row, col) {
     const { currentPlayer, playerDisc, computerDisc, isGameOver, isComputerThinking, board } = gameState;
     
+    // A click on a previewed position returns to the game
+    if (movePreview) {
+        endPreview();
+        return;
+    }
+    
     // Prevent interaction during invalid game states
     if (currentPlayer !== playerDisc || isGameOver || isComputerThinking) {
         return;
@@ -339,19 +522,18 @@ function handleCellClick(row, col) {
     
     // Validate the proposed move according to Reversi rules
     if (isValidMove(board, row, col, currentPlayer)) {
-        // Preserve current state for undo functionality
-        saveToHistory();
+        // A hint still being searched is no longer wanted
+        cancelHint();
+        gameState.hint = null;
         
-        // Execute the move and update game state
-        makeMove(board, row, col, currentPlayer);
-        gameState.lastMove = [row, col];
-        gameState.moveCounter++;
+        // Execute the move and record it for undo
+        playRecordedMove(row, col, currentPlayer);
         
         // Update all UI elements to reflect the new state
         renderBoard();
         updateScores();
         updateMoveCounter();
-        updateUndoButton();
+        updateHistoryButtons();
         
         // Switch turn to computer player
         gameState.currentPlayer = computerDisc;
@@ -360,12 +542,14 @@ function handleCellClick(row, col) {
         // Check if game has ended or if players have valid moves
         checkGameState();
         
-        // Persist current state to browser storage
+        // Persist current state to browser storage (a linked game from its first move on)
+        isLinkedGameUnsaved = false;
         saveGameState();
+        updateEvaluation();
         
         // Schedule computer move if game continues and it's computer's turn
         if (!gameState.isGameOver && gameState.currentPlayer === computerDisc) {
-            setTimeout(makeComputerMove, AI_CONSTANTS.THINKING_DELAY);
+            scheduleComputerMove();
         }
     }
 }
@@ -375,16 +559,19 @@ function handleCellClick(row, col) {
  * 
  * This function implements the AI opponent logic. It shows a "thinking" state,
  * calculates the best move according to the difficulty setting, and executes
- * the move with appropriate UI feedback.
+ * the move with appropriate UI feedback. The hard and expert levels search in
+ * the search worker, so the page stays responsive until applyComputerMove runs.
  * 
  * @function makeComputerMove
  * @returns {void}
  */
 function makeComputerMove() {
-    const { isGameOver, currentPlayer, computerDisc, playerDisc, board } = gameState;
+    const { isGameOver, currentPlayer, computerDisc, playerDisc, board, isComputerThinking } = gameState;
+    clearTimeout(scheduledComputerMove);
+    scheduledComputerMove = null;
     
-    // Exit early if game conditions don't allow computer move
-    if (isGameOver || currentPlayer !== computerDisc) {
+    // Exit early if game conditions don't allow computer move, or it is already being made
+    if (isGameOver || currentPlayer !== computerDisc || isComputerThinking || pendingComputerMove) {
         return;
     }
     
@@ -392,9 +579,11 @@ function makeComputerMove() {
     gameState.isComputerThinking = true;
     DOM.gameBoard.classList.add('loading');
     updateStatusMessage();
+    updateHistoryButtons();
     
     // Artificial delay for better user experience (shows AI is "thinking")
-    setTimeout(() => {
+    pendingComputerMove = setTimeout(() => {
+        pendingComputerMove = null;
         const validMoves = getValidMoves(board, computerDisc);
         
         // Handle case where computer has no valid moves
@@ -403,73 +592,140 @@ function makeComputerMove() {
             gameState.isComputerThinking = false;
             DOM.gameBoard.classList.remove('loading');
             updateStatusMessage();
+            updateHistoryButtons();
             checkGameState();
             return;
         }
         
         // Select move based on difficulty level using strategy pattern
         const difficulty = DOM.difficultySelector.value;
-        let moveCoordinates;
+        
+        // The searching levels think in the background and apply their move when done
+        if (difficulty === 'hard') {
+            requestHardMove(validMoves, applyComputerMove);
+            return;
+        }
+        if (difficulty === 'expert') {
+            requestExpertMove(validMoves, applyComputerMove);
+            return;
+        }
         
         const difficultyStrategies = {
             'easy': () => makeEasyMove(validMoves),
             'medium': () => makeMediumMove(validMoves),
-            'hard': () => makeHardMove(validMoves),
             'default': () => makeMediumMove(validMoves)
         };
         
         // Get strategy function or use default
         const strategy = difficultyStrategies[difficulty] || difficultyStrategies.default;
-        moveCoordinates = strategy();
-        
-        const [row, col] = moveCoordinates;
-        
-        // Make the move
-        makeMove(board, row, col, computerDisc);
-        gameState.lastMove = [row, col];
-        gameState.moveCounter++;
-        
-        renderBoard();
-        updateScores();
-        updateMoveCounter();
-        
-        // Switch player
-        gameState.currentPlayer = playerDisc;
-        gameState.isComputerThinking = false;
-        DOM.gameBoard.classList.remove('loading');
-        updateStatusMessage();
-        
-        // Check game state
-        checkGameState();
-        
-        // Save game state to localStorage
-        saveGameState();
+        applyComputerMove(strategy());
     }, 1000);
 }
 
+/**
+ * Play the move chosen by the computer and hand the turn back to the player
+ * 
+ * @function applyComputerMove
+ * @param {Array<number>} moveCoordinates - Selected move [row, col]
+ * @returns {void}
+ */
+function applyComputerMove(moveCoordinates) {
+    const { computerDisc, playerDisc } = gameState;
+    const [row, col] = moveCoordinates;
+    
+    // Make the move
+    playRecordedMove(row, col, computerDisc);
+    
+    renderBoard();
+    updateScores();
+    updateMoveCounter();
+    
+    // Switch player
+    gameState.currentPlayer = playerDisc;
+    gameState.isComputerThinking = false;
+    DOM.gameBoard.classList.remove('loading');
+    updateStatusMessage();
+    updateHistoryButtons();
+    
+    // Check game state
+    checkGameState();
+    
+    // Save game state to localStorage
+    saveGameState();
+    updateEvaluation();
+}
+
+/**
+ * Start the computer's move after the thinking delay
+ * 
+ * Only one move is ever scheduled; scheduling again replaces it, and
+ * cancelComputerMove clears it.
+ * 
+ * @function scheduleComputerMove
+ * @returns {void}
+ */
+function scheduleComputerMove() {
+    clearTimeout(scheduledComputerMove);
+    scheduledComputerMove = setTimeout(makeComputerMove, AI_CONSTANTS.THINKING_DELAY);
+}
+
+/**
+ * Abandon the computer's move in progress (scheduled, waiting for its delay
+ * or searching)
+ * 
+ * Used when the position changes under the computer, e.g. on undo or restart.
+ * 
+ * @function cancelComputerMove
+ * @returns {void}
+ */
+function cancelComputerMove() {
+    clearTimeout(scheduledComputerMove);
+    scheduledComputerMove = null;
+    if (pendingComputerMove !== null) {
+        clearTimeout(pendingComputerMove);
+        pendingComputerMove = null;
+    }
+    searchClient.cancel();
+    
+    gameState.isComputerThinking = false;
+    DOM.gameBoard.classList.remove('loading');
+}
+
 // =============================================================================
 // AI STRATEGY IMPLEMENTATIONS
 // =============================================================================
 
+/**
+ * Connection to the search worker that runs the hard AI (see reversi-worker.js).
+ * The search, evaluation and transposition table themselves live in reversi-ai.js.
+ */
+const searchClient = ReversiWorker.createSearchClient();
+
+/** Timer of a computer move scheduled to start (see scheduleComputerMove), or null */
+let scheduledComputerMove = null;
+
+/** Timer of a computer move waiting for its thinking delay, or null */
+let pendingComputerMove = null;
+
+/** Opening book played by the hard AI (see reversi-book.js), or null until loaded */
+let openingBook = null;
+
+/** Evaluation weights of the hard AI (see parseProfile), or null for the built-in defaults */
+let weightProfile = null;
+
 /**
  * Easy AI Strategy: Random move selection
  * 
  * This is the simplest AI strategy that randomly selects from all valid moves.
  * Provides an unpredictable but generally weak opponent suitable for beginners.
+ * The strategy itself is chooseEasyMove in reversi-ai.js.
  * 
  * @function makeEasyMove
  * @param {Array<Array<number>>} validMoves - Array of valid move coordinates [[row, col], ...]
  * @returns {Array<number>} Selected move coordinates [row, col]
  */
 function makeEasyMove(validMoves) {
-    // Single move scenario - no choice needed
-    if (validMoves.length === 1) {
-        return validMoves[0];
-    }
-    
-    // Select random move from available options
-    const randomIndex = Math.floor(Math.random() * validMoves.length);
-    return validMoves[randomIndex];
+    return chooseEasyMove(validMoves);
 }
 
 /**
@@ -478,537 +734,1538 @@ function makeEasyMove(validMoves) {
  * This strategy implements basic Reversi positional knowledge:
  * - Corners are most valuable (score: 10) - they can't be flipped
  * - Edges are moderately valuable (score: 5) - harder to attack
- * - Positions adjacent to corners are avoided when possible (score: 0.1)
+ * - Positions adjacent to corners are avoided when possible (score: 0)
  * - All other positions have neutral value (score: 1)
  * 
+ * The strategy itself is chooseMediumMove in reversi-ai.js, so headless
+ * tools such as tools/tournament.js play exactly the same moves.
+ * 
  * @function makeMediumMove  
  * @param {Array<Array<number>>} validMoves - Array of valid move coordinates
  * @returns {Array<number>} Selected move coordinates [row, col]
  */
 function makeMediumMove(validMoves) {
-    // Single move scenario - no choice needed
-    if (validMoves.length === 1) {
-        return validMoves[0];
-    }
-    
-    // Create positional scoring matrix for strategic evaluation
-    const scoreMap = Array.from({ length: BOARD_SIZE }, 
-        () => Array(BOARD_SIZE).fill(1));
-    
-    // Define corner positions (highest strategic value)
-    const corners = [
-        [0, 0], [0, BOARD_SIZE - 1], 
-        [BOARD_SIZE - 1, 0], [BOARD_SIZE - 1, BOARD_SIZE - 1]
-    ];
-    
-    // Assign high scores to corner positions
-    corners.forEach(([row, col]) => {
-        scoreMap[row][col] = AI_CONSTANTS.POSITION_WEIGHTS.CORNER / 10; // Scale to 10
-    });
-    
-    // Assign medium scores to edge positions (excluding corners)
-    for (let i = 1; i < BOARD_SIZE - 1; i++) {
-        scoreMap[0][i] = 5;                   // Top edge
-        scoreMap[BOARD_SIZE - 1][i] = 5;      // Bottom edge
-        scoreMap[i][0] = 5;                   // Left edge
-        scoreMap[i][BOARD_SIZE - 1] = 5;      // Right edge
-    }
-    
-    // Positions adjacent to corners are generally poor choices
-    const adjacentCorners = [
-        [0, 1], [1, 0], [1, 1],
-        [0, BOARD_SIZE - 2], [1, BOARD_SIZE - 1], [1, BOARD_SIZE - 2],
-        [BOARD_SIZE - 2, 0], [BOARD_SIZE - 1, 1], [BOARD_SIZE - 2, 1],
-        [BOARD_SIZE - 2, BOARD_SIZE - 1], [BOARD_SIZE - 1, BOARD_SIZE - 2], [BOARD_SIZE - 2, BOARD_SIZE - 2]
-    ];
-    
-    // Set adjacent corner values
-    adjacentCorners.forEach(([row, col]) => {
-        scoreMap[row][col] = 0;
-    });
-    
-    // Find the move with the highest score
-    return validMoves.reduce((bestMove, currentMove) => {
-        const [currentRow, currentCol] = currentMove;
-        const [bestRow, bestCol] = bestMove;
-        return scoreMap[currentRow][currentCol] > scoreMap[bestRow][bestCol] 
-            ? currentMove : bestMove;
-    }, validMoves[0]);
+    return chooseMediumMove(validMoves);
 }
 
 /**
  * Make a hard move (uses minimax with alpha-beta pruning and strategic evaluation)
+ * 
+ * Plays from the opening book when the position is in it, otherwise runs
+ * the search from reversi-ai.js synchronously on the current board. Its
+ * report (depth reached, nodes searched, score) is kept in
+ * gameState.lastSearch. During play the same search runs in the search
+ * worker instead (see requestHardMove).
+ * @param {Array} validMoves - Array of valid moves
+ * @param {Object} [options] - Search options passed to chooseHardMove
+ * @param {Object|null} [options.book] - Opening book to consult (default: the loaded book; null to always search)
+ * @param {Object|null} [options.profile] - Evaluation weights (default: the loaded profile; null for DEFAULT_PROFILE)
+ * @param {number} [options.timeBudget] - Milliseconds the search may take
+ * @param {number} [options.maxDepth] - Deepest iteration to search
+ * @param {number} [options.endgameEmpties] - Solve exactly at or below this many empties
+ * @returns {Array} Selected move coordinates [row, col]
+ */
+function makeHardMove(validMoves, options = {}) {
+    const { book = openingBook, profile = weightProfile, ...searchOptions } = options;
+    
+    gameState.lastSearch = findBookMove(book) ||
+        chooseHardMove(gameState.board, gameState.computerDisc, { ...searchOptions, profile, moves: validMoves });
+    return gameState.lastSearch.move;
+}
+
+/**
+ * Make an expert move (Monte Carlo Tree Search)
+ * 
+ * Runs the search from reversi-mcts.js synchronously on the current board
+ * and keeps its report (playouts run, win rate of the move) in
+ * gameState.lastSearch. During play the same search runs in the search
+ * worker instead (see requestExpertMove).
  * @param {Array} validMoves - Array of valid moves
+ * @param {Object} [options] - Search options passed to chooseExpertMove
+ * @param {number} [options.iterations] - Maximum number of playouts
+ * @param {number} [options.timeBudget] - Milliseconds the search may take
+ * @param {number} [options.seed] - Random seed, for repeatable moves
  * @returns {Array} Selected move coordinates [row, col]
  */
-function makeHardMove(validMoves) {
-    // If there's only one valid move, return it
+function makeExpertMove(validMoves, options = {}) {
     if (validMoves.length === 1) {
+        gameState.lastSearch = { move: validMoves[0], score: null, depth: 0, nodes: 0, iterations: 0, elapsed: 0 };
         return validMoves[0];
     }
     
-    const { board, computerDisc } = gameState;
-    const opponentDisc = computerDisc === BLACK ? WHITE : BLACK;
-    
-    // First, prioritize corners if available
-    const cornerMove = validMoves.find(([row, col]) => 
-        (row === 0 || row === BOARD_SIZE - 1) && (col === 0 || col === BOARD_SIZE - 1));
-    
-    if (cornerMove) {
-        return cornerMove;
-    }
-    
-    // Determine game phase for evaluation adjustments
-    const totalDiscs = countDiscs(board).total;
-    const gamePhase = totalDiscs < 20 ? 'early' : (totalDiscs < 50 ? 'mid' : 'late');
-    
-    // Use minimax with alpha-beta pruning to find the best move
-    let bestScore = -Infinity;
-    let bestMove = validMoves[0];
-    
-    // Adjust search depth based on number of valid moves and game phase for performance
-    let searchDepth;
-    if (gamePhase === 'late') {
-        searchDepth = validMoves.length > 8 ? 3 : (validMoves.length > 4 ? 4 : 5);
-    } else {
-        searchDepth = validMoves.length > 10 ? 2 : (validMoves.length > 6 ? 3 : 4);
-    }
-    
-    for (const move of validMoves) {
-        const [row, col] = move;
-        
-        // Create a copy of the board to simulate the move
-        const boardCopy = JSON.parse(JSON.stringify(board));
-        
-        // Make the move on the copied board
-        makeMove(boardCopy, row, col, computerDisc);
-        
-        // Calculate the score using minimax
-        const score = minimax(boardCopy, searchDepth - 1, -Infinity, Infinity, false, computerDisc, opponentDisc, gamePhase);
-        
-        if (score > bestScore) {
-            bestScore = score;
-            bestMove = move;
-        }
-    }
-    
-    return bestMove;
+    gameState.lastSearch = ReversiMCTS.chooseExpertMove(gameState.board, gameState.computerDisc, options);
+    return gameState.lastSearch.move;
 }
 
 /**
- * Minimax algorithm with alpha-beta pruning for AI decision making
- * @param {Array} board - Game board state
- * @param {number} depth - Remaining search depth
- * @param {number} alpha - Alpha value for pruning
- * @param {number} beta - Beta value for pruning
- * @param {boolean} isMaximizingPlayer - Whether the current player is maximizing
- * @param {number} maxPlayer - Disc color of the maximizing player
- * @param {number} minPlayer - Disc color of the minimizing player
- * @param {string} gamePhase - Current game phase (early, mid, late)
- * @returns {number} Best score for the current board position
+ * Look up the computer's move in an opening book
+ * 
+ * Book moves are chosen at random, weighted by how often the book plays them.
+ * @param {Object|null} book - Opening book, or null to skip the lookup
+ * @returns {Object|null} Search report `{ move, ..., book: true }` for a book move, or null when out of book
  */
-function minimax(board, depth, alpha, beta, isMaximizingPlayer, maxPlayer, minPlayer, gamePhase) {
-    const currentPlayer = isMaximizingPlayer ? maxPlayer : minPlayer;
-    
-    // Terminal condition: reached depth limit or game over
-    if (depth === 0) {
-        return evaluateBoard(board, maxPlayer, minPlayer, gamePhase);
-    }
-    
-    const validMoves = getValidMoves(board, currentPlayer);
-    
-    // If no valid moves, either pass or end game
-    if (validMoves.length === 0) {
-        // Check if the opponent has any moves
-        const opponentValidMoves = getValidMoves(board, currentPlayer === BLACK ? WHITE : BLACK);
-        if (opponentValidMoves.length === 0) {
-            // Game over, count discs
-            const { black, white } = countDiscs(board);
-            const scoreDiff = maxPlayer === BLACK ? black - white : white - black;
-            return scoreDiff * 1000; // High value for winning, low for losing
-        }
-        // Need to pass, evaluate from opponent's perspective
-        return minimax(board, depth - 1, alpha, beta, !isMaximizingPlayer, maxPlayer, minPlayer, gamePhase);
+function findBookMove(book) {
+    if (!book) {
+        return null;
     }
     
-    if (isMaximizingPlayer) {
-        let maxEval = -Infinity;
-        
-        for (const [row, col] of validMoves) {
-            // Create a copy of the board to simulate the move
-            const boardCopy = JSON.parse(JSON.stringify(board));
-            makeMove(boardCopy, row, col, currentPlayer);
-            
-            const eval = minimax(boardCopy, depth - 1, alpha, beta, false, maxPlayer, minPlayer, gamePhase);
-            maxEval = Math.max(maxEval, eval);
-            
-            // Alpha-beta pruning
-            alpha = Math.max(alpha, eval);
-            if (beta <= alpha) {
-                break;
-            }
-        }
-        
-        return maxEval;
-    } else {
-        let minEval = Infinity;
-        
-        for (const [row, col] of validMoves) {
-            // Create a copy of the board to simulate the move
-            const boardCopy = JSON.parse(JSON.stringify(board));
-            makeMove(boardCopy, row, col, currentPlayer);
-            
-            const eval = minimax(boardCopy, depth - 1, alpha, beta, true, maxPlayer, minPlayer, gamePhase);
-            minEval = Math.min(minEval, eval);
-            
-            // Alpha-beta pruning
-            beta = Math.min(beta, eval);
-            if (beta <= alpha) {
-                break;
-            }
-        }
-        
-        return minEval;
-    }
+    const move = ReversiBook.pickBookMove(book, gameState.board, gameState.computerDisc);
+    return move ? { move, score: null, depth: 0, nodes: 0, elapsed: 0, book: true } : null;
 }
 
 /**
- * Enhanced board evaluation function for the minimax algorithm
- * @param {Array} board - Game board
- * @param {number} maxPlayer - Disc color of the maximizing player
- * @param {number} minPlayer - Disc color of the minimizing player
- * @param {string} gamePhase - Current game phase (early, mid, late)
- * @returns {number} Evaluation score of the board position
+ * Fetch a text file the AI uses
+ * @param {string} url - File to fetch
+ * @returns {Promise<string>} File contents; rejects when unavailable (including pages opened from file://)
  */
-function evaluateBoard(board, maxPlayer, minPlayer, gamePhase) {
-    // Count discs of each color
-    const { black, white } = countDiscs(board);
-    
-    // Disc parity (difference in disc count)
-    const discParity = maxPlayer === BLACK ? black - white : white - black;
-    
-    // Mobility (number of valid moves for each player)
-    const maxPlayerMobility = getValidMoves(board, maxPlayer).length;
-    const minPlayerMobility = getValidMoves(board, minPlayer).length;
-    const mobility = maxPlayerMobility - minPlayerMobility;
-    
-    // Corner control
-    const corners = [
-        [0, 0], [0, BOARD_SIZE - 1], 
-        [BOARD_SIZE - 1, 0], [BOARD_SIZE - 1, BOARD_SIZE - 1]
-    ];
-    
-    let cornerScore = 0;
-    for (const [row, col] of corners) {
-        if (board[row][col] === maxPlayer) {
-            cornerScore += 25;
-        } else if (board[row][col] === minPlayer) {
-            cornerScore -= 25;
-        }
-    }
-    
-    // Potential mobility (count of empty squares adjacent to opponent's discs)
-    let potentialMobility = 0;
-    for (let row = 0; row < BOARD_SIZE; row++) {
-        for (let col = 0; col < BOARD_SIZE; col++) {
-            if (board[row][col] === EMPTY) {
-                // Check if this empty square is adjacent to opponent's discs
-                let adjacentToOpponent = false;
-                for (const [dx, dy] of DIRECTIONS) {
-                    const newRow = row + dx;
-                    const newCol = col + dy;
-                    if (isInBounds(newRow, newCol) && board[newRow][newCol] === minPlayer) {
-                        adjacentToOpponent = true;
-                        break;
-                    }
-                }
-                if (adjacentToOpponent) {
-                    potentialMobility++;
-                }
-            }
-        }
-    }
-    
-    // Edge control (controlling stable edges)
-    let edgeControl = 0;
-    // Check horizontal edges (top and bottom rows)
-    for (let col = 0; col < BOARD_SIZE; col++) {
-        if (board[0][col] === maxPlayer) edgeControl++;
-        if (board[0][col] === minPlayer) edgeControl--;
-        if (board[BOARD_SIZE - 1][col] === maxPlayer) edgeControl++;
-        if (board[BOARD_SIZE - 1][col] === minPlayer) edgeControl--;
-    }
-    // Check vertical edges (leftmost and rightmost columns)
-    for (let row = 0; row < BOARD_SIZE; row++) {
-        if (board[row][0] === maxPlayer) edgeControl++;
-        if (board[row][0] === minPlayer) edgeControl--;
-        if (board[row][BOARD_SIZE - 1] === maxPlayer) edgeControl++;
-        if (board[row][BOARD_SIZE - 1] === minPlayer) edgeControl--;
+function fetchAIResource(url) {
+    if (typeof fetch !== 'function') {
+        return Promise.reject(new Error('fetch is not available'));
     }
     
-    // Position score based on the static position weights
-    let positionScore = 0;
-    for (let row = 0; row < BOARD_SIZE; row++) {
-        for (let col = 0; col < BOARD_SIZE; col++) {
-            if (board[row][col] === maxPlayer) {
-                positionScore += evaluatePosition(row, col);
-            } else if (board[row][col] === minPlayer) {
-                positionScore -= evaluatePosition(row, col);
-            }
+    return fetch(url).then(response => {
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
         }
-    }
-    
-    // Adjust weights based on game phase
-    let discParityWeight, mobilityWeight, cornerWeight, positionWeight, edgeWeight, potentialMobilityWeight;
-    
-    switch (gamePhase) {
-        case 'early':
-            discParityWeight = 0.1;
-            mobilityWeight = 2.5;
-            cornerWeight = 4.0;
-            positionWeight = 1.0;
-            edgeWeight = 1.5;
-            potentialMobilityWeight = 1.0;
-            break;
-        case 'mid':
-            discParityWeight = 0.8;
-            mobilityWeight = 2.0;
-            cornerWeight = 3.0;
-            positionWeight = 1.0;
-            edgeWeight = 1.0;
-            potentialMobilityWeight = 0.5;
-            break;
-        case 'late':
-            discParityWeight = 3.5;
-            mobilityWeight = 1.0;
-            cornerWeight = 2.0;
-            positionWeight = 0.5;
-            edgeWeight = 0.5;
-            potentialMobilityWeight = 0.0;
-            break;
-    }
-    
-    // Combine all factors with appropriate weights
-    return discParityWeight * discParity + 
-           mobilityWeight * mobility + 
-           cornerWeight * cornerScore + 
-           positionWeight * positionScore +
-           edgeWeight * edgeControl +
-           potentialMobilityWeight * potentialMobility;
+        return response.text();
+    });
 }
 
 /**
- * Evaluate a position on the board
- * @param {number} row - Row index
- * @param {number} col - Column index
- * @returns {number} Position score
+ * Load the opening book in the background
+ * 
+ * The game works without a book (for example when the page is opened from
+ * file://, where it cannot be fetched); the hard AI then searches every move.
+ * A book that cannot be fetched is skipped silently, while one that arrives
+ * but cannot be read is reported with showNotice.
+ * @returns {Promise<void>} Settles once the book is loaded or given up on
  */
-function evaluatePosition(row, col) {
-    // Position evaluation weights - prioritize corners and edges
-    const positionWeights = [
-        [100, -20, 10,  5,  5, 10, -20, 100],
-        [-20, -50, -2, -2, -2, -2, -50, -20],
-        [ 10,  -2,  5,  1,  1,  5,  -2,  10],
-        [  5,  -2,  1,  0,  0,  1,  -2,   5],
-        [  5,  -2,  1,  0,  0,  1,  -2,   5],
-        [ 10,  -2,  5,  1,  1,  5,  -2,  10],
-        [-20, -50, -2, -2, -2, -2, -50, -20],
-        [100, -20, 10,  5,  5, 10, -20, 100]
-    ];
-    
-    return positionWeights[row][col];
+function loadOpeningBook() {
+    return fetchAIResource(AI_CONSTANTS.OPENING_BOOK_URL)
+        .then(text => {
+            try {
+                openingBook = ReversiBook.parseBook(text);
+            } catch (error) {
+                showNotice(`The opening book could not be read (${error.message}), so the hard AI searches every move.`);
+            }
+        }, () => {});  // Not available: play without a book
 }
 
 /**
- * Count the number of discs of each color on the board
- * @param {Array} board - Game board
- * @returns {Object} Object with counts of black, white, and total discs
+ * Load the hard AI's evaluation weights in the background
+ * 
+ * Until the profile arrives, or if it cannot be loaded, the built-in
+ * DEFAULT_PROFILE is used. As with the opening book, only a profile that
+ * arrives but cannot be read is reported.
+ * @returns {Promise<void>} Settles once the profile is loaded or given up on
  */
-function countDiscs(board) {
-    let black = 0;
-    let white = 0;
-    
-    for (let row = 0; row < BOARD_SIZE; row++) {
-        for (let col = 0; col < BOARD_SIZE; col++) {
-            if (board[row][col] === BLACK) {
-                black++;
-            } else if (board[row][col] === WHITE) {
-                white++;
+function loadWeightProfile() {
+    return fetchAIResource(AI_CONSTANTS.WEIGHT_PROFILE_URL)
+        .then(text => {
+            try {
+                weightProfile = parseProfile(text);
+            } catch (error) {
+                showNotice(`The hard AI's weights could not be read (${error.message}), so it uses its built-in ones.`);
             }
-        }
+        }, () => {});  // Not available: keep DEFAULT_PROFILE
+}
+
+/**
+ * Search for the hard AI's move without blocking the page
+ * 
+ * The opening book is consulted first. Otherwise the search runs in the
+ * search worker (see requestSearchMove) and the status message shows the
+ * depth reached so far.
+ * @param {Array} validMoves - Array of valid moves
+ * @param {Function} onMove - Called with the chosen move [row, col]
+ * @returns {void}
+ */
+function requestHardMove(validMoves, onMove) {
+    // Book moves need no search
+    const bookMove = findBookMove(openingBook);
+    if (bookMove) {
+        gameState.lastSearch = bookMove;
+        onMove(bookMove.move);
+        return;
     }
     
-    return { black, white, total: black + white };
+    const options = { level: 'hard', timeBudget: AI_CONSTANTS.SEARCH_TIME_BUDGETS.hard, moves: validMoves, profile: weightProfile };
+    requestSearchMove(validMoves, options, report => `depth ${report.depth}`, onMove);
 }
 
-// =============================================================================
-// UTILITY FUNCTIONS
-// =============================================================================
-
 /**
- * Calculate the number of opponent discs that would be flipped by a proposed move
+ * Search for the expert AI's move without blocking the page
  * 
- * This function is crucial for move validation and AI evaluation. It simulates
- * placing a disc at the specified position and counts how many opponent discs
- * would be captured (flipped) according to Reversi rules.
- * 
- * The function checks all 8 directions from the proposed position and counts
- * continuous lines of opponent discs that are bounded by the player's existing discs.
- * 
- * @function countFlips
- * @param {Array<Array<number>>} board - 2D array representing the game board
- * @param {number} row - Target row index (0-7)
- * @param {number} col - Target column index (0-7)
- * @param {number} player - Player disc color (BLACK or WHITE)
- * @returns {number} Total number of opponent discs that would be flipped
+ * The status message shows the number of playouts run so far.
+ * @param {Array} validMoves - Array of valid moves
+ * @param {Function} onMove - Called with the chosen move [row, col]
+ * @returns {void}
  */
-function countFlips(board, row, col, player) {
-    // Cannot place disc on occupied cell
-    if (board[row][col] !== EMPTY) {
-        return 0;
+function requestExpertMove(validMoves, onMove) {
+    // A forced move needs no search
+    if (validMoves.length === 1) {
+        gameState.lastSearch = { move: validMoves[0], score: null, depth: 0, nodes: 0, iterations: 0, elapsed: 0 };
+        onMove(validMoves[0]);
+        return;
     }
     
-    // Sum flips across all 8 directions using functional approach
-    return DIRECTIONS.reduce((totalFlips, [dx, dy]) => {
-        let x = row + dx;
-        let y = col + dy;
-        let tempFlips = 0;
-        
-        // Count consecutive opponent discs in this direction
-        while (isInBounds(x, y) && board[x][y] !== EMPTY && board[x][y] !== player) {
-            tempFlips++;
-            x += dx;
-            y += dy;
-        }
-        
-        // Flips are only valid if the line ends with player's disc
-        if (isInBounds(x, y) && board[x][y] === player && tempFlips > 0) {
-            totalFlips += tempFlips;
-        }
-        
-        return totalFlips;
-    }, 0);
+    const options = { level: 'expert', timeBudget: AI_CONSTANTS.SEARCH_TIME_BUDGETS.expert };
+    requestSearchMove(validMoves, options, report => `${report.iterations} playouts`, onMove);
 }
 
 /**
- * Validate that coordinates fall within the game board boundaries
- * 
- * Simple bounds checking utility used throughout the game logic to prevent
- * array index out-of-bounds errors when checking adjacent cells.
+ * Run a computer search in the search worker
  * 
- * @function isInBounds
- * @param {number} x - Row coordinate to check
- * @param {number} y - Column coordinate to check  
- * @returns {boolean} True if coordinates are within valid board range (0-7), false otherwise
+ * The board stays usable while the computer thinks. Without worker support
+ * the search runs synchronously and `onMove` is called before this function
+ * returns.
+ * @param {Array} validMoves - Array of valid moves (for the fallback move)
+ * @param {Object} options - Search options, including the `level` to search for
+ * @param {Function} describeProgress - Turns a progress report into text for the status message
+ * @param {Function} onMove - Called with the chosen move [row, col]
+ * @returns {void}
  */
-function isInBounds(x, y) {
-    return x >= 0 && x < BOARD_SIZE && y >= 0 && y < BOARD_SIZE;
+function requestSearchMove(validMoves, options, describeProgress, onMove) {
+    searchClient.search(gameState.board, gameState.computerDisc, options, {
+        onProgress: report => {
+            DOM.statusMessage.textContent = `Computer is thinking... (${describeProgress(report)})`;
+        },
+        onResult: report => {
+            gameState.lastSearch = report;
+            onMove(report.move);
+        },
+        onError: () => {
+            // Never leave the game stuck: fall back to the positional strategy
+            onMove(makeMediumMove(validMoves));
+        }
+    });
 }
 
 // =============================================================================
-// CORE GAME LOGIC FUNCTIONS
+// POSITION ANALYSIS
 // =============================================================================
 
 /**
- * Validate whether a move is legal according to Reversi rules
- * 
- * A move is valid if:
- * 1. The target cell is empty
- * 2. The move would flip at least one opponent disc
- * 
- * This function implements the fundamental rule of Reversi: you can only place
- * a disc where it will capture (flip) one or more opponent discs by sandwiching
- * them between the new disc and an existing disc of your color.
+ * Connection used for position analysis. It is separate from searchClient,
+ * so analysing a position never cancels the computer's move search.
+ */
+const analysisClient = ReversiWorker.createSearchClient();
+
+/**
+ * Analyse the current position without blocking the page
  * 
- * @function isValidMove
- * @param {Array<Array<number>>} board - 2D array representing the game board
- * @param {number} row - Target row index (0-7)
- * @param {number} col - Target column index (0-7)  
- * @param {number} player - Player disc color (BLACK or WHITE)
- * @returns {boolean} True if the move is legal, false otherwise
+ * Runs analyzePosition (reversi-ai.js) in a search worker for the side to
+ * move, with the hard AI's evaluation weights. Starting an analysis cancels
+ * the previous one. Without worker support the analysis runs synchronously
+ * and the callbacks fire before this function returns.
+ * @param {Object} [options] - analyzePosition options
+ * @param {number} [options.timeBudget] - Milliseconds the analysis may take (default: AI_CONSTANTS.ANALYSIS_TIME_BUDGET)
+ * @param {number} [options.maxDepth] - Deepest iteration to search
+ * @param {Object} callbacks - `{ onResult(analysis), onProgress(analysis), onError(error) }`
+ * @returns {void}
  */
-function isValidMove(board, row, col, player) {
-    // Basic requirement: target cell must be unoccupied
-    if (board[row][col] !== EMPTY) {
-        return false;
-    }
-    
-    // Reversi rule: move must flip at least one opponent disc
-    return countFlips(board, row, col, player) > 0;
+function requestAnalysis(options = {}, callbacks) {
+    const analysisOptions = { level: 'analyze', timeBudget: AI_CONSTANTS.ANALYSIS_TIME_BUDGET, profile: weightProfile, ...options };
+    analysisClient.search(gameState.board, gameState.currentPlayer, analysisOptions, callbacks);
 }
 
 /**
- * Generate all legal moves available to a player
- * 
- * Systematically checks every empty cell on the board to determine which
- * positions would result in valid moves for the specified player. This is
- * used for move validation, AI decision making, and game state evaluation.
- * 
- * @function getValidMoves
- * @param {Array<Array<number>>} board - 2D array representing the game board
- * @param {number} player - Player disc color (BLACK or WHITE)
- * @returns {Array<Array<number>>} Array of valid move coordinates [[row, col], ...]
+ * Abandon the analysis in progress, if any; its callbacks will not be called
+ * @returns {void}
  */
-function getValidMoves(board, player) {
-    const validMoves = [];
-    
-    // Scan entire board for valid move positions
-    for (let row = 0; row < BOARD_SIZE; row++) {
-        for (let col = 0; col < BOARD_SIZE; col++) {
-            if (isValidMove(board, row, col, player)) {
-                validMoves.push([row, col]);
+function cancelAnalysis() {
+    analysisClient.cancel();
+}
+
+// =============================================================================
+// EVALUATION BAR
+// =============================================================================
+
+/**
+ * Connection used by the evaluation bar. It has its own worker, so updating
+ * the bar never cancels the computer's search, a hint or an analysis.
+ */
+const evaluationClient = ReversiWorker.createSearchClient();
+
+/**
+ * Switch the evaluation display on or off and remember the choice
+ * 
+ * Players who want a "serious" game without engine help switch it off;
+ * no evaluation searches run while it is off.
+ * @param {boolean} enabled - Whether to show the evaluation
+ * @returns {void}
+ */
+function setEvaluationEnabled(enabled) {
+    DOM.evaluationToggle.checked = enabled;
+    DOM.evaluation.hidden = !enabled;
+    try {
+        localStorage.setItem(STORAGE_KEYS.EVALUATION, String(enabled));
+    } catch (e) {
+        // Ignore localStorage errors
+    }
+    
+    if (enabled) {
+        updateEvaluation();
+    } else {
+        evaluationClient.cancel();
+    }
+}
+
+/**
+ * Whether the player last left the evaluation display on (the default)
+ * @returns {boolean} Saved preference
+ */
+function loadEvaluationPreference() {
+    try {
+        return localStorage.getItem(STORAGE_KEYS.EVALUATION) !== 'false';
+    } catch (e) {
+        return true;
+    }
+}
+
+/**
+ * Re-evaluate the current position for the evaluation bar
+ * 
+ * Runs estimateOutcome (reversi-ai.js) in the evaluation worker, so moves
+ * can be made while it runs; an evaluation still running for an earlier
+ * position is cancelled. Without worker support it runs synchronously.
+ * @returns {void}
+ */
+function updateEvaluation() {
+    if (!DOM.evaluationToggle.checked) {
+        return;
+    }
+    
+    const player = gameState.currentPlayer;
+    const options = { level: 'evaluate', timeBudget: AI_CONSTANTS.EVALUATION_TIME_BUDGET, profile: weightProfile };
+    DOM.evaluation.classList.add('updating');
+    evaluationClient.search(gameState.board, player, options, {
+        onResult: outcome => showEvaluation(outcome, player),
+        onError: () => DOM.evaluation.classList.remove('updating')
+    });
+}
+
+/**
+ * Show an outcome estimate in the evaluation bar, from Black's point of view
+ * @param {Object} outcome - `{ margin, winProbability, exact }` from estimateOutcome
+ * @param {number} player - Disc color the outcome is for
+ * @returns {void}
+ */
+function showEvaluation({ margin, winProbability, exact }, player) {
+    const blackMargin = player === BLACK ? margin : -margin;
+    const blackWinProbability = player === BLACK ? winProbability : 1 - winProbability;
+    const percent = Math.round(blackWinProbability * 100);
+    
+    DOM.evaluation.classList.remove('updating');
+    DOM.evaluationFill.style.width = `${percent}%`;
+    DOM.evaluationBar.setAttribute('aria-valuenow', String(percent));
+    
+    const leader = blackMargin > 0 ? 'Black' : 'White';
+    const discs = Math.abs(Math.round(blackMargin));
+    if (exact) {
+        DOM.evaluationText.textContent = discs === 0 ? 'Draw with best play' : `${leader} wins by ${discs} with best play`;
+    } else if (discs === 0) {
+        DOM.evaluationText.textContent = `Even (Black ${percent}% to win)`;
+    } else {
+        const leaderPercent = blackMargin > 0 ? percent : 100 - percent;
+        DOM.evaluationText.textContent = `${leader} +${discs} (${leaderPercent}% to win)`;
+    }
+}
+
+// =============================================================================
+// MOVE LIST
+// =============================================================================
+
+/**
+ * Earlier position shown on the board instead of the game's, as
+ * { index, board, lastMove, lastFlips } after move `index`, or null
+ */
+let movePreview = null;
+
+/**
+ * Name of a disc color for messages
+ * @param {number} player - BLACK or WHITE
+ * @returns {string} 'Black' or 'White'
+ */
+function getColorName(player) {
+    return player === BLACK ? 'Black' : 'White';
+}
+
+/**
+ * Replay the first recorded moves from the position the game started from
+ * 
+ * A side without a legal move passes; the passes are listed among the plies,
+ * including one forced right after the last move.
+ * 
+ * @function replayRecordedMoves
+ * @param {number} count - Number of moves of gameState.gameRecord.moves to play
+ * @returns {Object} The replay from ReversiRecords.replayMoves, with each ply's
+ *     `moveIndex` in the record added (null for a pass)
+ * @throws {Error} If the record does not replay from its starting position
+ */
+function replayRecordedMoves(count) {
+    const { moves, start } = gameState.gameRecord;
+    const replay = ReversiRecords.replayMoves(moves.slice(0, count), start || {});
+    let moveIndex = 0;
+    const plies = replay.plies.map(({ player, move }) => ({ player, move, moveIndex: move ? moveIndex++ : null }));
+    return { ...replay, plies };
+}
+
+/**
+ * Rebuild the move list: each move in a1-h8 notation with the side that
+ * played it, passes included. Moves are buttons that preview their position.
+ * 
+ * @function updateMoveList
+ * @returns {void}
+ */
+function updateMoveList() {
+    const { moves } = gameState.gameRecord;
+    DOM.moveList.innerHTML = '';
+    
+    let plies;
+    try {
+        ({ plies } = replayRecordedMoves(moves.length));
+    } catch (error) {
+        // A record that does not replay from the start (a position set up by hand) is listed as it is
+        moves.forEach((move, moveIndex) => {
+            const item = document.createElement('li');
+            item.textContent = `${moveIndex + 1}. ${toNotation(...move)}`;
+            DOM.moveList.appendChild(item);
+        });
+        return;
+    }
+    
+    plies.forEach(({ player, move, moveIndex }) => {
+        const item = document.createElement('li');
+        if (move === null) {
+            item.className = 'move-pass';
+            item.textContent = `${getColorName(player)} passes`;
+        } else {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `move-list-move ${player === BLACK ? 'black' : 'white'}`;
+            button.dataset.moveIndex = moveIndex;
+            button.textContent = `${moveIndex + 1}. ${getColorName(player)} ${toNotation(...move)}`;
+            button.addEventListener('click', () => previewMove(moveIndex));
+            item.appendChild(button);
+        }
+        DOM.moveList.appendChild(item);
+    });
+    
+    markPreviewedMove();
+    DOM.moveList.scrollTop = DOM.moveList.scrollHeight;
+}
+
+/**
+ * Show the position after a recorded move without changing the game
+ * 
+ * The last move is the game's own position, so choosing it ends the preview.
+ * 
+ * @function previewMove
+ * @param {number} index - Index of the move in gameState.gameRecord.moves
+ * @returns {void}
+ */
+function previewMove(index) {
+    const { moves } = gameState.gameRecord;
+    if (index >= moves.length - 1) {
+        endPreview();
+        return;
+    }
+    
+    const { board, lastFlips } = replayRecordedMoves(index + 1);
+    movePreview = { index, board, lastMove: moves[index], lastFlips };
+    renderBoard();
+    markPreviewedMove();
+    DOM.statusMessage.textContent = `Viewing move ${index + 1}: click the board or press Escape to return`;
+}
+
+/**
+ * Return the board to the game's position
+ * 
+ * @function endPreview
+ * @returns {void}
+ */
+function endPreview() {
+    if (!movePreview) {
+        return;
+    }
+    movePreview = null;
+    renderBoard();
+    markPreviewedMove();
+    updateStatusMessage();
+}
+
+/**
+ * Mark the previewed move in the move list and the review
+ * @returns {void}
+ */
+function markPreviewedMove() {
+    const index = movePreview ? movePreview.index : null;
+    document.querySelectorAll('.move-list-move, .review-move').forEach(button => {
+        const isCurrent = Number(button.dataset.moveIndex) === index;
+        button.classList.toggle('current', isCurrent);
+        if (isCurrent) {
+            button.setAttribute('aria-current', 'step');
+        } else {
+            button.removeAttribute('aria-current');
+        }
+    });
+}
+
+// =============================================================================
+// TRANSCRIPTS
+// =============================================================================
+
+/**
+ * Replace the game with a replayed one and carry on from its position
+ * 
+ * The computer moves next if the position is on its turn. The moves can be
+ * undone back to the position the game started from.
+ * 
+ * @function loadReplayedGame
+ * @param {Object} game - Game from ReversiRecords.replayMoves, parseTranscript or
+ *     parseGameLink; `game.start` is the position its moves start from, if not the initial one
+ * @returns {void}
+ */
+function loadReplayedGame(game) {
+    cancelComputerMove();
+    cancelHint();
+    closeReview();
+    endPreview();
+    
+    const { moves } = game;
+    gameState.board = cloneBoard(game.board);
+    gameState.currentPlayer = game.player ?? gameState.playerDisc;
+    gameState.isGameOver = game.player === null;
+    gameState.moveHistory = buildMoveHistory(moves, game.start || {});
+    gameState.historyIndex = moves.length;
+    gameState.moveCounter = moves.length;
+    gameState.lastMove = moves.length > 0 ? moves[moves.length - 1] : null;
+    gameState.lastFlips = [];
+    gameState.hint = null;
+    gameState.gameRecord = { moves: moves.map(move => [...move]), hints: [], start: game.start || null };
+    
+    renderBoard();
+    updateScores();
+    updateMoveCounter();
+    updateHistoryButtons();
+    updateStatusMessage();
+    saveGameState();
+    updateEvaluation();
+    
+    if (!gameState.isGameOver && gameState.currentPlayer === gameState.computerDisc) {
+        scheduleComputerMove();
+    }
+}
+
+/**
+ * Show the result of an import or export under the transcript box
+ * @param {string} message - Text to show
+ * @param {boolean} [isError=false] - Whether the message reports a problem
+ * @returns {void}
+ */
+function showTranscriptMessage(message, isError = false) {
+    DOM.transcriptMessage.textContent = message;
+    DOM.transcriptMessage.classList.toggle('error', isError);
+}
+
+/**
+ * Load the game written in the transcript box
+ * 
+ * Every move is checked; on an error nothing changes and the offending
+ * part of the transcript is selected.
+ * 
+ * @function importTranscript
+ * @returns {void}
+ */
+function importTranscript() {
+    let game;
+    try {
+        game = ReversiRecords.parseTranscript(DOM.transcriptInput.value);
+    } catch (error) {
+        showTranscriptMessage(error.message, true);
+        if (error.start !== undefined) {
+            DOM.transcriptInput.focus();
+            DOM.transcriptInput.setSelectionRange(error.start, error.end);
+        }
+        return;
+    }
+    
+    isLinkedGameUnsaved = false;
+    loadReplayedGame(game);
+    showTranscriptMessage(`Loaded ${game.moves.length} move${game.moves.length === 1 ? '' : 's'}`);
+}
+
+/**
+ * Write the game as a compact transcript into the transcript box, and to
+ * the clipboard where the browser allows it
+ * 
+ * @function exportTranscript
+ * @returns {void}
+ */
+function exportTranscript() {
+    const { moves, start } = gameState.gameRecord;
+    
+    // Games saved before moves were recorded cannot be written out
+    if (moves.length !== gameState.moveCounter) {
+        showTranscriptMessage("This game's moves were not recorded, so it cannot be exported", true);
+        return;
+    }
+    
+    // A transcript always starts from the initial position
+    if (start) {
+        showTranscriptMessage('This game started from a set-up position; share it with Copy Link instead', true);
+        return;
+    }
+    
+    const transcript = ReversiRecords.formatTranscript(moves);
+    const message = `Exported ${moves.length} move${moves.length === 1 ? '' : 's'}`;
+    DOM.transcriptInput.value = transcript;
+    DOM.transcriptInput.select();
+    showTranscriptMessage(message);
+    
+    if (typeof navigator !== 'undefined' && navigator.clipboard) {
+        navigator.clipboard.writeText(transcript).then(
+            () => showTranscriptMessage(`${message} and copied them`),
+            () => {}  // Without clipboard access the selected text can be copied by hand
+        );
+    }
+}
+
+// =============================================================================
+// LINKS
+// =============================================================================
+
+/**
+ * Whether the game was opened from a link and the player has not moved in it
+ * yet. Until then saveGameState keeps the game saved before, so following a
+ * link does not throw away a game in progress.
+ */
+let isLinkedGameUnsaved = false;
+
+/**
+ * Load the game held in a link's hash (see ReversiRecords.parseGameLink)
+ * 
+ * A link that cannot be read leaves the game unchanged and says why in the
+ * page notice. The saved game is only replaced once the player makes a
+ * move in the linked one (see isLinkedGameUnsaved).
+ * 
+ * @function loadGameFromLink
+ * @param {string} hash - Hash of the link, such as '#moves=lrSTa'
+ * @returns {boolean} Whether a game was loaded
+ */
+function loadGameFromLink(hash) {
+    let game;
+    try {
+        game = ReversiRecords.parseGameLink(hash);
+    } catch (error) {
+        // Not the status message: that is rewritten as soon as the game is shown
+        showNotice(`The link could not be opened: ${error.message}`);
+        return false;
+    }
+    if (!game) {
+        return false;
+    }
+    
+    isLinkedGameUnsaved = true;
+    loadReplayedGame(game);
+    showTranscriptMessage(`Opened a linked game of ${game.moves.length} move${game.moves.length === 1 ? '' : 's'}`);
+    return true;
+}
+
+/**
+ * Load the game in the page address, if there is one
+ * 
+ * The hash is then removed, so reloading the page resumes the game instead
+ * of opening the link again.
+ * 
+ * @function openPageLink
+ * @returns {boolean} Whether a game was loaded
+ */
+function openPageLink() {
+    if (!location.hash) {
+        return false;
+    }
+    const isLoaded = loadGameFromLink(location.hash);
+    history.replaceState(null, '', location.pathname + location.search);
+    return isLoaded;
+}
+
+/**
+ * Put a link to the game into the transcript box, and on the clipboard
+ * where the browser allows it
+ * 
+ * The link holds the moves, so the game can be followed move by move; for
+ * a game whose moves were not recorded it holds the current position.
+ * 
+ * @function copyGameLink
+ * @returns {void}
+ */
+function copyGameLink() {
+    const { moves, start } = gameState.gameRecord;
+    const hash = moves.length === gameState.moveCounter ?
+        ReversiRecords.formatGameLink(moves, start || {}) :
+        ReversiRecords.formatGameLink([], { board: gameState.board, player: gameState.currentPlayer });
+    const link = `${location.href.split('#')[0]}#${hash}`;
+    
+    DOM.transcriptInput.value = link;
+    DOM.transcriptInput.select();
+    showTranscriptMessage('Link to this game ready');
+    
+    if (typeof navigator !== 'undefined' && navigator.clipboard) {
+        navigator.clipboard.writeText(link).then(
+            () => showTranscriptMessage('Link to this game copied'),
+            () => {}  // Without clipboard access the selected link can be copied by hand
+        );
+    }
+}
+
+// =============================================================================
+// SAVED GAMES
+// =============================================================================
+
+/** Store of the named saved games (see reversi-slots.js), opened on first use */
+let slotStore = null;
+
+/**
+ * Saved games in the list, newest first: each the slot as stored (`slot`)
+ * with its description from ReversiSlots.describeSlot
+ */
+let savedGames = [];
+
+/**
+ * Call back with the slot store, opening it the first time
+ * @param {Function} callback - Given the store
+ * @returns {void}
+ */
+function withSlotStore(callback) {
+    if (slotStore) {
+        callback(slotStore);
+        return;
+    }
+    
+    let storage = null;
+    try {
+        storage = localStorage;
+    } catch (e) {
+        // Storage can be blocked altogether; the store then reports the error
+    }
+    ReversiSlots.openSlotStore({
+        indexedDB: typeof indexedDB !== 'undefined' ? indexedDB : null,
+        storage,
+        key: STORAGE_KEYS.SLOTS
+    }, store => {
+        slotStore = store;
+        callback(store);
+    });
+}
+
+/**
+ * Show the result of a saved-game action above the list
+ * @param {string} message - Text to show
+ * @param {boolean} [isError=false] - Whether the message reports a problem
+ * @returns {void}
+ */
+function showSavedGamesMessage(message, isError = false) {
+    DOM.savedGamesMessage.textContent = message;
+    DOM.savedGamesMessage.classList.toggle('error', isError);
+}
+
+/**
+ * Read the saved games from the store and list them
+ * 
+ * @function refreshSavedGames
+ * @returns {void}
+ */
+function refreshSavedGames() {
+    withSlotStore(store => store.list((error, slots) => {
+        if (error) {
+            showSavedGamesMessage(`The saved games could not be read: ${error.message}`, true);
+        }
+        savedGames = (slots || []).map(slot => ({ slot, ...ReversiSlots.describeSlot(slot) }));
+        renderSavedGames();
+    }));
+}
+
+/**
+ * Name of a computer level as the level selector shows it
+ * @param {string|null} level - Level value, such as 'hard'
+ * @returns {string} Its name, such as 'Hard'
+ */
+function getLevelName(level) {
+    const option = Array.from(DOM.difficultySelector.options).find(candidate => candidate.value === level);
+    return option ? option.textContent : 'Unknown level';
+}
+
+/**
+ * Miniature of a saved board
+ * @param {Array<Array<number>>|null} board - Board, or null for a save that cannot be read
+ * @returns {HTMLElement} Thumbnail element (hidden from screen readers; the text describes the game)
+ */
+function createBoardThumbnail(board) {
+    const thumbnail = document.createElement('div');
+    thumbnail.className = 'saved-game-thumbnail';
+    thumbnail.setAttribute('aria-hidden', 'true');
+    if (board) {
+        board.flat().forEach(square => {
+            const element = document.createElement('span');
+            element.className = square === BLACK ? 'black' : square === WHITE ? 'white' : '';
+            thumbnail.appendChild(element);
+        });
+    }
+    return thumbnail;
+}
+
+/**
+ * Create a button of a saved game's entry
+ * @param {string} text - Button text
+ * @param {string} label - Accessible label naming the game
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} The button
+ */
+function createSavedGameButton(text, label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    button.setAttribute('aria-label', label);
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * List the saved games: a thumbnail, the name, date, level and result,
+ * and buttons to load, rename and delete each one
+ * 
+ * @function renderSavedGames
+ * @returns {void}
+ */
+function renderSavedGames() {
+    DOM.savedGamesList.innerHTML = '';
+    if (savedGames.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'saved-games-empty';
+        empty.textContent = 'No saved games yet';
+        DOM.savedGamesList.appendChild(empty);
+        return;
+    }
+    
+    savedGames.forEach(entry => {
+        const item = document.createElement('li');
+        item.className = 'saved-game';
+        item.dataset.slotId = entry.id;
+        item.appendChild(createBoardThumbnail(entry.save && entry.save.board));
+        
+        const details = document.createElement('div');
+        details.className = 'saved-game-details';
+        const name = document.createElement('span');
+        name.className = 'saved-game-name';
+        name.textContent = entry.name;
+        const summary = document.createElement('span');
+        summary.className = 'saved-game-summary';
+        const date = new Date(entry.date).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+        summary.textContent = entry.error ?
+            `${date} · Cannot be loaded: ${entry.error}` :
+            `${date} · ${getLevelName(entry.level)} · ${entry.result}`;
+        details.append(name, summary);
+        
+        const actions = document.createElement('div');
+        actions.className = 'saved-game-actions';
+        const loadButton = createSavedGameButton('Load', `Load "${entry.name}"`, () => loadSavedGame(entry));
+        loadButton.disabled = entry.error !== null;
+        const renameButton = createSavedGameButton('Rename', `Rename "${entry.name}"`, () => startSavedGameRename(item, entry));
+        // Deleting takes a second click, so a game is not lost to a slip
+        const deleteButton = createSavedGameButton('Delete', `Delete "${entry.name}"`, () => {
+            if (deleteButton.dataset.confirming) {
+                deleteSavedGame(entry);
+            } else {
+                deleteButton.dataset.confirming = 'true';
+                deleteButton.textContent = 'Confirm Delete';
+                deleteButton.setAttribute('aria-label', `Confirm deleting "${entry.name}"`);
+            }
+        });
+        actions.append(loadButton, renameButton, deleteButton);
+        
+        item.append(details, actions);
+        DOM.savedGamesList.appendChild(item);
+    });
+}
+
+/**
+ * Save the game in progress under the name typed in, replacing a saved
+ * game of the same name
+ * 
+ * Without a name the game is called "Game 1", "Game 2" and so on. The
+ * names in use are read from the store, not the list on show, which may
+ * not have arrived yet.
+ * 
+ * @function saveCurrentGame
+ * @returns {void}
+ */
+function saveCurrentGame() {
+    // The game as it is now, even if a move is played while the store answers
+    const save = JSON.parse(JSON.stringify(createGameSave()));
+    const typedName = DOM.slotNameInput.value.trim();
+    
+    withSlotStore(store => store.list((listError, slots) => {
+        if (listError) {
+            showSavedGamesMessage(`The game could not be saved: ${listError.message}`, true);
+            return;
+        }
+        
+        const isNameTaken = name => slots.some(slot => slot.name === name);
+        let name = typedName;
+        for (let number = 1; !name; number++) {
+            name = isNameTaken(`Game ${number}`) ? '' : `Game ${number}`;
+        }
+        
+        const existing = slots.find(slot => slot.name === name);
+        const slot = ReversiSlots.createSlot(name, save);
+        if (existing) {
+            slot.id = existing.id;
+        }
+        
+        store.put(slot, error => {
+            if (error) {
+                showSavedGamesMessage(`The game could not be saved: ${error.message}`, true);
+                return;
+            }
+            DOM.slotNameInput.value = '';
+            refreshSavedGames();
+            showSavedGamesMessage(existing ? `Replaced "${name}"` : `Saved "${name}"`);
+        });
+    }));
+}
+
+/**
+ * Replace the game with a saved one and carry on from its position
+ * 
+ * Its level and hint settings come back with it, and the game in progress
+ * is saved as usual, so a reload resumes the loaded game.
+ * 
+ * @function loadSavedGame
+ * @param {Object} entry - Entry of the saved-games list that can be loaded
+ * @returns {void}
+ */
+function loadSavedGame(entry) {
+    cancelComputerMove();
+    cancelHint();
+    closeReview();
+    endPreview();
+    
+    // The game changes its board in place, so it gets a copy of the save
+    applyGameSave(JSON.parse(JSON.stringify(entry.save)));
+    
+    renderBoard();
+    updateScores();
+    updateMoveCounter();
+    updateHistoryButtons();
+    updateHintButton();
+    updateStatusMessage();
+    saveGameState();
+    updateEvaluation();
+    showSavedGamesMessage(`Loaded "${entry.name}"`);
+    
+    if (!gameState.isGameOver && gameState.currentPlayer === gameState.computerDisc) {
+        scheduleComputerMove();
+    }
+}
+
+/**
+ * Turn a saved game's name into a text box; Enter or leaving the box
+ * renames the game, Escape keeps the old name
+ * 
+ * @function startSavedGameRename
+ * @param {HTMLElement} item - The game's list item
+ * @param {Object} entry - Entry of the saved-games list
+ * @returns {void}
+ */
+function startSavedGameRename(item, entry) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'saved-game-rename';
+    input.value = entry.name;
+    input.maxLength = DOM.slotNameInput.maxLength;
+    input.setAttribute('aria-label', `New name for "${entry.name}"`);
+    item.querySelector('.saved-game-name').replaceWith(input);
+    input.focus();
+    input.select();
+    
+    let isDone = false;
+    const finish = isConfirmed => {
+        if (isDone) return;
+        isDone = true;
+        const name = input.value.trim();
+        if (isConfirmed && name && name !== entry.name) {
+            renameSavedGame(entry, name);
+        } else {
+            renderSavedGames();
+        }
+    };
+    input.addEventListener('keydown', event => {
+        if (event.key === 'Enter') {
+            finish(true);
+        } else if (event.key === KEYBOARD.ESCAPE) {
+            finish(false);
+        }
+    });
+    input.addEventListener('blur', () => finish(true));
+}
+
+/**
+ * Give a saved game a new name, which no other saved game may have
+ * 
+ * As in saveCurrentGame, the names in use are read from the store, not the
+ * list on show, which may be out of date.
+ * 
+ * @function renameSavedGame
+ * @param {Object} entry - Entry of the saved-games list
+ * @param {string} name - New name
+ * @returns {void}
+ */
+function renameSavedGame(entry, name) {
+    withSlotStore(store => store.list((listError, slots) => {
+        if (listError) {
+            showSavedGamesMessage(`The game could not be renamed: ${listError.message}`, true);
+            return;
+        }
+        
+        if (slots.some(slot => slot.id !== entry.id && slot.name === name)) {
+            showSavedGamesMessage(`Another saved game is already called "${name}"`, true);
+            renderSavedGames();
+            return;
+        }
+        
+        store.put({ ...entry.slot, name }, error => {
+            if (error) {
+                showSavedGamesMessage(`The game could not be renamed: ${error.message}`, true);
+                return;
             }
+            refreshSavedGames();
+            showSavedGamesMessage(`Renamed "${entry.name}" to "${name}"`);
+        });
+    }));
+}
+
+/**
+ * Delete a saved game
+ * 
+ * @function deleteSavedGame
+ * @param {Object} entry - Entry of the saved-games list
+ * @returns {void}
+ */
+function deleteSavedGame(entry) {
+    withSlotStore(store => store.remove(entry.id, error => {
+        if (error) {
+            showSavedGamesMessage(`The game could not be deleted: ${error.message}`, true);
+            return;
+        }
+        refreshSavedGames();
+        showSavedGamesMessage(`Deleted "${entry.name}"`);
+    }));
+}
+
+// =============================================================================
+// POST-GAME REVIEW
+// =============================================================================
+
+/** Shown review ({ entries }), or null */
+let gameReview = null;
+
+/** Whether the review analysis is running */
+let isReviewPending = false;
+
+/** Labels of the move classes (see reviewGame) */
+const MOVE_CLASS_LABELS = {
+    best: 'Best',
+    good: 'Good',
+    inaccuracy: 'Inaccuracy',
+    mistake: 'Mistake',
+    blunder: 'Blunder'
+};
+
+/** Move classes counted in the review summary, with their plural labels */
+const REVIEW_ERROR_CLASSES = {
+    inaccuracy: 'inaccuracies',
+    mistake: 'mistakes',
+    blunder: 'blunders'
+};
+
+/**
+ * Review the finished game
+ * 
+ * Runs reviewGame (reversi-ai.js) over the recorded moves in a search
+ * worker, showing progress in the status message, then opens the review
+ * panel. Only available once the game is over.
+ * 
+ * @function startReview
+ * @returns {void}
+ */
+function startReview() {
+    const { moves } = gameState.gameRecord;
+    if (!gameState.isGameOver || isReviewPending || gameReview) {
+        return;
+    }
+    
+    // Games saved before moves were recorded cannot be replayed
+    if (moves.length !== gameState.moveCounter) {
+        DOM.statusMessage.textContent = "This game's moves were not recorded, so it cannot be reviewed";
+        return;
+    }
+    
+    isReviewPending = true;
+    updateReviewButton();
+    DOM.statusMessage.textContent = 'Reviewing the game...';
+    
+    const { board, player } = gameState.gameRecord.start || { board: createInitialBoard(), player: BLACK };
+    const options = { level: 'review', moves, timeBudget: AI_CONSTANTS.REVIEW_TIME_PER_MOVE, profile: weightProfile };
+    analysisClient.search(board, player, options, {
+        onProgress: ({ reviewed, total }) => {
+            DOM.statusMessage.textContent = `Reviewing move ${reviewed} of ${total}...`;
+        },
+        onResult: result => showReview(result.moves),
+        onError: error => {
+            isReviewPending = false;
+            updateReviewButton();
+            DOM.statusMessage.textContent = `The review failed: ${error.message}`;
+        }
+    });
+}
+
+/**
+ * Open the review panel: a summary of each side's errors and one entry per
+ * move, which shows the position after that move when clicked
+ * @param {Array<Object>} entries - Reviewed moves from reviewGame
+ * @returns {void}
+ */
+function showReview(entries) {
+    isReviewPending = false;
+    gameReview = { entries };
+    
+    DOM.reviewSummary.textContent = [BLACK, WHITE].map(player => {
+        const counts = Object.entries(REVIEW_ERROR_CLASSES).map(([name, plural]) => {
+            const count = entries.filter(entry => entry.player === player && entry.classification === name).length;
+            return `${count} ${plural}`;
+        });
+        return `${getColorName(player)}: ${counts.join(', ')}`;
+    }).join('. ') + '.';
+    
+    DOM.reviewList.innerHTML = '';
+    entries.forEach((entry, index) => {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `review-move review-${entry.classification}`;
+        button.dataset.moveIndex = index;
+        
+        let text = `${entry.moveNumber}. ${getColorName(entry.player)} ${toNotation(...entry.move)}: ${MOVE_CLASS_LABELS[entry.classification]}`;
+        if (entry.classification in REVIEW_ERROR_CLASSES) {
+            text += ` (-${entry.loss.toFixed(1)}), better ${toNotation(...entry.bestMove)}`;
         }
+        button.textContent = text;
+        button.addEventListener('click', () => showReviewPosition(index));
+        
+        item.appendChild(button);
+        DOM.reviewList.appendChild(item);
+    });
+    
+    DOM.reviewSection.hidden = false;
+    updateReviewButton();
+    DOM.statusMessage.textContent = 'Review ready: choose a move to see its position';
+}
+
+/**
+ * Show the position after a reviewed move
+ * @param {number} index - Index of the move in the review
+ * @returns {void}
+ */
+function showReviewPosition(index) {
+    if (!gameReview) {
+        return;
     }
     
-    return validMoves;
+    // The review lists the recorded moves, so their positions are previewed like the move list's
+    previewMove(index);
+    
+    const entry = gameReview.entries[index];
+    DOM.statusMessage.textContent = `Move ${entry.moveNumber}: ${getColorName(entry.player)} played ${toNotation(...entry.move)}` +
+        (entry.move.join() === entry.bestMove.join() ? ', the best move' : `, best was ${toNotation(...entry.bestMove)}`);
+}
+
+/**
+ * Leave the review and show the final position again (also stops a review
+ * that is still running)
+ * @returns {void}
+ */
+function closeReview() {
+    if (isReviewPending) {
+        analysisClient.cancel();
+        isReviewPending = false;
+    }
+    if (gameReview) {
+        gameReview = null;
+        DOM.reviewList.innerHTML = '';
+        DOM.reviewSection.hidden = true;
+        endPreview();
+    }
+    updateStatusMessage();
+}
+
+/**
+ * Update the review button: enabled once the game is over, until a review is running or shown
+ * @returns {void}
+ */
+function updateReviewButton() {
+    DOM.reviewButton.disabled = !gameState.isGameOver || isReviewPending || gameReview !== null;
+}
+
+// =============================================================================
+// HINTS
+// =============================================================================
+
+/** Whether a hint search is in progress */
+let isHintPending = false;
+
+/**
+ * Connection used for hints. It is separate from searchClient, so asking
+ * for or cancelling a hint never cancels the computer's move search.
+ */
+const hintClient = ReversiWorker.createSearchClient();
+
+/** Text shown for each hint reason (see explainMove) */
+const HINT_REASONS = {
+    corner: () => 'it takes a corner',
+    stability: ({ stableGain }) => `it makes ${stableGain} more of your discs stable`,
+    mobility: ({ opponentMoves }) => opponentMoves === 0
+        ? 'it leaves the computer no moves'
+        : `it leaves the computer only ${opponentMoves} move${opponentMoves === 1 ? '' : 's'}`,
+    search: () => 'the hard AI rates it highest'
+};
+
+/**
+ * Number of hints the player may still ask for in this game
+ * @returns {number} Hints left (Infinity when hints are unlimited)
+ */
+function getHintsLeft() {
+    const limit = DOM.hintLimitSelector.value === 'unlimited' ? Infinity : Number(DOM.hintLimitSelector.value);
+    return Math.max(0, limit - gameState.gameRecord.hints.length);
 }
 
 /**
- * Execute a move and flip all captured opponent discs
+ * Ask the hard AI where the player should move
  * 
- * This function implements the core Reversi move mechanics:
- * 1. Places the player's disc at the specified position
- * 2. Identifies all opponent discs that should be flipped
- * 3. Flips those discs to the player's color
+ * Searches the player's position in the hint worker and then shows the
+ * move with showHint. Nothing happens when it is not the player's turn, a
+ * hint is already being searched or the game's hints are used up.
+ * 
+ * @function requestHint
+ * @returns {void}
+ */
+function requestHint() {
+    const { board, currentPlayer, playerDisc, isGameOver, isComputerThinking } = gameState;
+    if (currentPlayer !== playerDisc || isGameOver || isComputerThinking || isHintPending || getHintsLeft() === 0) {
+        return;
+    }
+    
+    const validMoves = getValidMoves(board, playerDisc);
+    if (validMoves.length === 0) {
+        return;
+    }
+    
+    isHintPending = true;
+    updateHintButton();
+    DOM.statusMessage.textContent = 'Looking for a hint...';
+    
+    const options = { level: 'hard', timeBudget: AI_CONSTANTS.HINT_TIME_BUDGET, moves: validMoves, profile: weightProfile };
+    hintClient.search(board, playerDisc, options, {
+        onResult: report => showHint(report.move),
+        // Without the search the positional strategy still gives a reasonable hint
+        onError: () => showHint(makeMediumMove(validMoves))
+    });
+}
+
+/**
+ * Highlight a hinted move, explain it and record it in the game record
+ * @param {Array<number>} move - Recommended move [row, col]
+ * @returns {void}
+ */
+function showHint(move) {
+    isHintPending = false;
+    
+    const explanation = explainMove(gameState.board, move, gameState.playerDisc);
+    gameState.hint = { move, ...explanation };
+    gameState.gameRecord.hints.push({
+        moveNumber: gameState.moveCounter + 1,
+        player: gameState.playerDisc,
+        move,
+        reason: explanation.reason
+    });
+    
+    renderBoard();
+    updateHintButton();
+    DOM.statusMessage.textContent = `Hint: play ${toNotation(move[0], move[1])}, ${HINT_REASONS[explanation.reason](explanation)}`;
+    saveGameState();
+}
+
+/**
+ * Stop a hint search in progress; it will not be shown or counted
+ * @returns {void}
+ */
+function cancelHint() {
+    if (isHintPending) {
+        hintClient.cancel();
+        isHintPending = false;
+        updateHintButton();
+    }
+}
+
+/**
+ * Update the hint button: enabled on the player's turn while hints are left,
+ * labelled with the number left
+ * @returns {void}
+ */
+function updateHintButton() {
+    const { currentPlayer, playerDisc, isGameOver, isComputerThinking } = gameState;
+    const hintsLeft = getHintsLeft();
+    
+    DOM.hintButton.textContent = hintsLeft === Infinity ? 'Hint' : `Hint (${hintsLeft} left)`;
+    DOM.hintButton.disabled = currentPlayer !== playerDisc || isGameOver || isComputerThinking ||
+        isHintPending || hintsLeft === 0;
+}
+
+// =============================================================================
+// MOVE HISTORY
+// =============================================================================
+
+/**
+ * Play a move on the game board and add it to the move history
  * 
- * The function checks all 8 directions from the placed disc and flips
- * any continuous lines of opponent discs that are bounded by another
- * disc of the player's color.
+ * Undone moves that were not redone are dropped: the game now takes
+ * another line.
  * 
- * @function makeMove
- * @param {Array<Array<number>>} board - 2D array representing the game board (modified in place)
- * @param {number} row - Target row index (0-7)
- * @param {number} col - Target column index (0-7)
- * @param {number} player - Player disc color (BLACK or WHITE)
+ * @function playRecordedMove
+ * @param {number} row - Row of the move
+ * @param {number} col - Column of the move
+ * @param {number} player - Side making the move
  * @returns {void}
  */
-function makeMove(board, row, col, player) {
-    // Place the player's disc at the target position
-    board[row][col] = player;
+function playRecordedMove(row, col, player) {
+    const flips = makeMove(gameState.board, row, col, player);
+    gameState.moveHistory.splice(gameState.historyIndex);
+    gameState.moveHistory.push({ player, move: [row, col], flips });
+    gameState.historyIndex++;
+    
+    gameState.lastFlips = flips;
+    gameState.lastMove = [row, col];
+    gameState.gameRecord.moves.push([row, col]);
+    gameState.moveCounter++;
+}
+
+/**
+ * Build the move history of a game by replaying its moves
+ * @param {Array<Array<number>>} moves - Legal moves [row, col], passes left out
+ * @param {Object} start - `{ board, player }` the moves start from (default: the initial position)
+ * @returns {Array<Object>} History entries { player, move, flips }
+ */
+function buildMoveHistory(moves, start) {
+    const board = cloneBoard(start.board || createInitialBoard());
+    let player = start.player ?? BLACK;
     
-    // Check all 8 directions and flip opponent discs
-    DIRECTIONS.forEach(([dx, dy]) => {
-        let x = row + dx;
-        let y = col + dy;
-        const discsToFlip = [];
-        
-        // Collect opponent discs in this direction that could be flipped
-        while (isInBounds(x, y) && board[x][y] !== EMPTY && board[x][y] !== player) {
-            discsToFlip.push([x, y]);
-            x += dx;
-            y += dy;
-        }
-        
-        // If we found our own disc at the end of the line, flip all collected discs
-        if (isInBounds(x, y) && board[x][y] === player && discsToFlip.length > 0) {
-            discsToFlip.forEach(([flipX, flipY]) => {
-                board[flipX][flipY] = player;
-            });
+    return moves.map(([row, col]) => {
+        if (!hasValidMoves(board, player)) {
+            player = getOpponent(player);
         }
+        const entry = { player, move: [row, col], flips: makeMove(board, row, col, player) };
+        player = getOpponent(player);
+        return entry;
     });
 }
 
+/**
+ * Whether a move of the player's can be undone
+ * @returns {boolean} True if one of the moves on the board is the player's
+ */
+function canUndo() {
+    const { moveHistory, historyIndex, playerDisc } = gameState;
+    return moveHistory.slice(0, historyIndex).some(entry => entry.player === playerDisc);
+}
+
+/**
+ * Whether undone moves can be redone
+ * @returns {boolean} True if the history goes on past the board's position
+ */
+function canRedo() {
+    return gameState.historyIndex < gameState.moveHistory.length;
+}
+
+/**
+ * Take the last move on the board back
+ * @returns {Object} The history entry taken back
+ */
+function stepBack() {
+    const entry = gameState.moveHistory[--gameState.historyIndex];
+    undoMove(gameState.board, entry.move, entry.flips);
+    gameState.gameRecord.moves.pop();
+    gameState.moveCounter--;
+    return entry;
+}
+
+/**
+ * Play the next undone move again
+ * @returns {void}
+ */
+function stepForward() {
+    const { player, move, flips } = gameState.moveHistory[gameState.historyIndex++];
+    makeMove(gameState.board, move[0], move[1], player);
+    gameState.gameRecord.moves.push([...move]);
+    gameState.moveCounter++;
+    gameState.lastFlips = flips;
+}
+
+/**
+ * Take moves back up to and including the player's last one, so the player
+ * is to move (passes included)
+ * @returns {void}
+ */
+function stepBackToPlayerTurn() {
+    let entry;
+    do {
+        entry = stepBack();
+    } while (entry.player !== gameState.playerDisc);
+}
+
+/**
+ * Redo the player's next move and the computer's replies, up to the
+ * player's next turn or the end of the history
+ * @returns {void}
+ */
+function stepForwardToPlayerTurn() {
+    do {
+        stepForward();
+    } while (canRedo() && gameState.moveHistory[gameState.historyIndex].player !== gameState.playerDisc);
+}
+
+/**
+ * Stop everything tied to the current position before moving through the history
+ * @returns {void}
+ */
+function leaveHistoryPosition() {
+    // Undoing while the computer thinks takes back the move it is replying to
+    cancelComputerMove();
+    cancelHint();
+    closeReview();
+    endPreview();
+    gameState.lastFlips = [];
+    gameState.hint = null;
+}
+
+/**
+ * Show the position reached in the history and carry on from it: the side
+ * to move follows from the last move, and the computer moves if it is its turn
+ * @returns {void}
+ */
+function showHistoryPosition() {
+    const { board, moveHistory, historyIndex, gameRecord } = gameState;
+    const lastEntry = historyIndex > 0 ? moveHistory[historyIndex - 1] : null;
+    
+    // Before any move, the side to move at the start plays first unless it has to pass
+    const startPlayer = gameRecord.start ? gameRecord.start.player : BLACK;
+    const player = lastEntry ? getNextPlayer(board, lastEntry.player) : getNextPlayer(board, getOpponent(startPlayer));
+    
+    gameState.currentPlayer = player ?? gameState.playerDisc;
+    gameState.isGameOver = player === null;
+    gameState.lastMove = lastEntry ? [...lastEntry.move] : null;
+    gameState.hint = null;
+    
+    renderBoard();
+    updateScores();
+    updateMoveCounter();
+    updateHistoryButtons();
+    updateStatusMessage();
+    saveGameState();
+    updateEvaluation();
+    
+    if (!gameState.isGameOver && gameState.currentPlayer === gameState.computerDisc) {
+        scheduleComputerMove();
+    }
+}
+
+/**
+ * Undo the player's last move together with the computer's replies
+ * 
+ * @function undoLastMove
+ * @returns {void}
+ */
+function undoLastMove() {
+    if (!canUndo()) {
+        return;
+    }
+    leaveHistoryPosition();
+    stepBackToPlayerTurn();
+    showHistoryPosition();
+}
+
+/**
+ * Redo the player's next undone move together with the computer's replies
+ * 
+ * @function redoMove
+ * @returns {void}
+ */
+function redoMove() {
+    if (!canRedo()) {
+        return;
+    }
+    leaveHistoryPosition();
+    stepForwardToPlayerTurn();
+    showHistoryPosition();
+}
+
+/**
+ * Undo every move back to the player's first turn
+ * 
+ * @function goToHistoryStart
+ * @returns {void}
+ */
+function goToHistoryStart() {
+    if (!canUndo()) {
+        return;
+    }
+    leaveHistoryPosition();
+    while (canUndo()) {
+        stepBackToPlayerTurn();
+    }
+    showHistoryPosition();
+}
+
+/**
+ * Redo every undone move
+ * 
+ * @function goToHistoryEnd
+ * @returns {void}
+ */
+function goToHistoryEnd() {
+    if (!canRedo()) {
+        return;
+    }
+    leaveHistoryPosition();
+    while (canRedo()) {
+        stepForward();
+    }
+    showHistoryPosition();
+}
+
+/**
+ * Update the undo, redo, start and end buttons
+ * @returns {void}
+ */
+function updateHistoryButtons() {
+    const backDisabled = !canUndo();
+    const forwardDisabled = !canRedo() || gameState.isComputerThinking;
+    DOM.undoButton.disabled = backDisabled;
+    DOM.historyStartButton.disabled = backDisabled;
+    DOM.redoButton.disabled = forwardDisabled;
+    DOM.historyEndButton.disabled = forwardDisabled;
+}
+
 // =============================================================================
 // UI UPDATE FUNCTIONS
 // =============================================================================
@@ -1049,6 +2306,10 @@ function updateScores() {
 function updateStatusMessage() {
     const { isGameOver, isComputerThinking, currentPlayer, playerDisc } = gameState;
     
+    // Whether a hint or a review can be asked for changes with the same turn state
+    updateHintButton();
+    updateReviewButton();
+    
     // Remove any existing status classes
     DOM.statusMessage.classList.remove('thinking');
     
@@ -1094,7 +2355,7 @@ function checkGameState() {
         // Player has no valid moves, switch to computer
         gameState.currentPlayer = computerDisc;
         updateStatusMessage();
-        setTimeout(makeComputerMove, AI_CONSTANTS.THINKING_DELAY);
+        scheduleComputerMove();
     } else if (gameState.currentPlayer === computerDisc && computerMoves.length === 0) {
         // Computer has no valid moves, switch to player
         gameState.currentPlayer = playerDisc;
@@ -1106,9 +2367,14 @@ function checkGameState() {
  * Restart the game
  */
 function restartGame() {
+    cancelComputerMove();
+    cancelHint();
+    closeReview();
+    endPreview();
     initializeBoard();
     renderBoard();
     updateScores();
+    updateEvaluation();
 }
 
 /**
@@ -1116,102 +2382,221 @@ function restartGame() {
  */
 function updateMoveCounter() {
     DOM.moveCounter.textContent = gameState.moveCounter;
+    updateMoveList();
 }
 
 /**
- * Update the undo button state
- */
-function updateUndoButton() {
-    DOM.undoButton.disabled = gameState.moveHistory.length === 0 || gameState.isComputerThinking;
-}
-
-/**
- * Save current game state to history for undo functionality
+ * Capture the whole session in the format of reversi-save.js
+ * 
+ * That is the position and whose turn it is, whether the game is over, the
+ * move history with any undone moves (as moves; the flips are worked out
+ * again on loading) and the level and hint settings.
+ * 
+ * @function createGameSave
+ * @returns {Object} Save at ReversiSave.SAVE_VERSION
  */
-function saveToHistory() {
-    const state = {
-        board: gameState.board.map(row => [...row]),
+function createGameSave() {
+    const { moves } = gameState.gameRecord;
+    const isRecorded = moves.length === gameState.moveCounter;
+    return {
+        version: ReversiSave.SAVE_VERSION,
+        board: gameState.board,
         currentPlayer: gameState.currentPlayer,
+        isGameOver: gameState.isGameOver,
+        moveCounter: gameState.moveCounter,
         lastMove: gameState.lastMove,
-        moveCounter: gameState.moveCounter
+        playerDisc: gameState.playerDisc,
+        computerDisc: gameState.computerDisc,
+        gameRecord: gameState.gameRecord,
+        // A game whose moves were not recorded cannot be replayed, so its history is not kept
+        history: isRecorded ? gameState.moveHistory.map(entry => entry.move) : [],
+        historyIndex: isRecorded ? gameState.historyIndex : 0,
+        settings: {
+            difficulty: DOM.difficultySelector.value,
+            hintLimit: DOM.hintLimitSelector.value
+        }
     };
-    gameState.moveHistory.push(state);
-    
-    // Limit history to last 10 moves to prevent memory issues
-    if (gameState.moveHistory.length > 10) {
-        gameState.moveHistory.shift();
-    }
 }
 
 /**
- * Undo the last move
+ * Save game state to localStorage
+ * 
+ * Nothing is saved while a linked game has no move of the player's yet
+ * (see isLinkedGameUnsaved).
  */
-function undoLastMove() {
-    if (gameState.moveHistory.length === 0 || gameState.isComputerThinking || gameState.isGameOver) {
+function saveGameState() {
+    if (isLinkedGameUnsaved) {
         return;
     }
-    
-    // Restore the last saved state
-    const lastState = gameState.moveHistory.pop();
-    gameState.board = lastState.board;
-    gameState.currentPlayer = lastState.currentPlayer;
-    gameState.lastMove = lastState.lastMove;
-    gameState.moveCounter = lastState.moveCounter;
-    
-    // Update UI
-    renderBoard();
-    updateScores();
-    updateMoveCounter();
-    updateUndoButton();
-    updateStatusMessage();
-    saveGameState();
+    try {
+        localStorage.setItem(STORAGE_KEYS.GAME, JSON.stringify(createGameSave()));
+    } catch (e) {
+        // Ignore localStorage errors
+    }
 }
 
 /**
- * Save game state to localStorage
+ * Load game state from localStorage
+ * 
+ * Saves from older versions are migrated, and every save is validated
+ * before use (see ReversiSave.readSave). One that fails is quarantined.
+ * 
+ * @returns {boolean} Whether a game was loaded
  */
-function saveGameState() {
+function loadGameState() {
+    let saved;
     try {
-        const state = {
-            board: gameState.board,
-            currentPlayer: gameState.currentPlayer,
-            moveCounter: gameState.moveCounter,
-            lastMove: gameState.lastMove,
-            playerDisc: gameState.playerDisc,
-            computerDisc: gameState.computerDisc
-        };
-        localStorage.setItem('reversiGameState', JSON.stringify(state));
+        saved = localStorage.getItem(STORAGE_KEYS.GAME);
     } catch (e) {
         // Ignore localStorage errors
     }
+    if (!saved) {
+        return false;
+    }
+    
+    let state;
+    try {
+        state = ReversiSave.readSave(saved);
+    } catch (error) {
+        quarantineSave(saved, error);
+        return false;
+    }
+    
+    applyGameSave(state);
+    return true;
 }
 
 /**
- * Load game state from localStorage
+ * Put a saved session in place of the game state and settings
+ * 
+ * @function applyGameSave
+ * @param {Object} state - Valid save at ReversiSave.SAVE_VERSION
+ * @returns {void}
  */
-function loadGameState() {
+function applyGameSave(state) {
+    const { gameRecord } = state;
+    isLinkedGameUnsaved = false;
+    gameState.board = state.board;
+    gameState.currentPlayer = state.currentPlayer;
+    gameState.isGameOver = state.isGameOver;
+    gameState.moveCounter = state.moveCounter;
+    gameState.lastMove = state.lastMove;
+    gameState.playerDisc = state.playerDisc;
+    gameState.computerDisc = state.computerDisc;
+    gameState.gameRecord = gameRecord;
+    gameState.moveHistory = buildMoveHistory(state.history, gameRecord.start || {});
+    gameState.historyIndex = state.historyIndex;
+    gameState.isComputerThinking = false;
+    gameState.lastFlips = [];
+    gameState.hint = null;
+    
+    restoreSelection(DOM.difficultySelector, state.settings.difficulty);
+    restoreSelection(DOM.hintLimitSelector, state.settings.hintLimit);
+}
+
+/**
+ * Set aside a save that cannot be used, so that it is neither loaded again
+ * nor overwritten, and tell the player
+ * @param {string} saved - The save as stored
+ * @param {Error} error - Why it cannot be used
+ * @returns {void}
+ */
+function quarantineSave(saved, error) {
     try {
-        const saved = localStorage.getItem('reversiGameState');
-        if (saved) {
-            const state = JSON.parse(saved);
-            gameState.board = state.board;
-            gameState.currentPlayer = state.currentPlayer;
-            gameState.moveCounter = state.moveCounter || 0;
-            gameState.lastMove = state.lastMove;
-            gameState.playerDisc = state.playerDisc || BLACK;
-            gameState.computerDisc = state.computerDisc || WHITE;
-            return true;
+        let quarantined;
+        try {
+            quarantined = JSON.parse(localStorage.getItem(STORAGE_KEYS.QUARANTINE));
+        } catch (parseError) {
+            // An unreadable quarantine is started afresh
+        }
+        if (!Array.isArray(quarantined)) {
+            quarantined = [];
         }
+        quarantined.push({ date: new Date().toISOString(), reason: error.message, save: saved });
+        localStorage.setItem(STORAGE_KEYS.QUARANTINE, JSON.stringify(quarantined.slice(-QUARANTINE_LIMIT)));
+        localStorage.removeItem(STORAGE_KEYS.GAME);
     } catch (e) {
         // Ignore localStorage errors
     }
-    return false;
+    
+    showNotice(`Your saved game could not be loaded (${error.message}), so a new game was started. ` +
+        `The old save was kept under "${STORAGE_KEYS.QUARANTINE}" in this site's storage.`);
+}
+
+/**
+ * Tell the player about a problem in the notice under the status message,
+ * which stays until it is dismissed
+ * @param {string} message - Text to show
+ * @returns {void}
+ */
+function showNotice(message) {
+    DOM.saveNoticeText.textContent = message;
+    DOM.saveNotice.hidden = false;
+}
+
+/**
+ * Select a saved option again, if the selector still offers it
+ * @param {HTMLSelectElement} selector - Selector to set
+ * @param {string} [value] - Saved option value
+ * @returns {void}
+ */
+function restoreSelection(selector, value) {
+    if (Array.from(selector.options).some(option => option.value === value)) {
+        selector.value = value;
+    }
+}
+
+/**
+ * History action of a key press: Ctrl+U undo, Ctrl+Y redo, Home and End
+ * to the start and end (not while typing in a text box)
+ * @param {KeyboardEvent} event - Key press
+ * @returns {Function|null} The action, or null if the key is not a history shortcut
+ */
+function getHistoryShortcut(event) {
+    const key = event.key.toLowerCase();
+    const withControl = event.ctrlKey || event.metaKey;
+    const isTyping = isTypingEvent(event);
+    
+    if (withControl && key === 'u') return undoLastMove;
+    if (withControl && key === 'y') return redoMove;
+    if (!withControl && !isTyping && event.key === KEYBOARD.HOME) return goToHistoryStart;
+    if (!withControl && !isTyping && event.key === KEYBOARD.END) return goToHistoryEnd;
+    return null;
+}
+
+/**
+ * Whether a key press is typing into a form field, such as a game's name
+ * @param {KeyboardEvent} event - Key press
+ * @returns {boolean} True if the key belongs to the field, not the board
+ */
+function isTypingEvent(event) {
+    return Boolean(event.target && event.target.closest && event.target.closest('input, textarea, select'));
 }
 
 /**
  * Handle keyboard input for accessibility
  */
 function handleKeyboardInput(event) {
+    // Escape leaves a previewed position at any time
+    if (event.key === KEYBOARD.ESCAPE && movePreview) {
+        endPreview();
+        event.preventDefault();
+        return;
+    }
+    
+    // The history can be moved through whoever's turn it is
+    const historyAction = getHistoryShortcut(event);
+    if (historyAction) {
+        historyAction();
+        event.preventDefault();
+        return;
+    }
+    
+    // Spaces and arrows typed into a field stay there
+    if (isTypingEvent(event)) {
+        return;
+    }
+    
     // Only handle keyboard input when it's the player's turn
     if (gameState.currentPlayer !== gameState.playerDisc || gameState.isGameOver || gameState.isComputerThinking) {
         return;
@@ -1260,13 +2645,6 @@ function handleKeyboardInput(event) {
             handleCellClick(currentRow, currentCol);
             event.preventDefault();
             break;
-        case 'u':
-        case 'U':
-            if (event.ctrlKey || event.metaKey) {
-                undoLastMove();
-                event.preventDefault();
-            }
-            break;
         case 'r':
         case 'R':
             if (event.ctrlKey || event.metaKey) {
@@ -1274,6 +2652,13 @@ function handleKeyboardInput(event) {
                 event.preventDefault();
             }
             break;
+        case 'h':
+        case 'H':
+            if (!event.ctrlKey && !event.metaKey && !event.altKey) {
+                requestHint();
+                event.preventDefault();
+            }
+            break;
         default:
             return;
     }
@@ -1,6 +1,7 @@
 const { JSDOM } = require('jsdom');
 const fs = require('fs');
 const path = require('path');
+const vm = require('vm');
 
 // Set up JSDOM environment
 const dom = new JSDOM(`
@@ -23,7 +24,16 @@ const dom = new JSDOM(`
                 </div>
             </div>
             
+            <div class="evaluation" id="evaluation" hidden>
+                <div class="eval-bar" id="eval-bar"><div class="eval-bar-fill" id="eval-bar-fill"></div></div>
+                <span class="eval-text" id="eval-text"></span>
+            </div>
+            
             <div class="status-message" id="status-message" aria-live="polite">Your turn</div>
+            <div id="save-notice" hidden>
+                <p id="save-notice-text"></p>
+                <button id="save-notice-close-button">Dismiss</button>
+            </div>
         </section>
         
         <section class="game-board" id="game-board" aria-label="Reversi game board">
@@ -37,11 +47,45 @@ const dom = new JSDOM(`
                     <option value="easy">Easy</option>
                     <option value="medium" selected>Medium</option>
                     <option value="hard">Hard</option>
+                    <option value="expert">Expert</option>
+                </select>
+            </div>
+            <div class="difficulty-selector">
+                <label for="hint-limit">Hints per Game:</label>
+                <select id="hint-limit">
+                    <option value="0">None</option>
+                    <option value="1">1</option>
+                    <option value="3" selected>3</option>
+                    <option value="5">5</option>
+                    <option value="unlimited">Unlimited</option>
                 </select>
             </div>
             
             <button id="restart-button" aria-label="Restart the game">Restart Game</button>
+            <button id="hint-button" aria-label="Suggest a move">Hint</button>
+            <input type="checkbox" id="eval-toggle">
+            <ol id="move-list"></ol>
+            <textarea id="transcript-input"></textarea>
+            <button id="transcript-import-button">Load Game</button>
+            <button id="transcript-export-button">Export Game</button>
+            <button id="copy-link-button">Copy Link</button>
+            <p id="transcript-message"></p>
+            <details id="saved-games-panel">
+                <input type="text" id="slot-name-input" maxlength="40">
+                <button id="save-slot-button">Save Game</button>
+                <p id="saved-games-message"></p>
+                <ul id="saved-games-list"></ul>
+            </details>
+            <button id="review-button" disabled>Review Game</button>
+            <section id="review-section" hidden>
+                <p id="review-summary"></p>
+                <ol id="review-list"></ol>
+                <button id="review-close-button">Back to Final Position</button>
+            </section>
             <button id="undo-button" aria-label="Undo last move">Undo</button>
+            <button id="redo-button">Redo Move</button>
+            <button id="history-start-button">Go to Start</button>
+            <button id="history-end-button">Go to End</button>
             <button id="help-button" aria-label="Show help">Help</button>
         </section>
         
@@ -60,21 +104,29 @@ const dom = new JSDOM(`
             <h3>How to Play</h3>
             <p>Help content here...</p>
         </div>
-        
-        <div id="test-game-board" style="display: none;">
-            <!-- Test board for UI tests -->
-        </div>
+    </div>
+    
+    <div id="test-game-board" style="display: none;">
+        <!-- Test board for UI tests -->
     </div>
     
     <div id="test-results"></div>
 </body>
 </html>
-`, { runScripts: "dangerously", resources: "usable" });
+`, {
+    runScripts: "dangerously",
+    resources: "usable",
+    // A page address, so that links can be put into and cleared from the hash
+    url: 'http://localhost/index.html'
+});
 
-global.window = dom.window;
+// As in a browser, `window` is the global object, so tests that replace
+// window.setTimeout also replace the timer the game code calls
+global.window = global;
 global.document = dom.window.document;
-global.setTimeout = dom.window.setTimeout;
-global.clearTimeout = dom.window.clearTimeout;
+global.location = dom.window.location;
+global.history = dom.window.history;
+global.addEventListener = dom.window.addEventListener.bind(dom.window);
 
 // Create test game board cells for UI tests
 const testGameBoard = document.getElementById('test-game-board');
@@ -86,17 +138,36 @@ for (let i = 0; i < 64; i++) {
     testGameBoard.appendChild(cell);
 }
 
-// Load and execute the main game file
+// Load the DOM-free engine modules (bitboards, rules, search cache, endgame
+// solver, opening book, AI search, search worker, game records, saved games,
+// saved-game slots) as regular Node modules and expose them the same way they
+// publish themselves when loaded with <script> tags. Node has no Web Workers, so the search client runs
+// searches synchronously.
+global.ReversiBitboard = require('./reversi-bitboard.js');
+global.ReversiEngine = require('./reversi-engine.js');
+global.ReversiTT = require('./reversi-tt.js');
+global.ReversiEndgame = require('./reversi-endgame.js');
+global.ReversiBook = require('./reversi-book.js');
+global.ReversiAI = require('./reversi-ai.js');
+global.ReversiMCTS = require('./reversi-mcts.js');
+global.ReversiWorker = require('./reversi-worker.js');
+global.ReversiRecords = require('./reversi-records.js');
+global.ReversiSave = require('./reversi-save.js');
+global.ReversiSlots = require('./reversi-slots.js');
+Object.assign(global, global.ReversiEngine, global.ReversiAI);
+
+// Load and execute the main game file. Scripts run in the global context
+// (like <script> tags) so their top-level declarations are shared.
 const gameCode = fs.readFileSync(path.join(__dirname, 'reversi.js'), 'utf8');
 
 // Prevent the normal DOMContentLoaded event from firing
 let evalCode = gameCode.replace('document.addEventListener(\'DOMContentLoaded\', initGame);', '// Removed for testing');
 
-eval(evalCode);
+vm.runInThisContext(evalCode, { filename: 'reversi.js' });
 
 // Load test framework
 const testFrameworkCode = fs.readFileSync(path.join(__dirname, 'tests/test-framework.js'), 'utf8');
-eval(testFrameworkCode);
+vm.runInThisContext(testFrameworkCode, { filename: 'test-framework.js' });
 
 // Override test framework to work in console
 TestFramework.runTests = function() {
@@ -165,13 +236,37 @@ function initTestEnvironment() {
     gameState.computerDisc = WHITE;
     gameState.isComputerThinking = false;
     gameState.moveHistory = [];
+    gameState.historyIndex = 0;
     gameState.moveCounter = 0;
     gameState.lastMove = null;
+    gameState.lastFlips = [];
+    gameState.hint = null;
+    gameState.gameRecord = { moves: [], hints: [], start: null };
+    movePreview = null;
+    slotStore = null;
+    savedGames = [];
+    isLinkedGameUnsaved = false;
+
+    // Start every test with an empty search cache
+    transpositionTable.clear();
 }
 
+// Test files call initTestEnvironment from their own script context
+global.initTestEnvironment = initTestEnvironment;
+
 // Load test files
 const testFiles = [
     'test-board.js',
+    'test-engine.js',
+    'test-bitboard.js',
+    'test-tt.js',
+    'test-endgame.js',
+    'test-book.js',
+    'test-mcts.js',
+    'test-worker.js',
+    'test-records.js',
+    'test-save.js',
+    'test-slots.js',
     'test-moves.js',
     'test-ai.js',
     'test-game-state.js',
@@ -183,7 +278,7 @@ const testFiles = [
 testFiles.forEach(file => {
     try {
         const testCode = fs.readFileSync(path.join(__dirname, 'tests', file), 'utf8');
-        eval(testCode);
+        vm.runInThisContext(testCode, { filename: file });
     } catch (error) {
         console.log(`Error loading test file ${file}:`, error.message);
     }
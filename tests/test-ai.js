@@ -167,4 +167,369 @@ TestFramework.addTest(aiSuite, 'Different AI levels should make different decisi
         // Restore the original board
         gameState.board = originalBoard;
     }
-});
\ No newline at end of file
+});
+// Test that the search leaves the real board untouched
+TestFramework.addTest(aiSuite, 'makeHardMove should not modify the game board', function() {
+    // Reach a position with several candidate moves for WHITE
+    makeMove(gameState.board, 2, 3, BLACK);
+    makeMove(gameState.board, 2, 2, WHITE);
+    makeMove(gameState.board, 3, 2, BLACK);
+    
+    const boardBefore = cloneBoard(gameState.board);
+    const validMoves = getValidMoves(gameState.board, WHITE);
+    const move = makeHardMove(validMoves);
+    
+    assertTrue(validMoves.some(([row, col]) => row === move[0] && col === move[1]), 'Hard AI should return a valid move');
+    assertBoardEqual(gameState.board, boardBefore, 'Searching should leave the board exactly as it was');
+});
+
+// Test iterative deepening reports
+TestFramework.addTest(aiSuite, 'searchBestMove should report the depth and nodes of the deepest finished iteration', function() {
+    makeMove(gameState.board, 2, 3, BLACK);
+    const validMoves = getValidMoves(gameState.board, WHITE);
+    
+    const result = searchBestMove(gameState.board, WHITE, { maxDepth: 3, timeBudget: Infinity });
+    
+    assertEqual(result.depth, 3, 'An unlimited budget should reach the maximum depth');
+    assertTrue(result.nodes > 0, 'The node count should be reported');
+    assertTrue(typeof result.score === 'number', 'The score of the chosen move should be reported');
+    assertTrue(validMoves.some(([row, col]) => row === result.move[0] && col === result.move[1]),
+        'The reported move should be a valid move');
+    
+    // A deeper search visits more nodes
+    const deeper = searchBestMove(gameState.board, WHITE, { maxDepth: 5, timeBudget: Infinity });
+    assertEqual(deeper.depth, 5, 'The deeper search should finish depth 5');
+    assertTrue(deeper.nodes > result.nodes, 'A deeper search should visit more nodes');
+});
+
+// Test move ordering against generation order at a fixed depth
+TestFramework.addTest(aiSuite, 'Move ordering should search fewer nodes for the same result', function() {
+    for (const seed of [3, 4]) {
+        const { board, player } = playRandomGameTo(36, seed);
+        const search = moveOrdering => {
+            transpositionTable.clear();
+            return searchBestMove(board, player, { maxDepth: 4, timeBudget: Infinity, moveOrdering });
+        };
+        
+        const ordered = search(true);
+        const unordered = search(false);
+        
+        assertEqual(ordered.score, unordered.score, `Ordering should not change the score (seed ${seed})`);
+        assertTrue(ordered.nodes < unordered.nodes,
+            `Ordering should search fewer nodes (seed ${seed}: ${ordered.nodes} vs ${unordered.nodes})`);
+        assertTrue(ordered.cutoffs > 0 && ordered.firstMoveCutoffs <= ordered.cutoffs, 'Cutoff counts should be reported');
+        assertTrue(ordered.firstMoveCutoffs / ordered.cutoffs > unordered.firstMoveCutoffs / unordered.cutoffs,
+            'More cutoffs should come from the first move tried');
+    }
+});
+
+// Test the position analysis API
+TestFramework.addTest(aiSuite, 'analyzePosition should score every legal move with a principal variation', function() {
+    makeMove(gameState.board, 2, 3, BLACK);
+    makeMove(gameState.board, 2, 2, WHITE);
+    const boardBefore = cloneBoard(gameState.board);
+    const validMoves = getValidMoves(gameState.board, BLACK);
+    
+    transpositionTable.clear();
+    const analysis = analyzePosition(gameState.board, BLACK, { maxDepth: 4, timeBudget: Infinity });
+    
+    assertEqual(analysis.depth, 4, 'The analysis should reach the maximum depth');
+    assertEqual(analysis.moves.length, validMoves.length, 'Every legal move should be scored');
+    assertTrue(analysis.moves.every((entry, i) => i === 0 || entry.score <= analysis.moves[i - 1].score), 'Moves should be sorted best first');
+    assertBoardEqual(gameState.board, boardBefore, 'Analysing should leave the board exactly as it was');
+    
+    for (const { move, depth, pv } of analysis.moves) {
+        assertEqual(depth, 4, 'Each move should report its search depth');
+        assertDeepEqual(pv[0], move, 'The principal variation should start with the move');
+        assertTrue(pv.length > 1 && pv.length <= 4, 'The principal variation should continue up to the search depth');
+        
+        // The line must be playable
+        const board = cloneBoard(gameState.board);
+        let player = BLACK;
+        for (const pvMove of pv) {
+            if (pvMove === null) {
+                assertFalse(hasValidMoves(board, player), 'A pass should only appear when there is no move');
+            } else {
+                assertTrue(isValidMove(board, pvMove[0], pvMove[1], player), 'Every principal variation move should be legal');
+                makeMove(board, pvMove[0], pvMove[1], player);
+            }
+            player = getOpponent(player);
+        }
+    }
+    
+    // The best move and score agree with the move search at the same depth
+    transpositionTable.clear();
+    const best = searchBestMove(gameState.board, BLACK, { maxDepth: 4, timeBudget: Infinity });
+    assertEqual(analysis.moves[0].score, best.score, 'The best score should match searchBestMove');
+    
+    // Through the worker protocol and the page
+    const replies = [];
+    ReversiWorker.createMessageHandler(message => replies.push(message))({ type: ReversiWorker.MESSAGE.SEARCH, id: 1,
+        board: gameState.board, player: BLACK, options: { level: 'analyze', maxDepth: 2, timeBudget: Infinity } });
+    assertEqual(replies[replies.length - 1].moves.length, validMoves.length, 'The worker should send the analysis');
+    
+    let received = null;
+    requestAnalysis({ maxDepth: 2, timeBudget: Infinity }, { onResult: result => { received = result; } });
+    assertEqual(received.moves.length, validMoves.length, 'requestAnalysis should analyse the current position');
+});
+
+// Test the reasons given for moves
+TestFramework.addTest(aiSuite, 'explainMove should name corners, new stable discs and lost opponent mobility', function() {
+    assertEqual(explainMove(gameState.board, [2, 3], BLACK).reason, 'mobility', 'd3 leaves white fewer replies than it has now');
+    assertEqual(explainMove(gameState.board, [2, 3], BLACK).opponentMoves, 3, 'White should have 3 replies');
+    
+    const board = Array.from({ length: BOARD_SIZE }, () => Array(BOARD_SIZE).fill(EMPTY));
+    board[0][0] = BLACK;
+    board[0][1] = WHITE;
+    board[0][6] = WHITE;
+    board[0][5] = BLACK;
+    
+    const edge = explainMove(board, [0, 2], BLACK);
+    assertEqual(edge.reason, 'stability', 'Extending a corner along the edge should make discs stable');
+    assertEqual(edge.stableGain, 2, 'The flipped disc and the new disc should become stable');
+    assertEqual(explainMove(board, [0, 7], BLACK).reason, 'corner', 'A corner should be named first');
+    assertEqual(board[0][1], WHITE, 'The board should be left unchanged');
+});
+
+// Test the outcome estimate behind the evaluation bar
+TestFramework.addTest(aiSuite, 'estimateOutcome should give a margin and win probability, exact near the end', function() {
+    const opening = estimateOutcome(gameState.board, BLACK, { maxDepth: 2, timeBudget: Infinity });
+    assertFalse(opening.exact, 'The opening cannot be solved');
+    assertTrue(Math.abs(opening.margin) < 10, 'The opening should be close to even');
+    assertTrue(opening.winProbability > 0.2 && opening.winProbability < 0.8, 'Neither side should be a clear favourite');
+    
+    const endgame = playRandomGameTo(10, 5);
+    const outcome = estimateOutcome(endgame.board, endgame.player);
+    assertTrue(outcome.exact, 'Small endgames should be solved');
+    assertEqual(outcome.margin, ReversiEndgame.solveEndgame(endgame.board, endgame.player).score, 'The margin should be the solved score');
+    assertEqual(outcome.winProbability, (Math.sign(outcome.margin) + 1) / 2, 'A solved position is certain');
+    
+    // Black has no move here and passes to white
+    const pass = Array.from({ length: BOARD_SIZE }, () => Array(BOARD_SIZE).fill(EMPTY));
+    pass[0][0] = WHITE;
+    pass[0][1] = BLACK;
+    const passed = estimateOutcome(pass, BLACK, { maxDepth: 2, timeBudget: Infinity });
+    const whiteToMove = estimateOutcome(pass, WHITE, { maxDepth: 2, timeBudget: Infinity });
+    assertEqual(passed.margin, -whiteToMove.margin, 'A side that must pass should be evaluated from the opponent\'s turn');
+    
+    const full = Array.from({ length: BOARD_SIZE }, (_, row) => Array(BOARD_SIZE).fill(row < 5 ? BLACK : WHITE));
+    assertDeepEqual(estimateOutcome(full, WHITE), { margin: -16, winProbability: 0, exact: true, depth: 0 },
+        'A finished game should be scored from the discs');
+});
+
+// Test that the evaluation bar stays inside its budget near the end
+TestFramework.addTest(aiSuite, 'estimateOutcome should search instead when the endgame solve runs out of time', function() {
+    const { board, player } = playRandomGameTo(24, 7);
+    const outcome = estimateOutcome(board, player, { endgameEmpties: 24, timeBudget: 0 });
+    
+    assertFalse(outcome.exact, 'The solve cannot finish in no time');
+    assertTrue(outcome.depth >= 1, 'The search should still report a completed iteration');
+});
+
+// Test the post-game review
+TestFramework.addTest(aiSuite, 'reviewGame should measure each move against the best one and infer passes', function() {
+    // Finish an endgame with the worst move every time, so the losses can be checked against the solver
+    const start = playRandomGameTo(8, 3);
+    const board = cloneBoard(start.board);
+    const moves = [];
+    const solvedLosses = [];
+    let player = start.player;
+    while (player !== null) {
+        const scores = getValidMoves(board, player).map(move => {
+            const next = cloneBoard(board);
+            makeMove(next, move[0], move[1], player);
+            const nextPlayer = getNextPlayer(next, player);
+            const score = nextPlayer === null ? countDiscs(next)[player === BLACK ? 'black' : 'white'] - countDiscs(next)[player === BLACK ? 'white' : 'black']
+                : ReversiEndgame.solveEndgame(next, nextPlayer).score * (nextPlayer === player ? 1 : -1);
+            return { move, score };
+        }).sort((a, b) => a.score - b.score);
+        moves.push(scores[0].move);
+        solvedLosses.push(scores[scores.length - 1].score - scores[0].score);
+        makeMove(board, scores[0].move[0], scores[0].move[1], player);
+        player = getNextPlayer(board, player);
+    }
+    
+    const progress = [];
+    const review = reviewGame(start.board, start.player, {
+        moves, maxDepth: 12, timeBudget: Infinity, onProgress: report => progress.push(report.reviewed)
+    });
+    assertEqual(review.moves.length, moves.length, 'Every move should be reviewed');
+    assertDeepEqual(progress, moves.map((move, index) => index + 1), 'Progress should be reported after each move');
+    review.moves.forEach((entry, index) => {
+        assertEqual(entry.loss, solvedLosses[index], `Move ${index + 1} should lose what the solver says`);
+        assertEqual(entry.classification, classifyMove(entry.loss), `Move ${index + 1} should be classified by its loss`);
+    });
+    assertTrue(review.moves.some(entry => entry.classification !== 'best'), 'The worst moves should not all be best');
+    
+    assertEqual(classifyMove(0), 'best', 'No loss is the best move');
+    assertEqual(classifyMove(3), 'inaccuracy', 'A small loss is an inaccuracy');
+    assertEqual(classifyMove(20), 'blunder', 'A large loss is a blunder');
+    
+    // Black has no move here, so the first move is white's (and forced)
+    const pass = Array.from({ length: BOARD_SIZE }, () => Array(BOARD_SIZE).fill(EMPTY));
+    pass[0][0] = WHITE;
+    pass[0][1] = BLACK;
+    const [forced] = reviewGame(pass, BLACK, { moves: [[0, 2]] }).moves;
+    assertEqual(forced.player, WHITE, 'Black\'s pass should be inferred');
+    assertEqual(forced.classification, 'best', 'A forced move is always best');
+    
+    try {
+        reviewGame(createInitialBoard(), BLACK, { moves: [[2, 3], [0, 0]] });
+        assertTrue(false, 'An illegal move should be rejected');
+    } catch (error) {
+        assertEqual(error.message, 'Illegal move a1 at move 2', 'The error should name the move and its number');
+    }
+});
+
+// Test the time budget
+TestFramework.addTest(aiSuite, 'searchBestMove should stop when its time budget runs out', function() {
+    makeMove(gameState.board, 2, 3, BLACK);
+    makeMove(gameState.board, 2, 2, WHITE);
+    makeMove(gameState.board, 3, 2, BLACK);
+    
+    // A zero budget still completes the first iteration
+    const instant = searchBestMove(gameState.board, WHITE, { timeBudget: 0 });
+    assertEqual(instant.depth, 1, 'A zero budget should return the depth 1 result');
+    
+    const budget = 100;
+    const result = searchBestMove(gameState.board, WHITE, { timeBudget: budget });
+    assertTrue(result.depth >= 1, 'At least one iteration should finish');
+    assertTrue(result.depth < 60, 'The search should not run to the end of the game');
+    assertTrue(result.elapsed < budget + 250, `The search should stop close to its budget (took ${Math.round(result.elapsed)} ms)`);
+});
+
+// Test that makeHardMove records the search report
+TestFramework.addTest(aiSuite, 'makeHardMove should record its search in gameState.lastSearch', function() {
+    makeMove(gameState.board, 2, 3, BLACK);
+    const validMoves = getValidMoves(gameState.board, WHITE);
+    
+    const move = makeHardMove(validMoves, { maxDepth: 2, timeBudget: Infinity });
+    
+    assertDeepEqual(gameState.lastSearch.move, move, 'The report should name the chosen move');
+    assertEqual(gameState.lastSearch.depth, 2, 'The report should give the depth reached');
+    assertTrue(gameState.lastSearch.nodes > 0, 'The report should give the node count');
+});
+
+// Test the stable disc analysis
+TestFramework.addTest(aiSuite, 'getStableDiscs should find corners, anchored edges and filled boards', function() {
+    // Nothing is stable in the starting position
+    assertDeepEqual(countStableDiscs(gameState.board), { black: 0, white: 0 }, 'No disc should be stable at the start');
+    
+    // A black run along the top edge from the a1 corner, then a white disc
+    gameState.board[0][0] = BLACK;
+    gameState.board[0][1] = BLACK;
+    gameState.board[0][2] = BLACK;
+    gameState.board[0][3] = WHITE;
+    gameState.board[1][1] = BLACK;
+    
+    const stable = getStableDiscs(gameState.board);
+    assertTrue(stable[0][0] && stable[0][1] && stable[0][2], 'The corner and the edge discs anchored to it should be stable');
+    assertFalse(stable[0][3], 'A white disc next to black can still be outflanked along the edge');
+    assertFalse(stable[1][1], 'b2 can still be outflanked along its row');
+    assertDeepEqual(countStableDiscs(gameState.board), { black: 3, white: 0 }, 'The stable discs should be counted by color');
+    
+    // On a full board every disc is stable
+    gameState.board = gameState.board.map((cells, row) => cells.map((disc, col) => (row + col) % 3 === 0 ? WHITE : BLACK));
+    const { black, white } = countDiscs(gameState.board);
+    assertDeepEqual(countStableDiscs(gameState.board), { black, white }, 'Every disc of a full board should be stable');
+});
+
+// Test the frontier disc analysis
+TestFramework.addTest(aiSuite, 'getFrontierDiscs should mark discs next to empty squares', function() {
+    assertDeepEqual(countFrontierDiscs(gameState.board), { black: 2, white: 2 }, 'All four starting discs border empty squares');
+    
+    // Fill the 4x4 centre: only its outer ring touches empty squares
+    for (let row = 2; row < 6; row++) {
+        for (let col = 2; col < 6; col++) {
+            gameState.board[row][col] = row < 4 ? BLACK : WHITE;
+        }
+    }
+    
+    const frontier = getFrontierDiscs(gameState.board);
+    assertTrue(frontier[2][2] && frontier[5][5], 'Discs on the edge of the block should be frontier discs');
+    assertFalse(frontier[3][3] || frontier[4][4], 'Enclosed discs should not be frontier discs');
+    assertFalse(frontier[0][0], 'Empty squares are never frontier discs');
+    assertDeepEqual(countFrontierDiscs(gameState.board), { black: 6, white: 6 }, 'Each color should have six frontier discs');
+});
+
+// Test that the evaluation rewards stability
+TestFramework.addTest(aiSuite, 'evaluateBoard should prefer stable discs and a smaller frontier', function() {
+    // Same discs, corners, edges and square weights; only the white c8/f8 disc differs
+    const anchored = createInitialBoard();
+    anchored[7][0] = WHITE; anchored[7][1] = WHITE; anchored[7][2] = WHITE; anchored[7][7] = BLACK; anchored[7][6] = BLACK; anchored[7][4] = BLACK;
+    const loose = createInitialBoard();
+    loose[7][0] = WHITE; loose[7][1] = WHITE; loose[7][5] = WHITE; loose[7][7] = BLACK; loose[7][6] = BLACK; loose[7][4] = BLACK;
+    
+    assertTrue(countStableDiscs(anchored).white > countStableDiscs(loose).white, 'The anchored run should have more stable white discs');
+    assertTrue(evaluateBoard(anchored, WHITE, BLACK, 'mid') > evaluateBoard(loose, WHITE, BLACK, 'mid'),
+        'WHITE should rate the anchored position higher');
+});
+
+// Test weight profile parsing
+TestFramework.addTest(aiSuite, 'parseProfile should fill omitted weights from the defaults and reject invalid ones', function() {
+    const profile = parseProfile('{"format": "reversi-weights", "version": 1, "phases": {"late": {"discParity": 10}}}');
+    
+    assertEqual(profile.phases.late.discParity, 10, 'Listed weights should be used');
+    assertEqual(profile.phases.late.mobility, DEFAULT_PROFILE.phases.late.mobility, 'Omitted weights should keep their defaults');
+    assertDeepEqual(profile.positionWeights, DEFAULT_PROFILE.positionWeights, 'An omitted position table should keep the default');
+    assertDeepEqual(parseProfile(serializeProfile(profile)), profile, 'Serialized profiles should read back unchanged');
+    
+    const errorFor = (data, base) => {
+        try {
+            parseProfile(data, base);
+        } catch (error) {
+            return error.message;
+        }
+        return null;
+    };
+    assertEqual(errorFor({ phases: { mid: { corner: 'high' } } }), 'Invalid weight profile: mid.corner must be a number',
+        'Non-numeric weights should be rejected');
+    assertEqual(errorFor({ positionWeights: [[1, 2, 3]] }), 'Invalid weight profile: positionWeights must be an 8x8 array of numbers',
+        'A malformed position table should be rejected');
+    assertEqual(errorFor({}), null, 'An empty profile should take every default');
+    assertEqual(errorFor({}, null), 'Invalid weight profile: early.discParity must be a number',
+        'Without defaults every weight should be required');
+});
+
+// Test that the evaluation follows the profile
+TestFramework.addTest(aiSuite, 'evaluateBoard should combine the evaluation terms with the profile weights', function() {
+    makeMove(gameState.board, 2, 3, BLACK);
+    
+    for (const phase of GAME_PHASES) {
+        const terms = getEvaluationTerms(gameState.board, BLACK, WHITE);
+        const expected = EVALUATION_TERMS.reduce((sum, term) => sum + DEFAULT_PROFILE.phases[phase][term] * terms[term], 0);
+        assertEqual(evaluateBoard(gameState.board, BLACK, WHITE, phase), expected, `The ${phase} score should be the weighted sum of the terms`);
+    }
+    
+    const discsOnly = parseProfile({ phases: { early: { discParity: 1, mobility: 0, corner: 0, position: 0, edge: 0, potentialMobility: 0, stability: 0, frontier: 0 } } });
+    assertEqual(evaluateBoard(gameState.board, BLACK, WHITE, 'early', discsOnly), 3, 'Only the disc difference should count');
+});
+
+// Test that makeHardMove searches with the given profile
+TestFramework.addTest(aiSuite, 'makeHardMove should evaluate positions with the profile it is given', function() {
+    makeMove(gameState.board, 2, 3, BLACK);
+    const validMoves = getValidMoves(gameState.board, WHITE);
+    
+    // A profile that only values one square makes the AI take that square
+    const profileFavouring = (targetRow, targetCol) => parseProfile({
+        phases: Object.fromEntries(GAME_PHASES.map(phase => [phase, Object.fromEntries(EVALUATION_TERMS.map(term => [term, term === 'position' ? 1 : 0]))])),
+        positionWeights: Array.from({ length: 8 }, (_, row) => Array.from({ length: 8 }, (_, col) => row === targetRow && col === targetCol ? 100 : 0))
+    });
+    
+    assertDeepEqual(makeHardMove(validMoves, { maxDepth: 1, timeBudget: Infinity, profile: profileFavouring(4, 2) }), [4, 2],
+        'The AI should play c5 when only c5 has value');
+    assertDeepEqual(makeHardMove(validMoves, { maxDepth: 1, timeBudget: Infinity, profile: profileFavouring(2, 2) }), [2, 2],
+        'The AI should play c3 when only c3 has value');
+});
+
+// Test the DOM-free easy and medium strategies
+TestFramework.addTest(aiSuite, 'chooseEasyMove and chooseMediumMove should match the page strategies', function() {
+    const validMoves = [[2, 3], [0, 1], [0, 4], [7, 7]];
+    
+    assertDeepEqual(chooseEasyMove(validMoves, () => 0.3), [0, 1], 'The easy strategy should use the random source it is given');
+    assertDeepEqual(chooseEasyMove(validMoves, () => 0.99), [7, 7], 'High random values should pick the last move');
+    assertDeepEqual(chooseMediumMove(validMoves), [7, 7], 'The medium strategy should take the corner');
+    assertDeepEqual(chooseMediumMove(validMoves.slice(0, 3)), [0, 4], 'Without a corner a plain edge square should beat the square next to a corner');
+    assertDeepEqual(makeMediumMove(validMoves.slice(0, 3)), chooseMediumMove(validMoves.slice(0, 3)),
+        'makeMediumMove should play the same move');
+});
@@ -0,0 +1,96 @@
+/**
+ * Tests for the bitboard move generator
+ */
+
+// Create a test suite for bitboard operations
+const bitboardSuite = TestFramework.createSuite('Bitboard Tests');
+
+// Set up a fresh board before each test
+TestFramework.beforeEach(bitboardSuite, function() {
+    // Reset the game state before each test
+    initTestEnvironment();
+});
+
+// Test board conversion
+TestFramework.addTest(bitboardSuite, 'fromBoard should set one bit per disc of each side', function() {
+    const { own, opponent } = ReversiBitboard.fromBoard(gameState.board, BLACK);
+
+    assertDeepEqual(ReversiBitboard.squaresOf(own), [28, 35], 'BLACK should own squares 28 (3,4) and 35 (4,3)');
+    assertDeepEqual(ReversiBitboard.squaresOf(opponent), [27, 36], 'WHITE should own squares 27 (3,3) and 36 (4,4)');
+    assertTrue(ReversiBitboard.hasSquare(own, 35), 'hasSquare should find a disc in the high word');
+    assertFalse(ReversiBitboard.hasSquare(own, 27), 'hasSquare should not report opponent discs');
+    assertEqual(ReversiBitboard.popCount(own) + ReversiBitboard.popCount(opponent), 4, 'Starting position should have 4 discs');
+});
+
+// Test move generation on the starting position
+TestFramework.addTest(bitboardSuite, 'getMoveMask should find the four opening moves', function() {
+    const { own, opponent } = ReversiBitboard.fromBoard(gameState.board, BLACK);
+    const squares = ReversiBitboard.squaresOf(ReversiBitboard.getMoveMask(own, opponent));
+
+    assertDeepEqual(squares.map(ReversiBitboard.toCoords), [[2, 3], [3, 2], [4, 5], [5, 4]],
+        'Opening moves should be returned in row-major order');
+});
+
+// Test that moves never wrap around the board edges
+TestFramework.addTest(bitboardSuite, 'getMoveMask should not wrap around the board edges', function() {
+    // A WHITE disc on the right edge with BLACK beyond it on the next row's left edge
+    gameState.board = Array.from({ length: BOARD_SIZE }, () => Array(BOARD_SIZE).fill(EMPTY));
+    gameState.board[2][6] = BLACK;
+    gameState.board[2][7] = WHITE;
+    gameState.board[3][0] = EMPTY;
+
+    const { own, opponent } = ReversiBitboard.fromBoard(gameState.board, BLACK);
+    assertTrue(ReversiBitboard.isEmpty(ReversiBitboard.getMoveMask(own, opponent)), 'Row wrap-around must not create a move');
+});
+
+// Test flip generation against the array engine
+TestFramework.addTest(bitboardSuite, 'getFlipMask should match the discs flipped by makeMove', function() {
+    // Play a short opening to reach a position with multi-direction flips
+    makeMove(gameState.board, 2, 3, BLACK);
+    makeMove(gameState.board, 2, 2, WHITE);
+    makeMove(gameState.board, 3, 2, BLACK);
+    makeMove(gameState.board, 4, 2, WHITE);
+
+    getValidMoves(gameState.board, BLACK).forEach(([row, col]) => {
+        const { own, opponent } = ReversiBitboard.fromBoard(gameState.board, BLACK);
+        const flips = ReversiBitboard.getFlipMask(own, opponent, ReversiBitboard.toSquare(row, col));
+
+        const after = cloneBoard(gameState.board);
+        makeMove(after, row, col, BLACK);
+        const changed = [];
+        for (let r = 0; r < BOARD_SIZE; r++) {
+            for (let c = 0; c < BOARD_SIZE; c++) {
+                if (gameState.board[r][c] === WHITE && after[r][c] === BLACK) {
+                    changed.push(ReversiBitboard.toSquare(r, c));
+                }
+            }
+        }
+
+        assertDeepEqual(ReversiBitboard.squaresOf(flips), changed, `Flips for (${row}, ${col}) should match makeMove`);
+        assertEqual(ReversiBitboard.popCount(flips), countFlips(gameState.board, row, col, BLACK), 'popCount should match countFlips');
+    });
+});
+
+// Test shifting and neighbour masks, which must carry bits between the two words
+TestFramework.addTest(bitboardSuite, 'shift and getNeighbourMask should cross words but not board edges', function() {
+    const a1h4 = { lo: (1 << 0) | (1 << 31), hi: 0 };
+    assertDeepEqual(ReversiBitboard.squaresOf(ReversiBitboard.shift(a1h4, 8)), [8, 39], 'a1 and h4 should move down a row');
+    assertDeepEqual(ReversiBitboard.squaresOf(ReversiBitboard.shift({ lo: 0, hi: (1 << 7) | (1 << 31) }, -9)), [30, 54],
+        'h5 and h8 should move up and left');
+    assertTrue(ReversiBitboard.isEmpty(ReversiBitboard.shift({ lo: 0, hi: 1 << 31 }, 1)), 'Squares past h8 should be dropped');
+
+    // a1 in the corner, h4 and a5 on either side of the word boundary
+    const neighbours = ReversiBitboard.getNeighbourMask({ lo: a1h4.lo, hi: 1 << 0 });
+    assertDeepEqual(ReversiBitboard.squaresOf(neighbours), [1, 8, 9, 22, 23, 24, 25, 30, 33, 38, 39, 40, 41],
+        'Neighbours should not wrap from one edge of the board to the other');
+});
+
+// Test the generator against the published perft counts
+TestFramework.addTest(bitboardSuite, 'perft should match the known Reversi node counts', function() {
+    const { own, opponent } = ReversiBitboard.fromBoard(gameState.board, BLACK);
+    const expected = [1, 4, 12, 56, 244, 1396, 8200, 55092];
+
+    expected.forEach((nodes, depth) => {
+        assertEqual(ReversiBitboard.perft(own, opponent, depth), nodes, `perft(${depth}) should be ${nodes}`);
+    });
+});
@@ -0,0 +1,136 @@
+/**
+ * Tests for the opening book
+ */
+
+// Create a test suite for opening book operations
+const bookSuite = TestFramework.createSuite('Opening Book Tests');
+
+// Set up a fresh board before each test
+TestFramework.beforeEach(bookSuite, function() {
+    // Reset the game state before each test
+    initTestEnvironment();
+});
+
+/** Small book in the text format used by several tests */
+const SAMPLE_BOOK_TEXT = `
+# moves          weight
+f5d6c3d3c4       12      # Tiger
+f5 d6 c5         4
+f5f6e6f4         8
+`;
+
+/** Convert book moves to square names for readable assertions */
+function bookMoveNames(moves) {
+    return moves.map(({ move, weight }) => `${toNotation(...move)}:${weight}`);
+}
+
+// Test the text format
+TestFramework.addTest(bookSuite, 'parseBook should read the text format and sum the weights of shared moves', function() {
+    const book = ReversiBook.parseBook(SAMPLE_BOOK_TEXT);
+    
+    assertEqual(book.lineCount, 3, 'Three lines should be read');
+    assertEqual(book.maxPly, 5, 'The longest line has 5 moves');
+    
+    // After f5 the Tiger and the c5 line share d6
+    makeMove(gameState.board, ...fromNotation('f5'), BLACK);
+    assertDeepEqual(bookMoveNames(ReversiBook.findBookMoves(book, gameState.board, WHITE)), ['d6:16', 'f6:8'],
+        'd6 should carry the weight of both lines playing it');
+});
+
+// Test the JSON format and serializer
+TestFramework.addTest(bookSuite, 'serializeBook output should parse back to the same book', function() {
+    const lines = [{ moves: 'f5d6c3d3c4', weight: 12, name: 'Tiger' }, { moves: [[4, 5], [5, 5]], weight: 8 }];
+    const json = ReversiBook.serializeBook(lines, 'Test book');
+    const data = JSON.parse(json);
+    
+    assertEqual(data.format, ReversiBook.BOOK_FORMAT, 'The file should name its format');
+    assertEqual(data.lines[1].moves, 'f5f6', 'Coordinate moves should be written in notation');
+    
+    const book = ReversiBook.parseBook(json);
+    makeMove(gameState.board, 4, 5, BLACK);
+    assertDeepEqual(bookMoveNames(ReversiBook.findBookMoves(book, gameState.board, WHITE)), ['d6:12', 'f6:8'],
+        'The JSON book should give the same moves');
+});
+
+// Test lookups under board symmetries
+TestFramework.addTest(bookSuite, 'findBookMoves should find positions under all board symmetries', function() {
+    const book = ReversiBook.parseBook(SAMPLE_BOOK_TEXT);
+    
+    // The four first moves are symmetric images of each other and share the weight
+    assertDeepEqual(bookMoveNames(ReversiBook.findBookMoves(book, gameState.board, BLACK)),
+        ['d3:6', 'c4:6', 'f5:6', 'e6:6'], 'All four opening moves should be in the book');
+    
+    // c4 is f5 reflected in the anti-diagonal, so the replies are reflected too
+    makeMove(gameState.board, ...fromNotation('c4'), BLACK);
+    assertDeepEqual(bookMoveNames(ReversiBook.findBookMoves(book, gameState.board, WHITE)), ['c3:8', 'e3:16'],
+        'Replies to c4 should be the reflected replies to f5');
+    
+    // Out of book
+    makeMove(gameState.board, ...fromNotation('c5'), WHITE);
+    assertDeepEqual(ReversiBook.findBookMoves(book, gameState.board, BLACK), [], 'Unknown positions should have no book moves');
+});
+
+// Test weighted picking
+TestFramework.addTest(bookSuite, 'pickBookMove should choose in proportion to the weights', function() {
+    const book = ReversiBook.parseBook(SAMPLE_BOOK_TEXT);
+    makeMove(gameState.board, ...fromNotation('f5'), BLACK);
+    
+    // d6 has weight 16 and f6 weight 8, so d6 covers [0, 2/3) of the range
+    assertDeepEqual(ReversiBook.pickBookMove(book, gameState.board, WHITE, () => 0.5), fromNotation('d6'), 'Low draws should pick d6');
+    assertDeepEqual(ReversiBook.pickBookMove(book, gameState.board, WHITE, () => 0.9), fromNotation('f6'), 'High draws should pick f6');
+    
+    makeMove(gameState.board, ...fromNotation('f4'), WHITE);
+    assertEqual(ReversiBook.pickBookMove(book, gameState.board, BLACK), null, 'Out of book there is no move');
+});
+
+// Test error reporting
+TestFramework.addTest(bookSuite, 'parseBook should report illegal lines with their line and move number', function() {
+    const errorFor = text => {
+        try {
+            ReversiBook.parseBook(text);
+        } catch (error) {
+            return error.message;
+        }
+        return null;
+    };
+    
+    assertEqual(errorFor('f5d6\nf5f5 3'), 'Book line 2: illegal move f5 at move 2', 'Illegal moves should be pinpointed');
+    assertEqual(errorFor('f5z9'), 'Book line 1: Invalid move sequence "f5z9"', 'Malformed squares should be reported');
+    assertEqual(errorFor('{"format": "something-else", "lines": []}'), 'Not a reversi-book file', 'Foreign JSON should be rejected');
+});
+
+// Test building a book from games
+TestFramework.addTest(bookSuite, 'buildBookLines should normalise orientation and keep moves played often enough', function() {
+    const games = [
+        'f5d6c3d3c4f4f6',
+        'd3c5f6f5e6e3',     // The same opening played from d3
+        'c4e3f6e6f5c5',     // The same opening played from c4
+        'f5f6e6f4e3',
+        'f5d6c3d3c4f4z9'    // Malformed
+    ];
+    
+    const { lines, skipped } = ReversiBook.buildBookLines(games, { depth: 8, minGames: 2 });
+    
+    assertDeepEqual(skipped.map(game => game.index), [4], 'The malformed game should be skipped');
+    assertDeepEqual(lines, [
+        { moves: 'f5d6c3d3c4f4', weight: 3 },
+        { moves: 'f5', weight: 1 }
+    ], 'Lines should be rotated to f5 and cut where fewer than 2 games agree');
+});
+
+// Test that the hard AI plays from the book
+TestFramework.addTest(bookSuite, 'makeHardMove should play book moves without searching', function() {
+    const book = ReversiBook.parseBook(SAMPLE_BOOK_TEXT);
+    makeMove(gameState.board, ...fromNotation('f5'), BLACK);
+    const validMoves = getValidMoves(gameState.board, WHITE);
+    
+    const move = makeHardMove(validMoves, { book });
+    
+    assertTrue(gameState.lastSearch.book, 'The report should mark a book move');
+    assertEqual(gameState.lastSearch.nodes, 0, 'No search should be needed');
+    assertTrue(['d6', 'f6'].includes(toNotation(...move)), 'The move should come from the book');
+    
+    // Without a book the AI searches as before
+    makeHardMove(validMoves, { book: null, maxDepth: 1 });
+    assertFalse(!!gameState.lastSearch.book, 'Without a book the move should be searched');
+});
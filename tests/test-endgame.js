@@ -0,0 +1,171 @@
+/**
+ * Tests for the exact endgame solver
+ */
+
+// Create a test suite for endgame solver operations
+const endgameSuite = TestFramework.createSuite('Endgame Solver Tests');
+
+// Set up a fresh board before each test
+TestFramework.beforeEach(endgameSuite, function() {
+    // Reset the game state before each test
+    initTestEnvironment();
+});
+
+/**
+ * Play seeded pseudo-random moves until `empties` squares are left
+ * (the same seed always produces the same position)
+ */
+function playRandomGameTo(empties, seed) {
+    const board = createInitialBoard();
+    let player = BLACK;
+    
+    while (ReversiEndgame.countEmpties(board) > empties) {
+        const moves = getValidMoves(board, player);
+        if (moves.length === 0) {
+            if (!hasValidMoves(board, getOpponent(player))) break;
+            player = getOpponent(player);
+            continue;
+        }
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        const [row, col] = moves[seed % moves.length];
+        makeMove(board, row, col, player);
+        player = getOpponent(player);
+    }
+    
+    // Hand the move to whoever can play
+    if (!hasValidMoves(board, player)) {
+        player = getOpponent(player);
+    }
+    return { board, player };
+}
+
+/** Plain minimax over the rules engine, used as the reference result */
+function bruteForceScore(board, player, passed) {
+    const moves = getValidMoves(board, player);
+    if (moves.length === 0) {
+        if (passed) {
+            const { black, white } = countDiscs(board);
+            return player === BLACK ? black - white : white - black;
+        }
+        return -bruteForceScore(board, getOpponent(player), true);
+    }
+    
+    let best = -Infinity;
+    for (const move of moves) {
+        const flips = makeMove(board, move[0], move[1], player);
+        best = Math.max(best, -bruteForceScore(board, getOpponent(player), false));
+        undoMove(board, move, flips);
+    }
+    return best;
+}
+
+// Test empty square counting
+TestFramework.addTest(endgameSuite, 'countEmpties should count the empty squares', function() {
+    assertEqual(ReversiEndgame.countEmpties(gameState.board), 60, 'The starting position has 60 empty squares');
+});
+
+// Test a position that can be checked by hand
+TestFramework.addTest(endgameSuite, 'solveEndgame should find the final disc difference of a one-move ending', function() {
+    // Full board except (0, 0); BLACK fills it and flips the two WHITE discs on the top row
+    for (let i = 0; i < BOARD_SIZE; i++) {
+        for (let j = 0; j < BOARD_SIZE; j++) {
+            gameState.board[i][j] = BLACK;
+        }
+    }
+    gameState.board[0][0] = EMPTY;
+    gameState.board[0][1] = WHITE;
+    gameState.board[0][2] = WHITE;
+    gameState.board[7][7] = WHITE;
+    
+    const result = ReversiEndgame.solveEndgame(gameState.board, BLACK);
+    
+    assertDeepEqual(result.move, [0, 0], 'BLACK should play the last empty square');
+    assertEqual(result.score, 62, 'BLACK should finish 63-1');
+    assertEqual(result.empties, 1, 'The solver should report the number of empties');
+    assertEqual(countDiscs(gameState.board).total, 63, 'The board should be left unchanged');
+});
+
+// Test the solver against plain minimax
+TestFramework.addTest(endgameSuite, 'solveEndgame should match a full minimax search', function() {
+    [11, 29, 53, 97].forEach(seed => {
+        const { board, player } = playRandomGameTo(8, seed);
+        const expected = bruteForceScore(cloneBoard(board), player, false);
+        const result = ReversiEndgame.solveEndgame(board, player);
+        
+        assertEqual(result.score, expected, `Solver score should match minimax for seed ${seed}`);
+        
+        // Playing the reported move must keep the same result
+        if (result.move) {
+            const after = cloneBoard(board);
+            makeMove(after, result.move[0], result.move[1], player);
+            assertEqual(-bruteForceScore(after, getOpponent(player), false), expected,
+                `The reported move should achieve the score for seed ${seed}`);
+        }
+    });
+});
+
+// Test the win/loss/draw mode
+TestFramework.addTest(endgameSuite, 'WLD mode should agree with the sign of the exact score', function() {
+    [5, 17, 41].forEach(seed => {
+        const { board, player } = playRandomGameTo(10, seed);
+        const exact = ReversiEndgame.solveEndgame(board, player);
+        const wld = ReversiEndgame.solveEndgame(board, player, { mode: ReversiEndgame.MODE.WLD });
+        
+        assertEqual(wld.score, Math.sign(exact.score) || ReversiEndgame.OUTCOME.DRAW,
+            `WLD outcome should match the exact score ${exact.score} for seed ${seed}`);
+        assertTrue(wld.nodes <= exact.nodes, 'WLD should not search more nodes than the exact solve');
+    });
+});
+
+// Test a position where the side to move must pass
+TestFramework.addTest(endgameSuite, 'solveEndgame should return no move when the side to move must pass', function() {
+    // WHITE has no move; BLACK takes the last square and wins 64-0
+    for (let i = 0; i < BOARD_SIZE; i++) {
+        for (let j = 0; j < BOARD_SIZE; j++) {
+            gameState.board[i][j] = BLACK;
+        }
+    }
+    gameState.board[0][0] = EMPTY;
+    gameState.board[0][1] = WHITE;
+    
+    const result = ReversiEndgame.solveEndgame(gameState.board, WHITE);
+    
+    assertEqual(result.move, null, 'WHITE has no move to report');
+    assertEqual(result.score, -64, 'WHITE should lose 0-64 after BLACK fills the last square');
+});
+
+// Test that the hard AI switches to the solver
+TestFramework.addTest(endgameSuite, 'makeHardMove should solve positions within the endgame threshold', function() {
+    const { board, player } = playRandomGameTo(10, 23);
+    gameState.board = board;
+    gameState.computerDisc = player;
+    const validMoves = getValidMoves(board, player);
+    
+    const move = makeHardMove(validMoves);
+    const solution = ReversiEndgame.solveEndgame(board, player);
+    
+    assertTrue(gameState.lastSearch.exact, 'The search report should be marked as exact');
+    assertEqual(gameState.lastSearch.score, solution.score, 'The report should give the solved disc difference');
+    assertDeepEqual(move, solution.move, 'The hard AI should play the solver move');
+});
+
+// Test that a solve gives up at its time limit
+TestFramework.addTest(endgameSuite, 'solveEndgame should return null when the time limit runs out', function() {
+    const { board, player } = playRandomGameTo(24, 7);
+    
+    assertEqual(ReversiEndgame.solveEndgame(board, player, { timeLimit: 0 }), null,
+        'A solve of 24 empties cannot finish in no time');
+});
+
+// Test that the hard AI searches when the solver runs out of time
+TestFramework.addTest(endgameSuite, 'makeHardMove should fall back to the search when the solve takes too long', function() {
+    const { board, player } = playRandomGameTo(24, 7);
+    gameState.board = board;
+    gameState.computerDisc = player;
+    const validMoves = getValidMoves(board, player);
+    
+    const move = makeHardMove(validMoves, { endgameEmpties: 24, timeBudget: 0 });
+    
+    assertFalse(gameState.lastSearch.exact, 'The search report should not be marked as exact');
+    assertTrue(validMoves.some(([row, col]) => row === move[0] && col === move[1]), 'The hard AI should still play a legal move');
+});
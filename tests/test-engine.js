@@ -0,0 +1,101 @@
+/**
+ * Tests for the DOM-free Reversi rules engine
+ */
+
+// Create a test suite for engine operations
+const engineSuite = TestFramework.createSuite('Rules Engine Tests');
+
+// Set up a fresh board before each test
+TestFramework.beforeEach(engineSuite, function() {
+    // Reset the game state before each test
+    initTestEnvironment();
+});
+
+// Test the engine namespace and initial board helper
+TestFramework.addTest(engineSuite, 'createInitialBoard should match the standard starting position', function() {
+    const board = createInitialBoard();
+
+    assertBoardEqual(board, gameState.board, 'Engine starting position should match the test environment');
+    assertEqual(countDiscs(board).total, 4, 'Starting position should have 4 discs');
+});
+
+// Test that cloned boards are independent
+TestFramework.addTest(engineSuite, 'cloneBoard should return an independent copy', function() {
+    const copy = cloneBoard(gameState.board);
+    copy[0][0] = BLACK;
+
+    assertEqual(gameState.board[0][0], EMPTY, 'Modifying the copy should not change the original');
+    assertEqual(copy[3][3], WHITE, 'Copy should contain the original discs');
+});
+
+// Test opponent lookup
+TestFramework.addTest(engineSuite, 'getOpponent should return the other disc color', function() {
+    assertEqual(getOpponent(BLACK), WHITE, 'Opponent of BLACK should be WHITE');
+    assertEqual(getOpponent(WHITE), BLACK, 'Opponent of WHITE should be BLACK');
+});
+
+// Test pass detection
+TestFramework.addTest(engineSuite, 'getNextPlayer should handle normal turns, passes and game over', function() {
+    // Normal turn: after BLACK moves in the opening WHITE replies
+    makeMove(gameState.board, 2, 3, BLACK);
+    assertEqual(getNextPlayer(gameState.board, BLACK), WHITE, 'WHITE should move after BLACK');
+
+    // WHITE has no discs to flip with, so WHITE must pass and BLACK moves again
+    const passBoard = Array.from({ length: BOARD_SIZE }, () => Array(BOARD_SIZE).fill(EMPTY));
+    passBoard[0][0] = BLACK;
+    passBoard[0][1] = WHITE;
+    passBoard[1][0] = WHITE;
+    passBoard[1][1] = WHITE;
+    passBoard[2][2] = WHITE;
+    assertFalse(hasValidMoves(passBoard, WHITE), 'WHITE should have no valid moves');
+    assertTrue(hasValidMoves(passBoard, BLACK), 'BLACK should still have valid moves');
+    assertEqual(getNextPlayer(passBoard, BLACK), BLACK, 'BLACK should move again when WHITE must pass');
+
+    // Neither side can move on a full board
+    const fullBoard = Array.from({ length: BOARD_SIZE }, () => Array(BOARD_SIZE).fill(BLACK));
+    assertEqual(getNextPlayer(fullBoard, BLACK), null, 'No player should move on a full board');
+});
+
+// Test game-over detection and winner
+TestFramework.addTest(engineSuite, 'isGameFinished and getWinner should report finished games', function() {
+    assertFalse(isGameFinished(gameState.board), 'The starting position is not finished');
+
+    for (let i = 0; i < BOARD_SIZE; i++) {
+        for (let j = 0; j < BOARD_SIZE; j++) {
+            gameState.board[i][j] = i < 5 ? BLACK : WHITE;
+        }
+    }
+
+    assertTrue(isGameFinished(gameState.board), 'A full board is finished');
+    assertEqual(getWinner(gameState.board), BLACK, 'BLACK should win 40-24');
+
+    gameState.board[4].fill(WHITE);
+    assertEqual(getWinner(gameState.board), EMPTY, 'A 32-32 game should be a tie');
+});
+
+// Test the engine namespace
+TestFramework.addTest(engineSuite, 'ReversiEngine namespace should expose the rules API', function() {
+    assertEqual(ReversiEngine.getValidMoves, getValidMoves, 'Namespace should expose getValidMoves');
+    assertEqual(ReversiEngine.makeMove, makeMove, 'Namespace should expose makeMove');
+
+    const board = ReversiEngine.createInitialBoard();
+    ReversiEngine.makeMove(board, 2, 3, BLACK);
+
+    assertEqual(ReversiEngine.countDiscs(board).black, 4, 'Engine should play moves on its own boards');
+    assertEqual(ReversiEngine.getValidMoves(board, WHITE).length, 3, 'WHITE should have 3 replies to d3');
+});
+
+// Test move notation
+TestFramework.addTest(engineSuite, 'toNotation and fromNotation should convert between coordinates and square names', function() {
+    assertEqual(toNotation(4, 5), 'f5', '(4, 5) should be f5');
+    assertEqual(toNotation(0, 0), 'a1', '(0, 0) should be a1');
+    assertEqual(toNotation(7, 7), 'h8', '(7, 7) should be h8');
+    
+    assertDeepEqual(fromNotation('f5'), [4, 5], 'f5 should be (4, 5)');
+    assertDeepEqual(fromNotation('C4'), [3, 2], 'Notation should be case-insensitive');
+    assertEqual(fromNotation('i9'), null, 'Squares off the board should be rejected');
+    assertEqual(fromNotation('f'), null, 'Incomplete names should be rejected');
+    
+    // f5 is one of BLACK's four opening moves
+    assertTrue(isValidMove(gameState.board, ...fromNotation('f5'), BLACK), 'f5 should be a legal first move');
+});
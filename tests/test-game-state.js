@@ -196,4 +196,236 @@ TestFramework.addTest(gameStateSuite, 'restartGame should reset the game state',
         renderBoard = originalRenderBoard;
         updateScores = originalUpdateScores;
     }
-});
\ No newline at end of file
+});
+
+/**
+ * Run a test against an in-memory localStorage, leaving the real one untouched
+ * @param {Function} test - Test body, given the stored items as a Map
+ * @returns {void}
+ */
+function withMemoryStorage(test) {
+    const descriptor = Object.getOwnPropertyDescriptor(window, 'localStorage');
+    const items = new Map();
+    Object.defineProperty(window, 'localStorage', {
+        configurable: true,
+        value: {
+            getItem: key => (items.has(key) ? items.get(key) : null),
+            setItem: (key, value) => items.set(key, String(value)),
+            removeItem: key => items.delete(key)
+        }
+    });
+    
+    try {
+        test(items);
+    } finally {
+        if (descriptor) {
+            Object.defineProperty(window, 'localStorage', descriptor);
+        } else {
+            delete window.localStorage;
+        }
+    }
+}
+
+// Test that the whole session survives a reload
+TestFramework.addTest(gameStateSuite, 'A saved game should come back with its history, settings and game-over state', function() {
+    const originalGameBoard = DOM.gameBoard;
+    const { difficulty, hintLimit } = { difficulty: DOM.difficultySelector.value, hintLimit: DOM.hintLimitSelector.value };
+    DOM.gameBoard = document.getElementById('test-game-board');
+    
+    try {
+        withMemoryStorage(() => {
+            createGameBoard();
+            const game = ReversiRecords.parseTranscript('f5f6d3g5h5h4f7h6c5');
+            loadReplayedGame(game);
+            undoLastMove();
+            DOM.difficultySelector.value = 'hard';
+            DOM.hintLimitSelector.value = 'unlimited';
+            saveGameState();
+            
+            // A fresh page
+            initTestEnvironment();
+            DOM.difficultySelector.value = 'medium';
+            DOM.hintLimitSelector.value = '3';
+            assertTrue(loadGameState(), 'The saved game should be found');
+            assertEqual(gameState.historyIndex, 6, 'The undo should be kept');
+            assertEqual(gameState.moveHistory.length, 9, 'The undone moves should be kept');
+            assertEqual(DOM.difficultySelector.value, 'hard', 'The level should be restored');
+            assertEqual(DOM.hintLimitSelector.value, 'unlimited', 'The hint limit should be restored');
+            
+            redoMove();
+            assertDeepEqual(gameState.board, game.board, 'The undone moves should be redoable after the reload');
+            
+            // A finished game stays finished
+            loadReplayedGame(ReversiRecords.parseTranscript('f5d6c5f4e3f6g5e6e7'));
+            initTestEnvironment();
+            loadGameState();
+            assertTrue(gameState.isGameOver, 'The game should still be over');
+            undoLastMove();
+            assertEqual(gameState.moveCounter, 8, 'Its moves should still be undoable');
+        });
+    } finally {
+        cancelComputerMove();
+        DOM.gameBoard = originalGameBoard;
+        DOM.difficultySelector.value = difficulty;
+        DOM.hintLimitSelector.value = hintLimit;
+    }
+});
+
+// Test that following a link does not throw away the game in progress
+TestFramework.addTest(gameStateSuite, 'A linked game should only replace the saved game once the player moves', function() {
+    const originalGameBoard = DOM.gameBoard;
+    DOM.gameBoard = document.getElementById('test-game-board');
+    
+    try {
+        withMemoryStorage(items => {
+            createGameBoard();
+            loadReplayedGame(ReversiRecords.parseTranscript('f5d6'));
+            const saved = items.get(STORAGE_KEYS.GAME);
+            
+            assertTrue(loadGameFromLink(`#${ReversiRecords.formatGameLink(ReversiRecords.parseTranscript('f5f6').moves)}`),
+                'The link should be opened');
+            assertEqual(items.get(STORAGE_KEYS.GAME), saved, 'The saved game should be kept while the player has not moved');
+            
+            handleCellClick(6, 5);
+            cancelComputerMove();
+            assertEqual(ReversiSave.readSave(items.get(STORAGE_KEYS.GAME)).gameRecord.moves.length, 3,
+                'The linked game should be saved once the player moves');
+        });
+    } finally {
+        cancelComputerMove();
+        DOM.gameBoard = originalGameBoard;
+    }
+});
+
+// Test reloading during the computer's turn
+TestFramework.addTest(gameStateSuite, 'A game saved on the computer\'s turn should resume the computer\'s move', function() {
+    const originalGameBoard = DOM.gameBoard;
+    const originalSetTimeout = window.setTimeout;
+    const originalLoadOpeningBook = loadOpeningBook;
+    const originalLoadWeightProfile = loadWeightProfile;
+    const scheduled = [];
+    DOM.gameBoard = document.getElementById('test-game-board');
+    
+    try {
+        withMemoryStorage(() => {
+            createGameBoard();
+            handleCellClick(2, 3);
+            cancelComputerMove();
+            assertEqual(gameState.currentPlayer, WHITE, 'The computer should be to move when the game is saved');
+            
+            // Reload: the page starts again from the save
+            initTestEnvironment();
+            loadOpeningBook = function() {};
+            loadWeightProfile = function() {};
+            window.setTimeout = function(callback) {
+                scheduled.push(callback);
+                return 0;
+            };
+            initGame();
+            window.setTimeout = originalSetTimeout;
+            
+            assertEqual(gameState.currentPlayer, WHITE, 'The computer should still be to move');
+            assertEqual(gameState.board[2][3], BLACK, 'The player\'s move should be on the board');
+            assertTrue(scheduled.includes(makeComputerMove), 'The computer\'s move should be started');
+            assertFalse(DOM.undoButton.disabled, 'The player\'s move should be undoable');
+        });
+    } finally {
+        window.setTimeout = originalSetTimeout;
+        loadOpeningBook = originalLoadOpeningBook;
+        loadWeightProfile = originalLoadWeightProfile;
+        cancelComputerMove();
+        DOM.gameBoard = originalGameBoard;
+    }
+});
+
+// Test saves from before the history was kept
+TestFramework.addTest(gameStateSuite, 'An older save with only the moves played should still be undoable', function() {
+    withMemoryStorage(items => {
+        const game = ReversiRecords.parseTranscript('f5d6c3');
+        items.set('reversiGameState', JSON.stringify({
+            board: game.board,
+            currentPlayer: WHITE,
+            moveCounter: 3,
+            lastMove: [2, 2],
+            playerDisc: BLACK,
+            computerDisc: WHITE,
+            gameRecord: { moves: game.moves, hints: [] }
+        }));
+        
+        assertTrue(loadGameState(), 'The save should load');
+        assertEqual(gameState.moveHistory.length, 3, 'The history should be rebuilt from the moves');
+        assertFalse(gameState.isGameOver, 'The game should not be over');
+        
+        // Saved without recorded moves: no history to rebuild
+        items.set('reversiGameState', JSON.stringify({ board: game.board, currentPlayer: WHITE, moveCounter: 3 }));
+        assertTrue(loadGameState(), 'The save should load');
+        assertEqual(gameState.moveHistory.length, 0, 'There should be no history');
+    });
+});
+
+// Test that a save that fails its checks is put aside
+TestFramework.addTest(gameStateSuite, 'A corrupt save should be quarantined and reported', function() {
+    withMemoryStorage(items => {
+        const game = ReversiRecords.parseTranscript('f5d6c3');
+        game.board[0][0] = BLACK;
+        const corrupt = JSON.stringify({ board: game.board, currentPlayer: WHITE, moveCounter: 3 });
+        items.set('reversiGameState', corrupt);
+        DOM.saveNotice.hidden = true;
+        
+        try {
+            assertFalse(loadGameState(), 'The save should not load');
+            assertFalse(items.has('reversiGameState'), 'The save should be removed from its key');
+            const quarantined = JSON.parse(items.get('reversiQuarantinedSaves'));
+            assertEqual(quarantined.length, 1, 'The save should be quarantined');
+            assertEqual(quarantined[0].save, corrupt, 'The save should be kept as it was stored');
+            assertEqual(quarantined[0].reason, '8 discs on the board do not fit 3 moves from 4 discs', 'The reason should be kept');
+            assertFalse(DOM.saveNotice.hidden, 'The player should be told');
+            assertTrue(DOM.saveNoticeText.textContent.includes(quarantined[0].reason), 'The notice should say what was wrong');
+            
+            // Only the latest few are kept
+            for (let i = 0; i < 6; i++) {
+                items.set('reversiGameState', '{');
+                loadGameState();
+            }
+            assertEqual(JSON.parse(items.get('reversiQuarantinedSaves')).length, 5, 'The quarantine should be capped');
+        } finally {
+            DOM.saveNotice.hidden = true;
+        }
+    });
+});
+
+// Test opening the page with a link that cannot be read
+TestFramework.addTest(gameStateSuite, 'A bad link on page load should be reported and the saved game kept', function() {
+    const originalGameBoard = DOM.gameBoard;
+    const originalLoadOpeningBook = loadOpeningBook;
+    const originalLoadWeightProfile = loadWeightProfile;
+    DOM.gameBoard = document.getElementById('test-game-board');
+    
+    try {
+        withMemoryStorage(() => {
+            createGameBoard();
+            loadReplayedGame(ReversiRecords.parseTranscript('f5d6'));
+            
+            // Reload with an illegal second move in the address
+            initTestEnvironment();
+            DOM.saveNotice.hidden = true;
+            history.replaceState(null, '', '#moves=ll');
+            loadOpeningBook = function() {};
+            loadWeightProfile = function() {};
+            initGame();
+            
+            assertFalse(DOM.saveNotice.hidden, 'The notice should be shown');
+            assertEqual(DOM.saveNoticeText.textContent, 'The link could not be opened: Illegal move f5 at move 2 (White to play)',
+                'The notice should say why the link was not opened');
+            assertEqual(DOM.statusMessage.textContent, 'Your turn', 'The status should describe the game');
+            assertEqual(gameState.moveCounter, 2, 'The saved game should be loaded instead');
+            assertEqual(location.hash, '', 'The link should be cleared from the address');
+        });
+    } finally {
+        loadOpeningBook = originalLoadOpeningBook;
+        loadWeightProfile = originalLoadWeightProfile;
+        cancelComputerMove();
+        DOM.saveNotice.hidden = true;
+        DOM.gameBoard = originalGameBoard;
+    }
+});
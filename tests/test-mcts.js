@@ -0,0 +1,116 @@
+/**
+ * Tests for the Monte Carlo Tree Search (expert level)
+ */
+
+// Create a test suite for MCTS operations
+const mctsSuite = TestFramework.createSuite('Monte Carlo Tree Search Tests');
+
+// Set up a fresh board before each test
+TestFramework.beforeEach(mctsSuite, function() {
+    // Reset the game state before each test
+    initTestEnvironment();
+});
+
+// Test reproducibility
+TestFramework.addTest(mctsSuite, 'chooseExpertMove should be repeatable with a seed and an iteration budget', function() {
+    makeMove(gameState.board, 2, 3, BLACK);
+    
+    const first = ReversiMCTS.chooseExpertMove(gameState.board, WHITE, { iterations: 300, seed: 42 });
+    const second = ReversiMCTS.chooseExpertMove(gameState.board, WHITE, { iterations: 300, seed: 42 });
+    
+    assertEqual(first.iterations, 300, 'The search should stop at its iteration budget');
+    assertDeepEqual(second.move, first.move, 'The same seed should choose the same move');
+    assertEqual(second.score, first.score, 'The same seed should give the same win rate');
+    assertEqual(second.nodes, first.nodes, 'The same seed should grow the same tree');
+    assertTrue(isValidMove(gameState.board, first.move[0], first.move[1], WHITE), 'The move should be legal');
+    assertTrue(first.score >= 0 && first.score <= 1, 'The score should be a win rate');
+    assertTrue(first.depth >= 1 && first.nodes > 1, 'The tree should have grown');
+});
+
+// Test the time budget and progress reports
+TestFramework.addTest(mctsSuite, 'chooseExpertMove should respect its time budget and report progress', function() {
+    makeMove(gameState.board, 2, 3, BLACK);
+    const progress = [];
+    
+    const result = ReversiMCTS.chooseExpertMove(gameState.board, WHITE, {
+        timeBudget: 100,
+        seed: 1,
+        onProgress: report => progress.push(report)
+    });
+    
+    assertTrue(result.elapsed < 100 + 100, `The search should stop close to its budget (took ${Math.round(result.elapsed)} ms)`);
+    assertTrue(result.iterations > 0, 'Some playouts should have run');
+    assertEqual(progress.length, Math.floor(result.iterations / ReversiMCTS.MCTS_SETTINGS.PROGRESS_INTERVAL),
+        'Progress should be reported at a fixed playout interval');
+    assertTrue(progress.every((report, index) => index === 0 || report.iterations > progress[index - 1].iterations),
+        'Progress reports should count up');
+});
+
+// Test playing strength on a solved endgame
+TestFramework.addTest(mctsSuite, 'chooseExpertMove should find the only winning move of an endgame', function() {
+    const { board, player } = playRandomGameTo(8, 7);
+    const moves = getValidMoves(board, player);
+    
+    // Solve every move exactly to find the winning ones
+    const winning = moves.filter(([row, col]) => {
+        const next = cloneBoard(board);
+        makeMove(next, row, col, player);
+        const nextPlayer = getNextPlayer(next, player);
+        if (nextPlayer === null) {
+            return getWinner(next) === player;
+        }
+        const { score } = ReversiEndgame.solveEndgame(next, nextPlayer);
+        return (nextPlayer === player ? score : -score) > 0;
+    });
+    assertEqual(winning.length, 1, 'The test position should have exactly one winning move');
+    
+    const result = ReversiMCTS.chooseExpertMove(board, player, { iterations: 3000, seed: 1 });
+    assertDeepEqual(result.move, winning[0], 'The expert should play the winning move');
+    assertTrue(result.score > 0.5, 'The winning move should have a winning rate');
+});
+
+// Test forced positions
+TestFramework.addTest(mctsSuite, 'chooseExpertMove should return null when the side to move must pass', function() {
+    // White has no move here but black does
+    const rows = [
+        'WWWWWWWW',
+        'WWWWWWWB',
+        'WBWWWWBW',
+        'WBBWWWWW',
+        'WBWBBWWW',
+        'WWBBBWW.',
+        'WWWWBWW.',
+        '...BBB..'
+    ];
+    gameState.board = rows.map(row => [...row].map(cell => cell === 'B' ? BLACK : (cell === 'W' ? WHITE : EMPTY)));
+    assertEqual(getValidMoves(gameState.board, WHITE).length, 0, 'White should have to pass');
+    assertTrue(hasValidMoves(gameState.board, BLACK), 'Black should be able to move');
+    
+    const result = ReversiMCTS.chooseExpertMove(gameState.board, WHITE, { iterations: 100, seed: 1 });
+    assertEqual(result.move, null, 'There is no move to play');
+    assertEqual(result.iterations, 0, 'No search should be needed');
+});
+
+// Test the expert level through the worker protocol and the page
+TestFramework.addTest(mctsSuite, 'Expert searches should run through the worker handler and makeExpertMove', function() {
+    makeMove(gameState.board, 2, 3, BLACK);
+    const replies = [];
+    const handleMessage = ReversiWorker.createMessageHandler(message => replies.push(message));
+    
+    handleMessage({ type: ReversiWorker.MESSAGE.SEARCH, id: 1, board: gameState.board, player: WHITE,
+        options: { level: 'expert', iterations: 600, seed: 3 } });
+    const result = replies[replies.length - 1];
+    assertEqual(result.type, ReversiWorker.MESSAGE.RESULT, 'The expert search should send a result');
+    assertEqual(result.iterations, 600, 'The options should reach the expert search');
+    
+    handleMessage({ type: ReversiWorker.MESSAGE.SEARCH, id: 2, board: gameState.board, player: WHITE, options: { level: 'grandmaster' } });
+    assertEqual(replies[replies.length - 1].type, ReversiWorker.MESSAGE.ERROR, 'Unknown levels should be reported as errors');
+    
+    const validMoves = getValidMoves(gameState.board, WHITE);
+    const move = makeExpertMove(validMoves, { iterations: 600, seed: 3 });
+    assertDeepEqual(move, result.move, 'makeExpertMove should run the same search');
+    assertEqual(gameState.lastSearch.iterations, 600, 'The report should be kept in gameState.lastSearch');
+    
+    const levels = Array.from(DOM.difficultySelector.options, option => option.value);
+    assertTrue(levels.includes('expert'), 'The difficulty selector should offer the expert level');
+});
@@ -81,4 +81,35 @@ TestFramework.addTest(moveSuite, 'A sequence of moves should update the board co
     assertEqual(gameState.board[3][3], WHITE, 'Position (3, 3) should have WHITE (flipped by move at 2, 2)');
     assertEqual(gameState.board[2][2], WHITE, 'Position (2, 2) should have WHITE');
     assertEqual(gameState.board[1][2], BLACK, 'Position (1, 2) should have BLACK');
-});
\ No newline at end of file
+});
+// Test the flip list returned by makeMove
+TestFramework.addTest(moveSuite, 'makeMove should return the list of flipped discs', function() {
+    // BLACK at (2, 3) flips only the WHITE disc at (3, 3)
+    const flips = makeMove(gameState.board, 2, 3, BLACK);
+    assertDeepEqual(flips, [[3, 3]], 'Move at (2, 3) should report the single flipped disc');
+    
+    // WHITE at (2, 2) flips (3, 3) back diagonally
+    const whiteFlips = makeMove(gameState.board, 2, 2, WHITE);
+    assertDeepEqual(whiteFlips, [[3, 3]], 'Move at (2, 2) should report the diagonal flip');
+});
+
+// Test that undoMove restores the exact position
+TestFramework.addTest(moveSuite, 'undoMove should restore the board after a sequence of moves', function() {
+    const initialBoard = cloneBoard(gameState.board);
+    const played = [];
+    
+    // Play a few moves, remembering each flip list
+    [[2, 3, BLACK], [2, 2, WHITE], [1, 2, BLACK], [4, 5, WHITE]].forEach(([row, col, player]) => {
+        const before = cloneBoard(gameState.board);
+        const flips = makeMove(gameState.board, row, col, player);
+        played.push({ move: [row, col], flips, before });
+    });
+    
+    // Undo in reverse order; every intermediate position must match exactly
+    for (let i = played.length - 1; i >= 0; i--) {
+        undoMove(gameState.board, played[i].move, played[i].flips);
+        assertBoardEqual(gameState.board, played[i].before, `Board should match the position before move ${i + 1}`);
+    }
+    
+    assertBoardEqual(gameState.board, initialBoard, 'Board should be back at the starting position');
+});
@@ -0,0 +1,248 @@
+/**
+ * Tests for game records and transcripts
+ */
+
+// Create a test suite for game records
+const recordsSuite = TestFramework.createSuite('Game Record Tests');
+
+// Set up a fresh board before each test
+TestFramework.beforeEach(recordsSuite, function() {
+    // Reset the game state before each test
+    initTestEnvironment();
+});
+
+/** Opening in which black has no reply to h6 and passes before white's c5 */
+const PASS_TRANSCRIPT = 'f5f6d3g5h5h4f7h6c5';
+
+// Test replaying moves
+TestFramework.addTest(recordsSuite, 'replayMoves should play the moves and infer passes', function() {
+    const moves = ['f5', 'f6', 'd3', 'g5', 'h5', 'h4', 'f7', 'h6', 'c5'].map(fromNotation);
+    const game = ReversiRecords.replayMoves(moves);
+
+    const board = createInitialBoard();
+    let player = BLACK;
+    moves.forEach(([row, col]) => {
+        if (!hasValidMoves(board, player)) player = getOpponent(player);
+        makeMove(board, row, col, player);
+        player = getOpponent(player);
+    });
+    assertDeepEqual(game.board, board, 'The final position should match playing the moves by hand');
+    assertEqual(game.plies.length, moves.length + 1, 'The pass should be a ply of its own');
+    assertDeepEqual(game.plies[8], { player: BLACK, move: null }, 'Black should pass after h6');
+    assertDeepEqual(game.plies[9], { player: WHITE, move: [4, 2] }, 'White should play c5 after the pass');
+    assertDeepEqual(ReversiRecords.replayMoves([]).plies, [], 'An empty game has no plies');
+
+    try {
+        ReversiRecords.replayMoves([[5, 4], [5, 4]]);
+        assertTrue(false, 'An illegal move should be rejected');
+    } catch (error) {
+        assertEqual(error.message, 'Illegal move e6 at move 2 (White to play)', 'The error should name the move, its number and the side');
+        assertEqual(error.moveNumber, 2, 'The error should carry the move number');
+    }
+});
+
+// Test reading transcripts
+TestFramework.addTest(recordsSuite, 'parseTranscript should accept the compact format with any case and separators', function() {
+    const compact = ReversiRecords.parseTranscript('f5d6c3d3c4');
+    assertDeepEqual(compact.moves, [[4, 5], [5, 3], [2, 2], [2, 3], [3, 2]], 'The moves should be read in order');
+    assertEqual(compact.player, WHITE, 'White should be to move after five moves');
+
+    const loose = ReversiRecords.parseTranscript(' F5 d6, C3-d3; c4\n');
+    assertDeepEqual(loose.moves, compact.moves, 'Case and separators should not matter');
+    assertDeepEqual(loose.board, compact.board, 'Both should reach the same position');
+
+    const written = ReversiRecords.parseTranscript('f5f6d3g5h5h4f7h6 pa c5');
+    assertDeepEqual(written.moves, ReversiRecords.parseTranscript(PASS_TRANSCRIPT).moves, 'A written pass should be accepted');
+
+    const empty = ReversiRecords.parseTranscript('');
+    assertDeepEqual(empty.board, createInitialBoard(), 'An empty transcript is the starting position');
+    assertEqual(empty.player, BLACK, 'Black moves first');
+});
+
+// Test transcript errors
+TestFramework.addTest(recordsSuite, 'parseTranscript errors should point at the exact move', function() {
+    const expectError = (text, message, start, end, moveNumber) => {
+        try {
+            ReversiRecords.parseTranscript(text);
+            assertTrue(false, `"${text}" should be rejected`);
+        } catch (error) {
+            assertEqual(error.message, message, `The error for "${text}" should explain the problem`);
+            assertDeepEqual([error.start, error.end], [start, end], `The error for "${text}" should give the characters`);
+            assertEqual(error.moveNumber, moveNumber, `The error for "${text}" should give the move number`);
+        }
+    };
+
+    expectError('f5 d6 c3 a1', 'Illegal move a1 at move 4 (White to play)', 9, 11, 4);
+    expectError('f5d6z3', 'Unexpected "z" at character 5', 4, 5, undefined);
+    expectError('f5 pa d6', 'Illegal pass before move 2 (White has a legal move)', 3, 5, undefined);
+
+    // A game can end before the transcript does
+    const board = Array.from({ length: BOARD_SIZE }, () => Array(BOARD_SIZE).fill(EMPTY));
+    board[0][0] = WHITE;
+    board[0][1] = BLACK;
+    const finished = ReversiRecords.parseTranscript('c1', { board, player: WHITE });
+    assertEqual(finished.player, null, 'No side can move once white takes b1');
+    try {
+        ReversiRecords.parseTranscript('c1d1', { board, player: WHITE });
+        assertTrue(false, 'A move after the end should be rejected');
+    } catch (error) {
+        assertEqual(error.message, 'Illegal move d1 at move 2 (the game is over)', 'The error should say the game is over');
+    }
+});
+
+// Test writing transcripts
+TestFramework.addTest(recordsSuite, 'formatTranscript output should parse back to the same game', function() {
+    const game = ReversiRecords.parseTranscript(PASS_TRANSCRIPT);
+    assertEqual(ReversiRecords.formatTranscript(game.moves), PASS_TRANSCRIPT, 'The transcript should leave the pass out');
+    assertEqual(ReversiRecords.formatTranscript([]), '', 'An empty game has an empty transcript');
+});
+
+// Test the link formats
+TestFramework.addTest(recordsSuite, 'Game links should hold the moves and any set-up position compactly', function() {
+    const initial = ReversiRecords.formatPosition(createInitialBoard(), BLACK);
+    assertEqual(initial, 'AAAAAAAAAFAJCAAAAAAAAAb', 'A position should be 22 characters and the side to move');
+    assertDeepEqual(ReversiRecords.parsePosition(initial), { board: createInitialBoard(), player: BLACK }, 'A position should read back');
+    
+    const opening = ReversiRecords.parseTranscript('f5d6c3d3c4');
+    assertEqual(ReversiRecords.formatGameLink(opening.moves), 'moves=lrSTa', 'A game from the initial position should only hold its moves');
+    const linked = ReversiRecords.parseGameLink('#moves=lrSTa');
+    assertDeepEqual(linked.moves, opening.moves, 'The moves should read back');
+    assertDeepEqual(linked.board, opening.board, 'The moves should be replayed');
+    assertDeepEqual(linked.start, { board: createInitialBoard(), player: BLACK }, 'The start should be the initial position');
+    
+    // White to move after five moves, then f4 and e3
+    const start = { board: opening.board, player: opening.player };
+    const moves = ['f4', 'e3'].map(fromNotation);
+    const hash = ReversiRecords.formatGameLink(moves, start);
+    assertEqual(hash, `position=${ReversiRecords.formatPosition(opening.board, WHITE)}&moves=dU`, 'A set-up position should come first');
+    const continued = ReversiRecords.parseGameLink(hash);
+    assertDeepEqual(continued.start, start, 'The position should read back');
+    assertDeepEqual(continued.board, ReversiRecords.parseTranscript('f5d6c3d3c4f4e3').board, 'The moves should be played from the position');
+    
+    assertEqual(ReversiRecords.parseGameLink(''), null, 'An empty hash holds no game');
+    assertEqual(ReversiRecords.parseGameLink('#section=help'), null, 'Other hashes hold no game');
+    
+    const expectError = (link, message) => {
+        try {
+            ReversiRecords.parseGameLink(link);
+            assertTrue(false, `"${link}" should be rejected`);
+        } catch (error) {
+            assertEqual(error.message, message, `The error for "${link}" should explain the problem`);
+        }
+    };
+    expectError('#moves=ll', 'Illegal move f5 at move 2 (White to play)');
+    expectError('#moves=l!', 'Invalid moves (unexpected "!" at move 2)');
+    expectError('#position=AAAAb', 'Invalid position "AAAAb" (expected 22 board characters and b or w)');
+    expectError('#position=AAAAAAAAAFAJCAAAAAAAAA_', 'Invalid position "AAAAAAAAAFAJCAAAAAAAAA_" (expected 22 board characters and b or w)');
+    expectError('#position=AAAAAAAAAFAJCAAAAAAAAzb', 'Invalid position "AAAAAAAAAFAJCAAAAAAAAzb" (unexpected "z" at character 22)');
+    expectError('#position=AAAAAAAAAFAJCAAAAAAAADb', 'Invalid position "AAAAAAAAAFAJCAAAAAAAADb" (discs past h8)');
+});
+
+/** Standard starting board in GGF notation */
+const GGF_START = '8 -------- -------- -------- ---O*--- ---*O--- -------- -------- -------- *';
+
+// Test reading GGF files
+TestFramework.addTest(recordsSuite, 'parseGGF should read moves, metadata and starting boards and skip broken games', function() {
+    const text = [
+        `(;GM[Othello]PC[NEOS]DT[2003.12.15_13:24:03.MET]PB[Saio1200]PW[Saio3000]RB[2197.72]RW[2199.12]TY[8]RE[+18.000]BO[${GGF_START}]B[F5//0.01]W[d6]B[C3/1.20/3];)`,
+        `(;GM[Othello]BO[${GGF_START}]B[f5]W[f6]B[d3]W[g5]B[h5]W[h4]B[f7]W[h6]B[PA]W[c5];)`,
+        `(;GM[Othello]BO[${GGF_START}]B[f5]B[d6];)`,
+        `(;GM[Othello]BO[8 ---------------------------*O------O*--------------------------- O]W[c4];)`,
+        `(;GM[Chess]BO[${GGF_START}];)`
+    ].join('\n');
+    const { games, skipped } = ReversiRecords.parseGGF(text);
+    
+    assertEqual(games.length, 3, 'Three games should be read');
+    assertDeepEqual(games[0].moves, [[4, 5], [5, 3], [2, 2]], 'Moves should be read without their times');
+    assertDeepEqual(games[0].metadata, {
+        black: 'Saio1200', white: 'Saio3000', blackRating: 2197.72, whiteRating: 2199.12,
+        date: '2003.12.15_13:24:03.MET', event: 'NEOS', result: 18, theoreticalResult: null
+    }, 'The metadata should be read');
+    assertDeepEqual(games[0].start, { board: createInitialBoard(), player: BLACK }, 'The standard start should be recognised');
+    assertEqual(games[1].moves.length, 9, 'The written pass should not be a move');
+    
+    // The mirrored start with white to move
+    assertEqual(games[2].start.player, WHITE, 'The side to move should be read from the board');
+    assertEqual(games[2].start.board[3][3], BLACK, 'The board should be read row by row from a1');
+    assertEqual(games[2].metadata.black, null, 'Missing names should be null');
+    
+    assertDeepEqual(skipped, [
+        { index: 2, message: 'Move d6 at move 2 is marked as Black\'s, but White is to play' },
+        { index: 4, message: 'Not an Othello game (GM[Chess])' }
+    ], 'Broken games should be reported by position');
+});
+
+/**
+ * Build WTHOR file contents
+ * @param {Array<Object>} games - `{ tournament, black, white, score, theoretical, moves }`, moves as square names
+ * @returns {Uint8Array} Game file
+ */
+function buildWthorFile(games) {
+    const { HEADER_SIZE, GAME_SIZE, MOVES_OFFSET } = ReversiRecords.WTHOR_FORMAT;
+    const data = new Uint8Array(HEADER_SIZE + games.length * GAME_SIZE);
+    const view = new DataView(data.buffer);
+    view.setUint32(4, games.length, true);
+    view.setUint16(10, 2001, true);
+    data[12] = 8;
+    
+    games.forEach((game, index) => {
+        const offset = HEADER_SIZE + index * GAME_SIZE;
+        view.setUint16(offset, game.tournament, true);
+        view.setUint16(offset + 2, game.black, true);
+        view.setUint16(offset + 4, game.white, true);
+        data[offset + 6] = game.score;
+        data[offset + 7] = game.theoretical;
+        game.moves.forEach((square, ply) => {
+            const [row, col] = fromNotation(square);
+            data[offset + MOVES_OFFSET + ply] = (row + 1) * 10 + col + 1;
+        });
+    });
+    return data;
+}
+
+/**
+ * Build a WTHOR name file
+ * @param {Array<string>} names - Names in file order
+ * @param {number} recordSize - Bytes per name
+ * @returns {Uint8Array} Name file
+ */
+function buildWthorNames(names, recordSize) {
+    const { HEADER_SIZE } = ReversiRecords.WTHOR_FORMAT;
+    const data = new Uint8Array(HEADER_SIZE + names.length * recordSize);
+    new DataView(data.buffer).setUint16(8, names.length, true);
+    names.forEach((name, index) => {
+        [...name].forEach((char, position) => {
+            data[HEADER_SIZE + index * recordSize + position] = char.charCodeAt(0);
+        });
+    });
+    return data;
+}
+
+// Test reading WTHOR files
+TestFramework.addTest(recordsSuite, 'parseWthor should decode moves, names and scores and skip broken games', function() {
+    const { PLAYER_SIZE, TOURNAMENT_SIZE } = ReversiRecords.WTHOR_FORMAT;
+    const players = ReversiRecords.parseWthorNames(buildWthorNames(['Tastet Marc', 'Séeman Éric'], PLAYER_SIZE), PLAYER_SIZE);
+    const tournaments = ReversiRecords.parseWthorNames(buildWthorNames(['Paris 2001'], TOURNAMENT_SIZE), TOURNAMENT_SIZE);
+    assertDeepEqual(players, ['Tastet Marc', 'Séeman Éric'], 'Latin-1 names should be read without their padding');
+    
+    const file = buildWthorFile([
+        { tournament: 0, black: 1, white: 0, score: 40, theoretical: 34, moves: PASS_TRANSCRIPT.match(/../g) },
+        { tournament: 0, black: 0, white: 1, score: 32, theoretical: 32, moves: ['f5', 'f5'] }
+    ]);
+    const { games, skipped } = ReversiRecords.parseWthor(file.buffer, { players, tournaments });
+    
+    assertEqual(games.length, 1, 'One game should be read');
+    assertDeepEqual(games[0].moves, ReversiRecords.parseTranscript(PASS_TRANSCRIPT).moves, 'The moves should be decoded, the pass inferred');
+    assertDeepEqual(games[0].metadata, {
+        black: 'Séeman Éric', white: 'Tastet Marc', blackRating: null, whiteRating: null,
+        date: '2001', event: 'Paris 2001', result: 16, theoreticalResult: 4
+    }, 'Names should be looked up and disc counts turned into margins');
+    assertDeepEqual(skipped, [{ index: 1, message: 'Illegal move f5 at move 2 (White to play)' }], 'The broken game should be reported');
+    
+    try {
+        ReversiRecords.parseWthor(file.subarray(0, 100));
+        assertTrue(false, 'A truncated file should be rejected');
+    } catch (error) {
+        assertEqual(error.message, 'Truncated WTHOR file (2 games expected)', 'The error should say the file is truncated');
+    }
+});
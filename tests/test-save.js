@@ -0,0 +1,145 @@
+/**
+ * Tests for the saved-game format: validation and migration
+ */
+
+// Create a test suite for saved games
+const saveSuite = TestFramework.createSuite('Saved Game Tests');
+
+// Set up a fresh board before each test
+TestFramework.beforeEach(saveSuite, function() {
+    // Reset the game state before each test
+    initTestEnvironment();
+});
+
+/**
+ * Build a valid save of a game played from the initial position
+ * @param {string} [transcript='f5d6c3'] - Moves played
+ * @param {Object} [overrides] - Fields to replace
+ * @returns {Object} Save at the current version
+ */
+function createTestSave(transcript = 'f5d6c3', overrides = {}) {
+    const game = ReversiRecords.parseTranscript(transcript);
+    return {
+        version: ReversiSave.SAVE_VERSION,
+        board: game.board,
+        currentPlayer: game.player || BLACK,  // Nobody is to move in a finished game
+        isGameOver: false,
+        playerDisc: BLACK,
+        computerDisc: WHITE,
+        moveCounter: game.moves.length,
+        lastMove: game.moves[game.moves.length - 1],
+        gameRecord: { moves: game.moves, hints: [], start: null },
+        history: game.moves,
+        historyIndex: game.moves.length,
+        settings: { difficulty: 'medium', hintLimit: '3' },
+        ...overrides
+    };
+}
+
+/**
+ * Check that a save is rejected with the given message
+ * @param {Object|string} save - Save object, or the stored text
+ * @param {string} message - Expected error message
+ * @returns {void}
+ */
+function assertSaveRejected(save, message) {
+    let rejection = null;
+    try {
+        ReversiSave.readSave(typeof save === 'string' ? save : JSON.stringify(save));
+    } catch (error) {
+        rejection = error;
+    }
+    assertTrue(rejection !== null, `The save should be rejected with "${message}"`);
+    assertEqual(rejection.message, message, 'The error should say what is wrong');
+}
+
+// Test reading valid saves
+TestFramework.addTest(saveSuite, 'readSave should accept a valid save unchanged', function() {
+    const save = createTestSave();
+    assertDeepEqual(ReversiSave.readSave(JSON.stringify(save)), save, 'The save should come back as it was');
+
+    // Undone moves stay in the history
+    const undone = createTestSave('f5d6c3', { history: ReversiRecords.parseTranscript('f5d6c3d3c4').moves });
+    assertDeepEqual(ReversiSave.readSave(JSON.stringify(undone)).history.length, 5, 'Undone moves should be accepted');
+
+    // A game from a set-up position
+    const start = ReversiRecords.parseTranscript('f5d6c3');
+    const continued = ReversiRecords.parseTranscript('d3', { board: start.board, player: start.player });
+    const linked = createTestSave('f5d6c3d3', {
+        moveCounter: 1,
+        gameRecord: { moves: continued.moves, hints: [], start: { board: start.board, player: start.player } },
+        history: continued.moves,
+        historyIndex: 1
+    });
+    assertDeepEqual(ReversiSave.readSave(JSON.stringify(linked)), linked, 'A set-up position should be accepted');
+});
+
+// Test the structural checks
+TestFramework.addTest(saveSuite, 'readSave should reject saves with a malformed structure', function() {
+    assertSaveRejected('{"board": ', 'The save is not valid JSON');
+    assertSaveRejected('[]', 'The save is not an object');
+
+    const board = createTestSave().board;
+    assertSaveRejected(createTestSave('f5d6c3', { board: board.slice(1) }), 'Invalid board: expected 8 rows');
+    assertSaveRejected(createTestSave('f5d6c3', { board: board.map((row, index) => (index === 2 ? row.slice(1) : row)) }),
+        'Invalid board: row 3 does not have 8 squares');
+    const badSquare = cloneBoard(board);
+    badSquare[3][2] = 5;
+    assertSaveRejected(createTestSave('f5d6c3', { board: badSquare }), 'Invalid board: square c4 holds 5');
+
+    assertSaveRejected(createTestSave('f5d6c3', { currentPlayer: 3 }), 'Invalid side to move 3');
+    assertSaveRejected(createTestSave('f5d6c3', { computerDisc: BLACK }), 'The player and the computer must have one color each');
+    assertSaveRejected(createTestSave('f5d6c3', { lastMove: [0, 0] }), 'Invalid last move [0,0]');
+    assertSaveRejected(createTestSave('f5d6c3', { history: [[4, 5], [9, 9]] }), 'The history entry 2 is not a square');
+    assertSaveRejected(createTestSave('f5d6c3', { version: 3 }), 'Saved by a newer version of the game (save version 3)');
+});
+
+// Test the consistency checks
+TestFramework.addTest(saveSuite, 'readSave should reject positions that do not fit the game', function() {
+    // An extra disc
+    const extraDisc = cloneBoard(createTestSave().board);
+    extraDisc[0][0] = BLACK;
+    assertSaveRejected(createTestSave('f5d6c3', { board: extraDisc }), '8 discs on the board do not fit 3 moves from 4 discs');
+
+    // A disc of the wrong color
+    const wrongColor = cloneBoard(createTestSave().board);
+    wrongColor[4][3] = BLACK;
+    assertSaveRejected(createTestSave('f5d6c3', { board: wrongColor }), 'The board does not match the moves played');
+
+    // Black has no reply to h6
+    assertSaveRejected(createTestSave('f5f6d3g5h5h4f7h6', { currentPlayer: BLACK }), 'Black is to move but has no legal move');
+    assertSaveRejected(createTestSave('f5d6c3', { isGameOver: true }), 'The game is marked as over, but a side can still move');
+    assertSaveRejected(createTestSave('f5d6c5f4e3f6g5e6e7'), 'Neither side can move, but the game is not marked as over');
+
+    assertSaveRejected(createTestSave('f5d6c3', { history: [[4, 5]] }), 'History position 3 does not fit 3 moves played');
+    assertSaveRejected(createTestSave('f5d6c3', { history: ReversiRecords.parseTranscript('f5d6c5').moves }),
+        'The history does not match the moves played');
+    assertSaveRejected(createTestSave('f5d6c3', { history: [...createTestSave().history, [0, 0]] }),
+        'The history does not replay: Illegal move a1 at move 4 (White to play)');
+});
+
+// Test migrating older saves
+TestFramework.addTest(saveSuite, 'Unversioned saves should be migrated to the current version', function() {
+    const current = createTestSave();
+
+    // The first saves held only the position
+    const positionOnly = ReversiSave.readSave(JSON.stringify({
+        board: current.board, currentPlayer: WHITE, moveCounter: 3, lastMove: [2, 2], playerDisc: BLACK, computerDisc: WHITE
+    }));
+    assertEqual(positionOnly.version, ReversiSave.SAVE_VERSION, 'The save should be at the current version');
+    assertDeepEqual(positionOnly.gameRecord, { moves: [], hints: [], start: null }, 'An empty game record should be added');
+    assertDeepEqual(positionOnly.history, [], 'A game without recorded moves should have no history');
+    assertFalse(positionOnly.isGameOver, 'The game should not be over');
+    assertDeepEqual(positionOnly.settings, {}, 'The settings should be left to the page');
+
+    // Later ones the moves played
+    const withMoves = ReversiSave.readSave(JSON.stringify({ ...current, version: undefined, history: undefined, historyIndex: undefined }));
+    assertDeepEqual(withMoves.history, current.gameRecord.moves, 'The moves played should become the history');
+    assertEqual(withMoves.historyIndex, 3, 'All of them should be played');
+
+    // A finished game saved without the game-over flag
+    const finished = createTestSave('f5d6c5f4e3f6g5e6e7', { version: undefined, isGameOver: undefined });
+    assertTrue(ReversiSave.readSave(JSON.stringify(finished)).isGameOver, 'The game-over flag should follow the board');
+
+    assertSaveRejected({ ...current, version: 0 }, 'Unknown save version 0');
+});
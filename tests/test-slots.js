@@ -0,0 +1,197 @@
+/**
+ * Tests for the saved-game slots and their stores
+ */
+
+// Create a test suite for saved-game slots
+const slotsSuite = TestFramework.createSuite('Saved-Game Slot Tests');
+
+// Set up a fresh board before each test
+TestFramework.beforeEach(slotsSuite, function() {
+    // Reset the game state before each test
+    initTestEnvironment();
+});
+
+/**
+ * In-memory stand-in for localStorage
+ * @returns {Object} Storage with getItem, setItem and removeItem, and its `items` Map
+ */
+function createMemoryStorage() {
+    const items = new Map();
+    return {
+        items,
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+/**
+ * Slot holding a game from the initial position (see createTestSave in test-save.js)
+ * @param {string} name - Slot name
+ * @param {string} transcript - Moves played
+ * @param {Object} [options] - `date` of the slot, `playerDisc`, `difficulty`
+ * @returns {Object} Slot
+ */
+function createTestSlot(name, transcript, { date = new Date('2026-03-01T10:00:00Z'), playerDisc = BLACK, difficulty = 'hard' } = {}) {
+    const save = createTestSave(transcript, {
+        playerDisc,
+        computerDisc: getOpponent(playerDisc),
+        settings: { difficulty, hintLimit: '3' },
+        isGameOver: ReversiRecords.parseTranscript(transcript).player === null
+    });
+    return ReversiSlots.createSlot(name, save, date);
+}
+
+// Test describing slots for the list
+TestFramework.addTest(slotsSuite, 'describeSlot should give the level and result of a saved game', function() {
+    const slot = createTestSlot('Training', 'f5d6c3');
+    assertEqual(slot.date, '2026-03-01T10:00:00.000Z', 'The date should be kept as an ISO string');
+    assertTrue(slot.id !== createTestSlot('Training', 'f5d6c3').id, 'Every slot should get its own id');
+
+    const inProgress = ReversiSlots.describeSlot(slot);
+    assertEqual(inProgress.name, 'Training', 'The name should be given');
+    assertEqual(inProgress.level, 'hard', 'The level should come from the settings');
+    assertEqual(inProgress.result, 'In progress (move 3)', 'An unfinished game should say how far it got');
+    assertEqual(inProgress.error, null, 'The save should be usable');
+
+    // Black wins 13-0
+    assertEqual(ReversiSlots.describeSlot(createTestSlot('Win', 'f5d6c5f4e3f6g5e6e7')).result, 'Won 13-0',
+        'The result should be from the player\'s side');
+    assertEqual(ReversiSlots.describeSlot(createTestSlot('Loss', 'f5d6c5f4e3f6g5e6e7', { playerDisc: WHITE })).result, 'Lost 0-13',
+        'A player with White should have lost');
+
+    // A save that fails its checks is described, but cannot be used
+    const broken = createTestSlot('Broken', 'f5d6c3');
+    broken.save.board[0][0] = BLACK;
+    const description = ReversiSlots.describeSlot(broken);
+    assertEqual(description.save, null, 'The save should not be offered');
+    assertEqual(description.error, '8 discs on the board do not fit 3 moves from 4 discs', 'The reason should be given');
+
+    // Older saves are brought up to date without changing the slot
+    const old = createTestSlot('Old', 'f5d6c3');
+    delete old.save.version;
+    assertEqual(ReversiSlots.describeSlot(old).save.version, ReversiSave.SAVE_VERSION, 'The save should be migrated');
+    assertEqual(old.save.version, undefined, 'The stored slot should be left alone');
+});
+
+// Test the localStorage store
+TestFramework.addTest(slotsSuite, 'The localStorage store should list, replace and remove slots', function() {
+    const storage = createMemoryStorage();
+    const store = ReversiSlots.createLocalStorageStore(storage, 'slots');
+    const older = createTestSlot('Older', 'f5', { date: new Date('2026-01-01T00:00:00Z') });
+    const newer = createTestSlot('Newer', 'f5d6', { date: new Date('2026-02-01T00:00:00Z') });
+    const errors = [];
+    const report = error => errors.push(error);
+    let listed = null;
+    const list = () => store.list((error, slots) => {
+        report(error);
+        listed = slots;
+    });
+
+    assertEqual(store.type, 'localStorage', 'The store should say what it uses');
+    list();
+    assertDeepEqual(listed, [], 'An empty store should list nothing');
+
+    store.put(older, report);
+    store.put(newer, report);
+    list();
+    assertDeepEqual(listed.map(slot => slot.name), ['Newer', 'Older'], 'Slots should be listed newest first');
+    assertDeepEqual(listed[1], older, 'A slot should come back as it was put');
+
+    store.put({ ...older, name: 'Renamed' }, report);
+    list();
+    assertDeepEqual(listed.map(slot => slot.name), ['Newer', 'Renamed'], 'A slot with the same id should be replaced');
+
+    store.remove(newer.id, report);
+    list();
+    assertDeepEqual(listed.map(slot => slot.name), ['Renamed'], 'The slot should be removed');
+    assertTrue(errors.every(error => error === null), 'Nothing should fail');
+    assertTrue(storage.items.has('slots'), 'The slots should be kept under the given key');
+
+    // Storage that is damaged or missing
+    storage.setItem('slots', '{');
+    store.list(error => report(error));
+    assertEqual(errors.pop().message, 'The saved games under "slots" cannot be read', 'A damaged list should be reported');
+    ReversiSlots.createLocalStorageStore(null).put(older, report);
+    assertEqual(errors.pop().message, 'This browser does not allow saving games', 'Missing storage should be reported');
+});
+
+// Test the IndexedDB store against a minimal stand-in database
+TestFramework.addTest(slotsSuite, 'The IndexedDB store should run each change in a transaction', function() {
+    const records = new Map();
+    const pending = [];
+    const database = {
+        transaction: (name, mode) => {
+            const transaction = { name, mode };
+            transaction.objectStore = () => ({
+                getAll: () => ({ result: [...records.values()] }),
+                put: slot => ({ result: records.set(slot.id, slot) && slot.id }),
+                delete: id => ({ result: records.delete(id) && undefined })
+            });
+            pending.push(transaction);
+            return transaction;
+        }
+    };
+    const store = ReversiSlots.createIndexedDBStore(database);
+    const finish = () => pending.splice(0).forEach(transaction => transaction.oncomplete());
+    const slot = createTestSlot('Stored', 'f5d6');
+    let listed = null;
+
+    assertEqual(store.type, 'indexedDB', 'The store should say what it uses');
+    store.put(slot, error => assertEqual(error, null, 'The slot should be stored'));
+    assertEqual(pending[0].mode, 'readwrite', 'Storing should write');
+    assertEqual(pending[0].name, 'savedGames', 'The slots should live in their own object store');
+    finish();
+
+    store.list((error, slots) => {
+        listed = slots;
+    });
+    assertEqual(listed, null, 'The list should wait for the transaction');
+    finish();
+    assertDeepEqual(listed, [slot], 'The slot should be listed');
+
+    store.remove(slot.id, error => assertEqual(error, null, 'The slot should be removed'));
+    finish();
+    assertEqual(records.size, 0, 'Nothing should be left');
+
+    // A failed transaction is reported
+    let failure = null;
+    store.put(slot, error => {
+        failure = error;
+    });
+    const [failed] = pending.splice(0);
+    failed.error = new Error('Quota exceeded');
+    failed.onabort();
+    assertEqual(failure.message, 'Quota exceeded', 'The error should be passed on');
+});
+
+// Test choosing the store
+TestFramework.addTest(slotsSuite, 'openSlotStore should fall back to localStorage when IndexedDB cannot be used', function() {
+    const storage = createMemoryStorage();
+    const opened = [];
+    const open = indexedDB => ReversiSlots.openSlotStore({ indexedDB, storage }, store => opened.push(store.type));
+
+    open(null);
+    assertDeepEqual(opened, ['localStorage'], 'Without IndexedDB localStorage should be used');
+
+    open({ open: () => { throw new Error('Blocked'); } });
+    assertEqual(opened[1], 'localStorage', 'IndexedDB that throws should be skipped');
+
+    // IndexedDB that refuses to open, as in some private browsing modes
+    let request = null;
+    open({ open: () => (request = {}) });
+    let isDefaultPrevented = false;
+    request.onerror({ preventDefault: () => { isDefaultPrevented = true; } });
+    assertEqual(opened[2], 'localStorage', 'An open error should fall back to localStorage');
+    assertTrue(isDefaultPrevented, 'The error should be handled');
+
+    // IndexedDB that opens, creating the object store on first use
+    const created = [];
+    const database = { createObjectStore: (name, options) => created.push([name, options]) };
+    open({ open: (name, version) => (request = { result: database, name, version }) });
+    request.onupgradeneeded();
+    request.onsuccess();
+    assertEqual(opened[3], 'indexedDB', 'IndexedDB should be used when it opens');
+    assertEqual(request.name, 'reversi', 'The database should be the game\'s');
+    assertDeepEqual(created, [['savedGames', { keyPath: 'id' }]], 'Slots should be keyed by id');
+});
@@ -0,0 +1,136 @@
+/**
+ * Tests for Zobrist hashing and the transposition table
+ */
+
+// Create a test suite for transposition table operations
+const ttSuite = TestFramework.createSuite('Transposition Table Tests');
+
+// Set up a fresh board before each test
+TestFramework.beforeEach(ttSuite, function() {
+    // Reset the game state before each test
+    initTestEnvironment();
+});
+
+// Test that keys depend on the discs and the side to move
+TestFramework.addTest(ttSuite, 'hashBoard should distinguish positions and the side to move', function() {
+    const blackToMove = ReversiTT.hashBoard(gameState.board, BLACK);
+    const again = ReversiTT.hashBoard(cloneBoard(gameState.board), BLACK);
+    const whiteToMove = ReversiTT.hashBoard(gameState.board, WHITE);
+    
+    assertDeepEqual(blackToMove, again, 'The same position should always get the same key');
+    assertFalse(blackToMove.lo === whiteToMove.lo && blackToMove.hi === whiteToMove.hi,
+        'The side to move should change the key');
+    assertDeepEqual(ReversiTT.hashPass(blackToMove), whiteToMove, 'hashPass should only switch the side to move');
+    
+    makeMove(gameState.board, 2, 3, BLACK);
+    const afterMove = ReversiTT.hashBoard(gameState.board, BLACK);
+    assertFalse(afterMove.lo === blackToMove.lo && afterMove.hi === blackToMove.hi,
+        'A different disc placement should change the key');
+});
+
+// Test incremental updates against full recomputation
+TestFramework.addTest(ttSuite, 'hashMove should match hashBoard after each move', function() {
+    let hash = ReversiTT.hashBoard(gameState.board, BLACK);
+    
+    [[2, 3, BLACK], [2, 2, WHITE], [3, 2, BLACK], [4, 2, WHITE], [5, 2, BLACK]].forEach(([row, col, player]) => {
+        const flips = makeMove(gameState.board, row, col, player);
+        hash = ReversiTT.hashMove(hash, row, col, flips, player);
+        
+        assertDeepEqual(hash, ReversiTT.hashBoard(gameState.board, getOpponent(player)),
+            `Incremental key should match after the move at (${row}, ${col})`);
+    });
+});
+
+// Test the bitboard form of the incremental update
+TestFramework.addTest(ttSuite, 'hashBitboardMove should match hashMove', function() {
+    let player = BLACK;
+    let hash = ReversiTT.hashBoard(gameState.board, player);
+
+    ReversiRecords.parseTranscript('f5d6c3d3c4f4f6f3e6e7').moves.forEach(([row, col]) => {
+        const { own, opponent } = ReversiBitboard.fromBoard(gameState.board, player);
+        const square = ReversiBitboard.toSquare(row, col);
+        const bitboardHash = ReversiTT.hashBitboardMove(hash, square, ReversiBitboard.getFlipMask(own, opponent, square), player);
+
+        hash = ReversiTT.hashMove(hash, row, col, makeMove(gameState.board, row, col, player), player);
+        assertDeepEqual(bitboardHash, hash, `Both updates should agree after ${toNotation(row, col)}`);
+        player = getOpponent(player);
+    });
+});
+
+// Test storing and probing entries
+TestFramework.addTest(ttSuite, 'store and probe should round-trip depth, score, bound and move', function() {
+    const table = ReversiTT.createTranspositionTable(1024);
+    const hash = ReversiTT.hashBoard(gameState.board, BLACK);
+    
+    assertEqual(table.probe(hash), null, 'An empty table should miss');
+    
+    table.store(hash, 3, 12.5, ReversiTT.BOUND.LOWER, [2, 3]);
+    assertDeepEqual(table.probe(hash), { depth: 3, score: 12.5, bound: ReversiTT.BOUND.LOWER, move: [2, 3] },
+        'Probe should return the stored entry');
+    
+    // A shallower result for the same position must not replace a deeper one
+    table.store(hash, 1, -4, ReversiTT.BOUND.EXACT, null);
+    assertEqual(table.probe(hash).depth, 3, 'The deeper entry should be kept');
+    
+    // The other side to move is a different position
+    assertEqual(table.probe(ReversiTT.hashPass(hash)), null, 'A different key should miss');
+});
+
+// Test the size limit and statistics
+TestFramework.addTest(ttSuite, 'Table should stay within its size and count hits and misses', function() {
+    const table = ReversiTT.createTranspositionTable(100);
+    assertEqual(table.size, 64, 'Size should be rounded down to a power of two');
+    
+    // Store far more positions than the table can hold
+    for (let i = 0; i < 500; i++) {
+        table.store({ lo: i * 7, hi: i }, 1, i, ReversiTT.BOUND.EXACT, null);
+    }
+    
+    let stats = table.getStats();
+    assertEqual(stats.stores, 500, 'Every store should be counted');
+    assertTrue(stats.used <= 64, 'The table should never hold more entries than its size');
+    assertTrue(stats.overwrites > 0, 'Colliding positions should replace older entries');
+    
+    table.clear();
+    const key = ReversiTT.hashBoard(gameState.board, BLACK);
+    table.probe(key);
+    table.store(key, 2, 0, ReversiTT.BOUND.EXACT, null);
+    table.probe(key);
+    table.probe(key);
+    
+    stats = table.getStats();
+    assertEqual(stats.misses, 1, 'One probe should miss');
+    assertEqual(stats.hits, 2, 'Two probes should hit');
+    assertEqual(stats.hitRate, 2 / 3, 'Hit rate should be hits / probes');
+    assertEqual(stats.used, 1, 'clear should empty the table');
+    
+    let error = null;
+    try {
+        ReversiTT.createTranspositionTable(0);
+    } catch (e) {
+        error = e;
+    }
+    assertTrue(error instanceof RangeError, 'A zero size should be rejected');
+});
+
+// Test that the hard AI search uses the table
+TestFramework.addTest(ttSuite, 'makeHardMove should fill the table and reuse cached positions', function() {
+    makeMove(gameState.board, 2, 3, BLACK);
+    makeMove(gameState.board, 2, 2, WHITE);
+    makeMove(gameState.board, 3, 2, BLACK);
+    const validMoves = getValidMoves(gameState.board, WHITE);
+    
+    const firstMove = makeHardMove(validMoves, { maxDepth: 4, timeBudget: Infinity });
+    const firstStats = transpositionTable.getStats();
+    assertTrue(firstStats.stores > 0, 'The search should store results');
+    assertTrue(firstStats.used > 0, 'The table should hold entries after a search');
+    
+    // Searching the same position to the same depth again is answered from the table
+    transpositionTable.resetStats();
+    const secondMove = makeHardMove(validMoves, { maxDepth: 4, timeBudget: Infinity });
+    const secondStats = transpositionTable.getStats();
+    
+    assertDeepEqual(secondMove, firstMove, 'A cached search should choose the same move');
+    assertTrue(secondStats.hits > 0, 'The repeated search should hit the table');
+    assertTrue(secondStats.probes < firstStats.probes, 'Cached results should cut the repeated search short');
+});
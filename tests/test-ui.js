@@ -209,4 +209,529 @@ TestFramework.addTest(uiSuite, 'Computer should make a move after player makes a
         // Restore original DOM element
         DOM.gameBoard = originalGameBoard;
     }
-});
\ No newline at end of file
+});
+// Test the hint button
+TestFramework.addTest(uiSuite, 'Hints should highlight the best move, respect the limit and be recorded', function() {
+    const originalGameBoard = DOM.gameBoard;
+    const originalBudget = AI_CONSTANTS.HINT_TIME_BUDGET;
+    const originalLimit = DOM.hintLimitSelector.value;
+    DOM.gameBoard = document.getElementById('test-game-board');
+    AI_CONSTANTS.HINT_TIME_BUDGET = 50;
+    DOM.hintLimitSelector.value = '1';
+    
+    try {
+        createGameBoard();
+        updateHintButton();
+        assertEqual(DOM.hintButton.textContent, 'Hint (1 left)', 'The button should show the hints left');
+        assertFalse(DOM.hintButton.disabled, 'Hints should be available on the player\'s turn');
+        
+        // Without workers the search runs synchronously
+        requestHint();
+        const { hint } = gameState;
+        assertTrue(hint !== null, 'A hint should be shown');
+        assertTrue(isValidMove(gameState.board, hint.move[0], hint.move[1], BLACK), 'The hint should be a legal move');
+        assertTrue(document.querySelectorAll('.cell')[hint.move[0] * BOARD_SIZE + hint.move[1]].classList.contains('hint-move'),
+            'The hinted cell should be highlighted');
+        assertTrue(DOM.statusMessage.textContent.startsWith(`Hint: play ${toNotation(hint.move[0], hint.move[1])}, `),
+            'The status message should name the move and give a reason');
+        assertDeepEqual(gameState.gameRecord.hints, [{ moveNumber: 1, player: BLACK, move: hint.move, reason: hint.reason }],
+            'The hint should be recorded in the game record');
+        
+        // The limit is reached
+        assertTrue(DOM.hintButton.disabled, 'The button should be disabled once the hints are used up');
+        requestHint();
+        assertEqual(gameState.gameRecord.hints.length, 1, 'No more hints should be given');
+        
+        DOM.hintLimitSelector.value = 'unlimited';
+        updateHintButton();
+        assertEqual(DOM.hintButton.textContent, 'Hint', 'Unlimited hints need no count');
+        
+        // Hints are only for the player's turn
+        gameState.currentPlayer = WHITE;
+        requestHint();
+        assertEqual(gameState.gameRecord.hints.length, 1, 'No hint should be given on the computer\'s turn');
+    } finally {
+        DOM.gameBoard = originalGameBoard;
+        AI_CONSTANTS.HINT_TIME_BUDGET = originalBudget;
+        DOM.hintLimitSelector.value = originalLimit;
+        gameState.hint = null;
+    }
+});
+
+// Test that moving through the history takes the hint away
+TestFramework.addTest(uiSuite, 'Undo and redo should clear the hint', function() {
+    const originalGameBoard = DOM.gameBoard;
+    const originalBudget = AI_CONSTANTS.HINT_TIME_BUDGET;
+    DOM.gameBoard = document.getElementById('test-game-board');
+    AI_CONSTANTS.HINT_TIME_BUDGET = 50;
+    
+    try {
+        createGameBoard();
+        handleCellClick(2, 3);
+        cancelComputerMove();
+        applyComputerMove(getValidMoves(gameState.board, WHITE)[0]);
+        
+        requestHint();
+        assertTrue(gameState.hint !== null, 'A hint should be shown');
+        undoLastMove();
+        assertEqual(gameState.hint, null, 'Undo should clear the hint');
+        assertEqual(document.querySelectorAll('.hint-move').length, 0, 'No cell should stay highlighted after undo');
+        
+        requestHint();
+        assertTrue(gameState.hint !== null, 'A hint should be shown again');
+        redoMove();
+        assertEqual(gameState.hint, null, 'Redo should clear the hint');
+        assertEqual(document.querySelectorAll('.hint-move').length, 0, 'No cell should stay highlighted after redo');
+    } finally {
+        cancelComputerMove();
+        DOM.gameBoard = originalGameBoard;
+        AI_CONSTANTS.HINT_TIME_BUDGET = originalBudget;
+        gameState.hint = null;
+    }
+});
+
+// Test the evaluation bar
+TestFramework.addTest(uiSuite, 'The evaluation bar should show the margin and win probability and switch off', function() {
+    const originalBudget = AI_CONSTANTS.EVALUATION_TIME_BUDGET;
+    AI_CONSTANTS.EVALUATION_TIME_BUDGET = 50;
+    
+    try {
+        // Without workers the evaluation runs synchronously
+        setEvaluationEnabled(true);
+        assertFalse(DOM.evaluation.hidden, 'The evaluation should be shown');
+        assertTrue(/^(Even|Black \+\d+|White \+\d+) \((Black )?\d+% to win\)$/.test(DOM.evaluationText.textContent),
+            `The text should give the margin and win probability (got "${DOM.evaluationText.textContent}")`);
+        const percent = Number(DOM.evaluationBar.getAttribute('aria-valuenow'));
+        assertEqual(DOM.evaluationFill.style.width, `${percent}%`, 'The bar should fill to Black\'s win probability');
+        
+        showEvaluation({ margin: 6, winProbability: 0.25, exact: false }, WHITE);
+        assertEqual(DOM.evaluationText.textContent, 'White +6 (25% to win)', 'The leader should be named with its own chances');
+        assertEqual(DOM.evaluationFill.style.width, '75%', 'Black\'s share should be the rest');
+        showEvaluation({ margin: 4, winProbability: 1, exact: true }, BLACK);
+        assertEqual(DOM.evaluationText.textContent, 'Black wins by 4 with best play', 'Solved positions should say so');
+        
+        setEvaluationEnabled(false);
+        assertTrue(DOM.evaluation.hidden, 'The evaluation should be hidden when switched off');
+        DOM.evaluationText.textContent = '';
+        updateEvaluation();
+        assertEqual(DOM.evaluationText.textContent, '', 'No evaluation should run while switched off');
+    } finally {
+        AI_CONSTANTS.EVALUATION_TIME_BUDGET = originalBudget;
+        setEvaluationEnabled(false);
+    }
+});
+
+// Test the post-game review
+TestFramework.addTest(uiSuite, 'The review should classify every move, show its position and return to the end', function() {
+    const originalGameBoard = DOM.gameBoard;
+    const originalBudget = AI_CONSTANTS.REVIEW_TIME_PER_MOVE;
+    DOM.gameBoard = document.getElementById('test-game-board');
+    AI_CONSTANTS.REVIEW_TIME_PER_MOVE = 5;
+    
+    try {
+        createGameBoard();
+        
+        // Play a short game by the rules, recording it as the page does
+        const moves = [[2, 3], [2, 2], [2, 1], [4, 2]];
+        let player = BLACK;
+        moves.forEach(([row, col]) => {
+            makeMove(gameState.board, row, col, player);
+            gameState.gameRecord.moves.push([row, col]);
+            gameState.moveCounter++;
+            player = getOpponent(player);
+        });
+        const finalBoard = cloneBoard(gameState.board);
+        
+        updateReviewButton();
+        assertTrue(DOM.reviewButton.disabled, 'A game in progress cannot be reviewed');
+        
+        gameState.isGameOver = true;
+        gameState.lastMove = [4, 2];
+        updateReviewButton();
+        assertFalse(DOM.reviewButton.disabled, 'A finished game can be reviewed');
+        
+        // Without workers the review runs synchronously
+        startReview();
+        assertFalse(DOM.reviewSection.hidden, 'The review panel should open');
+        assertTrue(DOM.reviewButton.disabled, 'The review should not be started twice');
+        const entries = DOM.reviewList.querySelectorAll('.review-move');
+        assertEqual(entries.length, moves.length, 'Every move should be listed');
+        assertTrue(entries[0].textContent.startsWith('1. Black d3: '), 'Entries should give the number, side and move');
+        assertTrue(/^Black: \d+ inaccuracies, \d+ mistakes, \d+ blunders\. White: /.test(DOM.reviewSummary.textContent),
+            'The summary should count each side\'s errors');
+        
+        entries[1].click();
+        const cells = document.querySelectorAll('.cell');
+        assertTrue(cells[2 * BOARD_SIZE + 2].querySelector('.disc.white') !== null, 'The position after move 2 should be shown');
+        assertEqual(cells[2 * BOARD_SIZE + 1].children.length, 0, 'Later moves should not be on the board');
+        assertDeepEqual(gameState.board, finalBoard, 'The game itself should not change');
+        assertTrue(entries[1].classList.contains('current'), 'The shown move should be marked');
+        assertTrue(DOM.statusMessage.textContent.startsWith('Move 2: White played c3'), 'The status should describe the move');
+        
+        closeReview();
+        assertTrue(DOM.reviewSection.hidden, 'The panel should close');
+        assertTrue(cells[2 * BOARD_SIZE + 1].querySelector('.disc.black') !== null, 'The final position should be shown again');
+        assertFalse(DOM.reviewButton.disabled, 'The game can be reviewed again');
+    } finally {
+        closeReview();
+        DOM.gameBoard = originalGameBoard;
+        AI_CONSTANTS.REVIEW_TIME_PER_MOVE = originalBudget;
+    }
+});
+
+// Test the move list
+TestFramework.addTest(uiSuite, 'The move list should show moves and passes in notation, follow undo and preview positions', function() {
+    const originalGameBoard = DOM.gameBoard;
+    DOM.gameBoard = document.getElementById('test-game-board');
+    
+    try {
+        createGameBoard();
+        assertEqual(document.querySelector('.cell').getAttribute('aria-label'), 'Square a1', 'Cells should be named in a1-h8 notation');
+        
+        // The player's move is listed at once
+        handleCellClick(2, 3);
+        cancelComputerMove();
+        assertEqual(DOM.moveList.textContent, '1. Black d3', 'The move should be listed with its side');
+        
+        // Black has no reply to h6 and passes before white's c5
+        const passGame = ['f5', 'f6', 'd3', 'g5', 'h5', 'h4', 'f7', 'h6', 'c5'].map(fromNotation);
+        initTestEnvironment();
+        passGame.forEach(move => gameState.gameRecord.moves.push(move));
+        gameState.moveCounter = passGame.length;
+        updateMoveList();
+        const items = Array.from(DOM.moveList.children).map(item => item.textContent);
+        assertEqual(items.length, passGame.length + 1, 'The pass should be listed with the moves');
+        assertEqual(items[8], 'Black passes', 'The pass should follow the move that caused it');
+        assertEqual(items[9], '9. White c5', 'White should then move again');
+        assertEqual(DOM.moveList.querySelectorAll('.move-list-move').length, passGame.length, 'Every move should be a button');
+        
+        initTestEnvironment();
+        createGameBoard();
+        handleCellClick(2, 3);
+        cancelComputerMove();
+        gameState.currentPlayer = WHITE;
+        applyComputerMove([2, 2]);
+        assertEqual(DOM.moveList.children.length, 2, 'The computer\'s move should be listed');
+        
+        // Previewing shows an earlier position without changing the game
+        DOM.moveList.querySelector('.move-list-move').click();
+        const cells = document.querySelectorAll('.cell');
+        assertTrue(DOM.gameBoard.classList.contains('previewing'), 'The board should show that it is a preview');
+        assertEqual(cells[2 * BOARD_SIZE + 2].children.length, 0, 'White\'s reply should not be shown');
+        assertEqual(gameState.board[2][2], WHITE, 'The game should keep its position');
+        assertEqual(document.querySelectorAll('.cell.valid-move').length, 0, 'No moves should be offered on a preview');
+        handleCellClick(2, 1);
+        assertEqual(gameState.board[2][1], EMPTY, 'A click on the preview should only return to the game');
+        assertFalse(DOM.gameBoard.classList.contains('previewing'), 'The game should be shown again');
+        
+        // Undo takes back the player's move together with the reply
+        undoLastMove();
+        assertEqual(DOM.moveList.children.length, 0, 'Undo should remove the moves from the list');
+        handleCellClick(2, 3);
+        cancelComputerMove();
+        restartGame();
+        assertEqual(DOM.moveList.children.length, 0, 'Restart should clear the list');
+    } finally {
+        cancelComputerMove();
+        endPreview();
+        DOM.gameBoard = originalGameBoard;
+    }
+});
+
+// Test transcript import and export
+TestFramework.addTest(uiSuite, 'Transcripts should load into the game, report errors at the move and export', function() {
+    const originalGameBoard = DOM.gameBoard;
+    DOM.gameBoard = document.getElementById('test-game-board');
+    
+    try {
+        createGameBoard();
+        
+        // Six moves leave black, the player, to move
+        DOM.transcriptInput.value = 'f5 d6 c3 d3 c4 f4';
+        importTranscript();
+        assertEqual(DOM.transcriptMessage.textContent, 'Loaded 6 moves', 'The import should be confirmed');
+        assertEqual(gameState.moveCounter, 6, 'The moves should be counted');
+        assertEqual(gameState.currentPlayer, BLACK, 'Black should be to move');
+        assertDeepEqual(gameState.lastMove, [3, 5], 'f4 should be the last move');
+        assertDeepEqual(gameState.board, ReversiRecords.parseTranscript('f5d6c3d3c4f4').board, 'The position should be the transcript\'s');
+        assertEqual(DOM.moveList.querySelectorAll('.move-list-move').length, 6, 'The moves should be listed');
+        
+        // An illegal move leaves the game alone and selects the move
+        const board = cloneBoard(gameState.board);
+        DOM.transcriptInput.value = 'f5 d6 c3 h8';
+        importTranscript();
+        assertEqual(DOM.transcriptMessage.textContent, 'Illegal move h8 at move 4 (White to play)', 'The error should be shown');
+        assertTrue(DOM.transcriptMessage.classList.contains('error'), 'The message should be marked as an error');
+        assertEqual(DOM.transcriptInput.value.slice(DOM.transcriptInput.selectionStart, DOM.transcriptInput.selectionEnd), 'h8',
+            'The illegal move should be selected');
+        assertDeepEqual(gameState.board, board, 'The game should not change');
+        
+        exportTranscript();
+        assertEqual(DOM.transcriptInput.value, 'f5d6c3d3c4f4', 'The game should be exported in the compact format');
+        assertTrue(DOM.transcriptMessage.textContent.startsWith('Exported 6 moves'), 'The export should be confirmed');
+        assertFalse(DOM.transcriptMessage.classList.contains('error'), 'The error mark should be cleared');
+    } finally {
+        cancelComputerMove();
+        DOM.gameBoard = originalGameBoard;
+    }
+});
+
+// Test game links
+TestFramework.addTest(uiSuite, 'Game links should open set-up positions, reject bad links and copy the game', function() {
+    const originalGameBoard = DOM.gameBoard;
+    DOM.gameBoard = document.getElementById('test-game-board');
+    
+    try {
+        createGameBoard();
+        
+        // From the position after f5d6c3d3c4f4, black plays c5 and white b3, leaving black, the player, to move
+        const opening = ReversiRecords.parseTranscript('f5d6c3d3c4f4');
+        const position = ReversiRecords.formatPosition(opening.board, BLACK);
+        const moves = ['c5', 'b3'].map(fromNotation);
+        assertTrue(loadGameFromLink(`#position=${position}&moves=${ReversiRecords.formatGameLink(moves).slice('moves='.length)}`),
+            'The link should be opened');
+        assertEqual(gameState.moveCounter, 2, 'Only the moves after the position should be counted');
+        assertEqual(gameState.currentPlayer, BLACK, 'Black should be to move');
+        assertDeepEqual(gameState.board, ReversiRecords.parseTranscript('f5d6c3d3c4f4c5b3').board, 'The moves should be played from the position');
+        assertDeepEqual(gameState.gameRecord.start, { board: opening.board, player: BLACK }, 'The position should be recorded');
+        assertEqual(DOM.moveList.querySelectorAll('.move-list-move').length, 2, 'The moves should be listed');
+        
+        exportTranscript();
+        assertTrue(DOM.transcriptMessage.classList.contains('error'), 'A set-up position cannot be written as a transcript');
+        
+        copyGameLink();
+        const link = DOM.transcriptInput.value;
+        assertTrue(link.endsWith(`#position=${position}&moves=iR`), 'The link should hold the position and the moves');
+        
+        // A bad link leaves the game alone
+        const board = cloneBoard(gameState.board);
+        assertFalse(loadGameFromLink('#moves=ll'), 'An illegal move should not be opened');
+        assertEqual(DOM.saveNoticeText.textContent, 'The link could not be opened: Illegal move f5 at move 2 (White to play)',
+            'The error should be shown');
+        assertFalse(DOM.saveNotice.hidden, 'The notice should be visible');
+        DOM.saveNotice.hidden = true;
+        assertDeepEqual(gameState.board, board, 'The game should not change');
+        assertFalse(loadGameFromLink('#'), 'An empty hash holds no game');
+        
+        // The copied link opens the same game again
+        restartGame();
+        assertTrue(loadGameFromLink(link.slice(link.indexOf('#'))), 'The copied link should be opened');
+        assertDeepEqual(gameState.board, board, 'The copied link should lead to the same position');
+    } finally {
+        cancelComputerMove();
+        DOM.gameBoard = originalGameBoard;
+    }
+});
+
+// Test the move history
+TestFramework.addTest(uiSuite, 'Undo and redo should step between the player\'s turns over computer moves and passes', function() {
+    const originalGameBoard = DOM.gameBoard;
+    DOM.gameBoard = document.getElementById('test-game-board');
+    
+    try {
+        createGameBoard();
+        
+        // Black, the player, has no reply to h6, so white plays h6 and c5 in a row
+        const game = ReversiRecords.parseTranscript('f5f6d3g5h5h4f7h6c5');
+        loadReplayedGame(game);
+        assertEqual(gameState.moveHistory.length, 9, 'The loaded moves should be in the history');
+        
+        undoLastMove();
+        assertEqual(gameState.moveCounter, 6, 'Undo should take back both white moves and black\'s f7');
+        assertDeepEqual(gameState.board, ReversiRecords.parseTranscript('f5f6d3g5h5h4').board, 'The position should be the one before f7');
+        assertEqual(gameState.currentPlayer, BLACK, 'Black should be to move again');
+        assertDeepEqual(gameState.gameRecord.moves, game.moves.slice(0, 6), 'The record should follow the undo');
+        assertFalse(DOM.redoButton.disabled, 'The moves should be redoable');
+        
+        redoMove();
+        assertEqual(gameState.moveCounter, 9, 'Redo should replay f7 and both white moves');
+        assertDeepEqual(gameState.board, game.board, 'The position should be the game\'s again');
+        assertDeepEqual(gameState.lastMove, [4, 2], 'c5 should be the last move');
+        assertTrue(DOM.redoButton.disabled, 'Nothing should be left to redo');
+        
+        goToHistoryStart();
+        assertEqual(gameState.moveCounter, 0, 'Every move should be undone');
+        assertDeepEqual(gameState.board, createInitialBoard(), 'The board should be the starting position');
+        assertTrue(DOM.undoButton.disabled && DOM.historyStartButton.disabled, 'Nothing should be left to undo');
+        
+        goToHistoryEnd();
+        assertDeepEqual(gameState.board, game.board, 'Every move should be redone');
+        
+        // A new move replaces the undone line
+        undoLastMove();
+        const [row, col] = getValidMoves(gameState.board, BLACK).find(([r, c]) => toNotation(r, c) !== 'f7');
+        handleCellClick(row, col);
+        cancelComputerMove();
+        assertEqual(gameState.moveHistory.length, 7, 'The undone moves should be dropped');
+        assertTrue(DOM.redoButton.disabled, 'The dropped moves cannot be redone');
+        
+        // History shortcuts, but not Home and End while typing
+        const textArea = { closest: selector => selector.includes('textarea') ? DOM.transcriptInput : null };
+        assertEqual(getHistoryShortcut({ key: 'y', ctrlKey: true }), redoMove, 'Ctrl+Y should redo');
+        assertEqual(getHistoryShortcut({ key: 'U', metaKey: true }), undoLastMove, 'Cmd+U should undo');
+        assertEqual(getHistoryShortcut({ key: 'Home', target: document.body }), goToHistoryStart, 'Home should go to the start');
+        assertEqual(getHistoryShortcut({ key: 'End', target: textArea }), null, 'End should be left to a text box');
+    } finally {
+        cancelComputerMove();
+        DOM.gameBoard = originalGameBoard;
+    }
+});
+
+// Test undoing a finished game
+TestFramework.addTest(uiSuite, 'A finished game should be undoable and redoable to its end', function() {
+    const originalGameBoard = DOM.gameBoard;
+    DOM.gameBoard = document.getElementById('test-game-board');
+    
+    try {
+        createGameBoard();
+        
+        // Black's e7 wins every disc, ending the game
+        loadReplayedGame(ReversiRecords.parseTranscript('f5d6c5f4e3f6g5e6e7'));
+        assertTrue(gameState.isGameOver, 'The game should be over');
+        
+        undoLastMove();
+        assertFalse(gameState.isGameOver, 'Undo should reopen the game');
+        assertEqual(gameState.moveCounter, 8, 'Black\'s last move should be taken back');
+        assertEqual(gameState.currentPlayer, BLACK, 'Black should be to move');
+        
+        goToHistoryEnd();
+        assertTrue(gameState.isGameOver, 'Redoing to the end should finish the game again');
+        assertEqual(gameState.moveCounter, 9, 'All moves should be back');
+    } finally {
+        cancelComputerMove();
+        DOM.gameBoard = originalGameBoard;
+    }
+});
+
+// Test the saved-games panel
+TestFramework.addTest(uiSuite, 'Games should be saved under names, listed, loaded, renamed and deleted', function() {
+    const originalGameBoard = DOM.gameBoard;
+    const difficulty = DOM.difficultySelector.value;
+    DOM.gameBoard = document.getElementById('test-game-board');
+    slotStore = ReversiSlots.createLocalStorageStore(createMemoryStorage());
+    const listedNames = () => Array.from(DOM.savedGamesList.querySelectorAll('.saved-game-name')).map(name => name.textContent);
+    const findItem = name => Array.from(DOM.savedGamesList.children)
+        .find(item => item.querySelector('.saved-game-name') && item.querySelector('.saved-game-name').textContent === name);
+    const clickButton = (name, text) => Array.from(findItem(name).querySelectorAll('button'))
+        .find(button => button.textContent === text).click();
+    
+    try {
+        createGameBoard();
+        refreshSavedGames();
+        assertEqual(DOM.savedGamesList.textContent, 'No saved games yet', 'The empty list should say so');
+        
+        // Save a game on the player's turn
+        const game = ReversiRecords.parseTranscript('f5d6');
+        loadReplayedGame(game);
+        DOM.difficultySelector.value = 'hard';
+        DOM.slotNameInput.value = '  Corner study ';
+        saveCurrentGame();
+        assertDeepEqual(listedNames(), ['Corner study'], 'The game should be listed under its name');
+        assertEqual(DOM.slotNameInput.value, '', 'The name box should be cleared');
+        assertEqual(DOM.savedGamesMessage.textContent, 'Saved "Corner study"', 'The save should be reported');
+        const item = findItem('Corner study');
+        assertTrue(item.querySelector('.saved-game-summary').textContent.endsWith(' · Hard · In progress (move 2)'),
+            'The level and result should be shown');
+        const thumbnail = item.querySelector('.saved-game-thumbnail');
+        assertEqual(thumbnail.children.length, 64, 'The thumbnail should show every square');
+        assertEqual(thumbnail.querySelectorAll('.black').length, countDiscs(game.board).black, 'The thumbnail should show the discs');
+        
+        // Saving under a used name replaces that game; without a name the next free "Game N" is used
+        handleCellClick(2, 2);
+        cancelComputerMove();
+        DOM.slotNameInput.value = 'Corner study';
+        saveCurrentGame();
+        assertEqual(DOM.savedGamesMessage.textContent, 'Replaced "Corner study"', 'The replacement should be reported');
+        DOM.slotNameInput.value = '';
+        saveCurrentGame();
+        saveCurrentGame();
+        assertEqual(savedGames.length, 3, 'The game should be saved twice more');
+        assertDeepEqual(listedNames().sort(), ['Corner study', 'Game 1', 'Game 2'], 'Unnamed games should be numbered');
+        
+        // Load the first save back
+        restartGame();
+        DOM.difficultySelector.value = 'easy';
+        clickButton('Corner study', 'Load');
+        assertEqual(gameState.moveCounter, 3, 'The replaced save should be loaded');
+        assertEqual(gameState.board[2][2], BLACK, 'Its position should be on the board');
+        assertEqual(DOM.difficultySelector.value, 'hard', 'Its level should come back');
+        undoLastMove();
+        assertEqual(gameState.moveCounter, 2, 'Its moves should be undoable');
+        
+        // Rename with Enter; a name in use is refused
+        clickButton('Game 1', 'Rename');
+        const input = DOM.savedGamesList.querySelector('.saved-game-rename');
+        input.value = 'Endgame drill';
+        input.dispatchEvent(new input.ownerDocument.defaultView.KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+        assertTrue(listedNames().includes('Endgame drill') && !listedNames().includes('Game 1'), 'The game should be renamed');
+        clickButton('Game 2', 'Rename');
+        DOM.savedGamesList.querySelector('.saved-game-rename').value = 'Endgame drill';
+        DOM.savedGamesList.querySelector('.saved-game-rename').blur();
+        assertEqual(DOM.savedGamesMessage.textContent, 'Another saved game is already called "Endgame drill"', 'A taken name should be refused');
+        assertTrue(listedNames().includes('Game 2'), 'The old name should be kept');
+        
+        // Deleting takes a second click
+        clickButton('Game 2', 'Delete');
+        assertTrue(listedNames().includes('Game 2'), 'One click should only ask for confirmation');
+        clickButton('Game 2', 'Confirm Delete');
+        assertFalse(listedNames().includes('Game 2'), 'The game should be deleted');
+        
+        // A save that fails its checks can be deleted but not loaded
+        const broken = ReversiSlots.createSlot('Broken', { ...createGameSave(), moveCounter: 40 });
+        slotStore.put(broken, () => {});
+        refreshSavedGames();
+        const brokenItem = findItem('Broken');
+        assertTrue(brokenItem.querySelector('.saved-game-summary').textContent.includes('Cannot be loaded'), 'The problem should be shown');
+        assertTrue(Array.from(brokenItem.querySelectorAll('button')).find(button => button.textContent === 'Load').disabled,
+            'It should not be loadable');
+    } finally {
+        cancelComputerMove();
+        DOM.gameBoard = originalGameBoard;
+        DOM.difficultySelector.value = difficulty;
+        DOM.savedGamesList.innerHTML = '';
+        showSavedGamesMessage('');
+    }
+});
+
+// Test saving before the saved-games list has been read
+TestFramework.addTest(uiSuite, 'Saving and renaming should check the names in the store, not the list on show', function() {
+    const originalGameBoard = DOM.gameBoard;
+    DOM.gameBoard = document.getElementById('test-game-board');
+    slotStore = ReversiSlots.createLocalStorageStore(createMemoryStorage());
+    const stored = () => {
+        let names = null;
+        slotStore.list((error, slots) => {
+            names = slots.map(slot => slot.name).sort();
+        });
+        return names;
+    };
+    
+    try {
+        createGameBoard();
+        slotStore.put(ReversiSlots.createSlot('Game 1', createGameSave()), () => {});
+        slotStore.put(ReversiSlots.createSlot('Study', createGameSave()), () => {});
+        assertDeepEqual(savedGames, [], 'The list should not have been read yet');
+        
+        saveCurrentGame();
+        assertDeepEqual(stored(), ['Game 1', 'Game 2', 'Study'], 'An unnamed game should take the first free number');
+        
+        savedGames = [];
+        DOM.slotNameInput.value = 'Study';
+        saveCurrentGame();
+        assertEqual(DOM.savedGamesMessage.textContent, 'Replaced "Study"', 'The stored game of that name should be replaced');
+        assertDeepEqual(stored(), ['Game 1', 'Game 2', 'Study'], 'No second "Study" should be stored');
+        
+        // Renaming checks the store too
+        refreshSavedGames();
+        const study = savedGames.find(entry => entry.name === 'Study');
+        savedGames = [];
+        renameSavedGame(study, 'Game 1');
+        assertEqual(DOM.savedGamesMessage.textContent, 'Another saved game is already called "Game 1"', 'A stored name should be refused');
+        assertDeepEqual(stored(), ['Game 1', 'Game 2', 'Study'], 'No second "Game 1" should be stored');
+    } finally {
+        DOM.gameBoard = originalGameBoard;
+        DOM.slotNameInput.value = '';
+        DOM.savedGamesList.innerHTML = '';
+        showSavedGamesMessage('');
+    }
+});
@@ -0,0 +1,195 @@
+/**
+ * Tests for the search worker protocol and client
+ */
+
+// Create a test suite for search worker operations
+const workerSuite = TestFramework.createSuite('Search Worker Tests');
+
+// Set up a fresh board before each test
+TestFramework.beforeEach(workerSuite, function() {
+    // Reset the game state before each test
+    initTestEnvironment();
+    makeMove(gameState.board, 2, 3, BLACK);
+});
+
+/**
+ * Stand-in for a Web Worker: records posted messages and lets the test
+ * deliver replies (or errors) whenever it wants
+ */
+function createFakeWorker() {
+    const fake = {
+        posted: [],
+        onmessage: null,
+        onerror: null,
+        postMessage(message) {
+            fake.posted.push(message);
+        },
+        reply(message) {
+            fake.onmessage({ data: message });
+        }
+    };
+    return fake;
+}
+
+// Test the worker side of the protocol
+TestFramework.addTest(workerSuite, 'Message handler should answer a search with progress and a result', function() {
+    const replies = [];
+    const handleMessage = ReversiWorker.createMessageHandler(message => replies.push(message));
+    
+    handleMessage({ type: ReversiWorker.MESSAGE.SEARCH, id: 1, board: gameState.board, player: WHITE,
+        options: { maxDepth: 3, timeBudget: Infinity } });
+    
+    const progress = replies.filter(message => message.type === ReversiWorker.MESSAGE.PROGRESS);
+    const result = replies[replies.length - 1];
+    
+    assertEqual(progress.length, 3, 'One progress message should be sent per completed depth');
+    assertDeepEqual(progress.map(message => message.depth), [1, 2, 3], 'Progress should report increasing depths');
+    assertEqual(result.type, ReversiWorker.MESSAGE.RESULT, 'The last message should be the result');
+    assertEqual(result.id, 1, 'Replies should carry the request id');
+    assertEqual(result.depth, 3, 'The result should report the depth reached');
+    assertTrue(isValidMove(gameState.board, result.move[0], result.move[1], WHITE), 'The result should be a valid move');
+});
+
+// Test cancellation and errors on the worker side
+TestFramework.addTest(workerSuite, 'Message handler should skip cancelled requests and report errors', function() {
+    const replies = [];
+    const handleMessage = ReversiWorker.createMessageHandler(message => replies.push(message));
+    
+    handleMessage({ type: ReversiWorker.MESSAGE.CANCEL, id: 4 });
+    handleMessage({ type: ReversiWorker.MESSAGE.SEARCH, id: 4, board: gameState.board, player: WHITE, options: {} });
+    assertEqual(replies.length, 0, 'A request cancelled before it runs should not be searched');
+    
+    handleMessage({ type: ReversiWorker.MESSAGE.SEARCH, id: 5, board: null, player: WHITE, options: {} });
+    assertEqual(replies.length, 1, 'A failing search should send one reply');
+    assertEqual(replies[0].type, ReversiWorker.MESSAGE.ERROR, 'The reply should be an error');
+    assertEqual(replies[0].id, 5, 'The error should carry the request id');
+});
+
+// Test the client talking to a worker
+TestFramework.addTest(workerSuite, 'Search client should post requests and deliver replies asynchronously', function() {
+    const fake = createFakeWorker();
+    const client = ReversiWorker.createSearchClient({ createWorker: () => fake });
+    const progress = [];
+    let result = null;
+    
+    const id = client.search(gameState.board, WHITE, { timeBudget: 500 }, {
+        onProgress: report => progress.push(report),
+        onResult: report => { result = report; }
+    });
+    
+    assertEqual(fake.posted.length, 1, 'The request should be posted to the worker');
+    assertEqual(fake.posted[0].type, ReversiWorker.MESSAGE.SEARCH, 'A search message should be posted');
+    assertBoardEqual(fake.posted[0].board, gameState.board, 'The request should carry the board');
+    assertTrue(fake.posted[0].board !== gameState.board, 'The board should be copied');
+    assertTrue(client.isSearching(), 'The client should wait for the worker');
+    assertEqual(result, null, 'No result should arrive before the worker replies');
+    
+    fake.reply({ type: ReversiWorker.MESSAGE.PROGRESS, id, move: [2, 2], depth: 1 });
+    fake.reply({ type: ReversiWorker.MESSAGE.RESULT, id, move: [2, 4], depth: 6, nodes: 1234 });
+    
+    assertEqual(progress.length, 1, 'Progress should be delivered');
+    assertDeepEqual(result, { move: [2, 4], depth: 6, nodes: 1234 }, 'The result should be delivered without protocol fields');
+    assertFalse(client.isSearching(), 'The client should be idle after the result');
+});
+
+// Test cancelling through the client
+TestFramework.addTest(workerSuite, 'Search client should cancel searches and ignore their replies', function() {
+    const fake = createFakeWorker();
+    const client = ReversiWorker.createSearchClient({ createWorker: () => fake });
+    let results = 0;
+    
+    const firstId = client.search(gameState.board, WHITE, {}, { onResult: () => results++ });
+    client.cancel();
+    
+    assertEqual(fake.posted[1].type, ReversiWorker.MESSAGE.CANCEL, 'A cancel message should be posted');
+    assertEqual(fake.posted[1].id, firstId, 'The cancel should name the search');
+    
+    // A new search also replaces the one in progress
+    const secondId = client.search(gameState.board, WHITE, {}, { onResult: () => results++ });
+    client.search(gameState.board, WHITE, {}, { onResult: () => results++ });
+    
+    fake.reply({ type: ReversiWorker.MESSAGE.RESULT, id: firstId, move: [2, 2] });
+    fake.reply({ type: ReversiWorker.MESSAGE.RESULT, id: secondId, move: [2, 2] });
+    assertEqual(results, 0, 'Replies to cancelled searches should be ignored');
+});
+
+// Test the fallbacks without a worker
+TestFramework.addTest(workerSuite, 'Search client should search synchronously when workers are unavailable', function() {
+    // No Worker in Node: the search runs on this thread
+    const client = ReversiWorker.createSearchClient();
+    let result = null;
+    client.search(gameState.board, WHITE, { maxDepth: 2, timeBudget: Infinity }, { onResult: report => { result = report; } });
+    
+    assertTrue(result !== null, 'The result should be delivered before search returns');
+    assertEqual(result.depth, 2, 'The local search should honour the options');
+    
+    // A worker that fails to load hands the active search back to this thread
+    const fake = createFakeWorker();
+    const failingClient = ReversiWorker.createSearchClient({ createWorker: () => fake });
+    let fallbackResult = null;
+    failingClient.search(gameState.board, WHITE, { maxDepth: 1, timeBudget: Infinity }, { onResult: report => { fallbackResult = report; } });
+    fake.onerror({});
+    
+    assertTrue(fallbackResult !== null, 'The search should finish on this thread after a worker error');
+    assertEqual(fallbackResult.depth, 1, 'The fallback search should use the same options');
+});
+
+// Test that undo can interrupt the computer's turn
+TestFramework.addTest(workerSuite, 'Undo should cancel the computer move in progress', function() {
+    const originalRenderBoard = renderBoard;
+    const originalUpdateScores = updateScores;
+    renderBoard = function() {};
+    updateScores = function() {};
+    
+    try {
+        // The player has just moved; the computer starts thinking
+        gameState.board = createInitialBoard();
+        playRecordedMove(2, 3, BLACK);
+        gameState.currentPlayer = WHITE;
+        gameState.computerDisc = WHITE;
+        makeComputerMove();
+        assertTrue(gameState.isComputerThinking, 'The computer should be thinking');
+        
+        undoLastMove();
+        
+        assertFalse(gameState.isComputerThinking, 'Undo should stop the computer');
+        assertEqual(pendingComputerMove, null, 'The delayed computer move should be cancelled');
+        assertBoardEqual(gameState.board, createInitialBoard(), 'The player move should be taken back');
+        assertEqual(gameState.currentPlayer, BLACK, 'It should be the player\'s turn again');
+    } finally {
+        renderBoard = originalRenderBoard;
+        updateScores = originalUpdateScores;
+    }
+});
+
+// Test that the computer only ever makes one move at a time
+TestFramework.addTest(workerSuite, 'makeComputerMove should not start a second move while one is in progress', function() {
+    const originalRenderBoard = renderBoard;
+    const originalUpdateScores = updateScores;
+    renderBoard = function() {};
+    updateScores = function() {};
+    
+    try {
+        gameState.board = createInitialBoard();
+        playRecordedMove(2, 3, BLACK);
+        gameState.currentPlayer = WHITE;
+        gameState.computerDisc = WHITE;
+        makeComputerMove();
+        const delayedMove = pendingComputerMove;
+        
+        // As when the difficulty is changed while the computer thinks
+        makeComputerMove();
+        assertEqual(pendingComputerMove, delayedMove, 'The computer should keep its one delayed move');
+        
+        scheduleComputerMove();
+        cancelComputerMove();
+        
+        assertEqual(scheduledComputerMove, null, 'Cancelling should clear the scheduled move');
+        assertEqual(pendingComputerMove, null, 'Cancelling should clear the delayed move');
+        assertFalse(gameState.isComputerThinking, 'The computer should stop thinking');
+    } finally {
+        cancelComputerMove();
+        renderBoard = originalRenderBoard;
+        updateScores = originalUpdateScores;
+    }
+});
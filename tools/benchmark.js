@@ -0,0 +1,446 @@
+/**
+ * Move Generator and Search Benchmark
+ *
+ * Runs perft (counting every position reachable in N plies) from the
+ * starting position with three generators and reports nodes per second:
+ *
+ * - scan:     the original cell-by-cell generator that checked all 64 cells
+ *             through isValidMove -> countFlips
+ * - engine:   the public array-board API (getValidMoves/makeMove), now
+ *             backed by bitboards
+ * - bitboard: raw bitboards from reversi-bitboard.js
+ *
+ * Then measures the hard AI's minimax path: a plain alpha-beta search (no
+ * transposition table or move ordering, so both visit the same nodes) to
+ * a fixed depth from a few midgame positions, in two forms:
+ *
+ * - array:    make/undo on the 2D array board with the original array-board
+ *             evaluation, as the search worked before it moved to bitboards
+ * - bitboard: bitboards through the whole tree with evaluateBitboards, as
+ *             the hard AI searches now
+ *
+ * and finally the depth the hard AI itself (searchBestMove) completes from
+ * each position within its per-move time budget.
+ *
+ * Usage: node tools/benchmark.js [perft-depth] [search-depth]   (defaults: 7 and 5)
+ */
+
+const Engine = require('../reversi-engine.js');
+const Bitboard = require('../reversi-bitboard.js');
+const AI = require('../reversi-ai.js');
+
+const { BOARD_SIZE, EMPTY, BLACK, WHITE, DIRECTIONS, isInBounds, getOpponent } = Engine;
+
+/** Midgame positions the searches start from, as the moves leading to them */
+const SEARCH_POSITIONS = [
+    'f5d6c3d3c4f4f6f3e6e7d7c5b6',
+    'd3c3e6f4e3d2g4g5c2b2g3e7b3h4',
+    'c4c5c6b5a4d3c2e3f3f2e6c7c3a5b7'
+];
+
+/** Milliseconds the hard AI gets per position (the page's hard level budget) */
+const SEARCH_TIME_BUDGET = 1000;
+
+/** Score of a finished game per disc of difference, as in reversi-ai.js */
+const GAME_OVER_SCORE = 1000;
+
+// =============================================================================
+// BASELINE: ORIGINAL SCAN-BASED GENERATOR
+// =============================================================================
+
+/** Original countFlips: walk all 8 directions from the cell */
+function scanCountFlips(board, row, col, player) {
+    if (board[row][col] !== EMPTY) {
+        return 0;
+    }
+
+    return DIRECTIONS.reduce((totalFlips, [dx, dy]) => {
+        let x = row + dx;
+        let y = col + dy;
+        let tempFlips = 0;
+
+        while (isInBounds(x, y) && board[x][y] !== EMPTY && board[x][y] !== player) {
+            tempFlips++;
+            x += dx;
+            y += dy;
+        }
+
+        if (isInBounds(x, y) && board[x][y] === player && tempFlips > 0) {
+            totalFlips += tempFlips;
+        }
+
+        return totalFlips;
+    }, 0);
+}
+
+/** Original getValidMoves: test every cell */
+function scanGetValidMoves(board, player) {
+    const validMoves = [];
+    for (let row = 0; row < BOARD_SIZE; row++) {
+        for (let col = 0; col < BOARD_SIZE; col++) {
+            if (board[row][col] === EMPTY && scanCountFlips(board, row, col, player) > 0) {
+                validMoves.push([row, col]);
+            }
+        }
+    }
+    return validMoves;
+}
+
+/** Original makeMove: collect and flip discs direction by direction */
+function scanMakeMove(board, row, col, player) {
+    board[row][col] = player;
+    DIRECTIONS.forEach(([dx, dy]) => {
+        let x = row + dx;
+        let y = col + dy;
+        const discsToFlip = [];
+
+        while (isInBounds(x, y) && board[x][y] !== EMPTY && board[x][y] !== player) {
+            discsToFlip.push([x, y]);
+            x += dx;
+            y += dy;
+        }
+
+        if (isInBounds(x, y) && board[x][y] === player && discsToFlip.length > 0) {
+            discsToFlip.forEach(([flipX, flipY]) => {
+                board[flipX][flipY] = player;
+            });
+        }
+    });
+}
+
+// =============================================================================
+// BASELINE: ORIGINAL ARRAY-BOARD EVALUATION
+// =============================================================================
+
+/** Original stable disc test: mark discs secure along all four axes until nothing changes */
+function scanStableDiscs(board) {
+    const axes = [[0, 1], [1, 0], [1, 1], [1, -1]];
+    const lineIndex = (axis, row, col) => [row, col, row - col + BOARD_SIZE - 1, row + col][axis];
+    const filled = axes.map(() => new Array(2 * BOARD_SIZE - 1).fill(true));
+    for (let row = 0; row < BOARD_SIZE; row++) {
+        for (let col = 0; col < BOARD_SIZE; col++) {
+            if (board[row][col] === EMPTY) {
+                axes.forEach((axis, index) => { filled[index][lineIndex(index, row, col)] = false; });
+            }
+        }
+    }
+
+    const stable = Array.from({ length: BOARD_SIZE }, () => new Array(BOARD_SIZE).fill(false));
+    const isSecureAlong = (row, col, axis) => {
+        if (filled[axis][lineIndex(axis, row, col)]) {
+            return true;
+        }
+        const [dx, dy] = axes[axis];
+        return [1, -1].some(sign => {
+            const newRow = row + sign * dx;
+            const newCol = col + sign * dy;
+            return !isInBounds(newRow, newCol) || (stable[newRow][newCol] && board[newRow][newCol] === board[row][col]);
+        });
+    };
+
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (let row = 0; row < BOARD_SIZE; row++) {
+            for (let col = 0; col < BOARD_SIZE; col++) {
+                if (board[row][col] !== EMPTY && !stable[row][col] && [0, 1, 2, 3].every(axis => isSecureAlong(row, col, axis))) {
+                    stable[row][col] = true;
+                    changed = true;
+                }
+            }
+        }
+    }
+    return stable;
+}
+
+/** Original frontier test: discs with an empty neighbour */
+function scanFrontierDiscs(board) {
+    return board.map((cells, row) => cells.map((cell, col) => cell !== EMPTY && DIRECTIONS.some(([dx, dy]) =>
+        isInBounds(row + dx, col + dy) && board[row + dx][col + dy] === EMPTY)));
+}
+
+/** Discs of `player` minus discs of the other color among the marked squares */
+function countMarkedDifference(board, marked, player) {
+    let difference = 0;
+    board.forEach((cells, row) => cells.forEach((cell, col) => {
+        if (marked[row][col] && cell !== EMPTY) difference += cell === player ? 1 : -1;
+    }));
+    return difference;
+}
+
+/** Original evaluation: the terms of getEvaluationTerms counted cell by cell, weighted by the profile */
+function scanEvaluate(board, maxPlayer, minPlayer, gamePhase, profile) {
+    const { black, white } = Engine.countDiscs(board);
+    const last = BOARD_SIZE - 1;
+    let corner = 0, potentialMobility = 0, edge = 0, position = 0;
+
+    for (const [row, col] of [[0, 0], [0, last], [last, 0], [last, last]]) {
+        if (board[row][col] === maxPlayer) corner += 25;
+        else if (board[row][col] === minPlayer) corner -= 25;
+    }
+    for (let row = 0; row < BOARD_SIZE; row++) {
+        for (let col = 0; col < BOARD_SIZE; col++) {
+            if (board[row][col] === EMPTY && DIRECTIONS.some(([dx, dy]) =>
+                isInBounds(row + dx, col + dy) && board[row + dx][col + dy] === minPlayer)) {
+                potentialMobility++;
+            }
+        }
+    }
+    for (let index = 0; index < BOARD_SIZE; index++) {
+        for (const cell of [board[0][index], board[last][index], board[index][0], board[index][last]]) {
+            if (cell === maxPlayer) edge++;
+            if (cell === minPlayer) edge--;
+        }
+    }
+    for (let row = 0; row < BOARD_SIZE; row++) {
+        for (let col = 0; col < BOARD_SIZE; col++) {
+            if (board[row][col] === maxPlayer) position += profile.positionWeights[row][col];
+            else if (board[row][col] === minPlayer) position -= profile.positionWeights[row][col];
+        }
+    }
+
+    const terms = {
+        discParity: maxPlayer === BLACK ? black - white : white - black,
+        mobility: Engine.getValidMoves(board, maxPlayer).length - Engine.getValidMoves(board, minPlayer).length,
+        corner,
+        position,
+        edge,
+        potentialMobility,
+        stability: countMarkedDifference(board, scanStableDiscs(board), maxPlayer),
+        frontier: -countMarkedDifference(board, scanFrontierDiscs(board), maxPlayer)
+    };
+
+    const weights = profile.phases[gamePhase];
+    let score = 0;
+    for (const term of AI.EVALUATION_TERMS) {
+        score += weights[term] * terms[term];
+    }
+    return score;
+}
+
+// =============================================================================
+// PERFT DRIVERS
+// =============================================================================
+
+/**
+ * Perft over 2D array boards using the given generator functions
+ * Both array generators pay the same cost for cloning the board per child.
+ */
+function arrayPerft(board, player, depth, getValidMoves, makeMove) {
+    if (depth === 0) {
+        return 1;
+    }
+
+    const moves = getValidMoves(board, player);
+    if (moves.length === 0) {
+        if (getValidMoves(board, getOpponent(player)).length === 0) {
+            return 1;
+        }
+        return arrayPerft(board, getOpponent(player), depth - 1, getValidMoves, makeMove);
+    }
+
+    let nodes = 0;
+    for (const [row, col] of moves) {
+        const child = Engine.cloneBoard(board);
+        makeMove(child, row, col, player);
+        nodes += arrayPerft(child, getOpponent(player), depth - 1, getValidMoves, makeMove);
+    }
+    return nodes;
+}
+
+// =============================================================================
+// SEARCH DRIVERS
+// =============================================================================
+
+/**
+ * Play a transcript such as 'f5d6c3' from the starting position
+ * @returns {{board: Array, player: number}} The position and the side to move
+ */
+function playTranscript(transcript) {
+    const board = Engine.createInitialBoard();
+    let player = BLACK;
+    for (let index = 0; index < transcript.length; index += 2) {
+        const col = transcript.charCodeAt(index) - 'a'.charCodeAt(0);
+        const row = Number(transcript[index + 1]) - 1;
+        Engine.makeMove(board, row, col, player);
+        player = Engine.getNextPlayer(board, player);
+    }
+    return { board, player };
+}
+
+/**
+ * Alpha-beta search over the 2D array board, making and undoing each move
+ * and evaluating the leaves with the original array-board evaluation
+ */
+function arraySearch(board, depth, alpha, beta, player, maxPlayer, gamePhase, counter) {
+    counter.nodes++;
+    if (depth === 0) {
+        return scanEvaluate(board, maxPlayer, getOpponent(maxPlayer), gamePhase, AI.DEFAULT_PROFILE);
+    }
+
+    const moves = Engine.getValidMoves(board, player);
+    if (moves.length === 0) {
+        if (!Engine.hasValidMoves(board, getOpponent(player))) {
+            const { black, white } = Engine.countDiscs(board);
+            return (maxPlayer === BLACK ? black - white : white - black) * GAME_OVER_SCORE;
+        }
+        return arraySearch(board, depth - 1, alpha, beta, getOpponent(player), maxPlayer, gamePhase, counter);
+    }
+
+    const isMaximizing = player === maxPlayer;
+    let best = isMaximizing ? -Infinity : Infinity;
+    for (const move of moves) {
+        const flips = Engine.makeMove(board, move[0], move[1], player);
+        const score = arraySearch(board, depth - 1, alpha, beta, getOpponent(player), maxPlayer, gamePhase, counter);
+        Engine.undoMove(board, move, flips);
+
+        if (isMaximizing) {
+            best = Math.max(best, score);
+            alpha = Math.max(alpha, score);
+        } else {
+            best = Math.min(best, score);
+            beta = Math.min(beta, score);
+        }
+        if (beta <= alpha) break;
+    }
+    return best;
+}
+
+/**
+ * The same search on the bitboards of the maximizing and minimizing side,
+ * evaluating the leaves with evaluateBitboards
+ */
+function bitboardSearch(max, min, depth, alpha, beta, isMaximizing, gamePhase, counter) {
+    counter.nodes++;
+    if (depth === 0) {
+        return AI.evaluateBitboards(max, min, gamePhase, AI.DEFAULT_PROFILE);
+    }
+
+    const own = isMaximizing ? max : min;
+    const opponent = isMaximizing ? min : max;
+    const moves = Bitboard.getMoveMask(own, opponent);
+    if (Bitboard.isEmpty(moves)) {
+        if (Bitboard.isEmpty(Bitboard.getMoveMask(opponent, own))) {
+            return (Bitboard.popCount(max) - Bitboard.popCount(min)) * GAME_OVER_SCORE;
+        }
+        return bitboardSearch(max, min, depth - 1, alpha, beta, !isMaximizing, gamePhase, counter);
+    }
+
+    let best = isMaximizing ? -Infinity : Infinity;
+    for (const square of Bitboard.squaresOf(moves)) {
+        const next = Bitboard.applyMove(own, opponent, square);
+        const score = isMaximizing
+            ? bitboardSearch(next.own, next.opponent, depth - 1, alpha, beta, false, gamePhase, counter)
+            : bitboardSearch(next.opponent, next.own, depth - 1, alpha, beta, true, gamePhase, counter);
+
+        if (isMaximizing) {
+            best = Math.max(best, score);
+            alpha = Math.max(alpha, score);
+        } else {
+            best = Math.min(best, score);
+            beta = Math.min(beta, score);
+        }
+        if (beta <= alpha) break;
+    }
+    return best;
+}
+
+/** Search every position with a driver; the nodes and the root scores (which must agree between drivers) */
+function searchPositions(positions, search) {
+    const counter = { nodes: 0 };
+    const scores = positions.map(position => search(position, counter));
+    return { nodes: counter.nodes, scores };
+}
+
+/**
+ * Time a perft run and return node count, elapsed time and throughput
+ * The run is repeated once beforehand so every generator is measured JIT-warm.
+ */
+function measure(name, run) {
+    run();
+
+    const start = process.hrtime.bigint();
+    const nodes = run();
+    const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+    return {
+        name,
+        nodes,
+        elapsedMs: Math.round(elapsedMs),
+        nodesPerSecond: Math.round(nodes / (elapsedMs / 1000))
+    };
+}
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+/** Print measured results with their speed-up over the first one */
+function report(results) {
+    const baseline = results[0].nodesPerSecond;
+    results.forEach(({ name, nodes, elapsedMs, nodesPerSecond }) => {
+        const speedup = (nodesPerSecond / baseline).toFixed(1);
+        console.log(`${name.padEnd(9)} ${String(nodes).padStart(10)} nodes ${String(elapsedMs).padStart(7)} ms ` +
+            `${String(nodesPerSecond).padStart(10)} nodes/sec  (${speedup}x)`);
+    });
+}
+
+function main() {
+    const depth = parseInt(process.argv[2], 10) || 7;
+    const searchDepth = parseInt(process.argv[3], 10) || 5;
+    const board = Engine.createInitialBoard();
+    const { own, opponent } = Bitboard.fromBoard(board, BLACK);
+
+    console.log(`perft(${depth}) from the starting position\n`);
+
+    const results = [
+        measure('scan', () => arrayPerft(board, BLACK, depth, scanGetValidMoves, scanMakeMove)),
+        measure('engine', () => arrayPerft(board, BLACK, depth, Engine.getValidMoves, Engine.makeMove)),
+        measure('bitboard', () => Bitboard.perft(own, opponent, depth))
+    ];
+    report(results);
+
+    if (results.some(result => result.nodes !== results[0].nodes)) {
+        console.error('\nNode counts differ between generators!');
+        process.exit(1);
+    }
+
+    const positions = SEARCH_POSITIONS.map(transcript => {
+        const { board: position, player } = playTranscript(transcript);
+        return { board: position, player, gamePhase: AI.getGamePhase(position) };
+    });
+    console.log(`\nAlpha-beta search to depth ${searchDepth} from ${positions.length} midgame positions\n`);
+
+    const searches = {};
+    const searchResults = [
+        measure('array', () => {
+            searches.array = searchPositions(positions, ({ board: position, player, gamePhase }, counter) =>
+                arraySearch(Engine.cloneBoard(position), searchDepth, -Infinity, Infinity, player, player, gamePhase, counter));
+            return searches.array.nodes;
+        }),
+        measure('bitboard', () => {
+            searches.bitboard = searchPositions(positions, ({ board: position, player, gamePhase }, counter) => {
+                const sides = Bitboard.fromBoard(position, player);
+                return bitboardSearch(sides.own, sides.opponent, searchDepth, -Infinity, Infinity, true, gamePhase, counter);
+            });
+            return searches.bitboard.nodes;
+        })
+    ];
+    report(searchResults);
+
+    if (JSON.stringify(searches.array) !== JSON.stringify(searches.bitboard)) {
+        console.error('\nNode counts or scores differ between the searches!');
+        process.exit(1);
+    }
+
+    console.log(`\nHard AI (searchBestMove) within ${SEARCH_TIME_BUDGET} ms per position\n`);
+    const width = Math.max(...SEARCH_POSITIONS.map(transcript => transcript.length));
+    positions.forEach(({ board: position, player }, index) => {
+        AI.transpositionTable.clear();
+        const { depth: reached, nodes, elapsed } = AI.searchBestMove(position, player, { timeBudget: SEARCH_TIME_BUDGET });
+        console.log(`${SEARCH_POSITIONS[index].padEnd(width)} depth ${String(reached).padStart(2)} ` +
+            `${String(nodes).padStart(9)} nodes ${String(Math.round(nodes / (elapsed / 1000))).padStart(8)} nodes/sec`);
+    });
+}
+
+main();
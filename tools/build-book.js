@@ -0,0 +1,121 @@
+/**
+ * Opening Book Builder
+ *
+ * Builds an opening book (see reversi-book.js for the file format) from a
+ * collection of recorded games. Game files contain one game per line as a
+ * move sequence from the starting position in a1-h8 notation (for example
+ * `f5d6c3d3c4f4...`); anything after the first whitespace on a line and
+ * lines starting with `#` are ignored. Game databases in GGF (.ggf) and
+ * WTHOR (.wtb) format are read as well, keeping the games that start from
+ * the standard position. Games with illegal moves are skipped and reported.
+ *
+ * Usage: node tools/build-book.js <games-file>... [options]
+ *
+ *   --depth N         longest line kept, in moves (default: 16)
+ *   --min-games N     games that must share a move to keep it (default: 2)
+ *   --output FILE     write the book here instead of printing it
+ *   --description S   description stored in the book
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Engine = require('../reversi-engine.js');
+const Book = require('../reversi-book.js');
+const Records = require('../reversi-records.js');
+
+// =============================================================================
+// COMMAND LINE
+// =============================================================================
+
+/** Parse the command line into input files and options */
+function parseArguments(args) {
+    const options = { files: [], depth: 16, minGames: 2, output: null, description: '' };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--depth') {
+            options.depth = parseInt(args[++i], 10);
+        } else if (arg === '--min-games') {
+            options.minGames = parseInt(args[++i], 10);
+        } else if (arg === '--output') {
+            options.output = args[++i];
+        } else if (arg === '--description') {
+            options.description = args[++i];
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.files.push(arg);
+        }
+    }
+
+    if (options.files.length === 0) {
+        throw new Error('No game files given');
+    }
+    if (!(options.depth > 0) || !(options.minGames > 0)) {
+        throw new Error('--depth and --min-games must be positive numbers');
+    }
+    return options;
+}
+
+/** Read the games of a GGF or WTHOR database that start from the standard position */
+function readDatabase(file) {
+    const { games, skipped } = path.extname(file).toLowerCase() === '.ggf'
+        ? Records.parseGGF(fs.readFileSync(file, 'utf8'))
+        : Records.parseWthor(fs.readFileSync(file));
+    skipped.forEach(({ index, message }) => {
+        console.error(`${file}: skipped game ${index + 1}: ${message}`);
+    });
+
+    const initialBoard = JSON.stringify(Engine.createInitialBoard());
+    const standard = games.filter(({ start }) => start.player === Engine.BLACK && JSON.stringify(start.board) === initialBoard);
+    if (standard.length < games.length) {
+        console.error(`${file}: left out ${games.length - standard.length} games with another starting position`);
+    }
+    return standard.map(({ moves }) => moves);
+}
+
+/** Read the games from a file: a GGF or WTHOR database, or one move sequence per line */
+function readGames(file) {
+    if (['.ggf', '.wtb'].includes(path.extname(file).toLowerCase())) {
+        return readDatabase(file);
+    }
+    return fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .map(line => line.split(/\s+/)[0]);
+}
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+function main() {
+    let options;
+    try {
+        options = parseArguments(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\nUsage: node tools/build-book.js <games-file>... [--depth N] [--min-games N] [--output FILE]`);
+        process.exit(1);
+    }
+
+    const games = options.files.flatMap(readGames);
+    const { lines, skipped } = Book.buildBookLines(games, options);
+
+    skipped.forEach(({ index, message }) => {
+        console.error(`Skipped game ${index + 1}: ${message}`);
+    });
+
+    const description = options.description ||
+        `Built from ${games.length - skipped.length} games in ${options.files.map(file => path.basename(file)).join(', ')}`;
+    const json = Book.serializeBook(lines, description);
+
+    if (options.output) {
+        fs.writeFileSync(options.output, json);
+        console.error(`Wrote ${lines.length} lines to ${options.output}`);
+    } else {
+        process.stdout.write(json);
+    }
+}
+
+main();
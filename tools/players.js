@@ -0,0 +1,175 @@
+/**
+ * Headless Players
+ *
+ * Shared by the Node tools that play games without the page: computer
+ * players for every level, a seeded random number generator and a game loop.
+ * Not a command itself; require it from a tool.
+ *
+ * A player is `{ name, chooseMove(board, player, validMoves) }`, where
+ * chooseMove returns one of the valid moves as [row, col]. Players are
+ * created from a spec string:
+ *
+ *   easy                random moves (seeded)
+ *   medium              the medium strategy
+ *   hard                the hard search at a fixed depth or time budget
+ *   hard:FILE           the hard search with the weight profile in FILE
+ *   expert              the Monte Carlo Tree Search, by playouts or time budget
+ *   FILE.js             a custom module exporting chooseMove (or a function
+ *                       with the same signature) and optionally a name
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Engine = require('../reversi-engine.js');
+const AI = require('../reversi-ai.js');
+const MCTS = require('../reversi-mcts.js');
+
+const { BLACK } = Engine;
+
+// =============================================================================
+// RANDOM NUMBERS
+// =============================================================================
+
+/**
+ * Seeded xorshift32 generator, so tool runs can be repeated exactly
+ * @param {number} seed - Any integer (0 is replaced by a fixed non-zero seed)
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+    let state = (seed | 0) || 0x9e3779b9;
+    return () => {
+        state ^= state << 13;
+        state ^= state >>> 17;
+        state ^= state << 5;
+        return (state >>> 0) / 4294967296;
+    };
+}
+
+// =============================================================================
+// PLAYERS
+// =============================================================================
+
+/**
+ * Create a player from a spec string (see the header for the forms accepted)
+ * @param {string} spec - Player spec
+ * @param {Object} [options] - Settings for the built-in levels
+ * @param {Function} [options.random] - Random numbers for the easy level and the expert level's seeds
+ * @param {number} [options.depth] - Hard level: fixed search depth
+ * @param {number} [options.iterations] - Expert level: playouts per move
+ * @param {number} [options.timeBudget] - Milliseconds per move for the hard level (when no depth is given)
+ *     and the expert level (when no iteration count is given)
+ * @param {number} [options.endgameEmpties] - Hard level: solve exactly at or below this many empties
+ * @returns {Object} Player `{ name, chooseMove }`
+ */
+function createPlayer(spec, options = {}) {
+    if (spec === 'easy') {
+        const random = options.random || Math.random;
+        return { name: 'easy', chooseMove: (board, player, validMoves) => AI.chooseEasyMove(validMoves, random) };
+    }
+
+    if (spec === 'medium') {
+        return { name: 'medium', chooseMove: (board, player, validMoves) => AI.chooseMediumMove(validMoves) };
+    }
+
+    if (spec === 'hard' || spec.startsWith('hard:')) {
+        const profileFile = spec.slice('hard:'.length);
+        const profile = profileFile ? AI.parseProfile(fs.readFileSync(profileFile, 'utf8')) : AI.DEFAULT_PROFILE;
+        const searchOptions = {
+            maxDepth: options.depth,
+            timeBudget: options.depth ? Infinity : options.timeBudget,
+            endgameEmpties: options.endgameEmpties,
+            profile
+        };
+        return {
+            name: spec,
+            chooseMove: (board, player, validMoves) => AI.chooseHardMove(board, player, { ...searchOptions, moves: validMoves }).move
+        };
+    }
+
+    if (spec === 'expert') {
+        const random = options.random || Math.random;
+        const searchOptions = {
+            iterations: options.iterations,
+            timeBudget: options.iterations ? Infinity : options.timeBudget
+        };
+        return {
+            name: 'expert',
+            chooseMove: (board, player, validMoves) => validMoves.length === 1 ? validMoves[0] :
+                MCTS.chooseExpertMove(board, player, { ...searchOptions, seed: Math.floor(random() * 4294967296) }).move
+        };
+    }
+
+    if (spec.endsWith('.js')) {
+        const custom = require(path.resolve(spec));
+        const chooseMove = typeof custom === 'function' ? custom : custom.chooseMove;
+        if (typeof chooseMove !== 'function') {
+            throw new Error(`${spec} does not export a chooseMove function`);
+        }
+        return { name: custom.name && typeof custom !== 'function' ? custom.name : path.basename(spec, '.js'), chooseMove };
+    }
+
+    throw new Error(`Unknown player "${spec}" (expected easy, medium, hard, hard:PROFILE.json, expert or a .js module)`);
+}
+
+// =============================================================================
+// GAMES
+// =============================================================================
+
+/**
+ * Read move sequences (one per line in a1-h8 notation, `#` lines ignored)
+ * @param {string} file - Text file to read
+ * @returns {Array<string>} The first word of every line
+ */
+function readMoveSequences(file) {
+    return fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .map(line => line.split(/\s+/)[0]);
+}
+
+/**
+ * Play a game to the end
+ *
+ * The opening moves are played first, then the players choose moves until
+ * neither side can move. Players get a copy of the board, and a move that is
+ * not legal is reported as an error.
+ * @param {Object} black - Player with the black discs
+ * @param {Object} white - Player with the white discs
+ * @param {Array<Array<number>>} [opening=[]] - Moves [row, col] to start from
+ * @returns {Object} `{ moves, black, white }`: every move played (opening included) and the final disc counts
+ */
+function playGame(black, white, opening = []) {
+    const board = Engine.createInitialBoard();
+    const moves = [];
+    let player = BLACK;
+
+    const play = (row, col) => {
+        if (!Engine.isValidMove(board, row, col, player)) {
+            throw new Error(`Illegal move ${Engine.toNotation(row, col)} at move ${moves.length + 1}`);
+        }
+        Engine.makeMove(board, row, col, player);
+        moves.push([row, col]);
+        player = Engine.getNextPlayer(board, player);
+    };
+
+    for (const [row, col] of opening) {
+        if (player === null) break;
+        play(row, col);
+    }
+
+    while (player !== null) {
+        const validMoves = Engine.getValidMoves(board, player);
+        const move = (player === BLACK ? black : white).chooseMove(Engine.cloneBoard(board), player, validMoves);
+        play(move[0], move[1]);
+    }
+
+    return { moves, ...Engine.countDiscs(board) };
+}
+
+module.exports = {
+    createRandom,
+    createPlayer,
+    readMoveSequences,
+    playGame
+};
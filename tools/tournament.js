@@ -0,0 +1,265 @@
+/**
+ * AI-vs-AI Tournament
+ *
+ * Plays a match between two computer players without the page and reports
+ * how much stronger the first one is: wins, draws and losses, the average
+ * disc margin and the Elo difference with a 95% confidence interval. The
+ * players alternate colours, and with --openings every opening is played
+ * once with each player as black. The full results, game by game, are
+ * written as JSON.
+ *
+ * Players are easy, medium, hard, hard:PROFILE.json, expert or a custom .js
+ * module (see tools/players.js).
+ *
+ * Usage: node tools/tournament.js <player-a> <player-b> [options]
+ *
+ *   --games N          games to play (default: 20)
+ *   --openings FILE    start from the openings in FILE (one move sequence per
+ *                      line); `balanced` uses books/balanced-openings.txt
+ *   --depth N          hard players search to this depth (default: 4)
+ *   --iterations N     expert players run this many playouts per move (default: 2000)
+ *   --time MS          hard and expert players get this many milliseconds per move instead
+ *   --endgame N        hard players solve exactly at N empties (default: the AI's setting)
+ *   --seed N           random seed for easy and expert players (default: 1)
+ *   --output FILE      write the JSON results here instead of printing them
+ *
+ * Progress and the summary are printed to stderr.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const AI = require('../reversi-ai.js');
+const Records = require('../reversi-records.js');
+const { createRandom, createPlayer, readMoveSequences, playGame } = require('./players.js');
+
+/** Openings used for `--openings balanced` */
+const BALANCED_OPENINGS = path.join(__dirname, '..', 'books', 'balanced-openings.txt');
+
+/** z value of the reported confidence interval */
+const CONFIDENCE = 0.95;
+const Z_SCORE = 1.96;
+
+// =============================================================================
+// COMMAND LINE
+// =============================================================================
+
+/** Parse the command line into the two player specs and options */
+function parseArguments(args) {
+    const options = {
+        players: [], games: 20, openings: null, depth: 4, iterations: 2000, timeBudget: null,
+        endgameEmpties: AI.SEARCH_SETTINGS.ENDGAME_SOLVER_EMPTIES, seed: 1, output: null
+    };
+    const numbers = {
+        '--games': 'games', '--depth': 'depth', '--iterations': 'iterations', '--time': 'timeBudget',
+        '--endgame': 'endgameEmpties', '--seed': 'seed'
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (numbers[arg]) {
+            const value = Number(args[++i]);
+            if (!Number.isInteger(value) || value < 0) {
+                throw new Error(`${arg} must be a non-negative integer`);
+            }
+            options[numbers[arg]] = value;
+        } else if (arg === '--openings') {
+            options.openings = args[++i] === 'balanced' ? BALANCED_OPENINGS : args[i];
+        } else if (arg === '--output') {
+            options.output = args[++i];
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.players.push(arg);
+        }
+    }
+
+    if (options.players.length !== 2) {
+        throw new Error('Give exactly two players');
+    }
+    if (options.games < 1 || options.depth < 1 || options.iterations < 1 || options.timeBudget === 0) {
+        throw new Error('--games, --depth, --iterations and --time must be at least 1');
+    }
+    if (options.timeBudget !== null) {
+        // A time budget replaces the fixed depth and playout count
+        options.depth = null;
+        options.iterations = null;
+    }
+    return options;
+}
+
+/** Read the opening file, checking that every opening is legal */
+function readOpenings(file) {
+    return readMoveSequences(file).map((line, index) => {
+        try {
+            return Records.parseTranscript(line).moves;
+        } catch (error) {
+            throw new Error(`${file}: opening ${index + 1}: ${error.message}`);
+        }
+    });
+}
+
+// =============================================================================
+// STATISTICS
+// =============================================================================
+
+/**
+ * Elo difference that corresponds to an expected score
+ * @param {number} score - Fraction of the points won (0..1)
+ * @returns {number} Elo difference (infinite for a score of 0 or 1)
+ */
+function eloFromScore(score) {
+    // Allow for rounding in the interval bounds
+    if (score <= 1e-9) return -Infinity;
+    if (score >= 1 - 1e-9) return Infinity;
+    return -400 * Math.log10(1 / score - 1);
+}
+
+/**
+ * Summarise a match from the first player's point of view
+ *
+ * The confidence interval is the Wilson score interval of the fraction of
+ * points won (a draw counting as half a win), converted to Elo. It stays
+ * finite for a clean sweep, unlike the plain normal approximation; a
+ * difference at a score of 0 or 1 is infinite (null in the JSON).
+ * @param {Array<Object>} games - Game records with `points` and `margin` for the first player
+ * @returns {Object} Match summary
+ */
+function summarise(games) {
+    const count = games.length;
+    const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const standardError = values => {
+        const average = mean(values);
+        return Math.sqrt(mean(values.map(value => (value - average) ** 2)) / values.length);
+    };
+
+    const points = games.map(game => game.points);
+    const margins = games.map(game => game.margin);
+    const score = mean(points);
+
+    // Wilson score interval
+    const z2 = Z_SCORE ** 2;
+    const centre = (score + z2 / (2 * count)) / (1 + z2 / count);
+    const halfWidth = Z_SCORE * Math.sqrt(score * (1 - score) / count + z2 / (4 * count * count)) / (1 + z2 / count);
+
+    return {
+        games: count,
+        wins: points.filter(value => value === 1).length,
+        draws: points.filter(value => value === 0.5).length,
+        losses: points.filter(value => value === 0).length,
+        score,
+        averageMargin: mean(margins),
+        marginStandardError: standardError(margins),
+        elo: {
+            difference: eloFromScore(score),
+            lower: eloFromScore(centre - halfWidth),
+            upper: eloFromScore(centre + halfWidth),
+            confidence: CONFIDENCE
+        }
+    };
+}
+
+/** Format an Elo value for the summary */
+function formatElo(value) {
+    if (!Number.isFinite(value)) {
+        return value > 0 ? '+∞' : '-∞';
+    }
+    return `${value >= 0 ? '+' : ''}${Math.round(value)}`;
+}
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+function main() {
+    let options;
+    let players;
+    let openings;
+    try {
+        options = parseArguments(process.argv.slice(2));
+        const random = createRandom(options.seed);
+        const playerOptions = {
+            random,
+            depth: options.depth,
+            iterations: options.iterations,
+            timeBudget: options.timeBudget,
+            endgameEmpties: options.endgameEmpties
+        };
+        players = options.players.map(spec => createPlayer(spec, playerOptions));
+        openings = options.openings ? readOpenings(options.openings) : [[]];
+    } catch (error) {
+        console.error(`${error.message}\nUsage: node tools/tournament.js <player-a> <player-b> [--games N] [--openings FILE|balanced] [--depth N] [--iterations N] [--time MS] [--output FILE]`);
+        process.exit(1);
+    }
+
+    const [first, second] = players;
+    if (first.name === second.name) {
+        second.name += ' (2)';  // Keep the two sides apart in the results
+    }
+    const games = [];
+
+    for (let number = 1; number <= options.games; number++) {
+        // Each opening is played twice in a row, once with each player as black
+        const opening = openings[Math.floor((number - 1) / 2) % openings.length];
+        const firstIsBlack = number % 2 === 1;
+        const [black, white] = firstIsBlack ? [first, second] : [second, first];
+
+        let result;
+        try {
+            result = playGame(black, white, opening);
+        } catch (error) {
+            console.error(`Game ${number}: ${error.message}`);
+            process.exit(1);
+        }
+
+        const margin = firstIsBlack ? result.black - result.white : result.white - result.black;
+        games.push({
+            number,
+            black: black.name,
+            white: white.name,
+            opening: Records.formatTranscript(opening),
+            moves: Records.formatTranscript(result.moves),
+            blackDiscs: result.black,
+            whiteDiscs: result.white,
+            margin,
+            points: (Math.sign(margin) + 1) / 2
+        });
+        console.error(`Game ${number}/${options.games}: ${black.name} (black) ${result.black}-${result.white} ${white.name} (white)`);
+    }
+
+    const summary = summarise(games);
+    const { elo } = summary;
+    console.error([
+        '',
+        `${first.name} vs ${second.name}: ${summary.games} games`,
+        `  ${first.name} won ${summary.wins}, drew ${summary.draws}, lost ${summary.losses} (score ${(summary.score * 100).toFixed(1)}%)`,
+        `  Average disc margin ${summary.averageMargin >= 0 ? '+' : ''}${summary.averageMargin.toFixed(1)} ± ${summary.marginStandardError.toFixed(1)}`,
+        `  Elo difference ${formatElo(elo.difference)} (${CONFIDENCE * 100}% CI ${formatElo(elo.lower)} to ${formatElo(elo.upper)})`
+    ].join('\n'));
+
+    const json = JSON.stringify({
+        format: 'reversi-tournament',
+        version: 1,
+        date: new Date().toISOString(),
+        players: options.players,
+        settings: {
+            games: options.games,
+            openings: options.openings ? path.relative(process.cwd(), options.openings) : null,
+            depth: options.depth,
+            iterations: options.iterations,
+            timeBudget: options.timeBudget,
+            endgameEmpties: options.endgameEmpties,
+            seed: options.seed
+        },
+        result: summary,
+        games
+    }, null, 2) + '\n';
+
+    if (options.output) {
+        fs.writeFileSync(options.output, json);
+        console.error(`Wrote ${options.output}`);
+    } else {
+        process.stdout.write(json);
+    }
+}
+
+main();
@@ -0,0 +1,371 @@
+/**
+ * Evaluation Weight Tuner
+ *
+ * Improves a weight profile (see parseProfile in reversi-ai.js for the
+ * format) and writes the result as a new profile. Two methods are offered:
+ *
+ * --positions FILE   Least-squares fit to labelled positions. Each line of
+ *                    the file holds a board, the side to move and the final
+ *                    disc difference reached from it (side to move minus
+ *                    opponent), for example
+ *
+ *                        ---------------------------OX------XO--------------------------- X 4
+ *
+ *                    The board lists a1..h1, a2..h2, ..., h8 with X for
+ *                    black, O for white and - (or .) for empty; lines
+ *                    starting with # are ignored. The weights of each phase
+ *                    are fitted so the evaluation predicts the label.
+ *
+ * --games FILE       The same fit to the positions of recorded games, read
+ *                    from a GGF (.ggf) or WTHOR (.wtb) database. Every
+ *                    position before a move is labelled with the game's
+ *                    recorded final disc difference, seen from the side to
+ *                    move; games without a recorded result are left out.
+ *
+ * --self-play        Hill climbing by self-play. Every round the phase
+ *                    weights are perturbed at random and the candidate plays
+ *                    a match against the current profile (shallow fixed-depth
+ *                    searches, each random opening played once with each
+ *                    colour). The candidate replaces the current profile if
+ *                    it scores more than half the points.
+ *
+ * The position table is kept as it is by both methods.
+ *
+ * Usage: node tools/tune-weights.js (--positions FILE | --games FILE | --self-play) [options]
+ *
+ *   --profile FILE       profile to start from (default: the built-in weights)
+ *   --output FILE        write the profile here instead of printing it
+ *   --description S      description stored in the profile
+ *   --ridge X            positions and games: regularisation strength (default: 0.001)
+ *   --rounds N           self-play: candidates to try (default: 10)
+ *   --games N            self-play: games per match, rounded up to even (default: 20)
+ *   --depth N            self-play: search depth per move (default: 2)
+ *   --step X             self-play: relative size of perturbations (default: 0.2)
+ *   --seed N             self-play: random seed, for repeatable runs (default: 1)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Engine = require('../reversi-engine.js');
+const AI = require('../reversi-ai.js');
+const Records = require('../reversi-records.js');
+const { createRandom, playGame } = require('./players.js');
+
+const { BLACK, WHITE, EMPTY, BOARD_SIZE } = Engine;
+
+/** Extensions of the game databases read by --games */
+const DATABASE_EXTENSIONS = ['.ggf', '.wtb'];
+
+/** Random opening moves played before each self-play game */
+const OPENING_PLIES = 6;
+
+/** Empty squares at which self-play games are solved exactly */
+const SELF_PLAY_ENDGAME_EMPTIES = 8;
+
+// =============================================================================
+// COMMAND LINE
+// =============================================================================
+
+/** Parse the command line into options */
+function parseArguments(args) {
+    const options = {
+        positions: null, database: null, selfPlay: false, profile: null, output: null, description: '',
+        ridge: 0.001, rounds: 10, games: 20, depth: 2, step: 0.2, seed: 1
+    };
+    const numbers = { '--ridge': 'ridge', '--rounds': 'rounds', '--games': 'games', '--depth': 'depth', '--step': 'step', '--seed': 'seed' };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--positions') {
+            options.positions = args[++i];
+        } else if (arg === '--games' && DATABASE_EXTENSIONS.includes(path.extname(args[i + 1] || '').toLowerCase())) {
+            // --games N is the self-play match length; a database file is an input
+            options.database = args[++i];
+        } else if (arg === '--self-play') {
+            options.selfPlay = true;
+        } else if (arg === '--profile') {
+            options.profile = args[++i];
+        } else if (arg === '--output') {
+            options.output = args[++i];
+        } else if (arg === '--description') {
+            options.description = args[++i];
+        } else if (numbers[arg]) {
+            options[numbers[arg]] = Number(args[++i]);
+            if (!Number.isFinite(options[numbers[arg]]) || options[numbers[arg]] < 0) {
+                throw new Error(`${arg} must be a non-negative number`);
+            }
+        } else {
+            throw new Error(`Unknown option ${arg}`);
+        }
+    }
+
+    if ([options.positions, options.database, options.selfPlay].filter(Boolean).length !== 1) {
+        throw new Error('Give exactly one of --positions FILE, --games FILE.ggf|.wtb and --self-play');
+    }
+    options.games = Math.max(2, Math.ceil(options.games / 2) * 2);
+    return options;
+}
+
+/** Read labelled positions: `<64 squares> <X|O> <final disc difference>` per line */
+function readPositions(file) {
+    const cells = { X: BLACK, O: WHITE, '-': EMPTY, '.': EMPTY };
+
+    return fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+        .filter(({ line }) => line && !line.startsWith('#'))
+        .map(({ line, number }) => {
+            const [squares, side, margin] = line.split(/\s+/);
+            if (!squares || squares.length !== BOARD_SIZE * BOARD_SIZE || ![...squares].every(square => square in cells) ||
+                !(side === 'X' || side === 'O') || !Number.isFinite(Number(margin))) {
+                throw new Error(`${file}:${number}: expected "<64 squares of X, O or -> <X|O> <disc difference>"`);
+            }
+
+            const board = [];
+            for (let row = 0; row < BOARD_SIZE; row++) {
+                board.push([...squares.slice(row * BOARD_SIZE, (row + 1) * BOARD_SIZE)].map(square => cells[square]));
+            }
+            return { board, player: cells[side], margin: Number(margin) };
+        });
+}
+
+/** Label every position before a move of the games in a GGF or WTHOR database with the recorded result */
+function readDatabasePositions(file) {
+    const { games, skipped } = path.extname(file).toLowerCase() === '.ggf'
+        ? Records.parseGGF(fs.readFileSync(file, 'utf8'))
+        : Records.parseWthor(fs.readFileSync(file));
+    skipped.forEach(({ index, message }) => {
+        console.error(`${file}: skipped game ${index + 1}: ${message}`);
+    });
+
+    const scored = games.filter(({ metadata }) => metadata.result !== null);
+    if (scored.length < games.length) {
+        console.error(`${file}: left out ${games.length - scored.length} games without a recorded result`);
+    }
+
+    const positions = [];
+    for (const { moves, start, metadata } of scored) {
+        const board = Engine.cloneBoard(start.board);
+        for (const { player, move } of Records.replayMoves(moves, start).plies) {
+            if (move) {
+                positions.push({ board: Engine.cloneBoard(board), player, margin: player === BLACK ? metadata.result : -metadata.result });
+                Engine.makeMove(board, move[0], move[1], player);
+            }
+        }
+    }
+    return { games: scored.length, positions };
+}
+
+// =============================================================================
+// FITTING TO LABELLED POSITIONS
+// =============================================================================
+
+/** Solve the linear system `matrix * x = vector` by Gaussian elimination with partial pivoting */
+function solveLinearSystem(matrix, vector) {
+    const size = vector.length;
+    const rows = matrix.map((row, index) => [...row, vector[index]]);
+
+    for (let col = 0; col < size; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < size; row++) {
+            if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+        }
+        if (Math.abs(rows[pivot][col]) < 1e-12) {
+            return null;
+        }
+        [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+
+        for (let row = col + 1; row < size; row++) {
+            const factor = rows[row][col] / rows[col][col];
+            for (let k = col; k <= size; k++) rows[row][k] -= factor * rows[col][k];
+        }
+    }
+
+    const solution = new Array(size).fill(0);
+    for (let row = size - 1; row >= 0; row--) {
+        let sum = rows[row][size];
+        for (let k = row + 1; k < size; k++) sum -= rows[row][k] * solution[k];
+        solution[row] = sum / rows[row][row];
+    }
+    return solution;
+}
+
+/**
+ * Fit each phase's weights to the labelled positions by ridge regression
+ *
+ * Phases without more positions than there are terms keep their weights.
+ */
+function fitToPositions(profile, positions, ridge) {
+    const terms = AI.EVALUATION_TERMS;
+    const phases = {};
+
+    for (const phase of AI.GAME_PHASES) {
+        const samples = positions
+            .filter(({ board }) => AI.getGamePhase(board) === phase)
+            .map(({ board, player, margin }) => {
+                const values = AI.getEvaluationTerms(board, player, Engine.getOpponent(player), profile);
+                return { features: terms.map(term => values[term]), margin };
+            });
+
+        if (samples.length <= terms.length) {
+            console.error(`${phase}: ${samples.length} positions, weights kept`);
+            phases[phase] = profile.phases[phase];
+            continue;
+        }
+
+        // Normal equations (XᵀX + λI) w = Xᵀy, with λ scaled to the size of the terms
+        const normal = terms.map(() => new Array(terms.length).fill(0));
+        const target = new Array(terms.length).fill(0);
+        for (const { features, margin } of samples) {
+            for (let i = 0; i < terms.length; i++) {
+                target[i] += features[i] * margin;
+                for (let j = 0; j < terms.length; j++) normal[i][j] += features[i] * features[j];
+            }
+        }
+        const meanDiagonal = normal.reduce((sum, row, i) => sum + row[i], 0) / terms.length;
+        normal.forEach((row, i) => { row[i] += ridge * meanDiagonal + 1e-9; });
+
+        const weights = solveLinearSystem(normal, target);
+        if (!weights) {
+            console.error(`${phase}: terms do not vary across the positions, weights kept`);
+            phases[phase] = profile.phases[phase];
+            continue;
+        }
+
+        const squaredError = samples.reduce((sum, { features, margin }) =>
+            sum + (features.reduce((total, value, i) => total + value * weights[i], 0) - margin) ** 2, 0);
+        console.error(`${phase}: fitted to ${samples.length} positions, RMS error ${Math.sqrt(squaredError / samples.length).toFixed(2)} discs`);
+        phases[phase] = Object.fromEntries(terms.map((term, i) => [term, Number(weights[i].toFixed(4))]));
+    }
+
+    return AI.parseProfile({ ...profile, phases }, null);
+}
+
+// =============================================================================
+// SELF-PLAY
+// =============================================================================
+
+/** Play a few random moves from the starting position */
+function randomOpening(random) {
+    const board = Engine.createInitialBoard();
+    const moves = [];
+    let player = BLACK;
+
+    for (let ply = 0; ply < OPENING_PLIES && player !== null; ply++) {
+        const validMoves = Engine.getValidMoves(board, player);
+        const move = validMoves[Math.floor(random() * validMoves.length)];
+        Engine.makeMove(board, move[0], move[1], player);
+        moves.push(move);
+        player = Engine.getNextPlayer(board, player);
+    }
+    return moves;
+}
+
+/** Hard AI player searching to a fixed depth with the given weights */
+function createProfilePlayer(profile, depth) {
+    return {
+        name: 'hard',
+        chooseMove: (board, player, validMoves) => AI.chooseHardMove(board, player, {
+            maxDepth: depth,
+            timeBudget: Infinity,
+            endgameEmpties: SELF_PLAY_ENDGAME_EMPTIES,
+            profile,
+            moves: validMoves
+        }).move
+    };
+}
+
+/** Score of `candidate` against `incumbent` over a match (win 1, draw 0.5), as a fraction */
+function playMatch(candidate, incumbent, options, random) {
+    const candidatePlayer = createProfilePlayer(candidate, options.depth);
+    const incumbentPlayer = createProfilePlayer(incumbent, options.depth);
+    let points = 0;
+
+    for (let game = 0; game < options.games; game += 2) {
+        const opening = randomOpening(random);
+        const asBlack = playGame(candidatePlayer, incumbentPlayer, opening);
+        const asWhite = playGame(incumbentPlayer, candidatePlayer, opening);
+        points += (Math.sign(asBlack.black - asBlack.white) + 1) / 2 + (Math.sign(asWhite.white - asWhite.black) + 1) / 2;
+    }
+    return points / options.games;
+}
+
+/** Perturb every phase weight by up to `step` of its size */
+function perturb(profile, step, random) {
+    const phases = {};
+    for (const phase of AI.GAME_PHASES) {
+        phases[phase] = {};
+        for (const term of AI.EVALUATION_TERMS) {
+            const weight = profile.phases[phase][term];
+            // Zero weights get a small absolute step so they can move at all
+            const change = step * (2 * random() - 1) * Math.max(Math.abs(weight), 0.5);
+            phases[phase][term] = Number((weight + change).toFixed(4));
+        }
+    }
+    return AI.parseProfile({ ...profile, phases }, null);
+}
+
+/** Hill-climb the phase weights by self-play */
+function tuneBySelfPlay(profile, options) {
+    const random = createRandom(options.seed);
+    let current = profile;
+
+    for (let round = 1; round <= options.rounds; round++) {
+        const candidate = perturb(current, options.step, random);
+        const score = playMatch(candidate, current, options, random);
+        const accepted = score > 0.5;
+        if (accepted) {
+            current = candidate;
+        }
+        console.error(`Round ${round}/${options.rounds}: candidate scored ${(score * 100).toFixed(1)}%, ${accepted ? 'accepted' : 'rejected'}`);
+    }
+    return current;
+}
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+function main() {
+    let options;
+    try {
+        options = parseArguments(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\nUsage: node tools/tune-weights.js (--positions FILE | --games FILE.ggf|.wtb | --self-play) [--profile FILE] [--output FILE]`);
+        process.exit(1);
+    }
+
+    let tuned;
+    let description;
+    try {
+        const start = options.profile
+            ? AI.parseProfile(fs.readFileSync(options.profile, 'utf8'))
+            : AI.DEFAULT_PROFILE;
+
+        if (options.positions) {
+            const positions = readPositions(options.positions);
+            tuned = fitToPositions(start, positions, options.ridge);
+            description = `Fitted to ${positions.length} positions from ${options.positions}`;
+        } else if (options.database) {
+            const { games, positions } = readDatabasePositions(options.database);
+            tuned = fitToPositions(start, positions, options.ridge);
+            description = `Fitted to ${positions.length} positions from ${games} games in ${options.database}`;
+        } else {
+            tuned = tuneBySelfPlay(start, options);
+            description = `Tuned by self-play: ${options.rounds} rounds of ${options.games} games at depth ${options.depth}, seed ${options.seed}`;
+        }
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    const json = AI.serializeProfile(tuned, options.description || description);
+    if (options.output) {
+        fs.writeFileSync(options.output, json);
+        console.error(`Wrote ${options.output}`);
+    } else {
+        process.stdout.write(json);
+    }
+}
+
+main();